@@ -1,14 +1,41 @@
-import { useEffect, useState } from 'react';
+import { useEffect, useMemo, useState } from 'react';
 import { createPortal } from 'react-dom';
-import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, Legend } from 'recharts';
-import { CURRENCY_SYMBOL } from '../../constants';
+import {
+  CORPORATE_ACTION_TYPES,
+  COST_BASIS_METHODS,
+  HOLDING_TERMS,
+  INCOME_TYPES,
+  LONG_TERM_HOLDING_DAYS,
+  MARKET_STATUSES,
+} from '../../constants';
+import { useMarketStatus } from '../../hooks/useMarketStatus';
 import { useModal } from '../../hooks/useModal';
-import { getStockCandles, getTimeframeParams, getCompanyNews } from '../../lib/finnhub';
+import { getCandles, getTimeframeParams, getCompanyNews } from '../../lib/marketData';
+import { getManualPrice } from '../../lib/manualPrices';
+import {
+  calculateRealizedGain,
+  createOpeningTransactions,
+  getAssetCashFlows,
+  getOpenLots,
+  getPositionLots,
+  getRealizedSales,
+  getTodayDate,
+  normalizeCostBasisMethod,
+  sortTransactions,
+} from '../../lib/ledger';
+import { getNetIncome, summarizeIncome } from '../../lib/income';
+import { getCurrencySymbol } from '../../lib/fx';
+import { calculateXirr, formatHoldingPeriod, summarizeHoldingPeriod } from '../../lib/performance';
+import { addTradeMarkers, buildPricePoints } from '../../lib/chart';
+import { formatUpdatedAt } from '../../lib/marketDataCache';
+import { PriceChart } from '../PriceChart/PriceChart';
 import { useAlertsStore } from '../../store/alertsStore';
 import { useSessionStore } from '../../store/sessionStore';
+import { useTransactionsStore } from '../../store/transactionsStore';
+import { useIncomeStore } from '../../store/incomeStore';
 import styles from './AssetCard.module.css';
 
-export const AssetCard = ({ asset, onAddQuantity, onReduceQuantity, onResetAsset, onDeleteAsset, onUpdateBrokers }) => {
+export const AssetCard = ({ asset, onAddQuantity, onReduceQuantity, onResetAsset, onDeleteAsset, onUpdateBrokers, onApplyCorporateAction, onSetManualPrice }) => {
   const { isOpen: showModal, openModal: openModal, closeModal: closeModal } = useModal(false);
   const { isOpen: showConfirmModal, openModal: openConfirmModal, closeModal: closeConfirmModal } = useModal(false);
   const { isOpen: showDetailModal, openModal: openDetailModal, closeModal: closeDetailModal } = useModal(false);
@@ -16,20 +43,37 @@ export const AssetCard = ({ asset, onAddQuantity, onReduceQuantity, onResetAsset
   const { isOpen: showNewsModal, openModal: openNewsModal, closeModal: closeNewsModal } = useModal(false);
   const { isOpen: showAnalysisModal, openModal: openAnalysisModal, closeModal: closeAnalysisModal } = useModal(false);
   const { isOpen: showAlertModal, openModal: openAlertModal, closeModal: closeAlertModal } = useModal(false);
+  const { isOpen: showCorporateModal, openModal: openCorporateModal, closeModal: closeCorporateModal } = useModal(false);
+  const { isOpen: showManualPriceModal, openModal: openManualPriceModal, closeModal: closeManualPriceModal } = useModal(false);
   const [modalBrokers, setModalBrokers] = useState([]);
+  const [modalMode, setModalMode] = useState('brokers'); // 'brokers' o 'sell'
+  const [saleForm, setSaleForm] = useState({ broker: '', quantity: '', price: '', fee: '', date: '', lotId: '' });
   const [showMenu, setShowMenu] = useState(false);
   const [confirmAction, setConfirmAction] = useState(null); // 'reset' o 'delete'
+  // La tarjeta muestra el activo en su moneda (los totales de la cartera, en la moneda base)
+  const currencySymbol = getCurrencySymbol(asset.currency);
+  // Estado del mercado donde cotiza (abierto, pre-market, after-hours o cerrado)
+  const marketStatus = useMarketStatus(asset);
+  const marketStatusTitle = !marketStatus.exchange
+    ? 'Se negocia las 24 horas'
+    : marketStatus.reason === 'holiday'
+      ? `${marketStatus.exchange} · Feriado`
+      : marketStatus.reason === 'weekend'
+        ? `${marketStatus.exchange} · Fin de semana`
+        : marketStatus.exchange;
   
   // Estados para el gráfico
   const [chartTimeframe, setChartTimeframe] = useState('1M');
   const [chartData, setChartData] = useState([]);
   const [isLoadingChart, setIsLoadingChart] = useState(false);
   const [chartError, setChartError] = useState(null);
+  const [chartUpdatedAt, setChartUpdatedAt] = useState(null); // Fecha de descarga de las velas mostradas
   
   // Estados para las noticias
   const [news, setNews] = useState([]);
   const [isLoadingNews, setIsLoadingNews] = useState(false);
   const [newsError, setNewsError] = useState(null);
+  const [newsUpdatedAt, setNewsUpdatedAt] = useState(null); // Fecha de descarga de las noticias mostradas
   
   // Estados para la alerta
   const [alertPrice, setAlertPrice] = useState('');
@@ -37,6 +81,30 @@ export const AssetCard = ({ asset, onAddQuantity, onReduceQuantity, onResetAsset
   const [alertError, setAlertError] = useState(null);
   const [isDeletingAlert, setIsDeletingAlert] = useState(null);
   const { addAlert, deactivateAlert, alerts, loadAlerts } = useAlertsStore();
+
+  // Estados para los ingresos (dividendos, cupones, intereses, staking)
+  const [showIncomeForm, setShowIncomeForm] = useState(false);
+  const [incomeForm, setIncomeForm] = useState({ type: 'dividend', broker: '', amount: '', withholdingTax: '', date: '' });
+  const [isSavingIncome, setIsSavingIncome] = useState(false);
+
+  // Estado para eventos corporativos
+  const [corporateForm, setCorporateForm] = useState({
+    type: 'split',
+    date: '',
+    from: '1',
+    to: '2',
+    newSymbol: '',
+    newName: '',
+    ratio: '1',
+    costAllocation: '',
+  });
+  const [isSavingCorporate, setIsSavingCorporate] = useState(false);
+  // Precio manual (para símbolos que ningún proveedor cotiza)
+  const [manualPrice, setManualPrice] = useState('');
+  const [savedManualPrice, setSavedManualPrice] = useState(null);
+  const [isSavingManualPrice, setIsSavingManualPrice] = useState(false);
+  const incomeEntries = useIncomeStore((state) => state.incomeEntries);
+  const { addIncome, deleteIncome } = useIncomeStore();
   const user = useSessionStore((state) => state.user);
   
   // Filtrar alertas del asset actual
@@ -76,14 +144,65 @@ export const AssetCard = ({ asset, onAddQuantity, onReduceQuantity, onResetAsset
     }
   }, [showAlertModal, user?.id, loadAlerts, asset.id]);
   
-  const apiKey = import.meta.env.VITE_FINNHUB_API_KEY;
-
   const totalValue = asset.quantity * asset.currentPrice;
   const totalInvestment = asset.quantity * asset.purchasePrice;
   const profit = totalValue - totalInvestment;
   const profitPercentage = totalInvestment > 0 ? ((profit / totalInvestment) * 100).toFixed(2) : 0;
   const isProfit = profit >= 0;
 
+  // Historial del activo, método de costo del usuario y lo que se deriva de ellos
+  const transactions = useTransactionsStore((state) => state.transactions);
+  const costBasisMethod = normalizeCostBasisMethod(
+    useSessionStore((state) => state.user?.user_metadata?.cost_basis_method)
+  );
+  const assetTransactions = useMemo(() => {
+    const currentAssetId = typeof asset.id === 'string' ? parseInt(asset.id, 10) : Number(asset.id);
+    return transactions.filter((tx) => tx.assetId === currentAssetId);
+  }, [transactions, asset.id]);
+  const realizedProfit = useMemo(
+    () => calculateRealizedGain(assetTransactions, costBasisMethod),
+    [assetTransactions, costBasisMethod]
+  );
+  const isRealizedProfit = realizedProfit >= 0;
+  const openLots = useMemo(
+    () => getOpenLots(assetTransactions, costBasisMethod),
+    [assetTransactions, costBasisMethod]
+  );
+  // Plazo de tenencia, CAGR y largo/corto plazo (desde las fechas de compra de los lotes)
+  const holding = useMemo(
+    () => summarizeHoldingPeriod(getPositionLots(asset, assetTransactions, costBasisMethod), totalValue),
+    [asset, assetTransactions, costBasisMethod, totalValue]
+  );
+  const corporateActions = useMemo(
+    () =>
+      sortTransactions(
+        assetTransactions.filter((tx) => ['split', 'spinoff', 'symbol_change'].includes(tx.type))
+      ).reverse(),
+    [assetTransactions]
+  );
+
+  // Ingresos cobrados por este activo (del más reciente al más antiguo)
+  const assetIncome = useMemo(() => {
+    const currentAssetId = typeof asset.id === 'string' ? parseInt(asset.id, 10) : Number(asset.id);
+    return incomeEntries
+      .filter((entry) => entry.assetId === currentAssetId)
+      .sort((a, b) => (b.date || '').localeCompare(a.date || ''));
+  }, [incomeEntries, asset.id]);
+  const incomeSummary = useMemo(() => summarizeIncome(assetIncome), [assetIncome]);
+
+  // Rendimiento total del activo: no realizada + realizada + ingresos netos
+  const totalReturn = profit + realizedProfit + incomeSummary.net;
+
+  // TIR anual (XIRR): compras, ventas e ingresos con su fecha y el valor actual como cobro de hoy
+  const xirr = useMemo(() => {
+    const flows = [
+      ...getAssetCashFlows(assetTransactions, costBasisMethod),
+      ...assetIncome.map((entry) => ({ date: entry.date, amount: getNetIncome(entry) })),
+      { date: getTodayDate(), amount: totalValue },
+    ];
+    return calculateXirr(flows);
+  }, [assetTransactions, assetIncome, totalValue, costBasisMethod]);
+
   const getTypeLabel = (type) => {
     const types = {
       stock: 'Acción',
@@ -93,6 +212,7 @@ export const AssetCard = ({ asset, onAddQuantity, onReduceQuantity, onResetAsset
       etf: 'ETF',
       fondo: 'Fondo', // Compatibilidad con datos antiguos
       bond: 'Bono',
+      cedear: 'CEDEAR',
     };
     return types[type] || type;
   };
@@ -102,123 +222,87 @@ export const AssetCard = ({ asset, onAddQuantity, onReduceQuantity, onResetAsset
     return asset.type === 'crypto' || asset.type === 'criptomoneda' ? '0.00000001' : '1';
   };
 
-  // Función para generar datos de ejemplo basados en el precio actual
-  const generateSampleChartData = (currentPrice, timeframe) => {
-    const now = new Date();
-    const dataPoints = 30; // Número de puntos en el gráfico de ejemplo
-    const sampleData = [];
-    
-    // Calcular días hacia atrás según el timeframe
-    let daysBack = 30;
-    switch (timeframe) {
-      case '1D': daysBack = 1; break;
-      case '1W': daysBack = 7; break;
-      case '1M': daysBack = 30; break;
-      case '3M': daysBack = 90; break;
-      case '6M': daysBack = 180; break;
-      case '1Y': daysBack = 365; break;
-      case 'ALL': daysBack = 365 * 2; break;
-      default: daysBack = 30;
-    }
-    
-    // Generar variación aleatoria pero realista alrededor del precio actual
-    // El precio final será el precio actual
-    const baseVariation = currentPrice * 0.1; // 10% de variación
-    let previousPrice = currentPrice * (0.85 + Math.random() * 0.15); // Empezar entre 85% y 100% del precio actual
-    
-    for (let i = dataPoints - 1; i >= 0; i--) {
-      const date = new Date(now);
-      date.setDate(date.getDate() - (daysBack * (i / (dataPoints - 1))));
-      
-      // Crear una tendencia hacia el precio actual
-      const progress = 1 - (i / (dataPoints - 1)); // 0 al inicio, 1 al final
-      const targetPrice = currentPrice;
-      const variation = (Math.random() - 0.5) * baseVariation * (1 - progress * 0.5); // Menos variación cerca del final
-      const price = previousPrice + (targetPrice - previousPrice) * 0.1 + variation;
-      
-      previousPrice = price;
-      
-      sampleData.push({
-        date: date.toLocaleDateString('es-AR', {
-          month: 'short',
-          day: 'numeric',
-          ...(timeframe === '1Y' || timeframe === 'ALL' ? { year: 'numeric' } : {})
-        }),
-        value: Math.max(0.01, price), // Asegurar que el precio sea positivo
-        fullDate: date,
-      });
-    }
-    
-    // Asegurar que el último punto sea exactamente el precio actual
-    if (sampleData.length > 0) {
-      sampleData[sampleData.length - 1].value = currentPrice;
-    }
-    
-    return sampleData;
-  };
-
-  // Cargar datos del gráfico cuando cambia la temporalidad o se abre el modal
+  // Cargar datos del gráfico cuando cambia la temporalidad o se abre el modal.
+  // getCandles devuelve al instante las velas guardadas en el navegador (y las
+  // actualiza en segundo plano si vencieron); si ningún proveedor responde se
+  // muestra el último historial guardado con el error.
   useEffect(() => {
-    if (!showChartModal || !apiKey || !asset.symbol) return;
+    if (!showChartModal || !asset.symbol) return;
+
+    let cancelled = false;
+
+    const showCandles = (result) => {
+      if (cancelled) return;
+      setChartError(result.data ? result.error : result.error || 'Error al cargar los datos del gráfico');
+      setChartData(result.data ? buildPricePoints(result.data, chartTimeframe) : []);
+      setChartUpdatedAt(result.data ? result.updatedAt : null);
+      setIsLoadingChart(false);
+    };
 
     const loadChartData = async () => {
       setIsLoadingChart(true);
       setChartError(null);
+      setChartUpdatedAt(null);
+
+      const { from, to, resolution } = getTimeframeParams(chartTimeframe);
 
       try {
-        const { from, to, resolution } = getTimeframeParams(chartTimeframe);
-        const result = await getStockCandles(
+        const result = await getCandles(
           asset.symbol,
           resolution,
           from,
           to,
-          apiKey,
-          asset.type
+          asset.type,
+          {
+            priority: 'interactive', // El gráfico abierto va antes que la actualización periódica
+            onRevalidated: showCandles,
+          }
         );
-
-        if (result.error) {
-          setChartError(result.error);
-          // Generar datos de ejemplo cuando hay error
-          const sampleData = generateSampleChartData(asset.currentPrice, chartTimeframe);
-          setChartData(sampleData);
-        } else if (result.data) {
-          // Formatear datos para el gráfico
-          const formattedData = result.data.map(item => ({
-            date: new Date(item.timestamp).toLocaleDateString('es-AR', {
-              month: 'short',
-              day: 'numeric',
-              ...(chartTimeframe === '1Y' || chartTimeframe === 'ALL' ? { year: 'numeric' } : {})
-            }),
-            value: item.close, // Usar precio de cierre para el gráfico de línea
-            fullDate: new Date(item.timestamp),
-          }));
-          setChartData(formattedData);
-        }
+        showCandles(result);
       } catch (error) {
         console.error('Error al cargar datos del gráfico:', error);
-        setChartError('Error al cargar los datos del gráfico');
-        // Generar datos de ejemplo cuando hay error
-        const sampleData = generateSampleChartData(asset.currentPrice, chartTimeframe);
-        setChartData(sampleData);
-      } finally {
-        setIsLoadingChart(false);
+        showCandles({ data: null, error: 'Error al cargar los datos del gráfico' });
       }
     };
 
     loadChartData();
-  }, [showChartModal, chartTimeframe, asset.symbol, asset.type, apiKey, asset.currentPrice]);
+
+    return () => {
+      cancelled = true;
+    };
+  }, [showChartModal, chartTimeframe, asset.symbol, asset.type]);
+
+  // Compras y ventas sobre el gráfico
+  const chartPoints = useMemo(
+    () => addTradeMarkers(chartData, assetTransactions),
+    [chartData, assetTransactions]
+  );
 
   // Cargar noticias cuando se abre el modal de noticias
   useEffect(() => {
-    if (!showNewsModal || !apiKey || !asset.symbol) return;
+    if (!showNewsModal || !asset.symbol) return;
 
     // Verificar si el tipo de activo soporta noticias
     // Las noticias de Finnhub funcionan principalmente para acciones y ETFs
     const supportsNews = asset.type === 'stock' || asset.type === 'accion' || asset.type === 'etf' || asset.type === 'fondo';
 
+    let cancelled = false;
+
+    const showNews = (result) => {
+      if (cancelled) return;
+      if (result.error) {
+        setNewsError(result.error);
+        setNews([]);
+      } else if (result.data) {
+        setNews(result.data);
+        setNewsUpdatedAt(result.updatedAt);
+      }
+    };
+
     const loadNews = async () => {
       setIsLoadingNews(true);
       setNewsError(null);
+      setNewsUpdatedAt(null);
       setNews([]);
 
       if (!supportsNews) {
@@ -228,15 +312,9 @@ export const AssetCard = ({ asset, onAddQuantity, onReduceQuantity, onResetAsset
       }
 
       try {
-        // Obtener noticias de los últimos 30 días
-        const result = await getCompanyNews(asset.symbol, apiKey);
-
-        if (result.error) {
-          setNewsError(result.error);
-          setNews([]);
-        } else if (result.data) {
-          setNews(result.data);
-        }
+        // Obtener noticias de los últimos días (las guardadas se muestran al instante)
+        const result = await getCompanyNews(asset.symbol, asset.type, null, null, { onRevalidated: showNews });
+        showNews(result);
       } catch (error) {
         console.error('Error al cargar noticias:', error);
         setNewsError('Error al cargar las noticias');
@@ -247,9 +325,14 @@ export const AssetCard = ({ asset, onAddQuantity, onReduceQuantity, onResetAsset
     };
 
     loadNews();
-  }, [showNewsModal, asset.symbol, asset.type, apiKey]);
+
+    return () => {
+      cancelled = true;
+    };
+  }, [showNewsModal, asset.symbol, asset.type]);
 
   // Calcular cantidad total y PPC promedio ponderado desde los brokers
+  // (la comisión de cada broker editado se suma a su costo)
   const calculateTotalsFromBrokers = () => {
     let totalQuantity = 0;
     let totalValue = 0;
@@ -257,9 +340,10 @@ export const AssetCard = ({ asset, onAddQuantity, onReduceQuantity, onResetAsset
     modalBrokers.forEach(broker => {
       const qty = parseFloat(broker.quantity) || 0;
       const ppc = parseFloat(broker.purchasePrice) || 0;
+      const fee = parseFloat(broker.fee) || 0;
       if (qty > 0 && ppc > 0) {
         totalQuantity += qty;
-        totalValue += qty * ppc;
+        totalValue += qty * ppc + fee;
       }
     });
     
@@ -280,7 +364,7 @@ export const AssetCard = ({ asset, onAddQuantity, onReduceQuantity, onResetAsset
   };
 
   const handleAddBroker = () => {
-    setModalBrokers([...modalBrokers, { broker: '', quantity: '0', purchasePrice: '0' }]);
+    setModalBrokers([...modalBrokers, { broker: '', quantity: '0', purchasePrice: '0', fee: '', purchaseDate: getTodayDate() }]);
   };
 
   const handleRemoveBroker = (index) => {
@@ -304,6 +388,11 @@ export const AssetCard = ({ asset, onAddQuantity, onReduceQuantity, onResetAsset
       alert('Debe haber al menos un broker con cantidad y PPC válidos');
       return;
     }
+
+    if (validBrokers.some(b => b.purchaseDate && b.purchaseDate > getTodayDate())) {
+      alert('La fecha de compra no puede ser futura');
+      return;
+    }
     
     if (onUpdateBrokers) {
       const result = await onUpdateBrokers(asset.id, validBrokers);
@@ -317,9 +406,85 @@ export const AssetCard = ({ asset, onAddQuantity, onReduceQuantity, onResetAsset
 
   const handleModalCancel = () => {
     setModalBrokers([]);
+    setModalMode('brokers');
     closeModal();
   };
 
+  // Broker seleccionado en el formulario de venta (para validar cantidad y estimar la ganancia)
+  const saleBroker = (asset.brokers || []).find((b) => b.broker === saleForm.broker);
+  const saleAvailableQuantity = saleBroker ? saleBroker.quantity : asset.quantity;
+  const salePurchasePrice = saleBroker ? saleBroker.purchasePrice : asset.purchasePrice;
+  const saleQuantity = parseFloat(saleForm.quantity) || 0;
+  const salePrice = parseFloat(saleForm.price) || 0;
+  const saleFee = parseFloat(saleForm.fee) || 0;
+  const saleLots = openLots.filter((lot) => lot.id !== null && (!saleBroker || lot.broker === saleBroker.broker));
+  const saleLotId = costBasisMethod === 'specific' && saleForm.lotId ? Number(saleForm.lotId) : null;
+
+  // Simular la venta sobre el historial para estimar el costo según el método
+  const estimatedSale = useMemo(() => {
+    if (saleQuantity <= 0) return null;
+    const history = assetTransactions.length > 0 ? assetTransactions : createOpeningTransactions(asset, saleForm.date);
+    const simulatedSale = {
+      assetId: asset.id,
+      type: 'sell',
+      broker: saleBroker ? saleBroker.broker : (asset.brokers?.[0]?.broker || ''),
+      quantity: saleQuantity,
+      price: salePrice,
+      fee: saleFee,
+      date: saleForm.date || getTodayDate(),
+      lotId: saleLotId,
+    };
+    const sales = getRealizedSales([...history, simulatedSale], costBasisMethod);
+    return sales.find((sale) => sale.transaction === simulatedSale) || null;
+  }, [asset, assetTransactions, costBasisMethod, saleBroker, saleQuantity, salePrice, saleFee, saleLotId, saleForm.date]);
+  const estimatedSaleGain = estimatedSale ? estimatedSale.realizedGain : 0;
+  const estimatedSaleUnitCost = estimatedSale && estimatedSale.quantity > 0
+    ? estimatedSale.costBasis / estimatedSale.quantity
+    : salePurchasePrice;
+
+  const handleSaleChange = (field, value) => {
+    setSaleForm((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const handleSaleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (saleQuantity <= 0) {
+      alert('La cantidad a vender debe ser mayor a 0');
+      return;
+    }
+
+    if (saleQuantity > saleAvailableQuantity) {
+      alert(`No puede vender más de ${saleAvailableQuantity} unidades${saleBroker ? ` en ${saleBroker.broker}` : ''}`);
+      return;
+    }
+
+    if (salePrice <= 0) {
+      alert('El precio de venta debe ser mayor a 0');
+      return;
+    }
+
+    if (saleFee < 0) {
+      alert('La comisión no puede ser negativa');
+      return;
+    }
+
+    if (!saleForm.date || saleForm.date > getTodayDate()) {
+      alert('La fecha de venta no puede ser futura');
+      return;
+    }
+
+    if (onReduceQuantity) {
+      const broker = saleBroker ? saleBroker.broker : null;
+      const result = await onReduceQuantity(asset.id, saleQuantity, salePrice, broker, saleForm.date, saleLotId, saleFee);
+      if (result.success) {
+        handleModalCancel();
+      } else {
+        alert(result.error || 'Error al registrar la venta');
+      }
+    }
+  };
+
   const handleOpenModal = () => {
     // Inicializar los brokers desde el asset, o crear uno vacío si no hay
     if (asset.brokers && asset.brokers.length > 0) {
@@ -327,14 +492,174 @@ export const AssetCard = ({ asset, onAddQuantity, onReduceQuantity, onResetAsset
         broker: b.broker || '',
         quantity: b.quantity?.toString() || '0',
         purchasePrice: b.purchasePrice?.toString() || '0',
+        fee: '',
+        purchaseDate: b.purchaseDate || asset.purchaseDate || '',
       })));
     } else {
       // Si no hay brokers, crear uno vacío
-      setModalBrokers([{ broker: '', quantity: '0', purchasePrice: '0' }]);
+      setModalBrokers([{ broker: '', quantity: '0', purchasePrice: '0', fee: '', purchaseDate: getTodayDate() }]);
     }
+    setSaleForm({
+      broker: asset.brokers?.[0]?.broker || '',
+      quantity: '',
+      price: asset.currentPrice > 0 ? asset.currentPrice.toString() : '',
+      fee: '',
+      date: getTodayDate(),
+      lotId: '',
+    });
+    setModalMode('brokers');
     openModal();
   };
 
+  const handleOpenIncomeForm = () => {
+    setIncomeForm({
+      type: asset.type === 'bond' ? 'coupon' : asset.type === 'crypto' ? 'staking' : 'dividend',
+      broker: asset.brokers?.[0]?.broker || '',
+      amount: '',
+      withholdingTax: '',
+      date: getTodayDate(),
+    });
+    setShowIncomeForm(true);
+  };
+
+  const handleIncomeChange = (field, value) => {
+    setIncomeForm((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const handleIncomeSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!user?.id) {
+      alert('Debes iniciar sesión para registrar ingresos');
+      return;
+    }
+
+    if (!incomeForm.date || incomeForm.date > getTodayDate()) {
+      alert('La fecha de cobro no puede ser futura');
+      return;
+    }
+
+    setIsSavingIncome(true);
+    const result = await addIncome(
+      {
+        assetId: asset.id,
+        type: incomeForm.type,
+        broker: incomeForm.broker.trim(),
+        amount: parseFloat(incomeForm.amount) || 0,
+        withholdingTax: parseFloat(incomeForm.withholdingTax) || 0,
+        date: incomeForm.date,
+      },
+      user.id
+    );
+    setIsSavingIncome(false);
+
+    if (result.success) {
+      setShowIncomeForm(false);
+    } else {
+      alert(result.error || 'Error al registrar el ingreso');
+    }
+  };
+
+  const handleDeleteIncome = async (entryId) => {
+    if (!user?.id) return;
+    const result = await deleteIncome(entryId, user.id);
+    if (!result.success) {
+      alert(result.error || 'Error al eliminar el ingreso');
+    }
+  };
+
+  const handleOpenCorporateModal = () => {
+    setCorporateForm({
+      type: 'split',
+      date: getTodayDate(),
+      from: '1',
+      to: '2',
+      newSymbol: '',
+      newName: '',
+      ratio: '1',
+      costAllocation: '',
+    });
+    setShowMenu(false);
+    openCorporateModal();
+  };
+
+  const handleCorporateChange = (field, value) => {
+    setCorporateForm((prev) => {
+      const next = { ...prev, [field]: value };
+      // Proporción por defecto según el tipo: 2:1 para split, 1:10 para split inverso
+      if (field === 'type' && value === 'split') {
+        return { ...next, from: '1', to: '2' };
+      }
+      if (field === 'type' && value === 'reverse_split') {
+        return { ...next, from: '10', to: '1' };
+      }
+      return next;
+    });
+  };
+
+  const handleCorporateSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!corporateForm.date || corporateForm.date > getTodayDate()) {
+      alert('La fecha del evento no puede ser futura');
+      return;
+    }
+
+    if (corporateForm.type === 'split' && parseFloat(corporateForm.to) <= parseFloat(corporateForm.from)) {
+      alert('En un split la cantidad nueva debe ser mayor a la anterior');
+      return;
+    }
+
+    if (corporateForm.type === 'reverse_split' && parseFloat(corporateForm.to) >= parseFloat(corporateForm.from)) {
+      alert('En un split inverso la cantidad nueva debe ser menor a la anterior');
+      return;
+    }
+
+    if (!onApplyCorporateAction) return;
+
+    setIsSavingCorporate(true);
+    const result = await onApplyCorporateAction(asset.id, {
+      type: corporateForm.type,
+      date: corporateForm.date,
+      from: parseFloat(corporateForm.from),
+      to: parseFloat(corporateForm.to),
+      newSymbol: corporateForm.newSymbol,
+      newName: corporateForm.newName,
+      ratio: parseFloat(corporateForm.ratio),
+      costAllocation: (parseFloat(corporateForm.costAllocation) || 0) / 100,
+    });
+    setIsSavingCorporate(false);
+
+    if (result?.success) {
+      closeCorporateModal();
+    } else {
+      alert(result?.error || 'Error al aplicar el evento corporativo');
+    }
+  };
+
+  const handleOpenManualPriceModal = () => {
+    const saved = getManualPrice(asset.symbol);
+    setSavedManualPrice(saved);
+    setManualPrice(saved ? saved.price.toString() : '');
+    setShowMenu(false);
+    openManualPriceModal();
+  };
+
+  const handleManualPriceSubmit = async (e, price) => {
+    e.preventDefault();
+    if (!onSetManualPrice) return;
+
+    setIsSavingManualPrice(true);
+    const result = await onSetManualPrice(asset.id, price);
+    setIsSavingManualPrice(false);
+
+    if (result?.success) {
+      closeManualPriceModal();
+    } else {
+      alert(result?.error || 'Error al guardar el precio manual');
+    }
+  };
+
   const handleResetAsset = () => {
     setConfirmAction('reset');
     openConfirmModal();
@@ -492,6 +817,18 @@ export const AssetCard = ({ asset, onAddQuantity, onReduceQuantity, onResetAsset
         </div>
         <div className={styles.headerRight}>
           <span className={styles.type}>{getTypeLabel(asset.type)}</span>
+          <span
+            className={`${styles.marketStatus} ${
+              marketStatus.status === 'open'
+                ? styles.marketOpen
+                : marketStatus.status === 'closed'
+                  ? styles.marketClosed
+                  : styles.marketExtended
+            }`}
+            title={marketStatusTitle}
+          >
+            {MARKET_STATUSES[marketStatus.status]}
+          </span>
           <div className={styles.menuContainer}>
             <button
               type="button"
@@ -516,6 +853,20 @@ export const AssetCard = ({ asset, onAddQuantity, onReduceQuantity, onResetAsset
             </button>
             {showMenu && (
               <div className={styles.dropdownMenu}>
+                <button
+                  type="button"
+                  className={styles.menuItem}
+                  onClick={handleOpenCorporateModal}
+                >
+                  Evento corporativo
+                </button>
+                <button
+                  type="button"
+                  className={styles.menuItem}
+                  onClick={handleOpenManualPriceModal}
+                >
+                  Precio manual
+                </button>
                 <button
                   type="button"
                   className={styles.menuItem}
@@ -545,7 +896,7 @@ export const AssetCard = ({ asset, onAddQuantity, onReduceQuantity, onResetAsset
         <div className={styles.row}>
           <span className={styles.label}>Precio Promedio</span>
           <span className={styles.value}>
-            {CURRENCY_SYMBOL}
+            {currencySymbol}
             {asset.purchasePrice.toLocaleString('es-AR', {
               minimumFractionDigits: 2,
               maximumFractionDigits: 2,
@@ -556,7 +907,7 @@ export const AssetCard = ({ asset, onAddQuantity, onReduceQuantity, onResetAsset
         <div className={styles.row}>
           <span className={styles.label}>Precio Actual</span>
           <span className={styles.value}>
-            {CURRENCY_SYMBOL}
+            {currencySymbol}
             {asset.currentPrice.toLocaleString('es-AR', {
               minimumFractionDigits: 2,
               maximumFractionDigits: 2,
@@ -566,6 +917,14 @@ export const AssetCard = ({ asset, onAddQuantity, onReduceQuantity, onResetAsset
                 ⚠️ Estimado
               </span>
             )}
+            {asset.priceUpdatedAt && (
+              <span
+                className={styles.priceUpdatedAt}
+                title={new Date(asset.priceUpdatedAt).toLocaleString('es-AR')}
+              >
+                Actualizado {formatUpdatedAt(asset.priceUpdatedAt)}
+              </span>
+            )}
           </span>
         </div>
         {asset.isPriceEstimated && (
@@ -580,13 +939,37 @@ export const AssetCard = ({ asset, onAddQuantity, onReduceQuantity, onResetAsset
         <div className={styles.row}>
           <span className={styles.label}>Valor Total</span>
           <span className={`${styles.value} ${styles.totalValue}`}>
-            {CURRENCY_SYMBOL}
+            {currencySymbol}
             {totalValue.toLocaleString('es-AR', {
               minimumFractionDigits: 2,
               maximumFractionDigits: 2,
             })}
           </span>
         </div>
+
+        {holding && (
+          <div className={styles.row}>
+            <span className={styles.label}>Tenencia</span>
+            <span className={styles.value}>
+              {formatHoldingPeriod(holding.holdingDays)}
+              <span
+                className={`${styles.termBadge} ${holding.term === 'long' ? styles.termBadgeLong : ''}`}
+                title={`Largo plazo: más de ${LONG_TERM_HOLDING_DAYS} días desde la compra`}
+              >
+                {HOLDING_TERMS[holding.term]}
+              </span>
+            </span>
+          </div>
+        )}
+        {holding?.cagr != null && (
+          <div className={styles.row}>
+            <span className={styles.label}>CAGR</span>
+            <span className={`${styles.value} ${holding.cagr >= 0 ? styles.profitDetail : styles.lossDetail}`}>
+              {holding.cagr >= 0 ? '+' : ''}
+              {holding.cagr.toFixed(2)}% anual
+            </span>
+          </div>
+        )}
       </div>
 
       <div className={styles.actions}>
@@ -655,6 +1038,164 @@ export const AssetCard = ({ asset, onAddQuantity, onReduceQuantity, onResetAsset
               onClick={(e) => e.stopPropagation()}
             >
               <h3 className={styles.modalTitle}>Modificar cantidad del activo</h3>
+              <div className={styles.modalTabs}>
+                <button
+                  type="button"
+                  onClick={() => setModalMode('brokers')}
+                  className={`${styles.modalTab} ${modalMode === 'brokers' ? styles.modalTabActive : ''}`}
+                >
+                  Editar brokers
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setModalMode('sell')}
+                  className={`${styles.modalTab} ${modalMode === 'sell' ? styles.modalTabActive : ''}`}
+                  disabled={asset.quantity <= 0}
+                >
+                  Registrar venta
+                </button>
+              </div>
+              {modalMode === 'sell' ? (
+              <form onSubmit={handleSaleSubmit} className={styles.modalForm}>
+                {asset.brokers && asset.brokers.length > 0 && (
+                  <div className={styles.modalFormGroup}>
+                    <label className={styles.modalLabel} htmlFor={`sale-broker-${asset.id}`}>Broker</label>
+                    <select
+                      id={`sale-broker-${asset.id}`}
+                      value={saleForm.broker}
+                      onChange={(e) => {
+                        handleSaleChange('broker', e.target.value);
+                        handleSaleChange('lotId', '');
+                      }}
+                      className={styles.modalInput}
+                    >
+                      {asset.brokers.map((b) => (
+                        <option key={b.broker} value={b.broker}>
+                          {b.broker || 'Sin broker'} ({b.quantity.toLocaleString('es-AR', { maximumFractionDigits: 8 })})
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                )}
+
+                {costBasisMethod === 'specific' && (
+                  <div className={styles.modalFormGroup}>
+                    <label className={styles.modalLabel} htmlFor={`sale-lot-${asset.id}`}>Lote</label>
+                    <select
+                      id={`sale-lot-${asset.id}`}
+                      value={saleForm.lotId}
+                      onChange={(e) => handleSaleChange('lotId', e.target.value)}
+                      className={styles.modalInput}
+                    >
+                      <option value="">Sin elegir (FIFO)</option>
+                      {saleLots.map((lot) => (
+                        <option key={lot.id} value={lot.id}>
+                          {lot.date} · {lot.quantity.toLocaleString('es-AR', { maximumFractionDigits: 8 })} @ {currencySymbol}
+                          {lot.price.toLocaleString('es-AR', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                )}
+
+                <div className={styles.totalsRow}>
+                  <div className={styles.modalFormGroup}>
+                    <label className={styles.modalLabel} htmlFor={`sale-quantity-${asset.id}`}>Cantidad a vender</label>
+                    <input
+                      id={`sale-quantity-${asset.id}`}
+                      type="number"
+                      step={getQuantityStep()}
+                      min="0"
+                      max={saleAvailableQuantity}
+                      placeholder="Cantidad"
+                      value={saleForm.quantity}
+                      onChange={(e) => handleSaleChange('quantity', e.target.value)}
+                      className={styles.modalInput}
+                    />
+                    <span className={styles.modalHint}>
+                      Disponible: {saleAvailableQuantity.toLocaleString('es-AR', { maximumFractionDigits: 8 })}
+                    </span>
+                  </div>
+                  <div className={styles.modalFormGroup}>
+                    <label className={styles.modalLabel} htmlFor={`sale-price-${asset.id}`}>Precio de venta</label>
+                    <input
+                      id={`sale-price-${asset.id}`}
+                      type="number"
+                      step="0.01"
+                      min="0"
+                      placeholder="Precio"
+                      value={saleForm.price}
+                      onChange={(e) => handleSaleChange('price', e.target.value)}
+                      className={styles.modalInput}
+                    />
+                  </div>
+                </div>
+
+                <div className={styles.totalsRow}>
+                  <div className={styles.modalFormGroup}>
+                    <label className={styles.modalLabel} htmlFor={`sale-fee-${asset.id}`}>Comisión</label>
+                    <input
+                      id={`sale-fee-${asset.id}`}
+                      type="number"
+                      step="0.01"
+                      min="0"
+                      placeholder="0"
+                      value={saleForm.fee}
+                      onChange={(e) => handleSaleChange('fee', e.target.value)}
+                      className={styles.modalInput}
+                    />
+                  </div>
+                  <div className={styles.modalFormGroup}>
+                    <label className={styles.modalLabel} htmlFor={`sale-date-${asset.id}`}>Fecha de venta</label>
+                    <input
+                      id={`sale-date-${asset.id}`}
+                      type="date"
+                      max={getTodayDate()}
+                      value={saleForm.date}
+                      onChange={(e) => handleSaleChange('date', e.target.value)}
+                      className={styles.modalInput}
+                    />
+                  </div>
+                </div>
+
+                {/* Ganancia que se realizaría con esta venta */}
+                <div className={styles.modalFormGroup}>
+                  <span className={styles.modalLabel}>Ganancia realizada estimada</span>
+                  <div className={`${styles.modalCurrentValue} ${estimatedSaleGain >= 0 ? styles.profitDetail : styles.lossDetail}`}>
+                    {estimatedSaleGain >= 0 ? '+' : '-'}
+                    {currencySymbol}
+                    {Math.abs(estimatedSaleGain).toLocaleString('es-AR', {
+                      minimumFractionDigits: 2,
+                      maximumFractionDigits: 2,
+                    })}
+                  </div>
+                  <span className={styles.modalHint}>
+                    Costo unitario ({COST_BASIS_METHODS[costBasisMethod]}): {currencySymbol}
+                    {estimatedSaleUnitCost.toLocaleString('es-AR', {
+                      minimumFractionDigits: 2,
+                      maximumFractionDigits: 2,
+                    })}
+                  </span>
+                </div>
+
+                <div className={styles.modalButtons}>
+                  <button
+                    type="button"
+                    onClick={handleModalCancel}
+                    className={styles.modalCancelBtn}
+                  >
+                    Cancelar
+                  </button>
+                  <button
+                    type="submit"
+                    className={styles.modalAcceptBtn}
+                    disabled={saleQuantity <= 0 || salePrice <= 0}
+                  >
+                    Registrar venta
+                  </button>
+                </div>
+              </form>
+              ) : (
               <form onSubmit={handleModalSubmit} className={styles.modalForm}>
                 {/* Lista de brokers */}
                 <div className={styles.modalFormGroup}>
@@ -693,6 +1234,28 @@ export const AssetCard = ({ asset, onAddQuantity, onReduceQuantity, onResetAsset
                           onBlur={(e) => e.stopPropagation()}
                           onMouseDown={(e) => e.stopPropagation()}
                         />
+                        <input
+                          type="number"
+                          step="0.01"
+                          min="0"
+                          placeholder="Comisión"
+                          value={broker.fee}
+                          onChange={(e) => handleBrokerChange(index, 'fee', e.target.value)}
+                          className={styles.ppcInput}
+                          onBlur={(e) => e.stopPropagation()}
+                          onMouseDown={(e) => e.stopPropagation()}
+                        />
+                        <input
+                          type="date"
+                          max={getTodayDate()}
+                          value={broker.purchaseDate}
+                          onChange={(e) => handleBrokerChange(index, 'purchaseDate', e.target.value)}
+                          className={styles.dateInput}
+                          title="Fecha de compra"
+                          aria-label="Fecha de compra"
+                          onBlur={(e) => e.stopPropagation()}
+                          onMouseDown={(e) => e.stopPropagation()}
+                        />
                         {modalBrokers.length > 1 && (
                           <button
                             type="button"
@@ -722,6 +1285,9 @@ export const AssetCard = ({ asset, onAddQuantity, onReduceQuantity, onResetAsset
                       + Agregar broker
                     </button>
                   </div>
+                  <span className={styles.modalHint}>
+                    La comisión (opcional) se suma al costo de los brokers que cambian. La fecha de compra define el plazo de tenencia.
+                  </span>
                 </div>
 
                 {/* Totales calculados */}
@@ -738,7 +1304,7 @@ export const AssetCard = ({ asset, onAddQuantity, onReduceQuantity, onResetAsset
                   <div className={styles.modalFormGroup}>
                     <label className={styles.modalLabel}>PPC</label>
                     <div className={styles.modalCurrentValue}>
-                      {CURRENCY_SYMBOL}
+                      {currencySymbol}
                       {calculatedAveragePPC.toLocaleString('es-AR', {
                         minimumFractionDigits: 2,
                         maximumFractionDigits: 2,
@@ -764,6 +1330,269 @@ export const AssetCard = ({ asset, onAddQuantity, onReduceQuantity, onResetAsset
                   </button>
                 </div>
               </form>
+              )}
+            </div>
+          </div>,
+          document.body
+        )}
+
+      {showManualPriceModal &&
+        createPortal(
+          <div
+            className={styles.modalOverlay}
+            role="dialog"
+            aria-modal="true"
+            aria-label={`Precio manual - ${asset.symbol}`}
+            onClick={(e) => {
+              // Solo cerrar si el clic es directamente en el overlay, no en el contenido
+              if (e.target === e.currentTarget) {
+                closeManualPriceModal();
+              }
+            }}
+            onKeyDown={(e) => {
+              if (e.key === 'Escape') {
+                closeManualPriceModal();
+              }
+            }}
+          >
+            <div className={styles.modalContent}>
+              <h3 className={styles.modalTitle}>Precio manual - {asset.symbol}</h3>
+              <form onSubmit={(e) => handleManualPriceSubmit(e, parseFloat(manualPrice))} className={styles.modalForm}>
+                <div className={styles.modalFormGroup}>
+                  <label className={styles.modalLabel} htmlFor={`manual-price-${asset.id}`}>
+                    Precio ({asset.currency})
+                  </label>
+                  <input
+                    id={`manual-price-${asset.id}`}
+                    type="number"
+                    step="any"
+                    min="0"
+                    value={manualPrice}
+                    onChange={(e) => setManualPrice(e.target.value)}
+                    className={styles.modalInput}
+                    required
+                  />
+                  <span className={styles.modalHint}>
+                    Se usa cuando ningún proveedor de datos de mercado cotiza {asset.symbol}.
+                    {savedManualPrice && ` Último cargado: ${currencySymbol}${savedManualPrice.price.toLocaleString('es-AR', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} el ${savedManualPrice.date}.`}
+                  </span>
+                </div>
+
+                <div className={styles.modalButtons}>
+                  {savedManualPrice && (
+                    <button
+                      type="button"
+                      onClick={(e) => handleManualPriceSubmit(e, null)}
+                      className={styles.modalCancelBtn}
+                      disabled={isSavingManualPrice}
+                    >
+                      Quitar
+                    </button>
+                  )}
+                  <button
+                    type="button"
+                    onClick={closeManualPriceModal}
+                    className={styles.modalCancelBtn}
+                  >
+                    Cancelar
+                  </button>
+                  <button
+                    type="submit"
+                    className={styles.modalAcceptBtn}
+                    disabled={isSavingManualPrice || !manualPrice}
+                  >
+                    {isSavingManualPrice ? 'Guardando...' : 'Guardar'}
+                  </button>
+                </div>
+              </form>
+            </div>
+          </div>,
+          document.body
+        )}
+
+      {showCorporateModal &&
+        createPortal(
+          <div
+            className={styles.modalOverlay}
+            role="dialog"
+            aria-modal="true"
+            aria-label={`Evento corporativo - ${asset.symbol}`}
+            onClick={(e) => {
+              // Solo cerrar si el clic es directamente en el overlay, no en el contenido
+              if (e.target === e.currentTarget) {
+                closeCorporateModal();
+              }
+            }}
+            onKeyDown={(e) => {
+              if (e.key === 'Escape') {
+                closeCorporateModal();
+              }
+            }}
+          >
+            <div className={styles.modalContent}>
+              <h3 className={styles.modalTitle}>Evento corporativo - {asset.symbol}</h3>
+              <form onSubmit={handleCorporateSubmit} className={styles.modalForm}>
+                <div className={styles.totalsRow}>
+                  <div className={styles.modalFormGroup}>
+                    <label className={styles.modalLabel} htmlFor={`corporate-type-${asset.id}`}>Tipo</label>
+                    <select
+                      id={`corporate-type-${asset.id}`}
+                      value={corporateForm.type}
+                      onChange={(e) => handleCorporateChange('type', e.target.value)}
+                      className={styles.modalInput}
+                    >
+                      {Object.entries(CORPORATE_ACTION_TYPES).map(([value, label]) => (
+                        <option key={value} value={value}>{label}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div className={styles.modalFormGroup}>
+                    <label className={styles.modalLabel} htmlFor={`corporate-date-${asset.id}`}>Fecha</label>
+                    <input
+                      id={`corporate-date-${asset.id}`}
+                      type="date"
+                      max={getTodayDate()}
+                      value={corporateForm.date}
+                      onChange={(e) => handleCorporateChange('date', e.target.value)}
+                      className={styles.modalInput}
+                    />
+                  </div>
+                </div>
+
+                {(corporateForm.type === 'split' || corporateForm.type === 'reverse_split') && (
+                  <>
+                    <div className={styles.totalsRow}>
+                      <div className={styles.modalFormGroup}>
+                        <label className={styles.modalLabel} htmlFor={`corporate-to-${asset.id}`}>Acciones nuevas</label>
+                        <input
+                          id={`corporate-to-${asset.id}`}
+                          type="number"
+                          step="any"
+                          min="0"
+                          value={corporateForm.to}
+                          onChange={(e) => handleCorporateChange('to', e.target.value)}
+                          className={styles.modalInput}
+                        />
+                      </div>
+                      <div className={styles.modalFormGroup}>
+                        <label className={styles.modalLabel} htmlFor={`corporate-from-${asset.id}`}>Por cada (anteriores)</label>
+                        <input
+                          id={`corporate-from-${asset.id}`}
+                          type="number"
+                          step="any"
+                          min="0"
+                          value={corporateForm.from}
+                          onChange={(e) => handleCorporateChange('from', e.target.value)}
+                          className={styles.modalInput}
+                        />
+                      </div>
+                    </div>
+                    <span className={styles.modalHint}>
+                      La cantidad de cada broker y lote se multiplica por{' '}
+                      {((parseFloat(corporateForm.to) || 0) / (parseFloat(corporateForm.from) || 1)).toLocaleString('es-AR', {
+                        maximumFractionDigits: 8,
+                      })}
+                      ; el costo total no cambia y el PPC y las alertas se ajustan.
+                    </span>
+                  </>
+                )}
+
+                {(corporateForm.type === 'symbol_change' || corporateForm.type === 'spinoff') && (
+                  <div className={styles.totalsRow}>
+                    <div className={styles.modalFormGroup}>
+                      <label className={styles.modalLabel} htmlFor={`corporate-symbol-${asset.id}`}>
+                        {corporateForm.type === 'spinoff' ? 'Símbolo del nuevo activo' : 'Nuevo símbolo'}
+                      </label>
+                      <input
+                        id={`corporate-symbol-${asset.id}`}
+                        type="text"
+                        placeholder="Símbolo"
+                        value={corporateForm.newSymbol}
+                        onChange={(e) => handleCorporateChange('newSymbol', e.target.value.toUpperCase())}
+                        className={styles.modalInput}
+                      />
+                    </div>
+                    <div className={styles.modalFormGroup}>
+                      <label className={styles.modalLabel} htmlFor={`corporate-name-${asset.id}`}>Nombre (opcional)</label>
+                      <input
+                        id={`corporate-name-${asset.id}`}
+                        type="text"
+                        placeholder="Nombre"
+                        value={corporateForm.newName}
+                        onChange={(e) => handleCorporateChange('newName', e.target.value)}
+                        className={styles.modalInput}
+                      />
+                    </div>
+                  </div>
+                )}
+
+                {corporateForm.type === 'spinoff' && (
+                  <>
+                    <div className={styles.totalsRow}>
+                      <div className={styles.modalFormGroup}>
+                        <label className={styles.modalLabel} htmlFor={`corporate-ratio-${asset.id}`}>Acciones nuevas por acción</label>
+                        <input
+                          id={`corporate-ratio-${asset.id}`}
+                          type="number"
+                          step="any"
+                          min="0"
+                          value={corporateForm.ratio}
+                          onChange={(e) => handleCorporateChange('ratio', e.target.value)}
+                          className={styles.modalInput}
+                        />
+                      </div>
+                      <div className={styles.modalFormGroup}>
+                        <label className={styles.modalLabel} htmlFor={`corporate-cost-${asset.id}`}>% del costo al nuevo activo</label>
+                        <input
+                          id={`corporate-cost-${asset.id}`}
+                          type="number"
+                          step="0.01"
+                          min="0"
+                          max="100"
+                          placeholder="Ej: 20"
+                          value={corporateForm.costAllocation}
+                          onChange={(e) => handleCorporateChange('costAllocation', e.target.value)}
+                          className={styles.modalInput}
+                        />
+                      </div>
+                    </div>
+                    <span className={styles.modalHint}>
+                      Se crea el activo nuevo con la misma fecha y brokers; {asset.symbol} conserva el resto del costo.
+                    </span>
+                  </>
+                )}
+
+                {corporateActions.length > 0 && (
+                  <div className={styles.modalFormGroup}>
+                    <span className={styles.modalLabel}>Eventos registrados</span>
+                    <div className={`${styles.brokersTable} ${styles.corporateTable}`}>
+                      {corporateActions.map((tx) => (
+                        <div key={tx.id} className={styles.brokersTableRow}>
+                          <div className={styles.brokerTableCell}>{tx.date}</div>
+                          <div className={styles.brokerTableCell}>{tx.notes || tx.type}</div>
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                )}
+
+                <div className={styles.modalButtons}>
+                  <button
+                    type="button"
+                    onClick={closeCorporateModal}
+                    className={styles.modalCancelBtn}
+                  >
+                    Cancelar
+                  </button>
+                  <button
+                    type="submit"
+                    className={styles.modalAcceptBtn}
+                    disabled={isSavingCorporate}
+                  >
+                    {isSavingCorporate ? 'Aplicando...' : 'Aplicar'}
+                  </button>
+                </div>
+              </form>
             </div>
           </div>,
           document.body
@@ -855,6 +1684,15 @@ export const AssetCard = ({ asset, onAddQuantity, onReduceQuantity, onResetAsset
                       <span className={styles.detailLabel}>Tipo:</span>
                       <span className={styles.detailValue}>{getTypeLabel(asset.type)}</span>
                     </div>
+                    {asset.type === 'cedear' && asset.underlyingSymbol && (
+                      <div className={styles.detailItem}>
+                        <span className={styles.detailLabel}>Subyacente:</span>
+                        <span className={styles.detailValue}>
+                          {asset.underlyingSymbol}
+                          {asset.conversionRatio ? ` (${asset.conversionRatio.toLocaleString('es-AR')} CEDEARs por acción)` : ''}
+                        </span>
+                      </div>
+                    )}
                     <div className={styles.detailItem}>
                       <span className={styles.detailLabel}>Cantidad Total:</span>
                       <span className={styles.detailValue}>
@@ -867,7 +1705,7 @@ export const AssetCard = ({ asset, onAddQuantity, onReduceQuantity, onResetAsset
                     <div className={styles.detailItem}>
                       <span className={styles.detailLabel}>PPC Promedio:</span>
                       <span className={styles.detailValue}>
-                        {CURRENCY_SYMBOL}
+                        {currencySymbol}
                         {asset.purchasePrice.toLocaleString('es-AR', {
                           minimumFractionDigits: 2,
                           maximumFractionDigits: 2
@@ -877,7 +1715,7 @@ export const AssetCard = ({ asset, onAddQuantity, onReduceQuantity, onResetAsset
                     <div className={styles.detailItem}>
                       <span className={styles.detailLabel}>Precio Actual:</span>
                       <span className={styles.detailValue}>
-                        {CURRENCY_SYMBOL}
+                        {currencySymbol}
                         {asset.currentPrice.toLocaleString('es-AR', {
                           minimumFractionDigits: 2,
                           maximumFractionDigits: 2
@@ -910,14 +1748,14 @@ export const AssetCard = ({ asset, onAddQuantity, onReduceQuantity, onResetAsset
                               })}
                             </div>
                             <div className={styles.brokerTableCell}>
-                              {CURRENCY_SYMBOL}
+                              {currencySymbol}
                               {broker.purchasePrice.toLocaleString('es-AR', {
                                 minimumFractionDigits: 2,
                                 maximumFractionDigits: 2
                               })}
                             </div>
                             <div className={styles.brokerTableCell}>
-                              {CURRENCY_SYMBOL}
+                              {currencySymbol}
                               {brokerValue.toLocaleString('es-AR', {
                                 minimumFractionDigits: 2,
                                 maximumFractionDigits: 2
@@ -936,6 +1774,220 @@ export const AssetCard = ({ asset, onAddQuantity, onReduceQuantity, onResetAsset
                   </div>
                 )}
 
+                {/* Lotes abiertos según el método de costo */}
+                {openLots.length > 0 && (
+                  <div className={styles.detailSection}>
+                    <h4 className={styles.detailSectionTitle}>
+                      Lotes abiertos · {COST_BASIS_METHODS[costBasisMethod]}
+                    </h4>
+                    <div className={styles.brokersTable}>
+                      <div className={styles.brokersTableHeader}>
+                        <div className={styles.brokerTableCell}>Broker</div>
+                        <div className={styles.brokerTableCell}>Fecha</div>
+                        <div className={styles.brokerTableCell}>Cantidad</div>
+                        <div className={styles.brokerTableCell}>Costo</div>
+                      </div>
+                      {openLots.map((lot, index) => (
+                        <div key={lot.id ?? `lot-${index}`} className={styles.brokersTableRow}>
+                          <div className={styles.brokerTableCell}>{lot.broker || 'Sin broker'}</div>
+                          <div className={styles.brokerTableCell}>{lot.date}</div>
+                          <div className={styles.brokerTableCell}>
+                            {lot.quantity.toLocaleString('es-AR', {
+                              minimumFractionDigits: 0,
+                              maximumFractionDigits: 8
+                            })}
+                          </div>
+                          <div className={styles.brokerTableCell}>
+                            {currencySymbol}
+                            {lot.price.toLocaleString('es-AR', {
+                              minimumFractionDigits: 2,
+                              maximumFractionDigits: 2
+                            })}
+                          </div>
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                )}
+
+                {/* Ingresos: dividendos, cupones, intereses y staking */}
+                <div className={styles.detailSection}>
+                  <h4 className={styles.detailSectionTitle}>Ingresos</h4>
+                  <div className={styles.detailGrid}>
+                    <div className={styles.detailItem}>
+                      <span className={styles.detailLabel}>Bruto:</span>
+                      <span className={styles.detailValue}>
+                        {currencySymbol}
+                        {incomeSummary.gross.toLocaleString('es-AR', {
+                          minimumFractionDigits: 2,
+                          maximumFractionDigits: 2
+                        })}
+                      </span>
+                    </div>
+                    <div className={styles.detailItem}>
+                      <span className={styles.detailLabel}>Retenciones:</span>
+                      <span className={styles.detailValue}>
+                        {currencySymbol}
+                        {incomeSummary.withholdingTax.toLocaleString('es-AR', {
+                          minimumFractionDigits: 2,
+                          maximumFractionDigits: 2
+                        })}
+                      </span>
+                    </div>
+                    <div className={styles.detailItem}>
+                      <span className={styles.detailLabel}>Neto:</span>
+                      <span className={`${styles.detailValue} ${styles.profitDetail}`}>
+                        {currencySymbol}
+                        {incomeSummary.net.toLocaleString('es-AR', {
+                          minimumFractionDigits: 2,
+                          maximumFractionDigits: 2
+                        })}
+                      </span>
+                    </div>
+                  </div>
+
+                  {assetIncome.length > 0 && (
+                    <div className={`${styles.brokersTable} ${styles.incomeTable}`}>
+                      <div className={styles.brokersTableHeader}>
+                        <div className={styles.brokerTableCell}>Fecha</div>
+                        <div className={styles.brokerTableCell}>Tipo</div>
+                        <div className={styles.brokerTableCell}>Broker</div>
+                        <div className={styles.brokerTableCell}>Neto</div>
+                        <div className={styles.brokerTableCell} />
+                      </div>
+                      {assetIncome.map((entry) => (
+                        <div key={entry.id} className={styles.brokersTableRow}>
+                          <div className={styles.brokerTableCell}>{entry.date}</div>
+                          <div className={styles.brokerTableCell}>{INCOME_TYPES[entry.type] || entry.type}</div>
+                          <div className={styles.brokerTableCell}>{entry.broker || '-'}</div>
+                          <div
+                            className={styles.brokerTableCell}
+                            title={entry.withholdingTax > 0 ? `Bruto ${currencySymbol}${entry.amount.toFixed(2)} · Retención ${currencySymbol}${entry.withholdingTax.toFixed(2)}` : undefined}
+                          >
+                            {currencySymbol}
+                            {getNetIncome(entry).toLocaleString('es-AR', {
+                              minimumFractionDigits: 2,
+                              maximumFractionDigits: 2
+                            })}
+                          </div>
+                          <div className={styles.brokerTableCell}>
+                            <button
+                              type="button"
+                              onClick={() => handleDeleteIncome(entry.id)}
+                              className={styles.removeBrokerBtn}
+                              aria-label="Eliminar ingreso"
+                            >
+                              ×
+                            </button>
+                          </div>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+
+                  {showIncomeForm ? (
+                    <form onSubmit={handleIncomeSubmit} className={`${styles.modalForm} ${styles.incomeForm}`}>
+                      <div className={styles.totalsRow}>
+                        <div className={styles.modalFormGroup}>
+                          <label className={styles.modalLabel} htmlFor={`income-type-${asset.id}`}>Tipo</label>
+                          <select
+                            id={`income-type-${asset.id}`}
+                            value={incomeForm.type}
+                            onChange={(e) => handleIncomeChange('type', e.target.value)}
+                            className={styles.modalInput}
+                          >
+                            {Object.entries(INCOME_TYPES).map(([value, label]) => (
+                              <option key={value} value={value}>
+                                {label}
+                              </option>
+                            ))}
+                          </select>
+                        </div>
+                        <div className={styles.modalFormGroup}>
+                          <label className={styles.modalLabel} htmlFor={`income-broker-${asset.id}`}>Broker</label>
+                          <input
+                            id={`income-broker-${asset.id}`}
+                            type="text"
+                            list={`income-brokers-${asset.id}`}
+                            placeholder="Nombre del broker"
+                            value={incomeForm.broker}
+                            onChange={(e) => handleIncomeChange('broker', e.target.value)}
+                            className={styles.modalInput}
+                          />
+                          <datalist id={`income-brokers-${asset.id}`}>
+                            {(asset.brokers || []).map((b) => (
+                              <option key={b.broker} value={b.broker} />
+                            ))}
+                          </datalist>
+                        </div>
+                      </div>
+                      <div className={styles.totalsRow}>
+                        <div className={styles.modalFormGroup}>
+                          <label className={styles.modalLabel} htmlFor={`income-amount-${asset.id}`}>Monto bruto</label>
+                          <input
+                            id={`income-amount-${asset.id}`}
+                            type="number"
+                            step="0.01"
+                            min="0"
+                            placeholder="0,00"
+                            value={incomeForm.amount}
+                            onChange={(e) => handleIncomeChange('amount', e.target.value)}
+                            className={styles.modalInput}
+                          />
+                        </div>
+                        <div className={styles.modalFormGroup}>
+                          <label className={styles.modalLabel} htmlFor={`income-tax-${asset.id}`}>Retención (opcional)</label>
+                          <input
+                            id={`income-tax-${asset.id}`}
+                            type="number"
+                            step="0.01"
+                            min="0"
+                            placeholder="0,00"
+                            value={incomeForm.withholdingTax}
+                            onChange={(e) => handleIncomeChange('withholdingTax', e.target.value)}
+                            className={styles.modalInput}
+                          />
+                        </div>
+                        <div className={styles.modalFormGroup}>
+                          <label className={styles.modalLabel} htmlFor={`income-date-${asset.id}`}>Fecha de cobro</label>
+                          <input
+                            id={`income-date-${asset.id}`}
+                            type="date"
+                            max={getTodayDate()}
+                            value={incomeForm.date}
+                            onChange={(e) => handleIncomeChange('date', e.target.value)}
+                            className={styles.modalInput}
+                          />
+                        </div>
+                      </div>
+                      <div className={styles.modalButtons}>
+                        <button
+                          type="button"
+                          onClick={() => setShowIncomeForm(false)}
+                          className={styles.modalCancelBtn}
+                        >
+                          Cancelar
+                        </button>
+                        <button
+                          type="submit"
+                          className={styles.modalAcceptBtn}
+                          disabled={isSavingIncome || !(parseFloat(incomeForm.amount) > 0)}
+                        >
+                          {isSavingIncome ? 'Guardando...' : 'Registrar ingreso'}
+                        </button>
+                      </div>
+                    </form>
+                  ) : (
+                    <button
+                      type="button"
+                      onClick={handleOpenIncomeForm}
+                      className={`${styles.addBrokerBtn} ${styles.incomeAddButton}`}
+                    >
+                      + Registrar ingreso
+                    </button>
+                  )}
+                </div>
+
                 {/* Resumen de valores */}
                 <div className={styles.detailSection}>
                   <h4 className={styles.detailSectionTitle}>Resumen</h4>
@@ -943,7 +1995,7 @@ export const AssetCard = ({ asset, onAddQuantity, onReduceQuantity, onResetAsset
                     <div className={styles.detailItem}>
                       <span className={styles.detailLabel}>Valor Total:</span>
                       <span className={`${styles.detailValue} ${styles.totalValueDetail}`}>
-                        {CURRENCY_SYMBOL}
+                        {currencySymbol}
                         {totalValue.toLocaleString('es-AR', {
                           minimumFractionDigits: 2,
                           maximumFractionDigits: 2
@@ -953,7 +2005,7 @@ export const AssetCard = ({ asset, onAddQuantity, onReduceQuantity, onResetAsset
                     <div className={styles.detailItem}>
                       <span className={styles.detailLabel}>Inversión Total:</span>
                       <span className={styles.detailValue}>
-                        {CURRENCY_SYMBOL}
+                        {currencySymbol}
                         {totalInvestment.toLocaleString('es-AR', {
                           minimumFractionDigits: 2,
                           maximumFractionDigits: 2
@@ -961,10 +2013,10 @@ export const AssetCard = ({ asset, onAddQuantity, onReduceQuantity, onResetAsset
                       </span>
                     </div>
                     <div className={styles.detailItem}>
-                      <span className={styles.detailLabel}>{isProfit ? 'Ganancia' : 'Pérdida'}:</span>
+                      <span className={styles.detailLabel}>{isProfit ? 'Ganancia no realizada' : 'Pérdida no realizada'}:</span>
                       <span className={`${styles.detailValue} ${isProfit ? styles.profitDetail : styles.lossDetail}`}>
                         {isProfit ? '+' : ''}
-                        {CURRENCY_SYMBOL}
+                        {currencySymbol}
                         {profit.toLocaleString('es-AR', {
                           minimumFractionDigits: 2,
                           maximumFractionDigits: 2
@@ -972,6 +2024,93 @@ export const AssetCard = ({ asset, onAddQuantity, onReduceQuantity, onResetAsset
                         {' '}({isProfit ? '+' : ''}{profitPercentage}%)
                       </span>
                     </div>
+                    <div className={styles.detailItem}>
+                      <span className={styles.detailLabel}>{isRealizedProfit ? 'Ganancia realizada' : 'Pérdida realizada'}:</span>
+                      <span className={`${styles.detailValue} ${isRealizedProfit ? styles.profitDetail : styles.lossDetail}`}>
+                        {isRealizedProfit ? '+' : '-'}
+                        {currencySymbol}
+                        {Math.abs(realizedProfit).toLocaleString('es-AR', {
+                          minimumFractionDigits: 2,
+                          maximumFractionDigits: 2
+                        })}
+                      </span>
+                    </div>
+                    <div className={styles.detailItem}>
+                      <span className={styles.detailLabel}>Rendimiento total:</span>
+                      <span className={`${styles.detailValue} ${totalReturn >= 0 ? styles.profitDetail : styles.lossDetail}`}>
+                        {totalReturn >= 0 ? '+' : '-'}
+                        {currencySymbol}
+                        {Math.abs(totalReturn).toLocaleString('es-AR', {
+                          minimumFractionDigits: 2,
+                          maximumFractionDigits: 2
+                        })}
+                      </span>
+                    </div>
+                    <div className={styles.detailItem}>
+                      <span
+                        className={styles.detailLabel}
+                        title="Rendimiento anual ponderado por dinero: tiene en cuenta cuándo se compró, se vendió y se cobró cada ingreso"
+                      >
+                        TIR anual (XIRR):
+                      </span>
+                      {xirr === null ? (
+                        <span className={styles.detailValue}>—</span>
+                      ) : (
+                        <span className={`${styles.detailValue} ${xirr >= 0 ? styles.profitDetail : styles.lossDetail}`}>
+                          {xirr >= 0 ? '+' : '-'}
+                          {Math.abs(xirr).toLocaleString('es-AR', {
+                            minimumFractionDigits: 2,
+                            maximumFractionDigits: 2
+                          })}
+                          %
+                        </span>
+                      )}
+                    </div>
+                    {holding && (
+                      <>
+                        <div className={styles.detailItem}>
+                          <span className={styles.detailLabel}>Primera compra:</span>
+                          <span className={styles.detailValue}>{holding.firstPurchaseDate}</span>
+                        </div>
+                        <div className={styles.detailItem}>
+                          <span className={styles.detailLabel}>Tenencia:</span>
+                          <span className={styles.detailValue}>{formatHoldingPeriod(holding.holdingDays)}</span>
+                        </div>
+                        <div className={styles.detailItem}>
+                          <span
+                            className={styles.detailLabel}
+                            title={`Largo plazo: lotes con más de ${LONG_TERM_HOLDING_DAYS} días desde la compra`}
+                          >
+                            Plazo:
+                          </span>
+                          <span className={styles.detailValue}>
+                            {HOLDING_TERMS[holding.term]}
+                            {holding.term === 'mixed' &&
+                              ` (${holding.longTermQuantity.toLocaleString('es-AR', { maximumFractionDigits: 8 })} largo · ${holding.shortTermQuantity.toLocaleString('es-AR', { maximumFractionDigits: 8 })} corto)`}
+                          </span>
+                        </div>
+                        <div className={styles.detailItem}>
+                          <span
+                            className={styles.detailLabel}
+                            title="Rendimiento anual compuesto según la antigüedad promedio de los lotes, ponderada por su costo"
+                          >
+                            CAGR:
+                          </span>
+                          {holding.cagr === null ? (
+                            <span className={styles.detailValue}>— (menos de 1 año)</span>
+                          ) : (
+                            <span className={`${styles.detailValue} ${holding.cagr >= 0 ? styles.profitDetail : styles.lossDetail}`}>
+                              {holding.cagr >= 0 ? '+' : '-'}
+                              {Math.abs(holding.cagr).toLocaleString('es-AR', {
+                                minimumFractionDigits: 2,
+                                maximumFractionDigits: 2
+                              })}
+                              %
+                            </span>
+                          )}
+                        </div>
+                      </>
+                    )}
                   </div>
                 </div>
               </div>
@@ -1046,62 +2185,51 @@ export const AssetCard = ({ asset, onAddQuantity, onReduceQuantity, onResetAsset
                   <div className={styles.chartLoading}>
                     Cargando datos del gráfico...
                   </div>
-                ) : chartData.length > 0 ? (
+                ) : chartPoints.length > 0 ? (
                   <>
                     {chartError && (
                       <div className={styles.chartErrorWarning}>
                         {chartError}
                         <br />
-                        <span className={styles.chartSampleNote}>
-                          Mostrando gráfico de ejemplo con el precio actual como referencia.
+                        <span className={styles.chartCacheNote}>
+                          Mostrando el último historial guardado, desactualizado al{' '}
+                          {new Date(chartUpdatedAt).toLocaleDateString('es-AR', {
+                            year: 'numeric',
+                            month: 'short',
+                            day: 'numeric',
+                            hour: '2-digit',
+                            minute: '2-digit'
+                          })}
+                          .
                         </span>
                       </div>
                     )}
-                    <ResponsiveContainer width="100%" height={400}>
-                      <LineChart data={chartData} margin={{ top: 5, right: 20, left: 10, bottom: 5 }}>
-                        <CartesianGrid strokeDasharray="3 3" stroke="rgba(255, 255, 255, 0.1)" />
-                        <XAxis 
-                          dataKey="date" 
-                          stroke="rgba(255, 255, 255, 0.6)"
-                          style={{ fontSize: '0.75rem' }}
-                        />
-                        <YAxis 
-                          stroke="rgba(255, 255, 255, 0.6)"
-                          style={{ fontSize: '0.75rem' }}
-                          tickFormatter={(value) => `${CURRENCY_SYMBOL}${value.toLocaleString('es-AR', { maximumFractionDigits: 0 })}`}
-                        />
-                        <Tooltip
-                          contentStyle={{
-                            backgroundColor: '#2a2a2a',
-                            border: '1px solid rgba(255, 255, 255, 0.1)',
-                            borderRadius: '6px',
-                            color: 'rgba(255, 255, 255, 0.9)',
-                          }}
-                          formatter={(value) => [
-                            `${CURRENCY_SYMBOL}${value.toLocaleString('es-AR', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`,
-                            chartError ? 'Precio (Ejemplo)' : 'Precio'
-                          ]}
-                          labelFormatter={(label) => `Fecha: ${label}`}
-                        />
-                        <Legend 
-                          wrapperStyle={{ color: 'rgba(255, 255, 255, 0.7)' }}
-                        />
-                        <Line 
-                          type="monotone" 
-                          dataKey="value" 
-                          stroke={chartError ? "#f59e0b" : "#646cff"}
-                          strokeWidth={2}
-                          strokeDasharray={chartError ? "5 5" : "0"}
-                          dot={false}
-                          activeDot={{ r: 6, fill: chartError ? "#f59e0b" : "#646cff" }}
-                          name={chartError ? "Precio (Ejemplo)" : "Precio de Cierre"}
-                        />
-                      </LineChart>
-                    </ResponsiveContainer>
+                    <PriceChart
+                      points={chartPoints}
+                      isStale={Boolean(chartError)}
+                      purchasePrice={asset.purchasePrice}
+                      alerts={assetAlerts}
+                      syncId={`price-chart-${asset.id}`}
+                      currencySymbol={currencySymbol}
+                    />
+                    {!chartError && chartUpdatedAt && (
+                      <span className={styles.chartCacheNote}>Actualizado {formatUpdatedAt(chartUpdatedAt)}</span>
+                    )}
                   </>
                 ) : (
                   <div className={styles.chartError}>
-                    No hay datos disponibles para mostrar
+                    {chartError ? (
+                      <span>
+                        {chartError}
+                        <br />
+                        <span className={styles.chartCacheNote}>
+                          No hay historial guardado de {asset.symbol} para esta temporalidad. Se guarda
+                          automáticamente la próxima vez que se descarguen los datos del gráfico.
+                        </span>
+                      </span>
+                    ) : (
+                      'No hay datos disponibles para mostrar'
+                    )}
                   </div>
                 )}
               </div>
@@ -1161,6 +2289,9 @@ export const AssetCard = ({ asset, onAddQuantity, onReduceQuantity, onResetAsset
                   </div>
                 ) : news.length > 0 ? (
                   <div className={styles.newsList}>
+                    {newsUpdatedAt && (
+                      <span className={styles.newsUpdatedAt}>Actualizado {formatUpdatedAt(newsUpdatedAt)}</span>
+                    )}
                     {news.map((article) => (
                       <div key={article.id} className={styles.newsItem}>
                         {article.image && (
@@ -1312,7 +2443,7 @@ export const AssetCard = ({ asset, onAddQuantity, onReduceQuantity, onResetAsset
                 <div className={styles.modalFormGroup}>
                   <label className={styles.modalLabel}>Valor Actual</label>
                   <div className={styles.modalCurrentValue}>
-                    {CURRENCY_SYMBOL}
+                    {currencySymbol}
                     {asset.currentPrice.toLocaleString('es-AR', {
                       minimumFractionDigits: 2,
                       maximumFractionDigits: 2,
@@ -1344,14 +2475,14 @@ export const AssetCard = ({ asset, onAddQuantity, onReduceQuantity, onResetAsset
                             <div className={styles.alertItemContent}>
                               <div className={styles.alertPriceInfo}>
                                 <span className={styles.alertPrice}>
-                                  {CURRENCY_SYMBOL}
+                                  {currencySymbol}
                                   {alert.alertPrice.toLocaleString('es-AR', {
                                     minimumFractionDigits: 2,
                                     maximumFractionDigits: 2,
                                   })}
                                 </span>
                                 <span className={styles.alertDirection}>
-                                  {isUpward ? '↑' : '↓'} Desde {CURRENCY_SYMBOL}
+                                  {isUpward ? '↑' : '↓'} Desde {currencySymbol}
                                   {alert.initialPrice.toLocaleString('es-AR', {
                                     minimumFractionDigits: 2,
                                     maximumFractionDigits: 2,
@@ -1475,7 +2606,7 @@ export const AssetCard = ({ asset, onAddQuantity, onReduceQuantity, onResetAsset
         <div className={styles.profitLabel}>{isProfit ? 'Ganancia' : 'Pérdida'}</div>
         <div className={styles.profitValue}>
           {isProfit ? '+' : ''}
-          {CURRENCY_SYMBOL}
+          {currencySymbol}
           {profit.toLocaleString('es-AR', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
         </div>
         <div className={styles.profitPercentage}>
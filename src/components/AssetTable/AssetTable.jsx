@@ -1,18 +1,78 @@
 import { useState, useMemo } from 'react';
 import { createPortal } from 'react-dom';
-import { CURRENCY_SYMBOL } from '../../constants';
+import { COST_BASIS_METHODS, DEFAULT_CURRENCY, HOLDING_TERMS } from '../../constants';
 import { useModal } from '../../hooks/useModal';
+import { calculateRealizedGainByAsset, getPositionLots, normalizeCostBasisMethod } from '../../lib/ledger';
+import { formatHoldingPeriod, summarizeHoldingPeriod } from '../../lib/performance';
+import { summarizeIncomeByAsset } from '../../lib/income';
+import { getCurrencySymbol } from '../../lib/fx';
+import { formatUpdatedAt } from '../../lib/marketDataCache';
+import { useIncomeStore } from '../../store/incomeStore';
+import { useSessionStore } from '../../store/sessionStore';
+import { useTransactionsStore } from '../../store/transactionsStore';
 import * as XLSX from 'xlsx';
 import jsPDF from 'jspdf';
 import autoTable from 'jspdf-autotable';
 import html2canvas from 'html2canvas';
 import styles from './AssetTable.module.css';
 
-export const AssetTable = ({ assets }) => {
+/**
+ * Tabla de activos. Recibe los activos ya convertidos a la moneda base
+ * (baseAssets de useAssets): precios, ganancias y exportaciones están en esa moneda.
+ * Los activos sin cotización (isFxRateMissing) quedan en su moneda y se marcan.
+ * Las exportaciones indican el tipo de cambio usado (fxRateDescription).
+ */
+export const AssetTable = ({ assets, baseCurrency = DEFAULT_CURRENCY, fxRateDescription = '' }) => {
+  const currencySymbol = getCurrencySymbol(baseCurrency);
+  // Símbolo de los montos de una fila: la moneda base, o la del activo si no se pudo convertir
+  const getRowSymbol = (asset) => (asset.isFxRateMissing ? getCurrencySymbol(asset.nativeCurrency) : currencySymbol);
   const [sortColumn, setSortColumn] = useState('activo'); // Ordenamiento por defecto
   const [sortDirection, setSortDirection] = useState('asc'); // 'asc' o 'desc'
   const { isOpen: showExportModal, openModal: openExportModal, closeModal: closeExportModal } = useModal(false);
 
+  // Método de costo, ganancia realizada e ingresos por activo para las exportaciones
+  const transactions = useTransactionsStore((state) => state.transactions);
+  const incomeEntries = useIncomeStore((state) => state.incomeEntries);
+  const costBasisMethod = normalizeCostBasisMethod(
+    useSessionStore((state) => state.user?.user_metadata?.cost_basis_method)
+  );
+  // Las ventas y los ingresos están en la moneda de cada activo: se convierten al cambio de hoy
+  // (sin cotización quedan en la moneda del activo, igual que el resto de su fila)
+  const realizedProfitByAsset = useMemo(() => {
+    const gains = calculateRealizedGainByAsset(transactions, costBasisMethod);
+    return Object.fromEntries(assets.map((asset) => [asset.id, (gains[asset.id] || 0) * (asset.fxRate ?? 1)]));
+  }, [assets, transactions, costBasisMethod]);
+  const incomeByAsset = useMemo(() => {
+    const income = summarizeIncomeByAsset(incomeEntries);
+    return Object.fromEntries(
+      assets
+        .filter((asset) => income[asset.id])
+        .map((asset) => {
+          const rate = asset.fxRate ?? 1;
+          const { gross, withholdingTax, net } = income[asset.id];
+          return [asset.id, { gross: gross * rate, withholdingTax: withholdingTax * rate, net: net * rate }];
+        })
+    );
+  }, [assets, incomeEntries]);
+  const getAssetIncome = (assetId) => incomeByAsset[assetId] || { gross: 0, withholdingTax: 0, net: 0 };
+
+  // Plazo de tenencia y CAGR por activo (desde las fechas de compra de los lotes,
+  // en la moneda del activo como el costo de los lotes)
+  const holdingByAsset = useMemo(() => {
+    const holdings = {};
+    assets.forEach((asset) => {
+      const assetTransactions = transactions.filter((tx) => tx.assetId === asset.id);
+      holdings[asset.id] = summarizeHoldingPeriod(
+        getPositionLots(asset, assetTransactions, costBasisMethod),
+        asset.quantity * (asset.nativeCurrentPrice ?? asset.currentPrice)
+      );
+    });
+    return holdings;
+  }, [assets, transactions, costBasisMethod]);
+  const formatHolding = (holding) =>
+    holding ? `${formatHoldingPeriod(holding.holdingDays)} (${HOLDING_TERMS[holding.term]})` : '—';
+  const formatCagr = (holding) => (holding?.cagr != null ? `${holding.cagr.toFixed(2)}%` : '—');
+
   const getTypeLabel = (type) => {
     const types = {
       stock: 'Acción',
@@ -22,6 +82,7 @@ export const AssetTable = ({ assets }) => {
       etf: 'ETF',
       fondo: 'Fondo', // Compatibilidad con datos antiguos
       bond: 'Bono',
+      cedear: 'CEDEAR',
     };
     return types[type] || type;
   };
@@ -69,6 +130,14 @@ export const AssetTable = ({ assets }) => {
           aValue = aInvestment > 0 ? (aProfit / aInvestment) * 100 : 0;
           bValue = bInvestment > 0 ? (bProfit / bInvestment) * 100 : 0;
           break;
+        case 'tenencia':
+          aValue = holdingByAsset[a.id]?.holdingDays ?? -1;
+          bValue = holdingByAsset[b.id]?.holdingDays ?? -1;
+          break;
+        case 'cagr':
+          aValue = holdingByAsset[a.id]?.cagr ?? -Number.MAX_VALUE;
+          bValue = holdingByAsset[b.id]?.cagr ?? -Number.MAX_VALUE;
+          break;
         default:
           return 0;
       }
@@ -83,7 +152,7 @@ export const AssetTable = ({ assets }) => {
     });
 
     return sorted;
-  }, [assets, sortColumn, sortDirection]);
+  }, [assets, sortColumn, sortDirection, holdingByAsset]);
 
   const exportToExcel = () => {
     const dataToExport = sortedAssets;
@@ -103,7 +172,20 @@ export const AssetTable = ({ assets }) => {
         'Precio Actual': asset.currentPrice,
         'Valor Total': totalValue,
         'Ganancia/Pérdida': profit,
+        'De Tipo de Cambio': asset.fxProfit || 0,
         '%': `${profitPercentage}%`,
+        'Ganancia Realizada': realizedProfitByAsset[asset.id] || 0,
+        'Ingresos Brutos': getAssetIncome(asset.id).gross,
+        'Retenciones': getAssetIncome(asset.id).withholdingTax,
+        'Ingresos Netos': getAssetIncome(asset.id).net,
+        'Primera Compra': holdingByAsset[asset.id]?.firstPurchaseDate || '',
+        Tenencia: formatHolding(holdingByAsset[asset.id]),
+        CAGR: formatCagr(holdingByAsset[asset.id]),
+        'Método de Costo': COST_BASIS_METHODS[costBasisMethod],
+        'Moneda del Activo': asset.nativeCurrency || baseCurrency,
+        'Moneda Base': baseCurrency,
+        'Tipo de Cambio': fxRateDescription,
+        'Convertido a la Moneda Base': asset.isFxRateMissing ? 'No (sin tipo de cambio)' : 'Sí',
       };
     });
 
@@ -120,6 +202,11 @@ export const AssetTable = ({ assets }) => {
     // Título
     doc.setFontSize(16);
     doc.text('Portfolio de Activos', 14, 15);
+    doc.setFontSize(10);
+    doc.text(`Método de costo: ${COST_BASIS_METHODS[costBasisMethod]} · Moneda base: ${baseCurrency}`, 14, 22);
+    if (fxRateDescription) {
+      doc.text(`Tipo de cambio: ${fxRateDescription}`, 14, 27);
+    }
 
     // Preparar datos para la tabla usando sortedAssets
     const dataToExport = sortedAssets;
@@ -129,24 +216,29 @@ export const AssetTable = ({ assets }) => {
       const profit = totalValue - totalInvestment;
       const profitPercentage =
         totalInvestment > 0 ? ((profit / totalInvestment) * 100).toFixed(2) : '0.00';
+      const symbol = getRowSymbol(asset);
 
       return [
         asset.name,
         asset.symbol,
         getTypeLabel(asset.type),
         asset.quantity.toString(),
-        `${CURRENCY_SYMBOL}${asset.purchasePrice.toFixed(2)}`,
-        `${CURRENCY_SYMBOL}${asset.currentPrice.toFixed(2)}`,
-        `${CURRENCY_SYMBOL}${totalValue.toFixed(2)}`,
-        `${CURRENCY_SYMBOL}${profit.toFixed(2)}`,
+        `${symbol}${asset.purchasePrice.toFixed(2)}`,
+        `${symbol}${asset.currentPrice.toFixed(2)}`,
+        `${symbol}${totalValue.toFixed(2)}`,
+        `${symbol}${profit.toFixed(2)}`,
         `${profitPercentage}%`,
+        `${symbol}${(realizedProfitByAsset[asset.id] || 0).toFixed(2)}`,
+        `${symbol}${getAssetIncome(asset.id).net.toFixed(2)}`,
+        formatHolding(holdingByAsset[asset.id]),
+        formatCagr(holdingByAsset[asset.id]),
       ];
     });
 
     autoTable(doc, {
-      head: [['Activo', 'Símbolo', 'Tipo', 'Cantidad', 'Precio Promedio', 'Precio Actual', 'Valor Total', 'Ganancia/Pérdida', '%']],
+      head: [['Activo', 'Símbolo', 'Tipo', 'Cantidad', 'Precio Promedio', 'Precio Actual', 'Valor Total', 'Ganancia/Pérdida', '%', 'Realizada', 'Ingresos Netos', 'Tenencia', 'CAGR']],
       body: tableData,
-      startY: 25,
+      startY: fxRateDescription ? 32 : 28,
       styles: { fontSize: 8 },
       headStyles: { fillColor: [26, 26, 26] },
       alternateRowStyles: { fillColor: [42, 42, 42] },
@@ -301,6 +393,32 @@ export const AssetTable = ({ assets }) => {
                 )}
               </div>
             </th>
+            <th
+              className={styles.sortableHeader}
+              onClick={() => handleSort('tenencia')}
+            >
+              <div className={styles.headerContent}>
+                Tenencia
+                {sortColumn === 'tenencia' && (
+                  <span className={styles.sortIcon}>
+                    {sortDirection === 'asc' ? '↑' : '↓'}
+                  </span>
+                )}
+              </div>
+            </th>
+            <th
+              className={styles.sortableHeader}
+              onClick={() => handleSort('cagr')}
+            >
+              <div className={styles.headerContent}>
+                CAGR
+                {sortColumn === 'cagr' && (
+                  <span className={styles.sortIcon}>
+                    {sortDirection === 'asc' ? '↑' : '↓'}
+                  </span>
+                )}
+              </div>
+            </th>
           </tr>
         </thead>
         <tbody>
@@ -311,6 +429,8 @@ export const AssetTable = ({ assets }) => {
             const profitPercentage =
               totalInvestment > 0 ? ((profit / totalInvestment) * 100).toFixed(2) : '0.00';
             const isProfit = profit >= 0;
+            const holding = holdingByAsset[asset.id];
+            const symbol = getRowSymbol(asset);
 
             return (
               <tr key={asset.id}>
@@ -318,6 +438,11 @@ export const AssetTable = ({ assets }) => {
                   <div className={styles.assetName}>
                     <div className={styles.name}>{asset.name}</div>
                     <div className={styles.symbol}>{asset.symbol}</div>
+                    {asset.isFxRateMissing && (
+                      <div className={styles.fxWarning}>
+                        Sin tipo de cambio: en {asset.nativeCurrency}, fuera de los totales
+                      </div>
+                    )}
                   </div>
                 </td>
                 <td>
@@ -325,29 +450,43 @@ export const AssetTable = ({ assets }) => {
                 </td>
                 <td>{asset.quantity}</td>
                 <td>
-                  {CURRENCY_SYMBOL}
+                  {symbol}
                   {asset.purchasePrice.toLocaleString('es-AR', {
                     minimumFractionDigits: 2,
                     maximumFractionDigits: 2,
                   })}
                 </td>
-                <td>
-                  {CURRENCY_SYMBOL}
-                  {asset.currentPrice.toLocaleString('es-AR', {
-                    minimumFractionDigits: 2,
-                    maximumFractionDigits: 2,
-                  })}
+                <td title={asset.priceUpdatedAt ? new Date(asset.priceUpdatedAt).toLocaleString('es-AR') : undefined}>
+                  <div className={styles.assetName}>
+                    <div>
+                      {symbol}
+                      {asset.currentPrice.toLocaleString('es-AR', {
+                        minimumFractionDigits: 2,
+                        maximumFractionDigits: 2,
+                      })}
+                    </div>
+                    {asset.priceUpdatedAt && (
+                      <div className={styles.symbol}>{formatUpdatedAt(asset.priceUpdatedAt)}</div>
+                    )}
+                  </div>
                 </td>
                 <td className={styles.totalValue}>
-                  {CURRENCY_SYMBOL}
+                  {symbol}
                   {totalValue.toLocaleString('es-AR', {
                     minimumFractionDigits: 2,
                     maximumFractionDigits: 2,
                   })}
                 </td>
-                <td className={isProfit ? styles.profit : styles.loss}>
+                <td
+                  className={isProfit ? styles.profit : styles.loss}
+                  title={
+                    asset.fxProfit
+                      ? `Tipo de cambio: ${asset.fxProfit >= 0 ? '+' : '-'}${symbol}${Math.abs(asset.fxProfit).toFixed(2)}`
+                      : undefined
+                  }
+                >
                   {isProfit ? '+' : ''}
-                  {CURRENCY_SYMBOL}
+                  {symbol}
                   {profit.toLocaleString('es-AR', {
                     minimumFractionDigits: 2,
                     maximumFractionDigits: 2,
@@ -357,6 +496,19 @@ export const AssetTable = ({ assets }) => {
                   {isProfit ? '+' : ''}
                   {profitPercentage}%
                 </td>
+                <td>
+                  {holding ? (
+                    <div className={styles.assetName}>
+                      <div>{formatHoldingPeriod(holding.holdingDays)}</div>
+                      <div className={styles.symbol}>{HOLDING_TERMS[holding.term]}</div>
+                    </div>
+                  ) : (
+                    '—'
+                  )}
+                </td>
+                <td className={holding?.cagr == null ? undefined : holding.cagr >= 0 ? styles.profit : styles.loss}>
+                  {holding?.cagr == null ? '—' : `${holding.cagr >= 0 ? '+' : ''}${holding.cagr.toFixed(2)}%`}
+                </td>
               </tr>
             );
           })}
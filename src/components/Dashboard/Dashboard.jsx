@@ -3,11 +3,14 @@ import { createPortal } from 'react-dom';
 import { AssetCard } from '../AssetCard/AssetCard';
 import { AssetTable } from '../AssetTable/AssetTable';
 import { useModal } from '../../hooks/useModal';
-import { searchSymbols, detectAssetType, getAssetPrice } from '../../lib/finnhub';
-import { CURRENCY_SYMBOL } from '../../constants';
+import { searchSymbols, detectAssetType, getAssetPrice } from '../../lib/marketData';
+import { getTodayDate } from '../../lib/ledger';
+import { getCurrencySymbol, getFxRate } from '../../lib/fx';
+import { useValuationRates } from '../../hooks/useValuationRates';
+import { CEDEAR_CURRENCY, CURRENCIES, DEFAULT_CURRENCY } from '../../constants';
 import styles from './Dashboard.module.css';
 
-export const Dashboard = ({ assets, onAddQuantity, onReduceQuantity, onResetAsset, onDeleteAsset, onAddNewAsset, onUpdateBrokers, onOpenAddModal, onModalClosed }) => {
+export const Dashboard = ({ assets, baseAssets = assets, baseCurrency = DEFAULT_CURRENCY, fxRateDescription = '', onAddQuantity, onReduceQuantity, onResetAsset, onDeleteAsset, onAddNewAsset, onUpdateBrokers, onApplyCorporateAction, onSetManualPrice, onOpenAddModal, onModalClosed }) => {
   const [viewMode, setViewMode] = useState('cards');
   const { isOpen: showAddModal, openModal: openAddModal, closeModal: closeAddModal } = useModal(false);
   
@@ -26,17 +29,24 @@ export const Dashboard = ({ assets, onAddQuantity, onReduceQuantity, onResetAsse
   const [selectedAssetType, setSelectedAssetType] = useState('');
   const [currentPrice, setCurrentPrice] = useState(0);
   const [assetName, setAssetName] = useState('');
-  const [brokers, setBrokers] = useState([{ broker: '', quantity: '', purchasePrice: '' }]); // Array de {broker, quantity, purchasePrice}
+  const [currency, setCurrency] = useState(DEFAULT_CURRENCY); // Moneda en la que cotiza el activo
+  const currencySymbol = getCurrencySymbol(currency);
+  const [brokers, setBrokers] = useState([{ broker: '', quantity: '', purchasePrice: '', fee: '', purchaseDate: getTodayDate() }]); // Array de {broker, quantity, purchasePrice, fee, purchaseDate}
   const [isLoadingPrice, setIsLoadingPrice] = useState(false);
   const [isSearching, setIsSearching] = useState(false);
   const [isPriceEstimated, setIsPriceEstimated] = useState(false); // Flag para precio estimado
+  // CEDEAR: el símbolo elegido es el subyacente; se opera con el ticker local y su ratio
+  const [isCedear, setIsCedear] = useState(false);
+  const [cedearTicker, setCedearTicker] = useState('');
+  const [conversionRatio, setConversionRatio] = useState('');
+  const { rates: valuationRates } = useValuationRates();
+  const cedearFxRate = getFxRate('USD', currency, valuationRates); // Moneda del CEDEAR por 1 USD
   
   const searchInputRef = useRef(null);
   const dropdownRef = useRef(null);
   const controlsRef = useRef(null);
   const cardsContainerRef = useRef(null);
   const tableRef = useRef(null);
-  const apiKey = import.meta.env.VITE_FINNHUB_API_KEY;
   
   // Debounce para la búsqueda (esperar 300ms después de que el usuario deje de escribir)
   useEffect(() => {
@@ -47,11 +57,9 @@ export const Dashboard = ({ assets, onAddQuantity, onReduceQuantity, onResetAsse
     }
 
     const timeoutId = setTimeout(async () => {
-      if (!apiKey) return;
-      
       setIsSearching(true);
       try {
-        const results = await searchSymbols(searchQuery, apiKey);
+        const results = await searchSymbols(searchQuery);
         setSearchResults(results);
         setShowDropdown(results.length > 0);
       } catch (error) {
@@ -64,7 +72,7 @@ export const Dashboard = ({ assets, onAddQuantity, onReduceQuantity, onResetAsse
     }, 300);
 
     return () => clearTimeout(timeoutId);
-  }, [searchQuery, apiKey]);
+  }, [searchQuery]);
 
   // Cerrar dropdown al hacer clic fuera
   useEffect(() => {
@@ -84,14 +92,22 @@ export const Dashboard = ({ assets, onAddQuantity, onReduceQuantity, onResetAsse
     };
   }, [showDropdown]);
 
-  // Obtener precio cuando se selecciona un símbolo
+  // Obtener precio cuando se selecciona un símbolo (o cambian los datos del CEDEAR)
   useEffect(() => {
-    if (!selectedSymbol || !selectedAssetType || !apiKey) return;
+    if (!selectedSymbol || !selectedAssetType) return;
+    if (isCedear && (!cedearTicker.trim() || !(parseFloat(conversionRatio) > 0))) return;
 
     const fetchPrice = async () => {
       setIsLoadingPrice(true);
       try {
-        const result = await getAssetPrice(selectedSymbol, selectedAssetType, apiKey);
+        const result = isCedear
+          ? await getAssetPrice(cedearTicker.trim().toUpperCase(), 'cedear', {
+              underlyingSymbol: selectedSymbol,
+              conversionRatio: parseFloat(conversionRatio),
+              fxRate: cedearFxRate,
+              priority: 'interactive',
+            })
+          : await getAssetPrice(selectedSymbol, selectedAssetType, { priority: 'interactive' });
         if (result.price && result.price > 0) {
           setCurrentPrice(result.price);
           setIsPriceEstimated(false); // Precio real obtenido
@@ -117,8 +133,10 @@ export const Dashboard = ({ assets, onAddQuantity, onReduceQuantity, onResetAsse
       }
     };
 
-    fetchPrice();
-  }, [selectedSymbol, selectedAssetType, apiKey]);
+    // El ticker y el ratio del CEDEAR se escriben a mano: esperar a que el usuario termine
+    const timeoutId = setTimeout(fetchPrice, isCedear ? 500 : 0);
+    return () => clearTimeout(timeoutId);
+  }, [selectedSymbol, selectedAssetType, isCedear, cedearTicker, conversionRatio, cedearFxRate]);
 
   // Calcular cantidad total de todos los brokers
   const totalQuantity = brokers.reduce((sum, b) => {
@@ -130,7 +148,7 @@ export const Dashboard = ({ assets, onAddQuantity, onReduceQuantity, onResetAsse
 
   // Agregar nueva línea de broker
   const handleAddBroker = () => {
-    setBrokers([...brokers, { broker: '', quantity: '', purchasePrice: '' }]);
+    setBrokers([...brokers, { broker: '', quantity: '', purchasePrice: '', fee: '', purchaseDate: getTodayDate() }]);
   };
 
   // Actualizar broker o cantidad en una línea específica
@@ -161,11 +179,30 @@ export const Dashboard = ({ assets, onAddQuantity, onReduceQuantity, onResetAsse
     setSelectedSymbol(symbol);
     setSelectedAssetType(type);
     setAssetName(name);
+    setIsCedear(false);
+    setCedearTicker('');
+    setConversionRatio('');
+    setCurrency(DEFAULT_CURRENCY);
     setSearchQuery(symbol);
     setShowDropdown(false);
     setSearchResults([]);
   };
 
+  // Marcar como CEDEAR: cotiza en pesos con el ticker de BYMA (por defecto SIMBOLO.BA)
+  const handleCedearChange = (checked) => {
+    setIsCedear(checked);
+    setCedearTicker(checked ? `${selectedSymbol}.BA` : '');
+    setConversionRatio('');
+    setCurrency(checked ? CEDEAR_CURRENCY : DEFAULT_CURRENCY);
+    // El precio anterior era el del subyacente: no usarlo como PPC
+    setBrokers(prevBrokers =>
+      prevBrokers.map(broker =>
+        broker.purchasePrice === currentPrice.toString() ? { ...broker, purchasePrice: '' } : broker
+      )
+    );
+    setCurrentPrice(0);
+  };
+
   // Resetear el modal
   const resetModal = () => {
     setSearchQuery('');
@@ -175,7 +212,11 @@ export const Dashboard = ({ assets, onAddQuantity, onReduceQuantity, onResetAsse
     setSelectedAssetType('');
     setCurrentPrice(0);
     setAssetName('');
-    setBrokers([{ broker: '', quantity: '', purchasePrice: '' }]);
+    setCurrency(DEFAULT_CURRENCY);
+    setIsCedear(false);
+    setCedearTicker('');
+    setConversionRatio('');
+    setBrokers([{ broker: '', quantity: '', purchasePrice: '', fee: '', purchaseDate: getTodayDate() }]);
     setIsLoadingPrice(false);
     setIsSearching(false);
     setIsPriceEstimated(false);
@@ -191,7 +232,7 @@ export const Dashboard = ({ assets, onAddQuantity, onReduceQuantity, onResetAsse
     }
   };
 
-  // Calcular PPC promedio ponderado
+  // Calcular PPC promedio ponderado (las comisiones se suman al costo)
   const calculateAveragePPC = () => {
     let totalValue = 0;
     let totalQuantity = 0;
@@ -204,7 +245,7 @@ export const Dashboard = ({ assets, onAddQuantity, onReduceQuantity, onResetAsse
           ? parseFloat(brokerData.purchasePrice) 
           : currentPrice;
         
-        totalValue += qty * ppc;
+        totalValue += qty * ppc + (parseFloat(brokerData.fee) || 0);
         totalQuantity += qty;
       }
     });
@@ -224,11 +265,26 @@ export const Dashboard = ({ assets, onAddQuantity, onReduceQuantity, onResetAsse
       .map(b => ({
         broker: b.broker.trim(),
         quantity: parseFloat(b.quantity) || 0,
-        purchasePrice: b.purchasePrice ? parseFloat(b.purchasePrice) : currentPrice
+        purchasePrice: b.purchasePrice ? parseFloat(b.purchasePrice) : currentPrice,
+        fee: parseFloat(b.fee) || 0,
+        purchaseDate: b.purchaseDate || getTodayDate()
       }))
       .filter(b => b.broker && b.quantity > 0);
     
     if (validBrokers.length === 0) return;
+
+    if (validBrokers.some(b => b.purchaseDate > getTodayDate())) {
+      alert('La fecha de compra no puede ser futura');
+      return;
+    }
+
+    const cedear = isCedear
+      ? { underlyingSymbol: selectedSymbol, conversionRatio: parseFloat(conversionRatio) }
+      : null;
+    if (cedear && (!cedearTicker.trim() || !(cedear.conversionRatio > 0))) {
+      alert('Ingresá el ticker en BYMA y el ratio del CEDEAR');
+      return;
+    }
     
     // Calcular el PPC promedio ponderado de todos los brokers
     const averagePPC = calculateAveragePPC();
@@ -237,7 +293,19 @@ export const Dashboard = ({ assets, onAddQuantity, onReduceQuantity, onResetAsse
       // Guardar el activo con la información de brokers y el PPC promedio
       // Si el precio es 0 o está estimado, pasar el flag isPriceEstimated
       const shouldMarkAsEstimated = currentPrice === 0 || isPriceEstimated;
-      await onAddNewAsset(selectedAssetType, selectedSymbol, totalQuantity, averagePPC, currentPrice, assetName, validBrokers, shouldMarkAsEstimated);
+      await onAddNewAsset(
+        cedear ? 'cedear' : selectedAssetType,
+        cedear ? cedearTicker.trim().toUpperCase() : selectedSymbol,
+        totalQuantity,
+        averagePPC,
+        currentPrice,
+        cedear ? `${assetName} (CEDEAR)` : assetName,
+        validBrokers,
+        shouldMarkAsEstimated,
+        getTodayDate(),
+        currency,
+        cedear
+      );
       // Solo cerrar el modal si se guardó correctamente
       handleCloseModal();
     } catch (error) {
@@ -346,6 +414,8 @@ export const Dashboard = ({ assets, onAddQuantity, onReduceQuantity, onResetAsse
                   onResetAsset={onResetAsset}
                   onDeleteAsset={onDeleteAsset}
                   onUpdateBrokers={onUpdateBrokers}
+                  onApplyCorporateAction={onApplyCorporateAction}
+                  onSetManualPrice={onSetManualPrice}
                 />
             ))}
             <button
@@ -373,7 +443,7 @@ export const Dashboard = ({ assets, onAddQuantity, onReduceQuantity, onResetAsse
         </>
       ) : (
         <div ref={tableRef}>
-          <AssetTable assets={assets} />
+          <AssetTable assets={baseAssets} baseCurrency={baseCurrency} fxRateDescription={fxRateDescription} />
         </div>
       )}
 
@@ -477,6 +547,7 @@ export const Dashboard = ({ assets, onAddQuantity, onReduceQuantity, onResetAsse
                     <input
                       type="text"
                       value={
+                        isCedear ? 'CEDEAR' :
                         selectedAssetType === 'stock' ? 'Acción' :
                         selectedAssetType === 'crypto' ? 'Criptomoneda' :
                         selectedAssetType === 'etf' ? 'ETF' :
@@ -489,6 +560,70 @@ export const Dashboard = ({ assets, onAddQuantity, onReduceQuantity, onResetAsse
                   </div>
                 )}
 
+                {/* CEDEAR: ticker en BYMA y ratio contra el subyacente elegido */}
+                {(selectedAssetType === 'stock' || selectedAssetType === 'etf') && (
+                  <div className={styles.modalFormGroup}>
+                    <label className={styles.modalLabel}>
+                      <input
+                        type="checkbox"
+                        checked={isCedear}
+                        onChange={(e) => handleCedearChange(e.target.checked)}
+                      />{' '}
+                      Es un CEDEAR (cotiza en BYMA)
+                    </label>
+                    {isCedear && (
+                      <>
+                        <input
+                          type="text"
+                          value={cedearTicker}
+                          onChange={(e) => setCedearTicker(e.target.value)}
+                          className={styles.modalInput}
+                          placeholder="Ticker en BYMA (ej: AAPL.BA)"
+                          aria-label="Ticker en BYMA"
+                        />
+                        <input
+                          type="number"
+                          step="any"
+                          min="0"
+                          value={conversionRatio}
+                          onChange={(e) => setConversionRatio(e.target.value)}
+                          className={styles.modalInput}
+                          placeholder={`CEDEARs por cada acción de ${selectedSymbol} (ej: 20)`}
+                          aria-label="Ratio de conversión"
+                        />
+                        <div className={styles.helperText}>
+                          Si BYMA no tiene cotización, el precio se calcula como {selectedSymbol} × dólar / ratio
+                          {cedearFxRate ? ` (dólar: $${cedearFxRate.toLocaleString('es-AR', { minimumFractionDigits: 2, maximumFractionDigits: 2 })})` : ' (falta la cotización del dólar)'}
+                        </div>
+                      </>
+                    )}
+                  </div>
+                )}
+
+                {/* Moneda en la que cotiza (precio actual, PPC y comisiones) */}
+                {selectedSymbol && (
+                  <div className={styles.modalFormGroup}>
+                    <label className={styles.modalLabel} htmlFor="new-asset-currency">Moneda</label>
+                    <select
+                      id="new-asset-currency"
+                      value={currency}
+                      onChange={(e) => setCurrency(e.target.value)}
+                      className={styles.modalInput}
+                    >
+                      {Object.entries(CURRENCIES).map(([code, { label }]) => (
+                        <option key={code} value={code}>
+                          {code} · {label}
+                        </option>
+                      ))}
+                    </select>
+                    {currency !== baseCurrency && (
+                      <div className={styles.helperText}>
+                        Se convierte a {baseCurrency} con el tipo de cambio de cada día de compra
+                      </div>
+                    )}
+                  </div>
+                )}
+
                 {/* Precio actual (automático, solo lectura) */}
                 {selectedSymbol && (
                   <div className={styles.modalFormGroup}>
@@ -498,7 +633,7 @@ export const Dashboard = ({ assets, onAddQuantity, onReduceQuantity, onResetAsse
                     ) : (
                       <input
                         type="text"
-                        value={currentPrice > 0 ? `${CURRENCY_SYMBOL}${currentPrice.toLocaleString('es-AR', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}` : 'No disponible'}
+                        value={currentPrice > 0 ? `${currencySymbol}${currentPrice.toLocaleString('es-AR', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}` : 'No disponible'}
                         className={styles.modalInput}
                         readOnly
                         disabled
@@ -564,14 +699,52 @@ export const Dashboard = ({ assets, onAddQuantity, onReduceQuantity, onResetAsse
                           onBlur={(e) => e.stopPropagation()}
                           onMouseDown={(e) => e.stopPropagation()}
                           className={styles.modalInput}
-                          placeholder={currentPrice > 0 ? `Por defecto: ${CURRENCY_SYMBOL}${currentPrice.toLocaleString('es-AR', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}` : 'Ingrese el precio de compra'}
+                          placeholder={currentPrice > 0 ? `Por defecto: ${currencySymbol}${currentPrice.toLocaleString('es-AR', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}` : 'Ingrese el precio de compra'}
                         />
                         {!brokerData.purchasePrice && currentPrice > 0 && (
                           <div className={styles.helperText}>
-                            Se usará el precio actual ({CURRENCY_SYMBOL}{currentPrice.toLocaleString('es-AR', { minimumFractionDigits: 2, maximumFractionDigits: 2 })})
+                            Se usará el precio actual ({currencySymbol}{currentPrice.toLocaleString('es-AR', { minimumFractionDigits: 2, maximumFractionDigits: 2 })})
                           </div>
                         )}
                       </div>
+                      <div className={styles.ppcRow}>
+                        <label className={styles.ppcLabel} htmlFor={`new-asset-fee-${index}`}>
+                          Comisión
+                          <span className={styles.optionalLabel}> - Opcional</span>
+                        </label>
+                        <input
+                          id={`new-asset-fee-${index}`}
+                          type="number"
+                          step="0.01"
+                          min="0"
+                          value={brokerData.fee}
+                          onChange={(e) => handleBrokerChange(index, 'fee', e.target.value)}
+                          onBlur={(e) => e.stopPropagation()}
+                          onMouseDown={(e) => e.stopPropagation()}
+                          className={styles.modalInput}
+                          placeholder="0"
+                        />
+                        {parseFloat(brokerData.fee) > 0 && (
+                          <div className={styles.helperText}>
+                            Se suma al costo de la compra
+                          </div>
+                        )}
+                      </div>
+                      <div className={styles.ppcRow}>
+                        <label className={styles.ppcLabel} htmlFor={`new-asset-date-${index}`}>
+                          Fecha de compra
+                        </label>
+                        <input
+                          id={`new-asset-date-${index}`}
+                          type="date"
+                          max={getTodayDate()}
+                          value={brokerData.purchaseDate}
+                          onChange={(e) => handleBrokerChange(index, 'purchaseDate', e.target.value)}
+                          onBlur={(e) => e.stopPropagation()}
+                          onMouseDown={(e) => e.stopPropagation()}
+                          className={styles.modalInput}
+                        />
+                      </div>
                     </div>
                   ))}
                   <button
@@ -595,7 +768,7 @@ export const Dashboard = ({ assets, onAddQuantity, onReduceQuantity, onResetAsse
                   )}
                   {totalQuantity > 0 && (
                     <div className={styles.averagePPC}>
-                      PPC Promedio: {CURRENCY_SYMBOL}{calculateAveragePPC().toLocaleString('es-AR', {
+                      PPC Promedio{brokers.some((b) => parseFloat(b.fee) > 0) ? ' (con comisiones)' : ''}: {currencySymbol}{calculateAveragePPC().toLocaleString('es-AR', {
                         minimumFractionDigits: 2,
                         maximumFractionDigits: 2
                       })}
@@ -608,7 +781,7 @@ export const Dashboard = ({ assets, onAddQuantity, onReduceQuantity, onResetAsse
                   <div className={styles.modalFormGroup}>
                     <label className={styles.modalLabel}>Valor Total</label>
                     <div className={styles.totalValue}>
-                      {CURRENCY_SYMBOL}{totalValue.toLocaleString('es-AR', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
+                      {currencySymbol}{totalValue.toLocaleString('es-AR', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
                     </div>
                   </div>
                 )}
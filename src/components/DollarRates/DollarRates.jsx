@@ -0,0 +1,255 @@
+import { useMemo, useState } from 'react';
+import { ARS_VALUATION_RATES, DOLLAR_RATE_SOURCES, DOLLAR_RATE_TYPES } from '../../constants';
+import { normalizeArsValuationRate } from '../../lib/dollarRates';
+import { getTodayDate, toLocalDate } from '../../lib/ledger';
+import { supabase } from '../../lib/supabase';
+import { useDollarRatesStore } from '../../store/dollarRatesStore';
+import { useSessionStore } from '../../store/sessionStore';
+import { useTransactionsStore } from '../../store/transactionsStore';
+import styles from './DollarRates.module.css';
+
+const RECENT_RATES = 10; // Cotizaciones cargadas que se listan (las más recientes)
+
+const formatRate = (rate) =>
+  `$${rate.toLocaleString('es-AR', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+/**
+ * COTIZACIONES DEL DÓLAR (OFICIAL, MEP, CCL)
+ *
+ * Sección de "Ver Perfil → Preferencias": elige con qué dólar se valúan los
+ * pesos (user_metadata.ars_valuation_rate), muestra la última cotización de
+ * cada tipo y permite cargarlas a mano o importar su historial desde la
+ * primera operación de la cartera.
+ */
+export const DollarRates = () => {
+  const user = useSessionStore((state) => state.user);
+  const setUser = useSessionStore((state) => state.setUser);
+  const dollarRates = useDollarRatesStore((state) => state.dollarRates);
+  const addDollarRate = useDollarRatesStore((state) => state.addDollarRate);
+  const importDollarRates = useDollarRatesStore((state) => state.importDollarRates);
+  const deleteDollarRate = useDollarRatesStore((state) => state.deleteDollarRate);
+  const transactions = useTransactionsStore((state) => state.transactions);
+  const [form, setForm] = useState({ rateType: 'mep', date: getTodayDate(), rate: '' });
+  const [isSaving, setIsSaving] = useState(false);
+  const [importingType, setImportingType] = useState(null);
+  const [message, setMessage] = useState('');
+
+  const valuationRate = normalizeArsValuationRate(user?.user_metadata?.ars_valuation_rate);
+
+  // Última cotización de cada tipo
+  const latestByType = useMemo(() => {
+    const latest = {};
+    dollarRates.forEach((entry) => {
+      if (!latest[entry.rateType] || entry.date > latest[entry.rateType].date) {
+        latest[entry.rateType] = entry;
+      }
+    });
+    return latest;
+  }, [dollarRates]);
+
+  const recentRates = useMemo(() => {
+    return [...dollarRates].sort((a, b) => b.date.localeCompare(a.date)).slice(0, RECENT_RATES);
+  }, [dollarRates]);
+
+  // El historial se importa desde la primera operación (o el último año si no hay)
+  const importFromDate = useMemo(() => {
+    const firstDate = transactions.reduce((min, tx) => (tx.date && (!min || tx.date < min) ? tx.date : min), null);
+    if (firstDate) return firstDate;
+    const lastYear = new Date();
+    lastYear.setFullYear(lastYear.getFullYear() - 1);
+    return toLocalDate(lastYear);
+  }, [transactions]);
+
+  const showMessage = (text) => {
+    setMessage(text);
+    setTimeout(() => setMessage(''), 3000);
+  };
+
+  const handleValuationRateChange = async (value) => {
+    setIsSaving(true);
+    try {
+      const { data, error } = await supabase.auth.updateUser({
+        data: { ars_valuation_rate: value },
+      });
+
+      if (error) throw error;
+      if (data.user) {
+        setUser(data.user);
+        showMessage('Dólar de valuación actualizado');
+      }
+    } catch (error) {
+      console.error('Error al guardar el dólar de valuación:', error);
+      showMessage('Error al guardar el dólar de valuación');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    const result = await addDollarRate(
+      { rateType: form.rateType, date: form.date, rate: parseFloat(form.rate) },
+      user?.id
+    );
+    setIsSaving(false);
+
+    if (result.success) {
+      setForm((prev) => ({ ...prev, rate: '' }));
+      showMessage('Cotización guardada');
+    } else {
+      showMessage(`Error: ${result.error}`);
+    }
+  };
+
+  const handleImport = async (rateType) => {
+    setImportingType(rateType);
+    const result = await importDollarRates(rateType, importFromDate, user?.id);
+    setImportingType(null);
+
+    showMessage(
+      result.success
+        ? `Se importaron ${result.count} cotizaciones del dólar ${DOLLAR_RATE_TYPES[rateType]}`
+        : `Error al importar: ${result.error}`
+    );
+  };
+
+  const handleDelete = async (rateId) => {
+    const result = await deleteDollarRate(rateId, user?.id);
+    if (!result.success) {
+      showMessage(`Error: ${result.error}`);
+    }
+  };
+
+  return (
+    <div className={styles.dollarRates}>
+      <div className={styles.field}>
+        <label className={styles.label} htmlFor="ars-valuation-rate">Dólar para valuar los pesos:</label>
+        <select
+          id="ars-valuation-rate"
+          value={valuationRate}
+          onChange={(e) => handleValuationRateChange(e.target.value)}
+          disabled={isSaving}
+          className={styles.input}
+        >
+          {Object.entries(ARS_VALUATION_RATES).map(([value, label]) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+        </select>
+        <p className={styles.hint}>
+          Los activos y el efectivo en pesos se convierten con la última cotización cargada de este dólar, y cada compra guarda la del día en que se hizo. Con "Mercado" se usa la fuente de tipos de cambio.
+        </p>
+      </div>
+
+      <div className={styles.table}>
+        <div className={styles.tableHeader}>
+          <span>Dólar</span>
+          <span>Última</span>
+          <span>Fecha</span>
+          <span>Origen</span>
+          <span />
+        </div>
+        {Object.entries(DOLLAR_RATE_TYPES).map(([rateType, label]) => {
+          const latest = latestByType[rateType];
+          return (
+            <div key={rateType} className={styles.tableRow}>
+              <span>{label}</span>
+              <span>{latest ? formatRate(latest.rate) : '—'}</span>
+              <span>{latest?.date || '—'}</span>
+              <span>{latest ? DOLLAR_RATE_SOURCES[latest.source] : '—'}</span>
+              <button
+                type="button"
+                className={styles.button}
+                onClick={() => handleImport(rateType)}
+                disabled={importingType !== null}
+                title={`Importar de ArgentinaDatos desde el ${importFromDate}`}
+              >
+                {importingType === rateType ? 'Importando...' : 'Importar'}
+              </button>
+            </div>
+          );
+        })}
+      </div>
+
+      <form onSubmit={handleSubmit} className={styles.form}>
+        <label className={styles.field}>
+          <span className={styles.label}>Dólar</span>
+          <select
+            value={form.rateType}
+            onChange={(e) => setForm((prev) => ({ ...prev, rateType: e.target.value }))}
+            className={styles.input}
+          >
+            {Object.entries(DOLLAR_RATE_TYPES).map(([value, label]) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className={styles.field}>
+          <span className={styles.label}>Fecha</span>
+          <input
+            type="date"
+            value={form.date}
+            max={getTodayDate()}
+            onChange={(e) => setForm((prev) => ({ ...prev, date: e.target.value }))}
+            className={styles.input}
+            required
+          />
+        </label>
+        <label className={styles.field}>
+          <span className={styles.label}>Pesos por dólar</span>
+          <input
+            type="number"
+            step="0.01"
+            min="0"
+            value={form.rate}
+            onChange={(e) => setForm((prev) => ({ ...prev, rate: e.target.value }))}
+            className={styles.input}
+            placeholder="0,00"
+            required
+          />
+        </label>
+        <button type="submit" className={styles.button} disabled={isSaving || !form.rate}>
+          Guardar
+        </button>
+      </form>
+
+      {recentRates.length > 0 && (
+        <div className={styles.table}>
+          <div className={styles.tableHeader}>
+            <span>Dólar</span>
+            <span>Cotización</span>
+            <span>Fecha</span>
+            <span>Origen</span>
+            <span />
+          </div>
+          {recentRates.map((entry) => (
+            <div key={entry.id} className={styles.tableRow}>
+              <span>{DOLLAR_RATE_TYPES[entry.rateType]}</span>
+              <span>{formatRate(entry.rate)}</span>
+              <span>{entry.date}</span>
+              <span>{DOLLAR_RATE_SOURCES[entry.source]}</span>
+              <button
+                type="button"
+                className={styles.deleteButton}
+                onClick={() => handleDelete(entry.id)}
+                aria-label="Eliminar cotización"
+              >
+                ×
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {message && (
+        <span className={message.includes('Error') ? styles.errorMessage : styles.successMessage}>
+          {message}
+        </span>
+      )}
+    </div>
+  );
+};
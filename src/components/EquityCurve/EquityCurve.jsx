@@ -0,0 +1,401 @@
+import { useMemo, useState } from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, Legend, ReferenceLine } from 'recharts';
+import {
+  BENCHMARK_SYMBOLS,
+  DEFAULT_BENCHMARK_SYMBOL,
+  DEFAULT_COST_BASIS_METHOD,
+  DEFAULT_CURRENCY,
+} from '../../constants';
+import { useBenchmarkPrices } from '../../hooks/useBenchmarkPrices';
+import { useValuationRates } from '../../hooks/useValuationRates';
+import { getTimeframeParams } from '../../lib/marketData';
+import { getCurrencySymbol } from '../../lib/fx';
+import { getTodayDate, toLocalDate } from '../../lib/ledger';
+import { buildEquityCurve, buildPerformanceIndex, compareWithBenchmark } from '../../lib/performance';
+import { supabase } from '../../lib/supabase';
+import { useAssetsStore } from '../../store/assetsStore';
+import { useSessionStore } from '../../store/sessionStore';
+import { useTransactionsStore } from '../../store/transactionsStore';
+import { useValuationsStore } from '../../store/valuationsStore';
+import styles from './EquityCurve.module.css';
+
+const TIMEFRAMES = ['1D', '1W', '1M', '3M', '6M', '1Y', 'ALL'];
+
+const TIMEFRAME_LABELS = {
+  '1D': '1 Día',
+  '1W': '1 Semana',
+  '1M': '1 Mes',
+  '3M': '3 Meses',
+  '6M': '6 Meses',
+  '1Y': '1 Año',
+  ALL: 'Todo',
+};
+
+/**
+ * Primer día local (YYYY-MM-DD) de una temporalidad de getTimeframeParams
+ */
+const getTimeframeStartDate = (timeframe) => {
+  const { from } = getTimeframeParams(timeframe);
+  return toLocalDate(new Date(from * 1000));
+};
+
+/**
+ * Formatear un porcentaje con signo (+12,34% / -12,34%)
+ */
+const formatSignedPercent = (percent) => {
+  const formatted = Math.abs(percent).toLocaleString('es-AR', {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  });
+  return `${percent >= 0 ? '+' : '-'}${formatted}%`;
+};
+
+/**
+ * CURVA DE CAPITAL DE LA CARTERA
+ *
+ * Grafica el valor de mercado de los activos contra el capital invertido a lo
+ * largo del tiempo (ver buildEquityCurve en src/lib/performance.js). Los días
+ * reconstruidos desde el historial solo tienen capital invertido.
+ *
+ * En el modo "Vs. benchmark" compara el rendimiento de la cartera (índice TWR
+ * armado con las valuaciones diarias) con el de un índice o ETF, ambos en base
+ * 100, y muestra el exceso de rendimiento en cada temporalidad. El benchmark
+ * elegido se guarda en user_metadata.benchmark_symbol.
+ *
+ * @param {Object} props
+ * @param {number} props.totalValue - Valor total actual de la cartera (con efectivo)
+ * @param {number} props.marketValue - Valor de mercado actual de los activos (sin efectivo)
+ * @param {number} props.invested - Capital invertido actual
+ * @param {Array} props.cashFlows - Flujos externos de la cartera {date, amount}
+ * @param {string} props.costBasisMethod - Método de costo
+ * @param {string} props.baseCurrency - Moneda base en la que vienen los valores
+ */
+export const EquityCurve = ({
+  totalValue,
+  marketValue,
+  invested,
+  cashFlows = [],
+  costBasisMethod = DEFAULT_COST_BASIS_METHOD,
+  baseCurrency = DEFAULT_CURRENCY,
+}) => {
+  const currencySymbol = getCurrencySymbol(baseCurrency);
+  const [timeframe, setTimeframe] = useState('3M');
+  const [mode, setMode] = useState('value'); // 'value' o 'benchmark'
+  const valuations = useValuationsStore((state) => state.valuations);
+  const transactions = useTransactionsStore((state) => state.transactions);
+  const assets = useAssetsStore((state) => state.assets);
+  const { rates } = useValuationRates();
+  const user = useSessionStore((state) => state.user);
+  const setUser = useSessionStore((state) => state.setUser);
+
+  const benchmarkSymbol = user?.user_metadata?.benchmark_symbol || DEFAULT_BENCHMARK_SYMBOL;
+  const [customSymbol, setCustomSymbol] = useState('');
+  const {
+    prices: benchmarkPrices,
+    isLoading: isLoadingBenchmark,
+    error: benchmarkError,
+  } = useBenchmarkPrices(benchmarkSymbol, mode === 'benchmark');
+
+  const chartData = useMemo(() => {
+    return buildEquityCurve({
+      valuations,
+      transactions,
+      method: costBasisMethod,
+      assets,
+      baseCurrency,
+      rates,
+      fromDate: getTimeframeStartDate(timeframe),
+      current: { marketValue, invested },
+    }).map((point) => ({
+      ...point,
+      label: new Date(`${point.date}T00:00:00`).toLocaleDateString('es-AR', {
+        month: 'short',
+        day: 'numeric',
+        ...(timeframe === '1Y' || timeframe === 'ALL' ? { year: 'numeric' } : {}),
+      }),
+    }));
+  }, [valuations, transactions, costBasisMethod, assets, baseCurrency, rates, timeframe, marketValue, invested]);
+
+  const hasRebuiltPoints = chartData.some((point) => point.marketValue === null);
+
+  // Índice de rendimiento de la cartera (la valuación de hoy es el valor en vivo)
+  const portfolioIndex = useMemo(() => {
+    const today = getTodayDate();
+    const series = valuations.filter((valuation) => valuation.date < today);
+    series.push({ date: today, totalValue });
+    return buildPerformanceIndex(series, cashFlows);
+  }, [valuations, totalValue, cashFlows]);
+
+  const comparison = useMemo(
+    () => compareWithBenchmark(portfolioIndex, benchmarkPrices, getTimeframeStartDate(timeframe)),
+    [portfolioIndex, benchmarkPrices, timeframe]
+  );
+
+  // Exceso de rendimiento en cada temporalidad
+  const excessByTimeframe = useMemo(() => {
+    return TIMEFRAMES.map((tf) => ({
+      timeframe: tf,
+      result: compareWithBenchmark(portfolioIndex, benchmarkPrices, getTimeframeStartDate(tf)),
+    }));
+  }, [portfolioIndex, benchmarkPrices]);
+
+  const comparisonData = useMemo(() => {
+    if (!comparison) return [];
+    return comparison.series.map((point) => ({
+      ...point,
+      label: new Date(`${point.date}T00:00:00`).toLocaleDateString('es-AR', {
+        month: 'short',
+        day: 'numeric',
+        ...(timeframe === '1Y' || timeframe === 'ALL' ? { year: 'numeric' } : {}),
+      }),
+    }));
+  }, [comparison, timeframe]);
+
+  const handleBenchmarkChange = async (symbol) => {
+    const nextSymbol = symbol.trim().toUpperCase();
+    if (!nextSymbol || nextSymbol === benchmarkSymbol) return;
+
+    const { data, error } = await supabase.auth.updateUser({
+      data: { benchmark_symbol: nextSymbol },
+    });
+    if (error) {
+      console.error('Error al guardar el benchmark:', error);
+      alert('No se pudo guardar el benchmark');
+      return;
+    }
+    if (data.user) {
+      setUser(data.user);
+    }
+    setCustomSymbol('');
+  };
+
+  const handleCustomSubmit = (e) => {
+    e.preventDefault();
+    handleBenchmarkChange(customSymbol);
+  };
+
+  const formatTooltipValue = (value) =>
+    value === null
+      ? '—'
+      : `${currencySymbol}${value.toLocaleString('es-AR', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+  const tooltipStyle = {
+    backgroundColor: '#2a2a2a',
+    border: '1px solid rgba(255, 255, 255, 0.1)',
+    borderRadius: '6px',
+    color: 'rgba(255, 255, 255, 0.9)',
+  };
+
+  const renderValueChart = () =>
+    chartData.length > 1 ? (
+      <>
+        <ResponsiveContainer width="100%" height={300}>
+          <LineChart data={chartData} margin={{ top: 5, right: 20, left: 10, bottom: 5 }}>
+            <CartesianGrid strokeDasharray="3 3" stroke="rgba(255, 255, 255, 0.1)" />
+            <XAxis dataKey="label" stroke="rgba(255, 255, 255, 0.6)" style={{ fontSize: '0.75rem' }} />
+            <YAxis
+              stroke="rgba(255, 255, 255, 0.6)"
+              style={{ fontSize: '0.75rem' }}
+              tickFormatter={(value) => `${currencySymbol}${value.toLocaleString('es-AR', { maximumFractionDigits: 0 })}`}
+            />
+            <Tooltip
+              contentStyle={tooltipStyle}
+              formatter={(value, name) => [formatTooltipValue(value), name]}
+              labelFormatter={(label, payload) => `Fecha: ${payload?.[0]?.payload?.date || label}`}
+            />
+            <Legend wrapperStyle={{ color: 'rgba(255, 255, 255, 0.7)' }} />
+            <Line
+              type="stepAfter"
+              dataKey="invested"
+              stroke="#f59e0b"
+              strokeWidth={2}
+              dot={false}
+              name="Capital invertido"
+            />
+            <Line
+              type="monotone"
+              dataKey="marketValue"
+              stroke="#646cff"
+              strokeWidth={2}
+              dot={false}
+              activeDot={{ r: 5, fill: '#646cff' }}
+              name="Valor de mercado"
+            />
+          </LineChart>
+        </ResponsiveContainer>
+        {hasRebuiltPoints && (
+          <p className={styles.hint}>
+            Antes de la primera valuación diaria solo se muestra el capital invertido, reconstruido desde el historial de transacciones.
+          </p>
+        )}
+      </>
+    ) : (
+      <div className={styles.noData}>
+        Todavía no hay historial para esta temporalidad. La app guarda el valor de la cartera cada día que se abre.
+      </div>
+    );
+
+  const renderBenchmarkChart = () => {
+    if (isLoadingBenchmark) {
+      return <div className={styles.noData}>Cargando {benchmarkSymbol}...</div>;
+    }
+    if (benchmarkError) {
+      return <div className={`${styles.noData} ${styles.error}`}>{benchmarkError}</div>;
+    }
+    if (!comparison) {
+      return (
+        <div className={styles.noData}>
+          Hacen falta al menos dos valuaciones diarias en esta temporalidad para comparar con {benchmarkSymbol}.
+        </div>
+      );
+    }
+
+    return (
+      <>
+        <div className={styles.comparisonTotals}>
+          <span>
+            Cartera (TWR):{' '}
+            <strong className={comparison.portfolioReturn >= 0 ? styles.positive : styles.negative}>
+              {formatSignedPercent(comparison.portfolioReturn)}
+            </strong>
+          </span>
+          <span>
+            {benchmarkSymbol}:{' '}
+            <strong className={comparison.benchmarkReturn >= 0 ? styles.positive : styles.negative}>
+              {formatSignedPercent(comparison.benchmarkReturn)}
+            </strong>
+          </span>
+          <span>
+            Exceso:{' '}
+            <strong className={comparison.excessReturn >= 0 ? styles.positive : styles.negative}>
+              {formatSignedPercent(comparison.excessReturn)}
+            </strong>
+          </span>
+        </div>
+        <ResponsiveContainer width="100%" height={300}>
+          <LineChart data={comparisonData} margin={{ top: 5, right: 20, left: 10, bottom: 5 }}>
+            <CartesianGrid strokeDasharray="3 3" stroke="rgba(255, 255, 255, 0.1)" />
+            <XAxis dataKey="label" stroke="rgba(255, 255, 255, 0.6)" style={{ fontSize: '0.75rem' }} />
+            <YAxis
+              stroke="rgba(255, 255, 255, 0.6)"
+              style={{ fontSize: '0.75rem' }}
+              domain={['auto', 'auto']}
+              tickFormatter={(value) => value.toLocaleString('es-AR', { maximumFractionDigits: 0 })}
+            />
+            <Tooltip
+              contentStyle={tooltipStyle}
+              formatter={(value, name) => [value.toLocaleString('es-AR', { minimumFractionDigits: 2, maximumFractionDigits: 2 }), name]}
+              labelFormatter={(label, payload) => `Fecha: ${payload?.[0]?.payload?.date || label}`}
+            />
+            <Legend wrapperStyle={{ color: 'rgba(255, 255, 255, 0.7)' }} />
+            <ReferenceLine y={100} stroke="rgba(255, 255, 255, 0.3)" strokeDasharray="4 4" />
+            <Line
+              type="monotone"
+              dataKey="portfolio"
+              stroke="#646cff"
+              strokeWidth={2}
+              dot={false}
+              activeDot={{ r: 5, fill: '#646cff' }}
+              name="Cartera"
+            />
+            <Line
+              type="monotone"
+              dataKey="benchmark"
+              stroke="#10b981"
+              strokeWidth={2}
+              dot={false}
+              activeDot={{ r: 5, fill: '#10b981' }}
+              name={benchmarkSymbol}
+            />
+          </LineChart>
+        </ResponsiveContainer>
+        <p className={styles.hint}>
+          Base 100 desde el {comparison.startDate}. El rendimiento de la cartera es ponderado por tiempo: no cuenta los depósitos ni los retiros.
+        </p>
+      </>
+    );
+  };
+
+  return (
+    <div className={styles.equityCurve}>
+      <div className={styles.header}>
+        <div className={styles.modeSelector}>
+          <button
+            type="button"
+            className={`${styles.modeButton} ${mode === 'value' ? styles.modeButtonActive : ''}`}
+            onClick={() => setMode('value')}
+          >
+            Evolución de la cartera
+          </button>
+          <button
+            type="button"
+            className={`${styles.modeButton} ${mode === 'benchmark' ? styles.modeButtonActive : ''}`}
+            onClick={() => setMode('benchmark')}
+          >
+            Vs. benchmark
+          </button>
+        </div>
+        <div className={styles.timeframeSelector}>
+          {TIMEFRAMES.map((tf) => (
+            <button
+              key={tf}
+              type="button"
+              className={`${styles.timeframeButton} ${timeframe === tf ? styles.timeframeButtonActive : ''}`}
+              onClick={() => setTimeframe(tf)}
+            >
+              {TIMEFRAME_LABELS[tf]}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {mode === 'benchmark' && (
+        <form className={styles.benchmarkBar} onSubmit={handleCustomSubmit}>
+          {Object.entries(BENCHMARK_SYMBOLS).map(([symbol, label]) => (
+            <button
+              key={symbol}
+              type="button"
+              className={`${styles.timeframeButton} ${benchmarkSymbol === symbol ? styles.timeframeButtonActive : ''}`}
+              onClick={() => handleBenchmarkChange(symbol)}
+            >
+              {label}
+            </button>
+          ))}
+          {!BENCHMARK_SYMBOLS[benchmarkSymbol] && (
+            <span className={`${styles.timeframeButton} ${styles.timeframeButtonActive}`}>{benchmarkSymbol}</span>
+          )}
+          <input
+            type="text"
+            value={customSymbol}
+            onChange={(e) => setCustomSymbol(e.target.value)}
+            placeholder="Otro ticker"
+            aria-label="Otro ticker de benchmark"
+            className={styles.benchmarkInput}
+          />
+          <button type="submit" className={styles.timeframeButton} disabled={!customSymbol.trim()}>
+            Usar
+          </button>
+        </form>
+      )}
+
+      {mode === 'value' ? renderValueChart() : renderBenchmarkChart()}
+
+      {mode === 'benchmark' && benchmarkPrices.length > 0 && (
+        <div className={styles.excessTable}>
+          {excessByTimeframe.map(({ timeframe: tf, result }) => (
+            <div key={tf} className={styles.excessCell}>
+              <span className={styles.excessLabel}>{TIMEFRAME_LABELS[tf]}</span>
+              {result ? (
+                <span className={result.excessReturn >= 0 ? styles.positive : styles.negative}>
+                  {formatSignedPercent(result.excessReturn)}
+                </span>
+              ) : (
+                <span className={styles.excessEmpty}>—</span>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
@@ -1,5 +1,5 @@
 import { useState, useRef, useEffect } from 'react';
-import { APP_TITLE, CURRENCY_SYMBOL } from '../../constants';
+import { APP_TITLE } from '../../constants';
 import { useSessionStore } from '../../store/sessionStore';
 import { useNotificationsStore } from '../../store/notificationsStore';
 import { UserProfile } from '../UserProfile/UserProfile';
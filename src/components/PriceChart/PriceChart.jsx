@@ -0,0 +1,445 @@
+import { useMemo } from 'react';
+import {
+  ComposedChart,
+  LineChart,
+  BarChart,
+  Line,
+  Bar,
+  Cell,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ResponsiveContainer,
+  Legend,
+  ReferenceLine,
+} from 'recharts';
+import { CHART_INDICATORS, CHART_TYPES, CURRENCY_SYMBOL } from '../../constants';
+import { useChartSettings } from '../../hooks/useChartSettings';
+import { addIndicators, isValidIndicatorParam } from '../../lib/indicators';
+import styles from './PriceChart.module.css';
+
+const UP_COLOR = '#4ade80';
+const DOWN_COLOR = '#ef4444';
+
+const TOOLTIP_STYLE = {
+  backgroundColor: '#2a2a2a',
+  border: '1px solid rgba(255, 255, 255, 0.1)',
+  borderRadius: '6px',
+  color: 'rgba(255, 255, 255, 0.9)',
+};
+
+const formatNumber = (value, decimals = 2) =>
+  value.toLocaleString('es-AR', { minimumFractionDigits: decimals, maximumFractionDigits: decimals });
+
+/**
+ * Forma de cada vela: la barra de recharts cubre de mínimo a máximo (la
+ * mecha) y el cuerpo se dibuja entre apertura y cierre.
+ */
+const Candle = ({ x, y, width, height, payload }) => {
+  const { open, high, low, close } = payload;
+  const color = close >= open ? UP_COLOR : DOWN_COLOR;
+  const pixelsPerUnit = high > low ? height / (high - low) : 0;
+  const bodyTop = y + (high - Math.max(open, close)) * pixelsPerUnit;
+  const bodyHeight = Math.max(1, Math.abs(close - open) * pixelsPerUnit);
+  const center = x + width / 2;
+  const bodyWidth = Math.max(1, width * 0.7);
+
+  return (
+    <g>
+      <line x1={center} x2={center} y1={y} y2={y + height} stroke={color} strokeWidth={1} />
+      <rect x={center - bodyWidth / 2} y={bodyTop} width={bodyWidth} height={bodyHeight} fill={color} />
+    </g>
+  );
+};
+
+/**
+ * GRÁFICO DE PRECIO DE UN ACTIVO
+ *
+ * Línea de cierre o velas, con las compras y ventas del historial, el PPC y
+ * las alertas. Debajo muestra el volumen y los osciladores (RSI y MACD); las
+ * medias móviles y las Bandas de Bollinger van sobre el precio. La
+ * configuración se guarda por usuario (ver useChartSettings).
+ *
+ * Con el historial guardado (cuando Finnhub falla) el precio se dibuja en
+ * naranja y punteado para que se note que no está al día.
+ *
+ * @param {Object} props
+ * @param {Array} props.points - Puntos {date, value, open, high, low, close, volume, buy, sell, ...}
+ * @param {boolean} props.isStale - Si es el historial guardado en lugar de la respuesta de Finnhub
+ * @param {number} props.purchasePrice - PPC del activo (0 si no tiene)
+ * @param {Array} props.alerts - Alertas activas del activo {id, alertPrice}
+ * @param {string} props.syncId - Id para sincronizar el tooltip entre los gráficos
+ * @param {string} props.currencySymbol - Símbolo de la moneda del activo
+ */
+export const PriceChart = ({ points, isStale, purchasePrice, alerts, syncId, currencySymbol = CURRENCY_SYMBOL }) => {
+  const { settings, updateSettings, isSaving, saveError } = useChartSettings();
+
+  const formatPrice = (value) =>
+    `${currencySymbol}${value.toLocaleString('es-AR', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+  const chartPoints = useMemo(
+    () =>
+      addIndicators(points, settings).map((point) => ({
+        ...point,
+        candle: Number.isFinite(point.low) && Number.isFinite(point.high) ? [point.low, point.high] : null,
+      })),
+    [points, settings]
+  );
+
+  const hasCandles = chartPoints.every((point) => point.candle !== null);
+  const hasVolume = chartPoints.some((point) => point.volume > 0);
+  const hasTradeMarkers = chartPoints.some((point) => point.buy !== null || point.sell !== null);
+  const showCandles = settings.type === 'candles' && hasCandles;
+  const showVolume = settings.volume && hasVolume;
+
+  const priceColor = isStale ? '#f59e0b' : '#646cff';
+
+  // Indicadores activos que no tienen ningún valor (faltan velas para el período)
+  const missingIndicators = Object.keys(CHART_INDICATORS).filter((key) => {
+    if (!settings[key].enabled) return false;
+    const dataKey = key === 'bollinger' ? 'bollingerMiddle' : key;
+    return chartPoints.every((point) => point[dataKey] === null);
+  });
+
+  const toggleIndicator = (key) => {
+    updateSettings({ [key]: { ...settings[key], enabled: !settings[key].enabled } });
+  };
+
+  // Los períodos se aplican al salir del input (o con Enter) y solo si son válidos
+  const commitParam = (key, param, input) => {
+    const value = Number(input.value.replace(',', '.'));
+    if (!isValidIndicatorParam(param, value)) {
+      input.value = settings[key][param];
+      return;
+    }
+    const next = { ...settings[key], [param]: value };
+    // La EMA rápida del MACD tiene que ser más corta que la lenta
+    if (key === 'macd' && next.fast >= next.slow) {
+      input.value = settings[key][param];
+      return;
+    }
+    if (value !== settings[key][param]) {
+      updateSettings({ [key]: next });
+    }
+  };
+
+  const formatTooltip = (value, name, props) => {
+    const { dataKey, payload } = props;
+    if (dataKey === 'candle') {
+      return [
+        `A ${formatPrice(payload.open)} · Máx ${formatPrice(payload.high)} · Mín ${formatPrice(payload.low)} · C ${formatPrice(payload.close)}`,
+        name,
+      ];
+    }
+    if (dataKey === 'buy' || dataKey === 'sell') {
+      const quantity = payload[dataKey === 'buy' ? 'buyQuantity' : 'sellQuantity'];
+      return [`${quantity.toLocaleString('es-AR', { maximumFractionDigits: 8 })} @ ${formatPrice(value)}`, name];
+    }
+    if (dataKey === 'value') {
+      return [formatPrice(value), isStale ? 'Precio (guardado)' : 'Precio'];
+    }
+    return [formatPrice(value), name];
+  };
+
+  return (
+    <div className={styles.priceChart}>
+      {/* Configuración: tipo de gráfico, volumen e indicadores */}
+      <div className={styles.settings}>
+        <div className={styles.typeSelector}>
+          {Object.entries(CHART_TYPES).map(([type, label]) => (
+            <button
+              key={type}
+              type="button"
+              className={`${styles.typeButton} ${settings.type === type ? styles.typeButtonActive : ''}`}
+              onClick={() => updateSettings({ type })}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+        <label className={styles.indicatorToggle}>
+          <input
+            type="checkbox"
+            checked={settings.volume}
+            onChange={(e) => updateSettings({ volume: e.target.checked })}
+          />
+          Volumen
+        </label>
+        {Object.entries(CHART_INDICATORS).map(([key, indicator]) => (
+          <div key={key} className={styles.indicator}>
+            <label className={styles.indicatorToggle}>
+              <input type="checkbox" checked={settings[key].enabled} onChange={() => toggleIndicator(key)} />
+              {indicator.label}
+            </label>
+            {settings[key].enabled &&
+              Object.entries(indicator.params).map(([param, paramLabel]) => (
+                <input
+                  key={`${param}-${settings[key][param]}`}
+                  type="number"
+                  min={param === 'deviations' ? 0.5 : 2}
+                  max={param === 'deviations' ? 5 : 200}
+                  step={param === 'deviations' ? 0.5 : 1}
+                  defaultValue={settings[key][param]}
+                  onBlur={(e) => commitParam(key, param, e.target)}
+                  onKeyDown={(e) => {
+                    if (e.key === 'Enter') e.target.blur();
+                  }}
+                  className={styles.paramInput}
+                  title={`${indicator.label}: ${paramLabel}`}
+                  aria-label={`${indicator.label}: ${paramLabel}`}
+                />
+              ))}
+          </div>
+        ))}
+        {(isSaving || saveError) && (
+          <span className={saveError ? styles.saveError : styles.saveStatus}>
+            {saveError || 'Guardando...'}
+          </span>
+        )}
+      </div>
+
+      {(settings.type === 'candles' && !hasCandles) || missingIndicators.length > 0 ? (
+        <p className={styles.hint}>
+          {settings.type === 'candles' && !hasCandles && 'Las velas no están disponibles para estos datos. '}
+          {missingIndicators.length > 0 &&
+            `No hay suficientes velas en esta temporalidad para: ${missingIndicators
+              .map((key) => CHART_INDICATORS[key].label)
+              .join(', ')}.`}
+        </p>
+      ) : null}
+
+      {/* Precio */}
+      <ResponsiveContainer width="100%" height={400}>
+        <ComposedChart data={chartPoints} syncId={syncId} margin={{ top: 5, right: 20, left: 10, bottom: 5 }}>
+          <CartesianGrid strokeDasharray="3 3" stroke="rgba(255, 255, 255, 0.1)" />
+          <XAxis dataKey="date" stroke="rgba(255, 255, 255, 0.6)" style={{ fontSize: '0.75rem' }} />
+          <YAxis
+            stroke="rgba(255, 255, 255, 0.6)"
+            style={{ fontSize: '0.75rem' }}
+            domain={showCandles ? ['auto', 'auto'] : undefined}
+            tickFormatter={(value) => `${currencySymbol}${value.toLocaleString('es-AR', { maximumFractionDigits: 0 })}`}
+          />
+          <Tooltip contentStyle={TOOLTIP_STYLE} formatter={formatTooltip} labelFormatter={(label) => `Fecha: ${label}`} />
+          <Legend wrapperStyle={{ color: 'rgba(255, 255, 255, 0.7)' }} />
+          {showCandles ? (
+            <Bar dataKey="candle" shape={<Candle />} isAnimationActive={false} fill={UP_COLOR} name="Velas" />
+          ) : (
+            <Line
+              type="monotone"
+              dataKey="value"
+              stroke={priceColor}
+              strokeWidth={2}
+              strokeDasharray={isStale ? '5 5' : '0'}
+              dot={false}
+              activeDot={{ r: 6, fill: priceColor }}
+              name={isStale ? 'Precio de Cierre (guardado)' : 'Precio de Cierre'}
+            />
+          )}
+          {settings.bollinger.enabled && (
+            <Line
+              type="monotone"
+              dataKey="bollingerUpper"
+              stroke="#a78bfa"
+              strokeWidth={1}
+              dot={false}
+              isAnimationActive={false}
+              name="Bollinger superior"
+            />
+          )}
+          {settings.bollinger.enabled && (
+            <Line
+              type="monotone"
+              dataKey="bollingerMiddle"
+              stroke="#a78bfa"
+              strokeWidth={1}
+              strokeDasharray="4 4"
+              dot={false}
+              isAnimationActive={false}
+              name={`Bollinger (${settings.bollinger.period}, ${formatNumber(settings.bollinger.deviations, 1)})`}
+            />
+          )}
+          {settings.bollinger.enabled && (
+            <Line
+              type="monotone"
+              dataKey="bollingerLower"
+              stroke="#a78bfa"
+              strokeWidth={1}
+              dot={false}
+              isAnimationActive={false}
+              name="Bollinger inferior"
+            />
+          )}
+          {settings.sma.enabled && (
+            <Line
+              type="monotone"
+              dataKey="sma"
+              stroke="#22d3ee"
+              strokeWidth={1.5}
+              dot={false}
+              isAnimationActive={false}
+              name={`SMA ${settings.sma.period}`}
+            />
+          )}
+          {settings.ema.enabled && (
+            <Line
+              type="monotone"
+              dataKey="ema"
+              stroke="#facc15"
+              strokeWidth={1.5}
+              dot={false}
+              isAnimationActive={false}
+              name={`EMA ${settings.ema.period}`}
+            />
+          )}
+          {purchasePrice > 0 && (
+            <ReferenceLine
+              y={purchasePrice}
+              stroke="#f59e0b"
+              strokeDasharray="6 4"
+              ifOverflow="extendDomain"
+              label={{
+                value: `PPC ${formatPrice(purchasePrice)}`,
+                position: 'insideTopLeft',
+                fill: '#f59e0b',
+                fontSize: 11,
+              }}
+            />
+          )}
+          {alerts.map((alert) => (
+            <ReferenceLine
+              key={alert.id}
+              y={alert.alertPrice}
+              stroke="#ec4899"
+              strokeDasharray="2 4"
+              ifOverflow="extendDomain"
+              label={{
+                value: `Alerta ${formatPrice(alert.alertPrice)}`,
+                position: 'insideBottomRight',
+                fill: '#ec4899',
+                fontSize: 11,
+              }}
+            />
+          ))}
+          {hasTradeMarkers && (
+            <Line
+              type="monotone"
+              dataKey="buy"
+              stroke="none"
+              dot={{ r: 5, fill: UP_COLOR, stroke: '#1a1a1a', strokeWidth: 1 }}
+              activeDot={{ r: 7, fill: UP_COLOR }}
+              isAnimationActive={false}
+              legendType="circle"
+              name="Compras"
+            />
+          )}
+          {hasTradeMarkers && (
+            <Line
+              type="monotone"
+              dataKey="sell"
+              stroke="none"
+              dot={{ r: 5, fill: DOWN_COLOR, stroke: '#1a1a1a', strokeWidth: 1 }}
+              activeDot={{ r: 7, fill: DOWN_COLOR }}
+              isAnimationActive={false}
+              legendType="circle"
+              name="Ventas"
+            />
+          )}
+        </ComposedChart>
+      </ResponsiveContainer>
+
+      {/* Volumen */}
+      {showVolume && (
+        <div className={styles.subChart}>
+          <span className={styles.subChartTitle}>Volumen</span>
+          <ResponsiveContainer width="100%" height={100}>
+            <BarChart data={chartPoints} syncId={syncId} margin={{ top: 5, right: 20, left: 10, bottom: 5 }}>
+              <XAxis dataKey="date" hide />
+              <YAxis
+                stroke="rgba(255, 255, 255, 0.6)"
+                style={{ fontSize: '0.7rem' }}
+                tickFormatter={(value) => value.toLocaleString('es-AR', { notation: 'compact' })}
+              />
+              <Tooltip
+                contentStyle={TOOLTIP_STYLE}
+                formatter={(value) => [value.toLocaleString('es-AR'), 'Volumen']}
+                labelFormatter={(label) => `Fecha: ${label}`}
+              />
+              <Bar dataKey="volume" isAnimationActive={false}>
+                {chartPoints.map((point) => (
+                  <Cell
+                    key={point.fullDate.getTime()}
+                    fill={point.close >= point.open ? 'rgba(74, 222, 128, 0.5)' : 'rgba(239, 68, 68, 0.5)'}
+                  />
+                ))}
+              </Bar>
+            </BarChart>
+          </ResponsiveContainer>
+        </div>
+      )}
+
+      {/* RSI */}
+      {settings.rsi.enabled && (
+        <div className={styles.subChart}>
+          <span className={styles.subChartTitle}>RSI {settings.rsi.period}</span>
+          <ResponsiveContainer width="100%" height={120}>
+            <LineChart data={chartPoints} syncId={syncId} margin={{ top: 5, right: 20, left: 10, bottom: 5 }}>
+              <CartesianGrid strokeDasharray="3 3" stroke="rgba(255, 255, 255, 0.1)" />
+              <XAxis dataKey="date" hide />
+              <YAxis
+                domain={[0, 100]}
+                ticks={[30, 70]}
+                stroke="rgba(255, 255, 255, 0.6)"
+                style={{ fontSize: '0.7rem' }}
+              />
+              <Tooltip
+                contentStyle={TOOLTIP_STYLE}
+                formatter={(value) => [formatNumber(value), 'RSI']}
+                labelFormatter={(label) => `Fecha: ${label}`}
+              />
+              <ReferenceLine y={70} stroke={DOWN_COLOR} strokeDasharray="3 3" />
+              <ReferenceLine y={30} stroke={UP_COLOR} strokeDasharray="3 3" />
+              <Line type="monotone" dataKey="rsi" stroke="#f472b6" strokeWidth={1.5} dot={false} isAnimationActive={false} />
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+      )}
+
+      {/* MACD */}
+      {settings.macd.enabled && (
+        <div className={styles.subChart}>
+          <span className={styles.subChartTitle}>
+            MACD {settings.macd.fast}, {settings.macd.slow}, {settings.macd.signal}
+          </span>
+          <ResponsiveContainer width="100%" height={140}>
+            <ComposedChart data={chartPoints} syncId={syncId} margin={{ top: 5, right: 20, left: 10, bottom: 5 }}>
+              <CartesianGrid strokeDasharray="3 3" stroke="rgba(255, 255, 255, 0.1)" />
+              <XAxis dataKey="date" hide />
+              <YAxis
+                stroke="rgba(255, 255, 255, 0.6)"
+                style={{ fontSize: '0.7rem' }}
+                tickFormatter={(value) => formatNumber(value)}
+              />
+              <Tooltip
+                contentStyle={TOOLTIP_STYLE}
+                formatter={(value, name) => [formatNumber(value), name]}
+                labelFormatter={(label) => `Fecha: ${label}`}
+              />
+              <ReferenceLine y={0} stroke="rgba(255, 255, 255, 0.3)" />
+              <Bar dataKey="macdHistogram" isAnimationActive={false} name="Histograma">
+                {chartPoints.map((point) => (
+                  <Cell
+                    key={point.fullDate.getTime()}
+                    fill={point.macdHistogram >= 0 ? 'rgba(74, 222, 128, 0.6)' : 'rgba(239, 68, 68, 0.6)'}
+                  />
+                ))}
+              </Bar>
+              <Line type="monotone" dataKey="macd" stroke="#646cff" strokeWidth={1.5} dot={false} isAnimationActive={false} name="MACD" />
+              <Line type="monotone" dataKey="macdSignal" stroke="#f59e0b" strokeWidth={1.5} dot={false} isAnimationActive={false} name="Señal" />
+            </ComposedChart>
+          </ResponsiveContainer>
+        </div>
+      )}
+    </div>
+  );
+};
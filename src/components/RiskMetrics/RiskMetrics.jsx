@@ -0,0 +1,157 @@
+import { useState } from 'react';
+import { supabase } from '../../lib/supabase';
+import { useSessionStore } from '../../store/sessionStore';
+import styles from './RiskMetrics.module.css';
+
+/**
+ * Formatear un número con dos decimales, o "—" si no se pudo calcular
+ */
+const formatNumber = (value) =>
+  value === null || value === undefined
+    ? '—'
+    : value.toLocaleString('es-AR', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+const formatPercent = (value) => (value === null || value === undefined ? '—' : `${formatNumber(value)}%`);
+
+/**
+ * MÉTRICAS DE RIESGO
+ *
+ * Muestra volatilidad, máxima caída, Sharpe, Sortino y beta de la cartera y
+ * de cada activo (ver src/lib/risk.js y useRiskMetrics). La tasa libre de
+ * riesgo se edita acá y se guarda en user_metadata.risk_free_rate.
+ *
+ * @param {Object} props
+ * @param {Object} props.riskMetrics - Resultado de useRiskMetrics
+ */
+export const RiskMetrics = ({ riskMetrics }) => {
+  const { portfolio, byAsset, benchmarkSymbol, riskFreeRate, isLoadingBenchmark, benchmarkError } = riskMetrics;
+  const setUser = useSessionStore((state) => state.setUser);
+  const [rateInput, setRateInput] = useState('');
+  const [isSavingRate, setIsSavingRate] = useState(false);
+
+  const handleRateSubmit = async (e) => {
+    e.preventDefault();
+    const rate = parseFloat(rateInput.replace(',', '.'));
+    if (!Number.isFinite(rate) || rate < 0 || rate > 100) {
+      alert('La tasa libre de riesgo debe estar entre 0 y 100');
+      return;
+    }
+
+    setIsSavingRate(true);
+    const { data, error } = await supabase.auth.updateUser({
+      data: { risk_free_rate: rate },
+    });
+    setIsSavingRate(false);
+
+    if (error) {
+      console.error('Error al guardar la tasa libre de riesgo:', error);
+      alert('No se pudo guardar la tasa libre de riesgo');
+      return;
+    }
+    if (data.user) {
+      setUser(data.user);
+    }
+    setRateInput('');
+  };
+
+  const betaLabel = `Beta vs. ${benchmarkSymbol}`;
+  const betaHint = isLoadingBenchmark
+    ? `Cargando ${benchmarkSymbol}...`
+    : benchmarkError || 'El benchmark se elige en la curva de capital (Vs. benchmark)';
+
+  return (
+    <div className={styles.riskMetrics}>
+      <div className={styles.header}>
+        <h3 className={styles.title}>Métricas de riesgo</h3>
+        <form className={styles.rateForm} onSubmit={handleRateSubmit}>
+          <label htmlFor="risk-free-rate" className={styles.rateLabel}>
+            Tasa libre de riesgo: {formatPercent(riskFreeRate)} anual
+          </label>
+          <input
+            id="risk-free-rate"
+            type="number"
+            step="0.01"
+            min="0"
+            max="100"
+            value={rateInput}
+            onChange={(e) => setRateInput(e.target.value)}
+            placeholder="Nueva tasa %"
+            className={styles.rateInput}
+          />
+          <button type="submit" className={styles.rateButton} disabled={isSavingRate || !rateInput}>
+            {isSavingRate ? 'Guardando...' : 'Guardar'}
+          </button>
+        </form>
+      </div>
+
+      {portfolio ? (
+        <>
+          <div className={styles.metricsGrid}>
+            <div className={styles.metric}>
+              <span className={styles.metricLabel}>Volatilidad anual</span>
+              <span className={styles.metricValue}>{formatPercent(portfolio.volatility)}</span>
+            </div>
+            <div className={styles.metric}>
+              <span className={styles.metricLabel}>Máxima caída</span>
+              <span className={`${styles.metricValue} ${portfolio.drawdown ? styles.negative : ''}`}>
+                {portfolio.drawdown ? formatPercent(portfolio.drawdown.maxDrawdown) : '—'}
+              </span>
+              {portfolio.drawdown && (
+                <span className={styles.metricDetail}>
+                  {portfolio.drawdown.peakDate} → {portfolio.drawdown.troughDate}
+                  {portfolio.drawdown.recoveryDate
+                    ? ` · recuperada el ${portfolio.drawdown.recoveryDate}`
+                    : ' · sin recuperar'}
+                </span>
+              )}
+            </div>
+            <div className={styles.metric}>
+              <span className={styles.metricLabel}>Sharpe</span>
+              <span className={styles.metricValue}>{formatNumber(portfolio.sharpe)}</span>
+            </div>
+            <div className={styles.metric}>
+              <span className={styles.metricLabel}>Sortino</span>
+              <span className={styles.metricValue}>{formatNumber(portfolio.sortino)}</span>
+            </div>
+            <div className={styles.metric}>
+              <span className={styles.metricLabel}>{betaLabel}</span>
+              <span className={styles.metricValue}>{formatNumber(portfolio.beta)}</span>
+              <span className={styles.metricDetail}>{betaHint}</span>
+            </div>
+          </div>
+          <p className={styles.hint}>
+            Calculadas con {portfolio.observations} valuaciones diarias entre el {portfolio.startDate} y el{' '}
+            {portfolio.endDate}, sobre el rendimiento ponderado por tiempo (los depósitos y retiros no cuentan).
+          </p>
+        </>
+      ) : (
+        <div className={styles.noData}>
+          Hacen falta al menos tres valuaciones diarias para calcular las métricas de riesgo.
+        </div>
+      )}
+
+      {byAsset.length > 0 && (
+        <div className={styles.assetTable}>
+          <div className={styles.assetHeader}>
+            <span>Activo</span>
+            <span>Volatilidad</span>
+            <span>Máx. caída</span>
+            <span>Sharpe</span>
+            <span>{betaLabel}</span>
+          </div>
+          {byAsset.map((item) => (
+            <div key={item.assetId} className={styles.assetRow}>
+              <span title={item.name}>{item.symbol}</span>
+              <span>{formatPercent(item.metrics.volatility)}</span>
+              <span className={item.metrics.drawdown ? styles.negative : ''}>
+                {item.metrics.drawdown ? formatPercent(item.metrics.drawdown.maxDrawdown) : '—'}
+              </span>
+              <span>{formatNumber(item.metrics.sharpe)}</span>
+              <span>{formatNumber(item.metrics.beta)}</span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
@@ -5,21 +5,232 @@ import * as XLSX from 'xlsx';
 import jsPDF from 'jspdf';
 import autoTable from 'jspdf-autotable';
 import html2canvas from 'html2canvas';
-import { CURRENCY_SYMBOL } from '../../constants';
+import {
+  CASH_MOVEMENT_TYPES,
+  COST_BASIS_METHODS,
+  DEFAULT_COST_BASIS_METHOD,
+  DEFAULT_CURRENCY,
+  SUMMARY_TIMEFRAMES,
+} from '../../constants';
 import { useModal } from '../../hooks/useModal';
+import { useRiskMetrics } from '../../hooks/useRiskMetrics';
+import { EquityCurve } from '../EquityCurve/EquityCurve';
+import { RiskMetrics } from '../RiskMetrics/RiskMetrics';
+import { getTodayDate } from '../../lib/ledger';
+import { getCurrencySymbol } from '../../lib/fx';
+import { formatUpdatedAt } from '../../lib/marketDataCache';
+import { calculatePeriodProfitByAsset, getTimeframeStartDate } from '../../lib/snapshots';
+import { useCashStore } from '../../store/cashStore';
+import { useSessionStore } from '../../store/sessionStore';
+import { useSnapshotsStore } from '../../store/snapshotsStore';
+import { useTransactionsStore } from '../../store/transactionsStore';
 import styles from './Summary.module.css';
 
-export const Summary = ({ totalValue, totalInvestment, totalProfit, assets }) => {
+export const Summary = ({
+  totalValue,
+  totalInvestment,
+  totalProfit,
+  totalUnrealizedProfit = totalProfit,
+  totalRealizedProfit = 0,
+  totalFxProfit = 0,
+  totalPriceProfit = totalUnrealizedProfit - totalFxProfit,
+  realizedProfitByAsset = {},
+  costBasisMethod = DEFAULT_COST_BASIS_METHOD,
+  totalIncome = { gross: 0, withholdingTax: 0, net: 0 },
+  incomeByAsset = {},
+  feesByBroker = [],
+  cashBalances = [],
+  totalCash = 0,
+  timeWeightedReturn = null,
+  moneyWeightedReturn = null,
+  cashFlows = [],
+  assets,
+  unconvertedCurrencies = [],
+  baseCurrency = DEFAULT_CURRENCY,
+  fxRateDescription = '',
+}) => {
   const { isOpen: showDetailModal, openModal: openDetailModal, closeModal: closeDetailModal } = useModal(false);
   const { isOpen: showExportModal, openModal: openExportModal, closeModal: closeExportModal } = useModal(false);
+  const { isOpen: showCashModal, openModal: openCashModal, closeModal: closeCashModal } = useModal(false);
+  const [cashForm, setCashForm] = useState({ broker: '', currency: DEFAULT_CURRENCY, type: 'adjust', amount: '', date: '' });
+  const [isSavingCash, setIsSavingCash] = useState(false);
+  const user = useSessionStore((state) => state.user);
+  const cashMovements = useCashStore((state) => state.cashMovements);
+  const addCashMovement = useCashStore((state) => state.addCashMovement);
+  const deleteCashMovement = useCashStore((state) => state.deleteCashMovement);
   const [timeframe, setTimeframe] = useState('todo'); // diario, 3dias, semanal, mensual, trimestral, semestral, anual, todo
   const chartRef = useRef(null);
+  const snapshots = useSnapshotsStore((state) => state.snapshots);
+  const riskMetrics = useRiskMetrics({ assets, totalValue, cashFlows });
+  const transactions = useTransactionsStore((state) => state.transactions);
+
+  // Ganancia de cada activo en la temporalidad elegida (null = todo el tiempo o sin fotos)
+  const periodProfit = useMemo(
+    () =>
+      calculatePeriodProfitByAsset(
+        assets,
+        snapshots,
+        transactions,
+        costBasisMethod,
+        getTimeframeStartDate(timeframe)
+      ),
+    [assets, snapshots, transactions, costBasisMethod, timeframe]
+  );
 
   const profitPercentage =
     totalInvestment > 0 ? ((totalProfit / totalInvestment) * 100).toFixed(2) : 0;
 
   const isProfit = totalProfit >= 0;
 
+  // Los totales vienen en la moneda base; las cuentas de efectivo, en su moneda
+  const currencySymbol = getCurrencySymbol(baseCurrency);
+  // El dólar usado para los pesos solo se muestra si la cartera tiene pesos
+  const hasPesos =
+    baseCurrency === 'ARS' ||
+    assets.some((asset) => asset.nativeCurrency === 'ARS') ||
+    cashBalances.some((account) => account.currency === 'ARS');
+
+  // El precio más viejo de la cartera: hasta ahí se puede confiar en el valor total
+  const oldestPriceUpdatedAt = assets.reduce(
+    (oldest, asset) =>
+      asset.quantity > 0 && asset.priceUpdatedAt && (!oldest || asset.priceUpdatedAt < oldest)
+        ? asset.priceUpdatedAt
+        : oldest,
+    null
+  );
+
+  // Formatear un monto con signo (+$1.234,56 / -$1.234,56)
+  const formatSignedAmount = (amount) => {
+    const formatted = Math.abs(amount).toLocaleString('es-AR', {
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 2,
+    });
+    return `${amount >= 0 ? '+' : '-'}${currencySymbol}${formatted}`;
+  };
+
+  // Formatear un porcentaje con signo (+12,34% / -12,34%)
+  const formatSignedPercent = (percent) => {
+    const formatted = Math.abs(percent).toLocaleString('es-AR', {
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 2,
+    });
+    return `${percent >= 0 ? '+' : '-'}${formatted}%`;
+  };
+
+  // Formatear un monto sin signo ($1.234,56), en la moneda base o en la indicada
+  const formatAmount = (amount, currency) => {
+    const symbol = currency ? getCurrencySymbol(currency) : currencySymbol;
+    return `${symbol}${amount.toLocaleString('es-AR', {
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 2,
+    })}`;
+  };
+
+  // Comisiones pagadas en total (ya están incluidas en el costo y en lo cobrado)
+  const totalFees = useMemo(() => {
+    return feesByBroker.reduce((total, item) => total + item.total, 0);
+  }, [feesByBroker]);
+
+  // Brokers conocidos (para sugerirlos al cargar una cuenta de efectivo)
+  const knownBrokers = useMemo(() => {
+    const names = new Set();
+    assets.forEach((asset) => {
+      (asset.brokers || []).forEach((b) => {
+        if (b.broker) names.add(b.broker);
+      });
+    });
+    cashBalances.forEach((account) => {
+      if (account.broker) names.add(account.broker);
+    });
+    return [...names].sort((a, b) => a.localeCompare(b));
+  }, [assets, cashBalances]);
+
+  // Movimientos manuales de efectivo (del más reciente al más antiguo)
+  const sortedCashMovements = useMemo(() => {
+    return [...cashMovements].sort(
+      (a, b) => (b.date || '').localeCompare(a.date || '') || (b.id || 0) - (a.id || 0)
+    );
+  }, [cashMovements]);
+
+  const handleOpenCashModal = () => {
+    setCashForm({ broker: knownBrokers[0] || '', currency: DEFAULT_CURRENCY, type: 'adjust', amount: '', date: getTodayDate() });
+    openCashModal();
+  };
+
+  const handleCashChange = (field, value) => {
+    setCashForm((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const handleCashSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!user?.id) {
+      alert('Debes iniciar sesión para registrar efectivo');
+      return;
+    }
+
+    if (!cashForm.date || cashForm.date > getTodayDate()) {
+      alert('La fecha no puede ser futura');
+      return;
+    }
+
+    const amount = parseFloat(cashForm.amount);
+    if (cashForm.type !== 'adjust' && !(amount > 0)) {
+      alert('El monto del depósito o retiro debe ser mayor a 0');
+      return;
+    }
+
+    setIsSavingCash(true);
+    const result = await addCashMovement(
+      {
+        broker: cashForm.broker.trim(),
+        currency: cashForm.currency.trim().toUpperCase(),
+        type: cashForm.type,
+        amount,
+        date: cashForm.date,
+      },
+      user.id
+    );
+    setIsSavingCash(false);
+
+    if (result.success) {
+      setCashForm((prev) => ({ ...prev, amount: '' }));
+    } else {
+      alert(result.error || 'Error al registrar el movimiento');
+    }
+  };
+
+  const handleDeleteCashMovement = async (movementId) => {
+    if (!user?.id) return;
+    const result = await deleteCashMovement(movementId, user.id);
+    if (!result.success) {
+      alert(result.error || 'Error al eliminar el movimiento');
+    }
+  };
+
+  // Desglose por activo: ganancia realizada (ventas), no realizada (lo que se tiene)
+  // e ingresos netos (dividendos, cupones, intereses, staking)
+  const profitByAsset = useMemo(() => {
+    return assets
+      .map((asset) => {
+        const unrealized = asset.quantity * (asset.currentPrice - asset.purchasePrice);
+        const realized = realizedProfitByAsset[asset.id] || 0;
+        const income = incomeByAsset[asset.id]?.net || 0;
+        return {
+          id: asset.id,
+          symbol: asset.symbol,
+          name: asset.name,
+          realized,
+          unrealized,
+          fx: asset.fxProfit || 0,
+          income,
+          total: realized + unrealized + income,
+        };
+      })
+      .filter((item) => item.realized !== 0 || item.unrealized !== 0 || item.income !== 0)
+      .sort((a, b) => b.total - a.total);
+  }, [assets, realizedProfitByAsset, incomeByAsset]);
+
   const getTypeLabel = (type) => {
     if (!type) return 'Desconocido';
     
@@ -68,6 +279,9 @@ export const Summary = ({ totalValue, totalInvestment, totalProfit, assets }) =>
       fixed: 'Bonos',
       income: 'Bonos',
       
+      cedear: 'CEDEARs',
+      cedears: 'CEDEARs',
+      
       // Otros tipos posibles
       option: 'Opciones',
       options: 'Opciones',
@@ -112,7 +326,10 @@ export const Summary = ({ totalValue, totalInvestment, totalProfit, assets }) =>
     assets.forEach((asset) => {
       const totalValue = asset.quantity * asset.currentPrice;
       const totalInvestment = asset.quantity * asset.purchasePrice;
-      const profit = totalValue - totalInvestment;
+      // Con una temporalidad elegida, la ganancia es la del período (ver src/lib/snapshots.js)
+      const profit = periodProfit
+        ? periodProfit.profitByAsset[asset.id] || 0
+        : totalValue - totalInvestment;
 
       // Obtener el tipo del asset tal como viene de la base de datos
       const assetType = asset.type || 'stock';
@@ -136,6 +353,11 @@ export const Summary = ({ totalValue, totalInvestment, totalProfit, assets }) =>
       group.value += totalValue; // Sumar el valor total, no la ganancia/pérdida
     });
 
+    // El efectivo de los brokers es una porción más (no tiene ganancia/pérdida)
+    if (totalCash > 0) {
+      grouped.set('Efectivo', { profit: 0, value: totalCash, label: 'Efectivo' });
+    }
+
     // Convertir a array para el gráfico
     // Usar el valor total del portfolio (value) en lugar de ganancia/pérdida absoluta
     return Array.from(grouped.values())
@@ -146,7 +368,19 @@ export const Summary = ({ totalValue, totalInvestment, totalProfit, assets }) =>
         isProfit: data.profit >= 0,
       }))
       .filter((item) => item.value > 0); // Solo mostrar tipos con valor
-  }, [assets]);
+  }, [assets, totalCash, periodProfit]);
+
+  // Total contra el que se calcula el porcentaje de cada tipo en las exportaciones
+  const chartTotalProfit = periodProfit
+    ? profitByType.reduce((total, item) => total + item.profit, 0)
+    : totalProfit;
+
+  // Descripción de la temporalidad (para el detalle y el PDF)
+  const timeframeDescription = (() => {
+    if (timeframe === 'todo') return SUMMARY_TIMEFRAMES.todo.label;
+    if (!periodProfit) return `${SUMMARY_TIMEFRAMES[timeframe].label} (sin fotos diarias: todo el tiempo)`;
+    return `${SUMMARY_TIMEFRAMES[timeframe].label} (desde el ${periodProfit.baseDate}${periodProfit.isPartial ? ', historial incompleto' : ''})`;
+  })();
 
   // Colores únicos para cada tipo de asset
   const TYPE_COLORS = {
@@ -160,6 +394,7 @@ export const Summary = ({ totalValue, totalInvestment, totalProfit, assets }) =>
     'Commodities': '#f97316',
     'Forex': '#84cc16',
     'Real Estate': '#a855f7',
+    'Efectivo': '#14b8a6',
     'Desconocido': '#6b7280',
     'Otros': '#6b7280',
   };
@@ -188,16 +423,60 @@ export const Summary = ({ totalValue, totalInvestment, totalProfit, assets }) =>
     const data = profitByType.map((item) => ({
       Tipo: item.name,
       'Ganancia/Pérdida': item.profit >= 0 
-        ? `+${CURRENCY_SYMBOL}${Math.abs(item.profit).toFixed(2)}` 
-        : `-${CURRENCY_SYMBOL}${Math.abs(item.profit).toFixed(2)}`,
+        ? `+${currencySymbol}${Math.abs(item.profit).toFixed(2)}` 
+        : `-${currencySymbol}${Math.abs(item.profit).toFixed(2)}`,
       'Valor Absoluto': Math.abs(item.profit),
-      'Porcentaje': `${((item.profit / totalProfit) * 100).toFixed(2)}%`,
+      'Porcentaje': `${((item.profit / chartTotalProfit) * 100).toFixed(2)}%`,
       Estado: item.isProfit ? 'Ganancia' : 'Pérdida',
     }));
 
     const ws = XLSX.utils.json_to_sheet(data);
     const wb = XLSX.utils.book_new();
     XLSX.utils.book_append_sheet(wb, ws, 'Ganancia_Perdida');
+
+    // Hoja con el desglose realizada / no realizada por activo
+    const assetData = profitByAsset.map((item) => ({
+      Activo: item.symbol,
+      Nombre: item.name,
+      Realizada: Number(item.realized.toFixed(2)),
+      'No realizada': Number(item.unrealized.toFixed(2)),
+      'De tipo de cambio': Number(item.fx.toFixed(2)),
+      'Ingresos netos': Number(item.income.toFixed(2)),
+      Total: Number(item.total.toFixed(2)),
+      'Método de Costo': COST_BASIS_METHODS[costBasisMethod],
+      'Moneda base': baseCurrency,
+      'Tipo de cambio': fxRateDescription,
+    }));
+    assetData.push({
+      Activo: 'TOTAL',
+      Nombre: '',
+      Realizada: Number(totalRealizedProfit.toFixed(2)),
+      'No realizada': Number(totalUnrealizedProfit.toFixed(2)),
+      'De tipo de cambio': Number(totalFxProfit.toFixed(2)),
+      'Ingresos netos': Number(totalIncome.net.toFixed(2)),
+      Total: Number(totalProfit.toFixed(2)),
+      'Método de Costo': COST_BASIS_METHODS[costBasisMethod],
+      'Moneda base': baseCurrency,
+      'Tipo de cambio': fxRateDescription,
+    });
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(assetData), 'Por_Activo');
+
+    // Hoja con las comisiones pagadas en cada broker
+    const feeData = feesByBroker.map((item) => ({
+      Broker: item.broker || 'Sin broker',
+      'Comisiones compras': Number(item.buyFees.toFixed(2)),
+      'Comisiones ventas': Number(item.sellFees.toFixed(2)),
+      Operaciones: item.trades,
+      Total: Number(item.total.toFixed(2)),
+    }));
+    feeData.push({
+      Broker: 'TOTAL',
+      'Comisiones compras': Number(feesByBroker.reduce((total, item) => total + item.buyFees, 0).toFixed(2)),
+      'Comisiones ventas': Number(feesByBroker.reduce((total, item) => total + item.sellFees, 0).toFixed(2)),
+      Operaciones: feesByBroker.reduce((total, item) => total + item.trades, 0),
+      Total: Number(totalFees.toFixed(2)),
+    });
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(feeData), 'Comisiones');
     XLSX.writeFile(wb, `ganancia_perdida_${timeframe}.xlsx`);
     closeExportModal();
   };
@@ -209,22 +488,32 @@ export const Summary = ({ totalValue, totalInvestment, totalProfit, assets }) =>
     doc.setFontSize(16);
     doc.text('Detalle de Ganancia/Pérdida', 14, 15);
     doc.setFontSize(12);
-    doc.text(`Temporalidad: ${timeframe === 'todo' ? 'Todo el tiempo' : timeframe}`, 14, 25);
+    doc.text(`Temporalidad: ${timeframeDescription}`, 14, 25);
+    doc.setFontSize(10);
+    doc.text(
+      `Método de costo: ${COST_BASIS_METHODS[costBasisMethod]} · Moneda base: ${baseCurrency} · ` +
+        `Ganancia por tipo de cambio: ${formatSignedAmount(totalFxProfit)}`,
+      14,
+      31
+    );
+    if (fxRateDescription) {
+      doc.text(`Tipo de cambio: ${fxRateDescription}`, 14, 36);
+    }
 
     // Preparar datos para la tabla
     const tableData = profitByType.map((item) => [
       item.name,
       item.profit >= 0 
-        ? `+${CURRENCY_SYMBOL}${Math.abs(item.profit).toFixed(2)}` 
-        : `-${CURRENCY_SYMBOL}${Math.abs(item.profit).toFixed(2)}`,
-      `${((item.profit / totalProfit) * 100).toFixed(2)}%`,
+        ? `+${currencySymbol}${Math.abs(item.profit).toFixed(2)}` 
+        : `-${currencySymbol}${Math.abs(item.profit).toFixed(2)}`,
+      `${((item.profit / chartTotalProfit) * 100).toFixed(2)}%`,
       item.isProfit ? 'Ganancia' : 'Pérdida',
     ]);
 
     const tableResult = autoTable(doc, {
       head: [['Tipo', 'Ganancia/Pérdida', 'Porcentaje', 'Estado']],
       body: tableData,
-      startY: 35,
+      startY: fxRateDescription ? 40 : 35,
       styles: { fontSize: 9 },
       headStyles: { fillColor: [26, 26, 26] },
       alternateRowStyles: { fillColor: [42, 42, 42] },
@@ -261,6 +550,61 @@ export const Summary = ({ totalValue, totalInvestment, totalProfit, assets }) =>
       }
     }
 
+    // Métricas de riesgo (cartera y activos) en una página aparte
+    const formatMetric = (value, suffix = '') =>
+      value === null || value === undefined ? '—' : `${value.toFixed(2)}${suffix}`;
+    const { portfolio: riskPortfolio, byAsset: riskByAsset, benchmarkSymbol, riskFreeRate } = riskMetrics;
+
+    doc.addPage();
+    doc.setFontSize(14);
+    doc.text('Métricas de riesgo', 14, 15);
+    doc.setFontSize(10);
+    doc.text(`Tasa libre de riesgo: ${riskFreeRate.toFixed(2)}% anual · Benchmark: ${benchmarkSymbol}`, 14, 22);
+
+    if (riskPortfolio) {
+      const drawdown = riskPortfolio.drawdown;
+      autoTable(doc, {
+        head: [['Métrica', 'Cartera']],
+        body: [
+          ['Período', `${riskPortfolio.startDate} a ${riskPortfolio.endDate} (${riskPortfolio.observations} valuaciones)`],
+          ['Volatilidad anual', formatMetric(riskPortfolio.volatility, '%')],
+          [
+            'Máxima caída',
+            drawdown
+              ? `${formatMetric(drawdown.maxDrawdown, '%')} (${drawdown.peakDate} a ${drawdown.troughDate}${drawdown.recoveryDate ? `, recuperada el ${drawdown.recoveryDate}` : ', sin recuperar'})`
+              : '—',
+          ],
+          ['Sharpe', formatMetric(riskPortfolio.sharpe)],
+          ['Sortino', formatMetric(riskPortfolio.sortino)],
+          [`Beta vs. ${benchmarkSymbol}`, formatMetric(riskPortfolio.beta)],
+        ],
+        startY: 28,
+        styles: { fontSize: 9 },
+        headStyles: { fillColor: [26, 26, 26] },
+        alternateRowStyles: { fillColor: [42, 42, 42] },
+      });
+    } else {
+      doc.text('Hacen falta al menos tres valuaciones diarias para calcular las métricas.', 14, 30);
+    }
+
+    if (riskByAsset.length > 0) {
+      autoTable(doc, {
+        head: [['Activo', 'Volatilidad', 'Máx. caída', 'Sharpe', 'Sortino', `Beta vs. ${benchmarkSymbol}`]],
+        body: riskByAsset.map((item) => [
+          item.symbol,
+          formatMetric(item.metrics.volatility, '%'),
+          formatMetric(item.metrics.drawdown?.maxDrawdown ?? null, '%'),
+          formatMetric(item.metrics.sharpe),
+          formatMetric(item.metrics.sortino),
+          formatMetric(item.metrics.beta),
+        ]),
+        startY: riskPortfolio && doc.lastAutoTable ? doc.lastAutoTable.finalY + 10 : 36,
+        styles: { fontSize: 9 },
+        headStyles: { fillColor: [26, 26, 26] },
+        alternateRowStyles: { fillColor: [42, 42, 42] },
+      });
+    }
+
     doc.save(`ganancia_perdida_${timeframe}.pdf`);
     closeExportModal();
   };
@@ -294,17 +638,56 @@ export const Summary = ({ totalValue, totalInvestment, totalProfit, assets }) =>
       <div className={styles.card}>
         <div className={styles.label}>Valor Total</div>
         <div className={styles.value}>
-          {CURRENCY_SYMBOL}
+          {currencySymbol}
           {totalValue.toLocaleString('es-AR', {
             minimumFractionDigits: 2,
             maximumFractionDigits: 2,
           })}
         </div>
+        {((hasPesos && fxRateDescription) || oldestPriceUpdatedAt || unconvertedCurrencies.length > 0) && (
+          <div className={styles.profitSplit}>
+            {hasPesos && fxRateDescription && <span>{fxRateDescription}</span>}
+            {unconvertedCurrencies.length > 0 && (
+              <span className={styles.fxWarning}>
+                Sin tipo de cambio para {unconvertedCurrencies.join(', ')}: no suman en los totales
+              </span>
+            )}
+            {oldestPriceUpdatedAt && (
+              <span title={new Date(oldestPriceUpdatedAt).toLocaleString('es-AR')}>
+                Precios actualizados {formatUpdatedAt(oldestPriceUpdatedAt)}
+              </span>
+            )}
+          </div>
+        )}
+      </div>
+      <div className={styles.card}>
+        <div className={styles.label}>Efectivo</div>
+        <div className={styles.value}>
+          {currencySymbol}
+          {totalCash.toLocaleString('es-AR', {
+            minimumFractionDigits: 2,
+            maximumFractionDigits: 2,
+          })}
+        </div>
+        <div className={styles.profitSplit}>
+          <span>
+            {cashBalances.length === 0
+              ? 'Sin cuentas cargadas'
+              : `${cashBalances.length} ${cashBalances.length === 1 ? 'cuenta' : 'cuentas'}`}
+          </span>
+        </div>
+        <button
+          type="button"
+          onClick={handleOpenCashModal}
+          className={styles.detailButton}
+        >
+          Gestionar
+        </button>
       </div>
       <div className={styles.card}>
         <div className={styles.label}>Inversión Total</div>
         <div className={styles.value}>
-          {CURRENCY_SYMBOL}
+          {currencySymbol}
           {totalInvestment.toLocaleString('es-AR', {
             minimumFractionDigits: 2,
             maximumFractionDigits: 2,
@@ -315,7 +698,7 @@ export const Summary = ({ totalValue, totalInvestment, totalProfit, assets }) =>
         <div className={styles.label}>Ganancia/Pérdida</div>
         <div className={styles.value}>
           {isProfit ? '+' : ''}
-          {CURRENCY_SYMBOL}
+          {currencySymbol}
           {totalProfit.toLocaleString('es-AR', {
             minimumFractionDigits: 2,
             maximumFractionDigits: 2,
@@ -324,6 +707,23 @@ export const Summary = ({ totalValue, totalInvestment, totalProfit, assets }) =>
         <div className={styles.percentage}>
           {isProfit ? '+' : ''}
           {profitPercentage}%
+          {timeWeightedReturn && (
+            <span
+              className={styles.twr}
+              title={`Rendimiento ponderado por tiempo desde ${timeWeightedReturn.startDate}`}
+            >
+              {' · TWR '}
+              {formatSignedPercent(timeWeightedReturn.twr)}
+            </span>
+          )}
+        </div>
+        <div className={styles.profitSplit}>
+          <span>Realizada: {formatSignedAmount(totalRealizedProfit)}</span>
+          <span title={`Precio ${formatSignedAmount(totalPriceProfit)} · Tipo de cambio ${formatSignedAmount(totalFxProfit)}`}>
+            No realizada: {formatSignedAmount(totalUnrealizedProfit)}
+          </span>
+          {totalFxProfit !== 0 && <span>Tipo de cambio: {formatSignedAmount(totalFxProfit)}</span>}
+          <span>Ingresos: {formatSignedAmount(totalIncome.net)}</span>
         </div>
         <button
           type="button"
@@ -334,6 +734,193 @@ export const Summary = ({ totalValue, totalInvestment, totalProfit, assets }) =>
         </button>
       </div>
 
+      <EquityCurve
+        totalValue={totalValue}
+        marketValue={totalValue - totalCash}
+        invested={totalInvestment}
+        cashFlows={cashFlows}
+        costBasisMethod={costBasisMethod}
+        baseCurrency={baseCurrency}
+      />
+
+      <RiskMetrics riskMetrics={riskMetrics} />
+
+      {showCashModal &&
+        createPortal(
+          <div
+            className={styles.modalOverlay}
+            role="dialog"
+            aria-modal="true"
+            aria-label="Efectivo por broker"
+            onClick={(e) => {
+              if (e.target === e.currentTarget) {
+                closeCashModal();
+              }
+            }}
+            onKeyDown={(e) => {
+              if (e.key === 'Escape') {
+                closeCashModal();
+              }
+            }}
+          >
+            <div className={styles.modalContent}>
+              <h3 className={styles.modalTitle}>Efectivo por broker</h3>
+
+              <div className={styles.breakdownSection}>
+                <h4 className={styles.breakdownTitle}>Saldos · {formatAmount(totalCash)}</h4>
+                {cashBalances.length > 0 ? (
+                  <div className={`${styles.breakdownTable} ${styles.cashTable}`}>
+                    <div className={styles.breakdownHeader}>
+                      <span>Broker</span>
+                      <span>Moneda</span>
+                      <span>Desde</span>
+                      <span>Saldo</span>
+                    </div>
+                    {cashBalances.map((account) => (
+                      <div key={`${account.broker}-${account.currency}`} className={styles.breakdownRow}>
+                        <span>{account.broker || 'Sin broker'}</span>
+                        <span>{account.currency}</span>
+                        <span>{account.openedAt}</span>
+                        <span className={account.balance < 0 ? styles.negativeAmount : ''}>
+                          {account.balance < 0 ? '-' : ''}
+                          {formatAmount(Math.abs(account.balance), account.currency)}
+                        </span>
+                      </div>
+                    ))}
+                  </div>
+                ) : (
+                  <p className={styles.breakdownEmpty}>
+                    Cargá el saldo de una cuenta para empezar a seguir su efectivo
+                  </p>
+                )}
+                <p className={styles.cashHint}>
+                  Desde la fecha del primer movimiento, las compras debitan la cuenta y las ventas y los ingresos la acreditan.
+                  Los depósitos y retiros son plata que entra o sale de la cartera: no cuentan como ganancia en el TWR.
+                  El total se convierte a {baseCurrency} con el tipo de cambio de hoy.
+                </p>
+              </div>
+
+              <div className={styles.breakdownSection}>
+                <h4 className={styles.breakdownTitle}>Cargar movimiento</h4>
+                <form onSubmit={handleCashSubmit} className={styles.cashForm}>
+                  <label className={styles.cashField}>
+                    <span className={styles.breakdownLabel}>Tipo</span>
+                    <select
+                      value={cashForm.type}
+                      onChange={(e) => handleCashChange('type', e.target.value)}
+                      className={styles.cashInput}
+                    >
+                      {Object.entries(CASH_MOVEMENT_TYPES).map(([value, label]) => (
+                        <option key={value} value={value}>
+                          {label}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                  <label className={styles.cashField}>
+                    <span className={styles.breakdownLabel}>Broker</span>
+                    <input
+                      type="text"
+                      list="cash-brokers"
+                      value={cashForm.broker}
+                      onChange={(e) => handleCashChange('broker', e.target.value)}
+                      className={styles.cashInput}
+                      placeholder="Nombre del broker"
+                    />
+                    <datalist id="cash-brokers">
+                      {knownBrokers.map((broker) => (
+                        <option key={broker} value={broker} />
+                      ))}
+                    </datalist>
+                  </label>
+                  <label className={styles.cashField}>
+                    <span className={styles.breakdownLabel}>Moneda</span>
+                    <input
+                      type="text"
+                      value={cashForm.currency}
+                      onChange={(e) => handleCashChange('currency', e.target.value.toUpperCase())}
+                      className={styles.cashInput}
+                      maxLength={5}
+                    />
+                  </label>
+                  <label className={styles.cashField}>
+                    <span className={styles.breakdownLabel}>{cashForm.type === 'adjust' ? 'Saldo' : 'Monto'}</span>
+                    <input
+                      type="number"
+                      step="0.01"
+                      min={cashForm.type === 'adjust' ? undefined : '0'}
+                      value={cashForm.amount}
+                      onChange={(e) => handleCashChange('amount', e.target.value)}
+                      className={styles.cashInput}
+                      placeholder="0,00"
+                    />
+                  </label>
+                  <label className={styles.cashField}>
+                    <span className={styles.breakdownLabel}>Fecha</span>
+                    <input
+                      type="date"
+                      max={getTodayDate()}
+                      value={cashForm.date}
+                      onChange={(e) => handleCashChange('date', e.target.value)}
+                      className={styles.cashInput}
+                    />
+                  </label>
+                  <button
+                    type="submit"
+                    className={styles.detailButton}
+                    disabled={isSavingCash || cashForm.amount === ''}
+                  >
+                    {isSavingCash ? 'Guardando...' : 'Guardar'}
+                  </button>
+                </form>
+              </div>
+
+              {sortedCashMovements.length > 0 && (
+                <div className={styles.breakdownSection}>
+                  <h4 className={styles.breakdownTitle}>Movimientos cargados</h4>
+                  <div className={`${styles.breakdownTable} ${styles.cashMovementsTable}`}>
+                    <div className={styles.breakdownHeader}>
+                      <span>Fecha</span>
+                      <span>Broker</span>
+                      <span>Tipo</span>
+                      <span>Monto</span>
+                      <span />
+                    </div>
+                    {sortedCashMovements.map((movement) => (
+                      <div key={movement.id} className={styles.breakdownRow}>
+                        <span>{movement.date}</span>
+                        <span>{movement.broker || 'Sin broker'} · {movement.currency}</span>
+                        <span>{CASH_MOVEMENT_TYPES[movement.type] || movement.type}</span>
+                        <span className={movement.type === 'withdrawal' ? styles.negativeAmount : ''}>
+                          {movement.type === 'withdrawal' ? '-' : ''}
+                          {formatAmount(movement.amount, movement.currency)}
+                        </span>
+                        <button
+                          type="button"
+                          className={styles.cashDeleteButton}
+                          onClick={() => handleDeleteCashMovement(movement.id)}
+                          aria-label="Eliminar movimiento"
+                        >
+                          ×
+                        </button>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              <button
+                type="button"
+                onClick={closeCashModal}
+                className={styles.modalCloseButton}
+              >
+                Cerrar
+              </button>
+            </div>
+          </div>,
+          document.body
+        )}
+
       {showDetailModal &&
         createPortal(
           <div
@@ -375,8 +962,8 @@ export const Summary = ({ totalValue, totalInvestment, totalProfit, assets }) =>
                         formatter={(value, name, props) => {
                           const profit = props.payload.profit;
                           const profitValue = profit >= 0 
-                            ? `+${CURRENCY_SYMBOL}${Math.abs(profit).toLocaleString('es-AR', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}` 
-                            : `-${CURRENCY_SYMBOL}${Math.abs(profit).toLocaleString('es-AR', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+                            ? `+${currencySymbol}${Math.abs(profit).toLocaleString('es-AR', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}` 
+                            : `-${currencySymbol}${Math.abs(profit).toLocaleString('es-AR', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
                           return [profitValue, props.payload.name];
                         }}
                         contentStyle={{
@@ -399,8 +986,8 @@ export const Summary = ({ totalValue, totalInvestment, totalProfit, assets }) =>
                           const totalPortfolioValue = profitByType.reduce((sum, item) => sum + item.value, 0);
                           const percentOfTotal = totalPortfolioValue > 0 ? ((totalValue / totalPortfolioValue) * 100).toFixed(1) : '0.0';
                           const profitValue = profit >= 0 
-                            ? `+${CURRENCY_SYMBOL}${Math.abs(profit).toLocaleString('es-AR', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}` 
-                            : `-${CURRENCY_SYMBOL}${Math.abs(profit).toLocaleString('es-AR', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+                            ? `+${currencySymbol}${Math.abs(profit).toLocaleString('es-AR', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}` 
+                            : `-${currencySymbol}${Math.abs(profit).toLocaleString('es-AR', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
                           return `${value} (${percentOfTotal}%): ${profitValue}`;
                         }}
                       />
@@ -469,6 +1056,153 @@ export const Summary = ({ totalValue, totalInvestment, totalProfit, assets }) =>
                   Todo el tiempo
                 </button>
               </div>
+              {timeframe !== 'todo' && (
+                <p className={styles.timeframeHint}>
+                  {periodProfit
+                    ? `Ganancia/pérdida desde el ${periodProfit.baseDate}: cambio de la ganancia no realizada más las ventas del período.${periodProfit.isPartial ? ' El historial de fotos diarias es más corto que la temporalidad elegida.' : ''}`
+                    : 'Todavía no hay fotos diarias anteriores a hoy: se muestra la ganancia/pérdida de todo el tiempo.'}
+                </p>
+              )}
+
+              <div className={styles.breakdownSection}>
+                <h4 className={styles.breakdownTitle}>Rentabilidad</h4>
+                <div className={styles.breakdownTotals}>
+                  <div className={styles.breakdownTotal}>
+                    <span className={styles.breakdownLabel}>Simple (sobre inversión)</span>
+                    <span className={isProfit ? styles.positiveAmount : styles.negativeAmount}>
+                      {formatSignedPercent(Number(profitPercentage))}
+                    </span>
+                  </div>
+                  <div className={styles.breakdownTotal}>
+                    <span className={styles.breakdownLabel}>Ponderada por tiempo (TWR)</span>
+                    {timeWeightedReturn ? (
+                      <span className={timeWeightedReturn.twr >= 0 ? styles.positiveAmount : styles.negativeAmount}>
+                        {formatSignedPercent(timeWeightedReturn.twr)}
+                      </span>
+                    ) : (
+                      <span>—</span>
+                    )}
+                  </div>
+                  <div className={styles.breakdownTotal}>
+                    <span className={styles.breakdownLabel}>TIR anual (XIRR)</span>
+                    {moneyWeightedReturn !== null ? (
+                      <span className={moneyWeightedReturn >= 0 ? styles.positiveAmount : styles.negativeAmount}>
+                        {formatSignedPercent(moneyWeightedReturn)}
+                      </span>
+                    ) : (
+                      <span>—</span>
+                    )}
+                  </div>
+                </div>
+                <p className={styles.cashHint}>
+                  {timeWeightedReturn
+                    ? `TWR desde ${timeWeightedReturn.startDate} (${timeWeightedReturn.periods} ${timeWeightedReturn.periods === 1 ? 'período' : 'períodos'}): descuenta depósitos, retiros y compras con plata nueva, así que se puede comparar con el rendimiento de un fondo.`
+                    : 'El TWR se calcula a partir de las valuaciones diarias que se guardan mientras la app está abierta; aparece desde el segundo día con datos.'}
+                  {' '}La TIR anual pondera por dinero: tiene en cuenta cuándo entró y salió cada peso, así que una posición de cinco años no se ve igual que una de la semana pasada.
+                </p>
+              </div>
+
+              <div className={styles.breakdownSection}>
+                <h4 className={styles.breakdownTitle}>
+                  Rendimiento total · {COST_BASIS_METHODS[costBasisMethod]}
+                </h4>
+                <div className={styles.breakdownTotals}>
+                  <div className={styles.breakdownTotal}>
+                    <span className={styles.breakdownLabel}>Realizada</span>
+                    <span className={totalRealizedProfit >= 0 ? styles.positiveAmount : styles.negativeAmount}>
+                      {formatSignedAmount(totalRealizedProfit)}
+                    </span>
+                  </div>
+                  <div className={styles.breakdownTotal}>
+                    <span className={styles.breakdownLabel}>No realizada</span>
+                    <span
+                      className={totalUnrealizedProfit >= 0 ? styles.positiveAmount : styles.negativeAmount}
+                      title={`Precio ${formatSignedAmount(totalPriceProfit)} · Tipo de cambio ${formatSignedAmount(totalFxProfit)}`}
+                    >
+                      {formatSignedAmount(totalUnrealizedProfit)}
+                    </span>
+                  </div>
+                  <div className={styles.breakdownTotal}>
+                    <span className={styles.breakdownLabel}>Ingresos netos</span>
+                    <span
+                      className={totalIncome.net >= 0 ? styles.positiveAmount : styles.negativeAmount}
+                      title={`Bruto ${formatSignedAmount(totalIncome.gross)} · Retenciones ${formatSignedAmount(-totalIncome.withholdingTax)}`}
+                    >
+                      {formatSignedAmount(totalIncome.net)}
+                    </span>
+                  </div>
+                  <div className={styles.breakdownTotal}>
+                    <span className={styles.breakdownLabel}>Total</span>
+                    <span className={totalProfit >= 0 ? styles.positiveAmount : styles.negativeAmount}>
+                      {formatSignedAmount(totalProfit)}
+                    </span>
+                  </div>
+                </div>
+
+                {profitByAsset.length > 0 ? (
+                  <div className={styles.breakdownTable}>
+                    <div className={styles.breakdownHeader}>
+                      <span>Activo</span>
+                      <span>Realizada</span>
+                      <span>No realizada</span>
+                      <span>Ingresos</span>
+                      <span>Total</span>
+                    </div>
+                    {profitByAsset.map((item) => (
+                      <div key={item.id} className={styles.breakdownRow}>
+                        <span title={item.name}>{item.symbol}</span>
+                        <span className={item.realized >= 0 ? styles.positiveAmount : styles.negativeAmount}>
+                          {formatSignedAmount(item.realized)}
+                        </span>
+                        <span
+                          className={item.unrealized >= 0 ? styles.positiveAmount : styles.negativeAmount}
+                          title={`Precio ${formatSignedAmount(item.unrealized - item.fx)} · Tipo de cambio ${formatSignedAmount(item.fx)}`}
+                        >
+                          {formatSignedAmount(item.unrealized)}
+                        </span>
+                        <span className={item.income >= 0 ? styles.positiveAmount : styles.negativeAmount}>
+                          {formatSignedAmount(item.income)}
+                        </span>
+                        <span className={item.total >= 0 ? styles.positiveAmount : styles.negativeAmount}>
+                          {formatSignedAmount(item.total)}
+                        </span>
+                      </div>
+                    ))}
+                  </div>
+                ) : (
+                  <p className={styles.breakdownEmpty}>Todavía no hay ganancias ni pérdidas para desglosar</p>
+                )}
+              </div>
+
+              <div className={styles.breakdownSection}>
+                <h4 className={styles.breakdownTitle}>
+                  Comisiones por broker · {formatAmount(totalFees)}
+                </h4>
+                {feesByBroker.length > 0 ? (
+                  <div className={styles.breakdownTable}>
+                    <div className={styles.breakdownHeader}>
+                      <span>Broker</span>
+                      <span>Compras</span>
+                      <span>Ventas</span>
+                      <span>Operaciones</span>
+                      <span>Total</span>
+                    </div>
+                    {feesByBroker.map((item) => (
+                      <div key={item.broker} className={styles.breakdownRow}>
+                        <span>{item.broker || 'Sin broker'}</span>
+                        <span>{formatAmount(item.buyFees)}</span>
+                        <span>{formatAmount(item.sellFees)}</span>
+                        <span>{item.trades}</span>
+                        <span className={item.total > 0 ? styles.negativeAmount : ''}>
+                          {formatAmount(item.total)}
+                        </span>
+                      </div>
+                    ))}
+                  </div>
+                ) : (
+                  <p className={styles.breakdownEmpty}>Todavía no hay brokers con operaciones</p>
+                )}
+              </div>
 
               <button
                 type="button"
@@ -1,10 +1,15 @@
 import { useState, useEffect } from 'react';
 import { createPortal } from 'react-dom';
+import { COST_BASIS_METHODS, CURRENCIES } from '../../constants';
 import { useSessionStore } from '../../store/sessionStore';
 import { useNotificationsStore } from '../../store/notificationsStore';
+import { useAssetsStore } from '../../store/assetsStore';
 import { useModal } from '../../hooks/useModal';
 import { supabase } from '../../lib/supabase';
 import { createNotificationInSupabase } from '../../lib/alertsService';
+import { normalizeCostBasisMethod } from '../../lib/ledger';
+import { normalizeCurrency } from '../../lib/fx';
+import { DollarRates } from '../DollarRates/DollarRates';
 import styles from './UserProfile.module.css';
 
 export function UserProfile() {
@@ -16,6 +21,10 @@ export function UserProfile() {
   const [isEditing, setIsEditing] = useState(false);
   const [isSaving, setIsSaving] = useState(false);
   const [saveMessage, setSaveMessage] = useState('');
+  const [isSavingMethod, setIsSavingMethod] = useState(false);
+  const [methodMessage, setMethodMessage] = useState('');
+  const [isSavingCurrency, setIsSavingCurrency] = useState(false);
+  const [currencyMessage, setCurrencyMessage] = useState('');
 
   useEffect(() => {
     if (user?.user_metadata?.custom_name) {
@@ -152,6 +161,59 @@ export function UserProfile() {
     }
   };
 
+  // Cambiar el método de costo: se guarda en user_metadata y se recalculan los activos
+  const handleCostBasisMethodChange = async (method) => {
+    setIsSavingMethod(true);
+    setMethodMessage('');
+
+    try {
+      const { data, error } = await supabase.auth.updateUser({
+        data: { cost_basis_method: method },
+      });
+
+      if (error) throw error;
+
+      if (data.user) {
+        setUser(data.user);
+        const result = await useAssetsStore.getState().rebuildAllAssetsFromHistory();
+        setMethodMessage(result.success ? 'Método de costo actualizado' : 'Error al recalcular los activos');
+        setTimeout(() => setMethodMessage(''), 3000);
+      }
+    } catch (error) {
+      console.error('Error al guardar método de costo:', error);
+      setMethodMessage('Error al guardar el método de costo');
+      setTimeout(() => setMethodMessage(''), 3000);
+    } finally {
+      setIsSavingMethod(false);
+    }
+  };
+
+  // Cambiar la moneda base: se guarda en user_metadata y los totales se convierten solos
+  const handleBaseCurrencyChange = async (currency) => {
+    setIsSavingCurrency(true);
+    setCurrencyMessage('');
+
+    try {
+      const { data, error } = await supabase.auth.updateUser({
+        data: { base_currency: currency },
+      });
+
+      if (error) throw error;
+
+      if (data.user) {
+        setUser(data.user);
+        setCurrencyMessage('Moneda base actualizada');
+        setTimeout(() => setCurrencyMessage(''), 3000);
+      }
+    } catch (error) {
+      console.error('Error al guardar moneda base:', error);
+      setCurrencyMessage('Error al guardar la moneda base');
+      setTimeout(() => setCurrencyMessage(''), 3000);
+    } finally {
+      setIsSavingCurrency(false);
+    }
+  };
+
   const handleCancelEdit = () => {
     setCustomName(user?.user_metadata?.custom_name || '');
     setIsEditing(false);
@@ -291,6 +353,61 @@ export function UserProfile() {
                 </div>
               </div>
 
+              <div className={styles.profileSection}>
+                <h3>Preferencias</h3>
+                <div className={styles.infoGrid}>
+                  <div className={styles.infoItem}>
+                    <label className={styles.label} htmlFor="cost-basis-method">Método de costo:</label>
+                    <select
+                      id="cost-basis-method"
+                      value={normalizeCostBasisMethod(user.user_metadata?.cost_basis_method)}
+                      onChange={(e) => handleCostBasisMethodChange(e.target.value)}
+                      disabled={isSavingMethod}
+                      className={styles.nameInputInline}
+                    >
+                      {Object.entries(COST_BASIS_METHODS).map(([value, label]) => (
+                        <option key={value} value={value}>
+                          {label}
+                        </option>
+                      ))}
+                    </select>
+                    <p className={styles.warningMessage}>
+                      Define qué unidades se consideran vendidas en cada venta. Se aplica a la ganancia realizada, al costo de cada activo y a las exportaciones.
+                    </p>
+                    {methodMessage && (
+                      <span className={methodMessage.includes('Error') ? styles.errorMessage : styles.successMessage}>
+                        {methodMessage}
+                      </span>
+                    )}
+                  </div>
+                  <div className={styles.infoItem}>
+                    <label className={styles.label} htmlFor="base-currency">Moneda base:</label>
+                    <select
+                      id="base-currency"
+                      value={normalizeCurrency(user.user_metadata?.base_currency)}
+                      onChange={(e) => handleBaseCurrencyChange(e.target.value)}
+                      disabled={isSavingCurrency}
+                      className={styles.nameInputInline}
+                    >
+                      {Object.entries(CURRENCIES).map(([code, { label }]) => (
+                        <option key={code} value={code}>
+                          {code} · {label}
+                        </option>
+                      ))}
+                    </select>
+                    <p className={styles.warningMessage}>
+                      Moneda en la que se muestran los totales de la cartera. Cada activo se convierte con el tipo de cambio de hoy y su costo, con el del día de cada compra; la diferencia se muestra como ganancia por tipo de cambio.
+                    </p>
+                    {currencyMessage && (
+                      <span className={currencyMessage.includes('Error') ? styles.errorMessage : styles.successMessage}>
+                        {currencyMessage}
+                      </span>
+                    )}
+                  </div>
+                  <DollarRates />
+                </div>
+              </div>
+
               <div className={styles.profileSection}>
                 <h3>Información de Cuenta</h3>
                 <div className={styles.infoGrid}>
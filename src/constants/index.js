@@ -1,2 +1,141 @@
 export const APP_TITLE = 'Portfolio de Activos';
 export const CURRENCY_SYMBOL = '$';
+// Moneda de las cuentas de efectivo y de los activos que no indican otra
+// (también es la moneda base por defecto; el usuario elige la suya en user_metadata.base_currency)
+export const DEFAULT_CURRENCY = 'USD';
+// Monedas disponibles para los activos y la moneda base
+export const CURRENCIES = {
+  USD: { label: 'Dólar estadounidense', symbol: CURRENCY_SYMBOL },
+  ARS: { label: 'Peso argentino', symbol: 'AR$' },
+  EUR: { label: 'Euro', symbol: '€' },
+  BRL: { label: 'Real brasileño', symbol: 'R$' },
+  GBP: { label: 'Libra esterlina', symbol: '£' },
+};
+// Los CEDEARs cotizan en pesos en BYMA (su precio se deriva del subyacente, ver src/lib/finnhub.js)
+export const CEDEAR_CURRENCY = 'ARS';
+// Proveedores de datos de mercado por tipo de activo, en orden de prioridad (ver src/lib/marketData.js)
+// Se puede reemplazar para todos los tipos con VITE_MARKET_DATA_PROVIDERS (ej: "fixture,manual")
+export const MARKET_DATA_PROVIDER_ORDER = {
+  default: ['finnhub', 'manual'],
+  bond: ['manual', 'finnhub'], // Finnhub casi no cotiza bonos: si hay precio manual, se usa ese
+};
+// Cuánto tiempo se considera vigente cada respuesta guardada en el navegador (ver src/lib/marketDataCache.js)
+// Pasado ese tiempo se muestra igual y se actualiza en segundo plano
+export const MARKET_DATA_CACHE_TTL = {
+  quote: 60 * 1000, // 1 minuto (el polling es cada 2)
+  candles: 15 * 60 * 1000, // 15 minutos
+  news: 30 * 60 * 1000, // 30 minutos
+  profile: 7 * 24 * 60 * 60 * 1000, // 1 semana
+  search: 24 * 60 * 60 * 1000, // 1 día
+};
+// Estados del mercado de cada activo (ver src/lib/marketHours.js)
+export const MARKET_STATUSES = {
+  open: 'Abierto',
+  preMarket: 'Pre-market',
+  afterHours: 'After-hours',
+  closed: 'Cerrado',
+};
+// Fuente de tipos de cambio por defecto (ver src/lib/fx.js)
+export const DEFAULT_FX_RATE_SOURCE = 'open-er-api';
+// Tipos de dólar con cotizaciones propias (tabla dollar_rates, ver src/lib/dollarRates.js)
+export const DOLLAR_RATE_TYPES = {
+  oficial: 'Oficial',
+  mep: 'MEP',
+  ccl: 'CCL',
+};
+// Origen de cada cotización guardada
+export const DOLLAR_RATE_SOURCES = {
+  manual: 'Manual',
+  import: 'Importada',
+};
+// Tipo de cambio con el que se valúan los pesos ('market' = la fuente de tipos de cambio)
+export const ARS_VALUATION_RATES = {
+  market: 'Mercado',
+  ...DOLLAR_RATE_TYPES,
+};
+export const DEFAULT_ARS_VALUATION_RATE = 'market';
+
+// Métodos de costo para calcular el PPC y la ganancia realizada de las ventas
+export const COST_BASIS_METHODS = {
+  average: 'Promedio ponderado (PPC)',
+  fifo: 'FIFO (primero en entrar, primero en salir)',
+  lifo: 'LIFO (último en entrar, primero en salir)',
+  specific: 'Lote específico',
+};
+export const DEFAULT_COST_BASIS_METHOD = 'average';
+
+// Tipos de ingreso que puede generar un activo
+export const INCOME_TYPES = {
+  dividend: 'Dividendo',
+  coupon: 'Cupón',
+  interest: 'Interés',
+  staking: 'Staking',
+};
+
+// Eventos corporativos que ajustan cantidad, costo o símbolo de un activo
+export const CORPORATE_ACTION_TYPES = {
+  split: 'Split',
+  reverse_split: 'Split inverso',
+  symbol_change: 'Cambio de símbolo',
+  spinoff: 'Spin-off',
+};
+
+// Movimientos manuales de las cuentas de efectivo
+export const CASH_MOVEMENT_TYPES = {
+  adjust: 'Saldo',
+  deposit: 'Depósito',
+  withdrawal: 'Retiro',
+};
+
+// Plazo de tenencia: a partir de estos días un lote es de largo plazo
+export const LONG_TERM_HOLDING_DAYS = 365;
+export const HOLDING_TERMS = {
+  long: 'Largo plazo',
+  short: 'Corto plazo',
+  mixed: 'Mixto',
+};
+
+// Temporalidades del detalle del Summary: días hacia atrás (null = todo el tiempo)
+export const SUMMARY_TIMEFRAMES = {
+  diario: { label: '1 día', days: 1 },
+  '3dias': { label: '3 días', days: 3 },
+  semanal: { label: '1 semana', days: 7 },
+  mensual: { label: '1 mes', days: 30 },
+  trimestral: { label: '3 meses', days: 90 },
+  semestral: { label: '6 meses', days: 180 },
+  anual: { label: '1 año', days: 365 },
+  todo: { label: 'Todo el tiempo', days: null },
+};
+
+// Benchmarks sugeridos para comparar la cartera (también se puede escribir otro ticker)
+export const BENCHMARK_SYMBOLS = {
+  SPY: 'S&P 500 (SPY)',
+  QQQ: 'Nasdaq 100 (QQQ)',
+};
+export const DEFAULT_BENCHMARK_SYMBOL = 'SPY';
+
+// Tasa libre de riesgo anual (%) por defecto para Sharpe y Sortino
+export const DEFAULT_RISK_FREE_RATE = 4;
+
+// Gráfico de precio del AssetCard: tipos y indicadores técnicos con sus parámetros
+export const CHART_TYPES = {
+  line: 'Línea',
+  candles: 'Velas',
+};
+export const CHART_INDICATORS = {
+  sma: { label: 'SMA', params: { period: 'Períodos' } },
+  ema: { label: 'EMA', params: { period: 'Períodos' } },
+  bollinger: { label: 'Bollinger', params: { period: 'Períodos', deviations: 'Desvíos' } },
+  rsi: { label: 'RSI', params: { period: 'Períodos' } },
+  macd: { label: 'MACD', params: { fast: 'Rápida', slow: 'Lenta', signal: 'Señal' } },
+};
+// Configuración por defecto (la del usuario se guarda en user_metadata.chart_settings)
+export const DEFAULT_CHART_SETTINGS = {
+  type: 'line',
+  volume: true,
+  sma: { enabled: false, period: 20 },
+  ema: { enabled: false, period: 50 },
+  bollinger: { enabled: false, period: 20, deviations: 2 },
+  rsi: { enabled: false, period: 14 },
+  macd: { enabled: false, fast: 12, slow: 26, signal: 9 },
+};
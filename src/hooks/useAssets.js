@@ -15,10 +15,40 @@
  * - useMemo asegura que los cálculos solo se hagan cuando cambian los assets
  * - Es más eficiente que calcular en cada render
  * - Los componentes se suscriben automáticamente a estos valores
+ * 
+ * Los totales están en la moneda base del usuario: los activos se convierten
+ * con convertAssetsToBase (src/lib/fx.js) y se devuelven en baseAssets. Los
+ * pesos se valúan con el dólar que eligió el usuario (ver useValuationRates).
+ * Lo que no se puede convertir (falta la cotización) queda afuera de los
+ * totales y su moneda se informa en unconvertedCurrencies.
  */
 
 import { useMemo } from 'react';
 import { useAssetsStore } from '../store/assetsStore';
+import { useTransactionsStore } from '../store/transactionsStore';
+import { useSessionStore } from '../store/sessionStore';
+import { useIncomeStore } from '../store/incomeStore';
+import { useCashStore } from '../store/cashStore';
+import { useValuationsStore } from '../store/valuationsStore';
+import { useValuationRates } from './useValuationRates';
+import {
+  calculateRealizedGainByAsset,
+  getPositionEditFlows,
+  getTodayDate,
+  normalizeCostBasisMethod,
+  summarizeFeesByBroker,
+} from '../lib/ledger';
+import { summarizeIncomeByAsset } from '../lib/income';
+import { calculateCashBalances, calculateTotalCash, getExternalCashFlows } from '../lib/cash';
+import {
+  convertAmount,
+  convertAssetsToBase,
+  convertCashFlows,
+  convertTransactionFee,
+  convertValuesByAsset,
+  normalizeCurrency,
+} from '../lib/fx';
+import { calculateTimeWeightedReturn, calculateXirr } from '../lib/performance';
 
 /**
  * Hook que proporciona acceso a los activos y funciones para gestionarlos
@@ -40,6 +70,20 @@ export const useAssets = () => {
   const deleteAsset = useAssetsStore((state) => state.deleteAsset);
   const addNewAsset = useAssetsStore((state) => state.addNewAsset);
   const updateAssetBrokers = useAssetsStore((state) => state.updateAssetBrokers);
+  const applyCorporateAction = useAssetsStore((state) => state.applyCorporateAction);
+  const setManualPrice = useAssetsStore((state) => state.setManualPrice);
+  const transactions = useTransactionsStore((state) => state.transactions);
+  const incomeEntries = useIncomeStore((state) => state.incomeEntries);
+  const cashMovements = useCashStore((state) => state.cashMovements);
+  const valuations = useValuationsStore((state) => state.valuations);
+  const costBasisMethod = normalizeCostBasisMethod(
+    useSessionStore((state) => state.user?.user_metadata?.cost_basis_method)
+  );
+  const baseCurrency = normalizeCurrency(
+    useSessionStore((state) => state.user?.user_metadata?.base_currency)
+  );
+  // Cotizaciones de la fuente con el dólar elegido para los pesos (MEP, CCL, oficial o mercado)
+  const { rates: fxRates, description: fxRateDescription } = useValuationRates();
 
   // ============================================
   // CALCULAR TOTALES DE FORMA REACTIVA
@@ -49,32 +93,214 @@ export const useAssets = () => {
   // Esto es más eficiente que calcular en cada render del componente
   
   /**
-   * Valor total de la cartera (cantidad * precio actual de cada activo)
+   * Activos convertidos a la moneda base (precios, PPC y ganancia por tipo de cambio)
+   * Se recalcula cuando cambian los assets, las transacciones o las cotizaciones
+   */
+  const baseAssets = useMemo(() => {
+    return convertAssetsToBase({
+      assets,
+      transactions,
+      method: costBasisMethod,
+      baseCurrency,
+      rates: fxRates,
+    });
+  }, [assets, transactions, costBasisMethod, baseCurrency, fxRates]);
+
+  /**
+   * Activos que sí se pudieron convertir: son los que suman en los totales
+   */
+  const convertedAssets = useMemo(() => {
+    return baseAssets.filter((asset) => !asset.isFxRateMissing);
+  }, [baseAssets]);
+
+  /**
+   * Valor de los activos (cantidad * precio actual de cada activo)
    * Se recalcula automáticamente cuando cambian los assets
    */
-  const totalValue = useMemo(() => {
-    return assets.reduce((total, asset) => {
+  const securitiesValue = useMemo(() => {
+    return convertedAssets.reduce((total, asset) => {
       return total + asset.quantity * asset.currentPrice;
     }, 0);
-  }, [assets]); // Solo recalcula si cambia el array de assets
+  }, [convertedAssets]); // Solo recalcula si cambian los activos convertidos
+
+  /**
+   * Saldos de efectivo por broker y moneda
+   * Movimientos manuales + compras (debitan) + ventas e ingresos (acreditan)
+   * Cada cuenta queda en su moneda; baseBalance es el saldo en la moneda base
+   * (null si falta la cotización)
+   */
+  const cashBalances = useMemo(() => {
+    return calculateCashBalances({ movements: cashMovements, transactions, incomeEntries, assets }).map(
+      (account) => ({
+        ...account,
+        baseBalance: convertAmount(account.balance, account.currency, baseCurrency, fxRates),
+      })
+    );
+  }, [cashMovements, transactions, incomeEntries, assets, baseCurrency, fxRates]);
+
+  /**
+   * Efectivo total en la moneda base (suma de los saldos de las cuentas que se pudieron convertir)
+   */
+  const totalCash = useMemo(() => {
+    return calculateTotalCash(
+      cashBalances
+        .filter((account) => account.baseBalance !== null)
+        .map((account) => ({ ...account, balance: account.baseBalance }))
+    );
+  }, [cashBalances]);
+
+  /**
+   * Monedas sin cotización a la moneda base (activos o efectivo que no suman en los totales)
+   */
+  const unconvertedCurrencies = useMemo(() => {
+    const currencies = new Set([
+      ...baseAssets.filter((asset) => asset.isFxRateMissing).map((asset) => asset.nativeCurrency),
+      ...cashBalances.filter((account) => account.baseBalance === null).map((account) => account.currency),
+    ]);
+    return [...currencies].sort();
+  }, [baseAssets, cashBalances]);
+
+  /**
+   * Valor total de la cartera (activos + efectivo)
+   */
+  const totalValue = useMemo(() => {
+    return securitiesValue + totalCash;
+  }, [securitiesValue, totalCash]);
 
   /**
    * Inversión total (cantidad * precio promedio de compra de cada activo)
    * Se recalcula automáticamente cuando cambian los assets
    */
   const totalInvestment = useMemo(() => {
-    return assets.reduce((total, asset) => {
+    return convertedAssets.reduce((total, asset) => {
       return total + asset.quantity * asset.purchasePrice;
     }, 0);
-  }, [assets]);
+  }, [convertedAssets]);
+
+  /**
+   * Ganancia/pérdida no realizada (valor de los activos - inversión total)
+   * Es lo que se ganaría o perdería si se vendiera todo al precio actual
+   */
+  const totalUnrealizedProfit = useMemo(() => {
+    return securitiesValue - totalInvestment;
+  }, [securitiesValue, totalInvestment]);
+
+  /**
+   * Parte de la ganancia no realizada que viene del tipo de cambio
+   * (cambio de hoy contra el del día de compra de cada lote)
+   */
+  const totalFxProfit = useMemo(() => {
+    return convertedAssets.reduce((total, asset) => total + asset.fxProfit, 0);
+  }, [convertedAssets]);
 
   /**
-   * Ganancia/pérdida total (valor total - inversión total)
-   * Se recalcula automáticamente cuando cambian totalValue o totalInvestment
+   * Parte de la ganancia no realizada que viene del precio del activo
+   */
+  const totalPriceProfit = totalUnrealizedProfit - totalFxProfit;
+
+  /**
+   * Ganancia/pérdida realizada por activo (ventas del historial)
+   * Objeto assetId -> ganancia realizada según el método de costo del usuario,
+   * en la moneda base al tipo de cambio de hoy.
+   * Se recalcula cuando cambian las transacciones o el método
+   */
+  const realizedProfitByAsset = useMemo(() => {
+    return convertValuesByAsset(
+      calculateRealizedGainByAsset(transactions, costBasisMethod),
+      assets,
+      baseCurrency,
+      fxRates
+    );
+  }, [transactions, costBasisMethod, assets, baseCurrency, fxRates]);
+
+  /**
+   * Ganancia/pérdida realizada total (suma de todas las ventas)
+   */
+  const totalRealizedProfit = useMemo(() => {
+    return Object.values(realizedProfitByAsset).reduce((total, gain) => total + gain, 0);
+  }, [realizedProfitByAsset]);
+
+  /**
+   * Ingresos por activo (dividendos, cupones, intereses, staking)
+   * Objeto assetId -> {gross, withholdingTax, net} en la moneda base
+   */
+  const incomeByAsset = useMemo(() => {
+    return convertValuesByAsset(summarizeIncomeByAsset(incomeEntries), assets, baseCurrency, fxRates);
+  }, [incomeEntries, assets, baseCurrency, fxRates]);
+
+  /**
+   * Ingresos totales de la cartera {gross, withholdingTax, net}
+   */
+  const totalIncome = useMemo(() => {
+    return Object.values(incomeByAsset).reduce(
+      (total, income) => ({
+        gross: total.gross + income.gross,
+        withholdingTax: total.withholdingTax + income.withholdingTax,
+        net: total.net + income.net,
+      }),
+      { gross: 0, withholdingTax: 0, net: 0 }
+    );
+  }, [incomeByAsset]);
+
+  /**
+   * Comisiones pagadas por broker (compras, ventas y ediciones del historial)
+   * Incluye todos los brokers cargados en los activos aunque no tengan comisiones.
+   * En la moneda base (sin las comisiones que no se pueden convertir)
+   */
+  const feesByBroker = useMemo(() => {
+    const brokerNames = assets.flatMap((asset) => (asset.brokers || []).map((b) => b.broker));
+    const currencyByAsset = new Map(assets.map((asset) => [Number(asset.id), asset.currency]));
+    return summarizeFeesByBroker(transactions, brokerNames, (tx, fee) =>
+      convertTransactionFee(tx, fee, currencyByAsset.get(Number(tx.assetId)) ?? tx.currency, baseCurrency, fxRates)
+    );
+  }, [assets, transactions, baseCurrency, fxRates]);
+
+  /**
+   * Rendimiento total (no realizada + realizada + ingresos netos)
+   * Se recalcula automáticamente cuando cambia cualquiera de las partes
    */
   const totalProfit = useMemo(() => {
-    return totalValue - totalInvestment;
-  }, [totalValue, totalInvestment]);
+    return totalUnrealizedProfit + totalRealizedProfit + totalIncome.net;
+  }, [totalUnrealizedProfit, totalRealizedProfit, totalIncome]);
+
+  /**
+   * Flujos externos de la cartera (plata que entra o sale)
+   * Depósitos, retiros, saldos fijados a mano, operaciones sin cuenta de
+   * efectivo y ediciones manuales de brokers (en la moneda base)
+   */
+  const cashFlows = useMemo(() => {
+    return convertCashFlows(
+      [
+        ...getExternalCashFlows({ movements: cashMovements, transactions, incomeEntries, assets }),
+        ...getPositionEditFlows(transactions, costBasisMethod),
+      ],
+      assets,
+      baseCurrency,
+      fxRates
+    );
+  }, [cashMovements, transactions, incomeEntries, assets, baseCurrency, fxRates, costBasisMethod]);
+
+  /**
+   * Rendimiento ponderado por tiempo (TWR) desde la primera valuación diaria
+   * La valuación de hoy se reemplaza por el valor en vivo
+   */
+  const timeWeightedReturn = useMemo(() => {
+    const today = getTodayDate();
+    const series = valuations.filter((valuation) => valuation.date < today);
+    series.push({ date: today, totalValue });
+    return calculateTimeWeightedReturn(series, cashFlows);
+  }, [valuations, totalValue, cashFlows]);
+
+  /**
+   * TIR anual de la cartera (XIRR, rendimiento ponderado por dinero)
+   * Los flujos externos se ven desde el inversor (lo que entra a la cartera
+   * es plata que pone) y el valor total de hoy cierra la serie
+   */
+  const moneyWeightedReturn = useMemo(() => {
+    const flows = cashFlows.map((flow) => ({ date: flow.date, amount: -flow.amount }));
+    flows.push({ date: getTodayDate(), amount: totalValue });
+    return calculateXirr(flows);
+  }, [cashFlows, totalValue]);
 
   // ============================================
   // RETORNAR TODO LO QUE LOS COMPONENTES NECESITAN
@@ -86,6 +312,11 @@ export const useAssets = () => {
   
   return {
     assets,
+    baseAssets,
+    convertedAssets,
+    unconvertedCurrencies,
+    baseCurrency,
+    fxRateDescription,
     addAssetQuantity,
     reduceAssetQuantity,
     updateCurrentPrice,
@@ -93,9 +324,26 @@ export const useAssets = () => {
     deleteAsset,
     addNewAsset,
     updateAssetBrokers,
+    applyCorporateAction,
+    setManualPrice,
     totalValue,
     totalInvestment,
     totalProfit,
+    totalUnrealizedProfit,
+    totalRealizedProfit,
+    totalFxProfit,
+    totalPriceProfit,
+    realizedProfitByAsset,
+    costBasisMethod,
+    totalIncome,
+    incomeByAsset,
+    feesByBroker,
+    cashBalances,
+    totalCash,
+    securitiesValue,
+    timeWeightedReturn,
+    moneyWeightedReturn,
+    cashFlows,
   };
 };
 
@@ -2,14 +2,20 @@ import { useEffect } from 'react';
 import { supabase } from '../lib/supabase';
 import { useSessionStore } from '../store/sessionStore';
 import { useAssetsStore } from '../store/assetsStore';
+import { useTransactionsStore } from '../store/transactionsStore';
+import { useIncomeStore } from '../store/incomeStore';
+import { useCashStore } from '../store/cashStore';
+import { useValuationsStore } from '../store/valuationsStore';
+import { useSnapshotsStore } from '../store/snapshotsStore';
+import { useDollarRatesStore } from '../store/dollarRatesStore';
 import { useNavigate } from 'react-router';
 
 /**
  * HOOK: useAuthListener
  * 
  * Este hook escucha los cambios de autenticación y:
- * 1. Carga los activos del usuario cuando inicia sesión
- * 2. Limpia los activos cuando cierra sesión
+ * 1. Carga los activos (con su historial de transacciones, ingresos, efectivo, valuaciones, fotos diarias y cotizaciones del dólar) cuando el usuario inicia sesión
+ * 2. Limpia los activos, el historial, los ingresos, el efectivo, las valuaciones, las fotos diarias y las cotizaciones del dólar cuando cierra sesión
  * 3. Redirige al login si no hay sesión activa
  */
 export function useAuthListener() {
@@ -18,6 +24,18 @@ export function useAuthListener() {
   const user = useSessionStore((state) => state.user);
   const loadAssets = useAssetsStore((state) => state.loadAssets);
   const clearAssets = useAssetsStore((state) => state.clearAssets);
+  const loadTransactions = useTransactionsStore((state) => state.loadTransactions);
+  const clearTransactions = useTransactionsStore((state) => state.clearTransactions);
+  const loadIncome = useIncomeStore((state) => state.loadIncome);
+  const clearIncome = useIncomeStore((state) => state.clearIncome);
+  const loadCash = useCashStore((state) => state.loadCash);
+  const clearCash = useCashStore((state) => state.clearCash);
+  const loadValuations = useValuationsStore((state) => state.loadValuations);
+  const clearValuations = useValuationsStore((state) => state.clearValuations);
+  const loadSnapshots = useSnapshotsStore((state) => state.loadSnapshots);
+  const clearSnapshots = useSnapshotsStore((state) => state.clearSnapshots);
+  const loadDollarRates = useDollarRatesStore((state) => state.loadDollarRates);
+  const clearDollarRates = useDollarRatesStore((state) => state.clearDollarRates);
   const navigate = useNavigate();
 
   useEffect(() => {
@@ -37,11 +55,23 @@ export function useAuthListener() {
         // Cargar activos del usuario cuando inicia sesión
         assetsLoadedFromStateChange = true;
         loadAssets(session.user.id);
+        loadTransactions(session.user.id);
+        loadIncome(session.user.id);
+        loadCash(session.user.id);
+        loadValuations(session.user.id);
+        loadSnapshots(session.user.id);
+        loadDollarRates(session.user.id);
       } else {
         // Solo limpiar si realmente no hay sesión (no en la carga inicial)
         if (sessionChecked) {
           clearUser();
           clearAssets();
+          clearTransactions();
+          clearIncome();
+          clearCash();
+          clearValuations();
+          clearSnapshots();
+          clearDollarRates();
           if (window.location.pathname !== '/login') {
             navigate('/login');
           }
@@ -66,6 +96,13 @@ export function useAuthListener() {
             const currentAssets = useAssetsStore.getState().assets;
             if (currentAssets.length === 0) {
               loadAssets(session.user.id);
+              loadTransactions(session.user.id);
+              loadIncome(session.user.id);
+              loadCash(session.user.id);
+              loadValuations(session.user.id);
+              loadSnapshots(session.user.id);
+        loadSnapshots(session.user.id);
+              loadDollarRates(session.user.id);
             }
           }
         }, 50);
@@ -74,6 +111,12 @@ export function useAuthListener() {
         if (!assetsLoadedFromStateChange) {
           clearUser();
           clearAssets();
+          clearTransactions();
+          clearIncome();
+          clearCash();
+          clearValuations();
+          clearSnapshots();
+          clearDollarRates();
         }
       }
     });
@@ -82,7 +125,7 @@ export function useAuthListener() {
       isMounted = false;
       subscription.unsubscribe();
     };
-  }, [setUser, clearUser, loadAssets, clearAssets, navigate]);
+  }, [setUser, clearUser, loadAssets, clearAssets, loadTransactions, clearTransactions, loadIncome, clearIncome, loadCash, clearCash, loadValuations, clearValuations, loadSnapshots, clearSnapshots, loadDollarRates, clearDollarRates, navigate]);
 
   return { user };
 }
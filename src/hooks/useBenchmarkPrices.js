@@ -0,0 +1,83 @@
+/**
+ * HOOK PARA CARGAR LOS CIERRES DIARIOS DE UN BENCHMARK
+ *
+ * Pide los cierres diarios del rango completo (getTimeframeParams 'ALL') a
+ * los proveedores de datos de mercado una vez por símbolo y por día, y los
+ * comparte entre los componentes que los usan (curva de capital y métricas
+ * de riesgo).
+ */
+
+import { useEffect, useState } from 'react';
+import { getCandles, getTimeframeParams, hasMarketDataProvider } from '../lib/marketData';
+import { getTodayDate } from '../lib/ledger';
+
+// Cache en memoria: símbolo -> { date, promise }
+const benchmarkCache = new Map();
+
+/**
+ * Pedir los cierres de un símbolo (o reusar el pedido del día)
+ * @returns {Promise<{data: Array|null, error: string|null}>} Cierres {date, close}
+ */
+const fetchBenchmarkPrices = (symbol) => {
+  const today = getTodayDate();
+  const cached = benchmarkCache.get(symbol);
+  if (cached && cached.date === today) {
+    return cached.promise;
+  }
+
+  const { from, to } = getTimeframeParams('ALL');
+  const promise = getCandles(symbol, 'D', from, to).then((result) => {
+    if (result.error) {
+      // No cachear los errores: se reintenta en el próximo pedido
+      benchmarkCache.delete(symbol);
+      return { data: null, error: result.error };
+    }
+    return {
+      data: result.data.map((candle) => ({
+        date: new Date(candle.timestamp).toISOString().split('T')[0],
+        close: candle.close,
+      })),
+      error: null,
+    };
+  });
+
+  benchmarkCache.set(symbol, { date: today, promise });
+  return promise;
+};
+
+/**
+ * Hook que devuelve los cierres diarios de un benchmark
+ * @param {string} symbol - Ticker del benchmark (ej: SPY)
+ * @param {boolean} enabled - Si es false no pide nada (ej: modo no visible)
+ * @returns {{prices: Array, isLoading: boolean, error: string|null}}
+ */
+export const useBenchmarkPrices = (symbol, enabled = true) => {
+  const [prices, setPrices] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!enabled || !symbol) return;
+    if (!hasMarketDataProvider('getCandles')) {
+      setError('Configurá la API key de Finnhub (u otro proveedor de datos de mercado) para comparar con un benchmark.');
+      return;
+    }
+
+    let cancelled = false;
+    setIsLoading(true);
+    setError(null);
+
+    fetchBenchmarkPrices(symbol).then((result) => {
+      if (cancelled) return;
+      setPrices(result.data || []);
+      setError(result.error);
+      setIsLoading(false);
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [symbol, enabled]);
+
+  return { prices, isLoading, error };
+};
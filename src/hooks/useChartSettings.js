@@ -0,0 +1,68 @@
+/**
+ * HOOK PARA LA CONFIGURACIÓN DEL GRÁFICO DE PRECIO
+ *
+ * Tipo de gráfico (línea o velas), volumen e indicadores técnicos con sus
+ * parámetros. Se guarda por usuario en user_metadata.chart_settings, así que
+ * se comparte entre todos los activos y dispositivos.
+ *
+ * Los cambios se aplican al instante y se guardan en Supabase un momento
+ * después del último (para no guardar en cada tecla de un período).
+ */
+
+import { useEffect, useMemo, useState } from 'react';
+import { normalizeChartSettings } from '../lib/indicators';
+import { supabase } from '../lib/supabase';
+import { useSessionStore } from '../store/sessionStore';
+
+const SAVE_DELAY = 800; // ms
+
+/**
+ * Hook que devuelve la configuración del gráfico y cómo cambiarla
+ * @returns {{settings: Object, updateSettings: Function, isSaving: boolean, saveError: string|null}}
+ *   updateSettings recibe las claves a cambiar (ej: { sma: { enabled: true, period: 20 } })
+ */
+export const useChartSettings = () => {
+  const storedSettings = useSessionStore((state) => state.user?.user_metadata?.chart_settings);
+  const setUser = useSessionStore((state) => state.setUser);
+  const savedSettings = useMemo(() => normalizeChartSettings(storedSettings), [storedSettings]);
+
+  // Cambios todavía no guardados (null = se usa lo guardado)
+  const [draft, setDraft] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const [saveError, setSaveError] = useState(null);
+
+  const settings = draft || savedSettings;
+
+  const updateSettings = (changes) => {
+    setDraft((current) => normalizeChartSettings({ ...(current || savedSettings), ...changes }));
+  };
+
+  useEffect(() => {
+    if (!draft) return;
+
+    const timer = setTimeout(async () => {
+      setIsSaving(true);
+      const { data, error } = await supabase.auth.updateUser({
+        data: { chart_settings: draft },
+      });
+      setIsSaving(false);
+
+      if (error) {
+        // Se mantiene el borrador: la configuración sigue aplicada en esta sesión
+        console.error('Error al guardar la configuración del gráfico:', error);
+        setSaveError('No se pudo guardar la configuración del gráfico');
+        return;
+      }
+      setSaveError(null);
+      if (data.user) {
+        setUser(data.user);
+      }
+      // Si hubo otro cambio mientras se guardaba, ese sigue pendiente
+      setDraft((current) => (current === draft ? null : current));
+    }, SAVE_DELAY);
+
+    return () => clearTimeout(timer);
+  }, [draft, setUser]);
+
+  return { settings, updateSettings, isSaving, saveError };
+};
@@ -2,14 +2,25 @@
  * HOOK PERSONALIZADO: useFinnhubPrices
  * 
  * Este hook actualiza automáticamente los precios de los activos cada 2 minutos
- * usando la API de Finnhub. Es el "motor" que mantiene los precios actualizados.
+ * con los proveedores de datos de mercado (Finnhub y los demás de lib/marketData.js).
+ * Es el "motor" que mantiene los precios actualizados.
  * 
  * ¿Cómo funciona?
  * 1. Se ejecuta cuando el componente se monta (cuando se carga la página)
  * 2. Configura un intervalo que se ejecuta cada 2 minutos
  * 3. Cada vez que se ejecuta, obtiene los precios actuales de todos los activos
  * 4. Actualiza los precios en el store de Zustand
- * 5. Si detecta problemas de rate limiting, se pausa automáticamente
+ * 5. Los límites de la API (rate limiting) los maneja el planificador de
+ *    peticiones de lib/requestScheduler.js: este hook no hace pausas propias
+ * 
+ * Además abre un stream de precios en vivo (WebSocket de Finnhub, ver
+ * lib/finnhubStream.js) para los activos que lo admiten. Los activos que
+ * recibieron un precio por el stream en los últimos 2 minutos no se consultan
+ * por polling; si el stream se corta, el polling vuelve a cubrirlos solo.
+ * 
+ * Fuera del horario de cada mercado (fines de semana, feriados, de noche) no
+ * se piden precios ni se siguen por el stream, salvo las criptomonedas, que
+ * se negocian las 24 horas (ver lib/marketHours.js).
  * 
  * ¿Qué es un intervalo?
  * Un intervalo es una función que se ejecuta repetidamente cada cierto tiempo.
@@ -25,15 +36,18 @@
 
 import { useEffect, useRef } from 'react';
 import { useAssetsStore } from '../store/assetsStore';
-import { updateAssetPrices } from '../lib/finnhub';
+import { createPriceStream, updateAssetPrices } from '../lib/marketData';
 import { updateAssetInSupabase } from '../lib/assetsService';
+import { getFxRate } from '../lib/fx';
+import { isCacheFresh } from '../lib/marketDataCache';
+import { getAssetMarketStatus, shouldRefreshPrice } from '../lib/marketHours';
+import { getValuationFxRates } from '../store/dollarRatesStore';
 
 // ============================================
 // CONSTANTES DE CONFIGURACIÓN
 // ============================================
 const UPDATE_INTERVAL = 2 * 60 * 1000; // 2 minutos en milisegundos (120,000 ms)
-const RATE_LIMIT_BACKOFF = 5 * 60 * 1000; // 5 minutos de pausa si hay rate limit (300,000 ms)
-const MAX_CONSECUTIVE_ERRORS = 3; // Si hay 3 errores seguidos, pausar actualizaciones
+const MARKET_STATUS_INTERVAL = 60 * 1000; // Cada cuánto revisar qué mercados abrieron o cerraron (stream)
 
 /**
  * Hook para actualizar automáticamente los precios de los activos
@@ -58,9 +72,8 @@ export const useFinnhubPrices = (enabled = true) => {
   const intervalRef = useRef(null); // Referencia al intervalo (para poder limpiarlo)
   const isUpdatingRef = useRef(false); // Flag: ¿estamos actualizando ahora?
   const updateCurrentPriceRef = useRef(updateCurrentPrice); // Referencia a la función (para usarla en el intervalo)
-  const consecutiveErrorsRef = useRef(0); // Contador de errores consecutivos
-  const isPausedRef = useRef(false); // Flag: ¿estamos en pausa por rate limiting?
-  const pauseUntilRef = useRef(null); // Timestamp: ¿hasta cuándo estamos en pausa?
+  const lastStreamUpdateRef = useRef({}); // ID de activo -> timestamp del último precio recibido por el stream
+  const hasUnsavedStreamPricesRef = useRef(false); // Flag: ¿hay precios del stream sin guardar en Supabase?
 
   // ============================================
   // MANTENER REFERENCIA ACTUALIZADA
@@ -87,15 +100,6 @@ export const useFinnhubPrices = (enabled = true) => {
       return; // Salir temprano si está deshabilitado
     }
 
-    // Obtener la clave de API desde las variables de entorno
-    const apiKey = import.meta.env.VITE_FINNHUB_API_KEY;
-
-    // Si no hay clave de API, mostrar advertencia y salir
-    if (!apiKey) {
-      console.warn('⚠️ VITE_FINNHUB_API_KEY no está configurada en .env');
-      return;
-    }
-
     /**
      * FUNCIÓN QUE ACTUALIZA LOS PRECIOS
      * 
@@ -103,32 +107,12 @@ export const useFinnhubPrices = (enabled = true) => {
      * Es async porque hace peticiones HTTP que toman tiempo
      */
     const updatePrices = async () => {
-      // ============================================
-      // VERIFICAR SI ESTAMOS EN PAUSA
-      // ============================================
-      // Si detectamos rate limiting anteriormente, pausamos las actualizaciones
-      // para no seguir haciendo peticiones que van a fallar
-      
-      if (isPausedRef.current && pauseUntilRef.current) {
-        // Si aún no ha pasado el tiempo de pausa, salir sin hacer nada
-        if (Date.now() < pauseUntilRef.current) {
-          const remainingMinutes = Math.ceil((pauseUntilRef.current - Date.now()) / 60000);
-          console.log(`⏸️ Actualizaciones pausadas por rate limiting. Reanudando en ${remainingMinutes} minuto(s).`);
-          return; // Salir de la función sin actualizar
-        } else {
-          // La pausa terminó, reanudar actualizaciones
-          isPausedRef.current = false;
-          pauseUntilRef.current = null;
-          consecutiveErrorsRef.current = 0; // Resetear contador de errores
-          console.log('▶️ Reanudando actualizaciones de precios.');
-        }
-      }
-
       // ============================================
       // EVITAR ACTUALIZACIONES SIMULTÁNEAS
       // ============================================
       // Si ya estamos actualizando, no iniciar otra actualización
       // Esto previene que se acumulen múltiples peticiones si la anterior tarda mucho
+      // (por ejemplo, si el planificador está en pausa por rate limiting)
       if (isUpdatingRef.current) {
         return; // Ya hay una actualización en curso, salir
       }
@@ -145,23 +129,43 @@ export const useFinnhubPrices = (enabled = true) => {
         // (no tiene sentido actualizar precios de activos que no tenemos)
         
         const currentAssets = useAssetsStore.getState().assets;
+        // Los activos con precio reciente del stream, con una cotización todavía
+        // vigente (ej: recién cargada de la cache al abrir la app) o con el mercado
+        // cerrado y el precio de cierre ya tomado, no hace falta consultarlos
+        const now = Date.now();
         const assetsToUpdate = currentAssets.filter(
-          (asset) => asset.symbol && asset.quantity > 0
+          (asset) =>
+            asset.symbol &&
+            asset.quantity > 0 &&
+            now - (lastStreamUpdateRef.current[asset.id] || 0) >= UPDATE_INTERVAL &&
+            !isCacheFresh('quote', asset.priceUpdatedAt) &&
+            shouldRefreshPrice(asset)
+        );
+
+        // Los CEDEARs sin cotización local se derivan del subyacente con el
+        // dólar elegido por el usuario (ver getCedearQuote en lib/finnhub.js)
+        const { rates } = getValuationFxRates();
+        const assetsWithFx = assetsToUpdate.map((asset) =>
+          asset.type === 'cedear' ? { ...asset, fxRate: getFxRate('USD', asset.currency, rates) } : asset
         );
 
-        // Si no hay activos para actualizar, salir
+        // Si no hay activos para actualizar, salir (guardando lo que llegó por el stream)
         if (assetsToUpdate.length === 0) {
+          if (hasUnsavedStreamPricesRef.current) {
+            hasUnsavedStreamPricesRef.current = false;
+            saveAssets();
+          }
           return;
         }
 
         // ============================================
         // ACTUALIZAR PRECIOS
         // ============================================
-        // Llamar a la función del servicio de Finnhub
+        // Llamar a la capa de datos de mercado (prueba los proveedores en orden)
         // Esta función procesa los activos en lotes y actualiza los precios
         // También actualiza el flag isPriceEstimated cuando se obtiene un precio válido
         const result = await updateAssetPrices(
-          assetsToUpdate, // Array de activos a actualizar
+          assetsWithFx, // Array de activos a actualizar
           (assetId, price) => {
             // Actualizar precio y quitar flag de precio estimado si el precio es válido
             updateCurrentPriceRef.current(assetId, price);
@@ -174,51 +178,29 @@ export const useFinnhubPrices = (enabled = true) => {
                 });
               }
             }
-          },
-          apiKey // Clave de API
+          }
         );
 
         // ============================================
         // MANEJAR RESULTADOS
         // ============================================
-        if (result.rateLimited) {
-          // Si la API nos bloqueó por demasiadas peticiones
-          consecutiveErrorsRef.current++;
-          console.warn(`⚠️ Rate limit detectado (${consecutiveErrorsRef.current}/${MAX_CONSECUTIVE_ERRORS}).`);
-          
-          // Si tenemos demasiados errores consecutivos, pausar actualizaciones
-          if (consecutiveErrorsRef.current >= MAX_CONSECUTIVE_ERRORS) {
-            isPausedRef.current = true;
-            pauseUntilRef.current = Date.now() + RATE_LIMIT_BACKOFF; // Pausar por 5 minutos
-            console.warn(`⏸️ Demasiados errores de rate limiting. Pausando actualizaciones por ${RATE_LIMIT_BACKOFF / 60000} minutos.`);
-          }
-        } else if (result.success) {
-          // Si la actualización fue exitosa, resetear contador de errores
-          consecutiveErrorsRef.current = 0;
+        if (result.success) {
           // Guardar en localStorage después de actualizar precios
+          // (incluye los precios que llegaron por el stream)
+          hasUnsavedStreamPricesRef.current = false;
           saveAssets();
           // Si no se actualizaron todos, mostrar mensaje informativo
           if (result.updated < assetsToUpdate.length) {
             console.log(`✅ Actualizados ${result.updated}/${assetsToUpdate.length} precios.`);
           }
-        } else {
-          // Si falló pero no fue rate limiting, incrementar contador
-          consecutiveErrorsRef.current++;
-          if (consecutiveErrorsRef.current >= MAX_CONSECUTIVE_ERRORS) {
-            console.warn(`⚠️ Muchos errores consecutivos. Considerando pausar actualizaciones.`);
-          }
         }
-      } catch (error) {
-        // Si hay un error inesperado (red, etc.)
-        consecutiveErrorsRef.current++;
-        console.error('❌ Error al actualizar precios desde Finnhub:', error);
-        
-        // Si hay demasiados errores, pausar actualizaciones
-        if (consecutiveErrorsRef.current >= MAX_CONSECUTIVE_ERRORS) {
-          isPausedRef.current = true;
-          pauseUntilRef.current = Date.now() + RATE_LIMIT_BACKOFF;
-          console.warn(`⏸️ Demasiados errores consecutivos. Pausando actualizaciones por ${RATE_LIMIT_BACKOFF / 60000} minutos.`);
+        if (result.rateLimited) {
+          // El planificador ya pausó y reintentó: estos precios quedan para la próxima vuelta
+          console.warn('⚠️ Rate limit detectado. Los precios pendientes se actualizarán en la próxima vuelta.');
         }
+      } catch (error) {
+        // Si hay un error inesperado
+        console.error('❌ Error al actualizar precios:', error);
       } finally {
         // Siempre marcar que terminamos de actualizar (incluso si hubo error)
         // Esto permite que la próxima actualización pueda ejecutarse
@@ -240,6 +222,57 @@ export const useFinnhubPrices = (enabled = true) => {
     // Guardamos la referencia para poder limpiarlo después
     intervalRef.current = setInterval(updatePrices, UPDATE_INTERVAL);
 
+    // ============================================
+    // STREAM DE PRECIOS EN VIVO
+    // ============================================
+    // El stream entrega como mucho una actualización cada pocos segundos con
+    // el último precio de cada símbolo. Solo se guarda en Supabase el flag de
+    // precio estimado; los precios se guardan en la próxima vuelta del polling.
+    const handleStreamPrices = (prices) => {
+      const { assets, currentUserId } = useAssetsStore.getState();
+      Object.values(prices).forEach(({ symbol, type, price }) => {
+        assets
+          .filter((asset) => asset.symbol === symbol && asset.type === type)
+          .forEach((asset) => {
+            updateCurrentPriceRef.current(asset.id, price);
+            lastStreamUpdateRef.current[asset.id] = Date.now();
+            hasUnsavedStreamPricesRef.current = true;
+            if (asset.isPriceEstimated && currentUserId) {
+              updateAssetInSupabase(asset.id, { isPriceEstimated: false }, currentUserId).catch(err => {
+                console.error('Error al actualizar flag de precio estimado:', err);
+              });
+            }
+          });
+      });
+    };
+
+    const stream = createPriceStream({ onPrices: handleStreamPrices });
+    let unsubscribeAssets = null;
+    let marketStatusInterval = null;
+    if (stream) {
+      // Mantener las suscripciones en sincronía con los activos en cartera
+      // cuyo mercado está abierto (fuera de horario no hay trades que seguir)
+      const syncStreamAssets = (assets) => {
+        stream.setAssets(
+          assets.filter(
+            (asset) => asset.symbol && asset.quantity > 0 && getAssetMarketStatus(asset).status === 'open'
+          )
+        );
+      };
+      syncStreamAssets(useAssetsStore.getState().assets);
+      unsubscribeAssets = useAssetsStore.subscribe((state, prevState) => {
+        if (state.assets !== prevState.assets) {
+          syncStreamAssets(state.assets);
+        }
+      });
+      // Suscribirse o desuscribirse cuando abre o cierra cada mercado
+      marketStatusInterval = setInterval(
+        () => syncStreamAssets(useAssetsStore.getState().assets),
+        MARKET_STATUS_INTERVAL
+      );
+      stream.connect();
+    }
+
     // ============================================
     // CLEANUP: LIMPIAR AL DESMONTAR
     // ============================================
@@ -254,6 +287,10 @@ export const useFinnhubPrices = (enabled = true) => {
         clearInterval(intervalRef.current); // Detener el intervalo
         intervalRef.current = null; // Limpiar la referencia
       }
+      // Cerrar el stream y dejar de seguir los cambios de activos
+      if (unsubscribeAssets) unsubscribeAssets();
+      if (marketStatusInterval) clearInterval(marketStatusInterval);
+      if (stream) stream.close();
     };
   }, [enabled]); // Este efecto se ejecuta cuando 'enabled' cambia
 };
@@ -0,0 +1,26 @@
+/**
+ * HOOK PARA MANTENER LOS TIPOS DE CAMBIO ACTUALIZADOS
+ *
+ * Carga las cotizaciones al abrir la app y las vuelve a pedir cada hora
+ * (las fuentes gratuitas se actualizan una vez por día, así que no hace falta
+ * más seguido). Ver useFxStore y src/lib/fx.js.
+ */
+
+import { useEffect } from 'react';
+import { useFxStore } from '../store/fxStore';
+
+const UPDATE_INTERVAL = 60 * 60 * 1000; // 1 hora
+
+/**
+ * Hook que carga los tipos de cambio de una fuente
+ * @param {string} sourceId - Fuente registrada (undefined = la fuente por defecto)
+ */
+export const useFxRates = (sourceId) => {
+  const loadRates = useFxStore((state) => state.loadRates);
+
+  useEffect(() => {
+    loadRates(sourceId);
+    const intervalId = setInterval(() => loadRates(sourceId), UPDATE_INTERVAL);
+    return () => clearInterval(intervalId);
+  }, [sourceId, loadRates]);
+};
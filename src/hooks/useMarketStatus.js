@@ -0,0 +1,30 @@
+/**
+ * HOOK PARA SABER SI EL MERCADO DE UN ACTIVO ESTÁ ABIERTO
+ *
+ * Devuelve el estado del mercado del activo (abierto, pre-market,
+ * after-hours o cerrado) y lo vuelve a calcular cada minuto para que el
+ * badge de la tarjeta cambie solo cuando abre o cierra. Ver src/lib/marketHours.js.
+ */
+
+import { useEffect, useState } from 'react';
+import { getAssetExchange, getMarketStatus } from '../lib/marketHours';
+
+const UPDATE_INTERVAL = 60 * 1000; // 1 minuto
+
+/**
+ * Hook con el estado del mercado de un activo
+ * @param {Object} asset - Activo {symbol, type, currency}
+ * @returns {{status: string, exchange: string|null, reason: string|null}} Ver getMarketStatus
+ */
+export const useMarketStatus = (asset) => {
+  const exchangeId = getAssetExchange(asset);
+  const [marketStatus, setMarketStatus] = useState(() => getMarketStatus(exchangeId));
+
+  useEffect(() => {
+    setMarketStatus(getMarketStatus(exchangeId));
+    const intervalId = setInterval(() => setMarketStatus(getMarketStatus(exchangeId)), UPDATE_INTERVAL);
+    return () => clearInterval(intervalId);
+  }, [exchangeId]);
+
+  return marketStatus;
+};
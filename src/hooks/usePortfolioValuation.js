@@ -0,0 +1,159 @@
+/**
+ * HOOK PARA REGISTRAR LA VALUACIÓN DIARIA DE LA CARTERA
+ *
+ * Mientras la app está abierta, guarda el valor de la cartera del día en
+ * portfolio_valuations y el valor y costo de cada activo en
+ * portfolio_snapshots. Se guarda como mucho una vez cada 10 segundos, con los
+ * últimos valores, y solo si algo cambió, así que cada día queda con el último
+ * valor conocido. No se espera a que los valores dejen de cambiar: con el
+ * stream de precios cambian cada pocos segundos durante toda la rueda.
+ *
+ * No registra nada mientras se cargan los datos ni si algún activo tiene un
+ * precio estimado o falta el tipo de cambio de algún activo o cuenta de
+ * efectivo (no estaría en los totales), para no ensuciar el historial
+ * con valores provisorios. Todo se guarda en la moneda base del usuario.
+ */
+
+import { useEffect, useRef } from 'react';
+import { useAssetsStore } from '../store/assetsStore';
+import { useTransactionsStore } from '../store/transactionsStore';
+import { useIncomeStore } from '../store/incomeStore';
+import { useCashStore } from '../store/cashStore';
+import { useValuationsStore } from '../store/valuationsStore';
+import { useSnapshotsStore } from '../store/snapshotsStore';
+import { useSessionStore } from '../store/sessionStore';
+import { getTodayDate } from '../lib/ledger';
+import { buildAssetSnapshots } from '../lib/snapshots';
+
+const SAVE_INTERVAL = 10 * 1000; // Como mucho un guardado cada 10 segundos
+const VALUE_TOLERANCE = 0.005;
+
+/**
+ * Indica si las fotos guardadas del día coinciden con las actuales
+ */
+const sameSnapshots = (stored, current) => {
+  if (stored.length !== current.length) return false;
+  return current.every((snapshot) => {
+    const match = stored.find((item) => item.assetId === snapshot.assetId);
+    return (
+      match &&
+      Math.abs(match.marketValue - snapshot.marketValue) < VALUE_TOLERANCE &&
+      Math.abs(match.costBasis - snapshot.costBasis) < VALUE_TOLERANCE
+    );
+  });
+};
+
+/**
+ * Qué hay que guardar de los valores actuales (comparados con lo guardado hoy)
+ * @returns {{date: string, valuation: Object, snapshots: Array, valuationChanged: boolean, snapshotsChanged: boolean}}
+ */
+const getPendingChanges = ({ totalValue, securitiesValue, cashValue, invested, assets }) => {
+  const date = getTodayDate();
+  const valuation = { date, totalValue, securitiesValue, cashValue, invested };
+  const snapshots = buildAssetSnapshots(assets);
+
+  // Evitar guardar de nuevo los mismos valores
+  const stored = useValuationsStore.getState().valuations.find((item) => item.date === date);
+  const valuationChanged =
+    !stored ||
+    Math.abs(stored.totalValue - totalValue) >= VALUE_TOLERANCE ||
+    Math.abs(stored.invested - invested) >= VALUE_TOLERANCE;
+  const storedSnapshots = useSnapshotsStore.getState().snapshots.filter((item) => item.date === date);
+  const snapshotsChanged = !sameSnapshots(storedSnapshots, snapshots);
+
+  return { date, valuation, snapshots, valuationChanged, snapshotsChanged };
+};
+
+/**
+ * Hook que registra la valuación del día
+ * @param {Object} values - Totales actuales de la cartera
+ * @param {number} values.totalValue - Valor total (activos + efectivo)
+ * @param {number} values.securitiesValue - Valor de los activos
+ * @param {number} values.cashValue - Efectivo total
+ * @param {number} values.invested - Inversión (costo de las posiciones abiertas)
+ * @param {Array} values.assets - Activos convertidos a la moneda base (baseAssets de useAssets)
+ * @param {Array} values.unconvertedCurrencies - Monedas sin cotización (sus montos no están en los totales)
+ */
+export const usePortfolioValuation = ({
+  totalValue,
+  securitiesValue,
+  cashValue,
+  invested,
+  assets,
+  unconvertedCurrencies = [],
+}) => {
+  const userId = useSessionStore((state) => state.user?.id);
+  const isLoadingAssets = useAssetsStore((state) => state.isLoading);
+  const isLoadingTransactions = useTransactionsStore((state) => state.isLoading);
+  const isLoadingIncome = useIncomeStore((state) => state.isLoading);
+  const isLoadingCash = useCashStore((state) => state.isLoading);
+  const isLoadingValuations = useValuationsStore((state) => state.isLoading);
+  const recordValuation = useValuationsStore((state) => state.recordValuation);
+  const isLoadingSnapshots = useSnapshotsStore((state) => state.isLoading);
+  const recordSnapshots = useSnapshotsStore((state) => state.recordSnapshots);
+
+  const isReady =
+    Boolean(userId) &&
+    !isLoadingAssets &&
+    !isLoadingTransactions &&
+    !isLoadingIncome &&
+    !isLoadingCash &&
+    !isLoadingValuations &&
+    !isLoadingSnapshots &&
+    unconvertedCurrencies.length === 0 &&
+    !assets.some((asset) => asset.isPriceEstimated || asset.isFxRateMissing);
+
+  // Últimos valores conocidos: el guardado programado usa estos, no los del
+  // render en que se programó
+  const latestRef = useRef(null);
+  const saveTimeoutRef = useRef(null);
+  useEffect(() => {
+    latestRef.current = { isReady, userId, totalValue, securitiesValue, cashValue, invested, assets };
+  });
+
+  useEffect(() => {
+    // Ya hay un guardado programado: se hará con estos valores (no se reprograma)
+    if (saveTimeoutRef.current || !isReady || !(totalValue > 0)) {
+      return;
+    }
+
+    const { valuationChanged, snapshotsChanged } = getPendingChanges({
+      totalValue,
+      securitiesValue,
+      cashValue,
+      invested,
+      assets,
+    });
+    if (!valuationChanged && !snapshotsChanged) {
+      return;
+    }
+
+    saveTimeoutRef.current = setTimeout(async () => {
+      saveTimeoutRef.current = null;
+      const latest = latestRef.current;
+      // Los valores pueden haber pasado a ser provisorios mientras se esperaba
+      if (!latest.isReady || !(latest.totalValue > 0)) {
+        return;
+      }
+
+      const pending = getPendingChanges(latest);
+      if (pending.valuationChanged) {
+        const result = await recordValuation(pending.valuation, latest.userId);
+        if (!result.success) {
+          console.error('Error al registrar la valuación del día:', result.error);
+        }
+      }
+      if (pending.snapshotsChanged) {
+        const result = await recordSnapshots(pending.date, pending.snapshots, latest.userId);
+        if (!result.success) {
+          console.error('Error al registrar las fotos del día:', result.error);
+        }
+      }
+    }, SAVE_INTERVAL);
+  }, [isReady, assets, totalValue, securitiesValue, cashValue, invested, recordValuation, recordSnapshots]);
+
+  // Cancelar el guardado pendiente al desmontar
+  useEffect(() => {
+    return () => clearTimeout(saveTimeoutRef.current);
+  }, []);
+};
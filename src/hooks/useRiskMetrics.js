@@ -0,0 +1,83 @@
+/**
+ * HOOK PARA CALCULAR LAS MÉTRICAS DE RIESGO DE LA CARTERA
+ *
+ * Junta las series que necesita src/lib/risk.js: el índice TWR de la cartera
+ * (valuaciones diarias + flujos externos), el precio diario de cada activo
+ * (fotos diarias) y los cierres del benchmark elegido en la curva de capital.
+ *
+ * La tasa libre de riesgo y el benchmark se guardan en user_metadata
+ * (risk_free_rate y benchmark_symbol).
+ */
+
+import { useMemo } from 'react';
+import { DEFAULT_BENCHMARK_SYMBOL, DEFAULT_RISK_FREE_RATE } from '../constants';
+import { getTodayDate } from '../lib/ledger';
+import { buildPerformanceIndex } from '../lib/performance';
+import { buildAssetPriceSeries, calculateRiskMetrics } from '../lib/risk';
+import { useSessionStore } from '../store/sessionStore';
+import { useSnapshotsStore } from '../store/snapshotsStore';
+import { useTransactionsStore } from '../store/transactionsStore';
+import { useValuationsStore } from '../store/valuationsStore';
+import { useBenchmarkPrices } from './useBenchmarkPrices';
+
+/**
+ * Hook que calcula las métricas de riesgo de la cartera y de cada activo
+ * @param {Object} params
+ * @param {Array} params.assets - Activos actuales
+ * @param {number} params.totalValue - Valor total actual (con efectivo)
+ * @param {Array} params.cashFlows - Flujos externos de la cartera {date, amount}
+ * @returns {{portfolio: Object|null, byAsset: Array, benchmarkSymbol: string, riskFreeRate: number,
+ *   isLoadingBenchmark: boolean, benchmarkError: string|null}}
+ */
+export const useRiskMetrics = ({ assets, totalValue, cashFlows }) => {
+  const metadata = useSessionStore((state) => state.user?.user_metadata);
+  const valuations = useValuationsStore((state) => state.valuations);
+  const snapshots = useSnapshotsStore((state) => state.snapshots);
+  const transactions = useTransactionsStore((state) => state.transactions);
+
+  const benchmarkSymbol = metadata?.benchmark_symbol || DEFAULT_BENCHMARK_SYMBOL;
+  const storedRate = parseFloat(metadata?.risk_free_rate);
+  const riskFreeRate = Number.isFinite(storedRate) ? storedRate : DEFAULT_RISK_FREE_RATE;
+
+  const {
+    prices: benchmarkPrices,
+    isLoading: isLoadingBenchmark,
+    error: benchmarkError,
+  } = useBenchmarkPrices(benchmarkSymbol);
+
+  // Cartera: índice TWR (la valuación de hoy es el valor en vivo)
+  const portfolio = useMemo(() => {
+    const today = getTodayDate();
+    const series = valuations.filter((valuation) => valuation.date < today);
+    series.push({ date: today, totalValue });
+    const index = buildPerformanceIndex(series, cashFlows).map((point) => ({
+      date: point.date,
+      value: point.index,
+    }));
+    return calculateRiskMetrics(index, { benchmarkPrices, riskFreeRate });
+  }, [valuations, totalValue, cashFlows, benchmarkPrices, riskFreeRate]);
+
+  // Activos: precio de cada foto diaria más el precio actual
+  const byAsset = useMemo(() => {
+    const today = getTodayDate();
+    const seriesByAsset = buildAssetPriceSeries(
+      snapshots.filter((snapshot) => snapshot.date < today),
+      transactions
+    );
+
+    return assets
+      .map((asset) => {
+        const series = [...(seriesByAsset[asset.id] || [])];
+        if (asset.currentPrice > 0) series.push({ date: today, value: asset.currentPrice });
+        return {
+          assetId: asset.id,
+          symbol: asset.symbol,
+          name: asset.name,
+          metrics: calculateRiskMetrics(series, { benchmarkPrices, riskFreeRate }),
+        };
+      })
+      .filter((item) => item.metrics);
+  }, [assets, snapshots, transactions, benchmarkPrices, riskFreeRate]);
+
+  return { portfolio, byAsset, benchmarkSymbol, riskFreeRate, isLoadingBenchmark, benchmarkError };
+};
@@ -0,0 +1,36 @@
+/**
+ * HOOK PARA OBTENER LAS COTIZACIONES CON LAS QUE SE VALÚA LA CARTERA
+ *
+ * Combina las cotizaciones de la fuente de tipos de cambio (useFxStore) con
+ * el dólar elegido para los pesos (user_metadata.ars_valuation_rate) y
+ * describe cuál se usó, para mostrarlo en el Summary y en las exportaciones.
+ */
+
+import { useMemo } from 'react';
+import { useFxStore } from '../store/fxStore';
+import { useDollarRatesStore } from '../store/dollarRatesStore';
+import { useSessionStore } from '../store/sessionStore';
+import { buildValuationRates, describeValuationRate, normalizeArsValuationRate } from '../lib/dollarRates';
+
+/**
+ * Hook que devuelve las cotizaciones de valuación de hoy
+ * @returns {{rates: Object|null, dollarRate: Object|null, valuationRate: string, description: string}}
+ */
+export const useValuationRates = () => {
+  const marketRates = useFxStore((state) => state.rates);
+  const ratesDate = useFxStore((state) => state.ratesDate);
+  const dollarRates = useDollarRatesStore((state) => state.dollarRates);
+  const valuationRate = normalizeArsValuationRate(
+    useSessionStore((state) => state.user?.user_metadata?.ars_valuation_rate)
+  );
+
+  return useMemo(() => {
+    const { rates, dollarRate } = buildValuationRates({ rates: marketRates, dollarRates, valuationRate });
+    return {
+      rates,
+      dollarRate,
+      valuationRate,
+      description: describeValuationRate({ valuationRate, dollarRate, rates: marketRates, ratesDate }),
+    };
+  }, [marketRates, ratesDate, dollarRates, valuationRate]);
+};
@@ -254,6 +254,47 @@ export const deactivateAlertInSupabase = async (alertId, userId) => {
   }
 };
 
+/**
+ * ACTUALIZAR UNA ALERTA
+ * 
+ * Se usa en los eventos corporativos: un split reescala los precios y un
+ * cambio de símbolo renombra el activo de la alerta.
+ * 
+ * @param {string} alertId - ID de la alerta
+ * @param {Object} updates - Campos a actualizar {alertPrice, initialPrice, assetSymbol, assetName}
+ * @param {string} userId - ID del usuario
+ * @returns {Promise<{success: boolean, error: string|null}>}
+ */
+export const updateAlertInSupabase = async (alertId, updates, userId) => {
+  if (!userId) {
+    return { success: false, error: 'ID de usuario no proporcionado' };
+  }
+
+  const updatesToDB = {};
+  if (updates.alertPrice !== undefined) updatesToDB.alert_price = updates.alertPrice;
+  if (updates.initialPrice !== undefined) updatesToDB.initial_price = updates.initialPrice;
+  if (updates.assetSymbol !== undefined) updatesToDB.asset_symbol = updates.assetSymbol;
+  if (updates.assetName !== undefined) updatesToDB.asset_name = updates.assetName;
+
+  try {
+    const { error } = await supabase
+      .from(ALERTS_TABLE)
+      .update(updatesToDB)
+      .eq('id', alertId)
+      .eq('user_id', userId);
+
+    if (error) {
+      console.error('Error al actualizar alerta en Supabase:', error);
+      return { success: false, error: error.message };
+    }
+
+    return { success: true, error: null };
+  } catch (error) {
+    console.error('Error inesperado al actualizar alerta:', error);
+    return { success: false, error: error.message || 'Error al actualizar alerta' };
+  }
+};
+
 /**
  * CARGAR NOTIFICACIONES DE UN USUARIO
  * 
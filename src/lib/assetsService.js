@@ -17,6 +17,7 @@
  * - Sincronizar todos los activos de una vez
  */
 
+import { DEFAULT_CURRENCY } from '../constants';
 import { supabase } from './supabase';
 
 /**
@@ -27,6 +28,10 @@ import { supabase } from './supabase';
  */
 const ASSETS_TABLE = 'assets';
 
+// price_updated_at se guarda como TIMESTAMPTZ; en la app es un timestamp en milisegundos
+const parsePriceUpdatedAt = (value) => (value ? Date.parse(value) : null);
+const formatPriceUpdatedAt = (timestamp) => (timestamp ? new Date(timestamp).toISOString() : null);
+
 /**
  * CARGAR ACTIVOS DE UN USUARIO
  * 
@@ -73,7 +78,12 @@ export const loadAssetsFromSupabase = async (userId) => {
       purchasePrice: parseFloat(item.purchase_price) || 0,
       currentPrice: parseFloat(item.current_price) || 0,
       brokers: item.brokers || [],
+      purchaseDate: item.purchase_date || null,
+      currency: item.currency || DEFAULT_CURRENCY,
+      underlyingSymbol: item.underlying_symbol || null,
+      conversionRatio: parseFloat(item.conversion_ratio) || null,
       isPriceEstimated: item.is_price_estimated || false,
+      priceUpdatedAt: parsePriceUpdatedAt(item.price_updated_at),
     }));
 
     // Si no hay datos, devolver array vacío
@@ -110,7 +120,12 @@ export const saveAssetToSupabase = async (asset, userId) => {
       purchase_price: asset.purchasePrice, // En la BD usamos snake_case
       current_price: asset.currentPrice,
       brokers: asset.brokers || [], // Array de brokers (se guarda como JSON)
+      purchase_date: asset.purchaseDate || null, // Fecha del lote abierto más antiguo
+      currency: asset.currency || DEFAULT_CURRENCY, // Moneda en la que cotiza el activo
+      underlying_symbol: asset.underlyingSymbol || null, // Solo CEDEARs: subyacente en EE.UU.
+      conversion_ratio: asset.conversionRatio || null, // Solo CEDEARs: CEDEARs por acción del subyacente
       is_price_estimated: asset.isPriceEstimated || false, // Flag para precio estimado
+      price_updated_at: formatPriceUpdatedAt(asset.priceUpdatedAt), // Momento en que se obtuvo el precio
     };
 
     const { data, error } = await supabase
@@ -134,6 +149,11 @@ export const saveAssetToSupabase = async (asset, userId) => {
       purchasePrice: data.purchase_price,
       currentPrice: data.current_price,
       brokers: data.brokers || [],
+      purchaseDate: data.purchase_date || null,
+      currency: data.currency || DEFAULT_CURRENCY,
+      underlyingSymbol: data.underlying_symbol || null,
+      conversionRatio: parseFloat(data.conversion_ratio) || null,
+      priceUpdatedAt: parsePriceUpdatedAt(data.price_updated_at),
     };
 
     return { data: formattedAsset, error: null };
@@ -168,7 +188,12 @@ export const updateAssetInSupabase = async (assetId, updates, userId) => {
     if (updates.purchasePrice !== undefined) updatesToDB.purchase_price = updates.purchasePrice;
     if (updates.currentPrice !== undefined) updatesToDB.current_price = updates.currentPrice;
     if (updates.brokers !== undefined) updatesToDB.brokers = updates.brokers;
+    if (updates.purchaseDate !== undefined) updatesToDB.purchase_date = updates.purchaseDate;
+    if (updates.currency !== undefined) updatesToDB.currency = updates.currency;
+    if (updates.underlyingSymbol !== undefined) updatesToDB.underlying_symbol = updates.underlyingSymbol;
+    if (updates.conversionRatio !== undefined) updatesToDB.conversion_ratio = updates.conversionRatio;
     if (updates.isPriceEstimated !== undefined) updatesToDB.is_price_estimated = updates.isPriceEstimated;
+    if (updates.priceUpdatedAt !== undefined) updatesToDB.price_updated_at = formatPriceUpdatedAt(updates.priceUpdatedAt);
 
     // Actualizar solo si el activo pertenece al usuario
     // Nota: No usar .single() si puede haber problemas con JSON, usar .maybeSingle() o verificar manualmente
@@ -202,7 +227,12 @@ export const updateAssetInSupabase = async (assetId, updates, userId) => {
       purchasePrice: singleData.purchase_price,
       currentPrice: singleData.current_price,
       brokers: singleData.brokers || [],
+      purchaseDate: singleData.purchase_date || null,
+      currency: singleData.currency || DEFAULT_CURRENCY,
+      underlyingSymbol: singleData.underlying_symbol || null,
+      conversionRatio: parseFloat(singleData.conversion_ratio) || null,
       isPriceEstimated: singleData.is_price_estimated || false,
+      priceUpdatedAt: parsePriceUpdatedAt(singleData.price_updated_at),
     };
 
     return { data: formattedAsset, error: null };
@@ -288,7 +318,12 @@ export const syncAllAssetsToSupabase = async (assets, userId) => {
       purchase_price: asset.purchasePrice,
       current_price: asset.currentPrice,
       brokers: asset.brokers || [],
+      purchase_date: asset.purchaseDate || null,
+      currency: asset.currency || DEFAULT_CURRENCY,
+      underlying_symbol: asset.underlyingSymbol || null,
+      conversion_ratio: asset.conversionRatio || null,
       is_price_estimated: asset.isPriceEstimated || false,
+      price_updated_at: formatPriceUpdatedAt(asset.priceUpdatedAt),
     }));
 
     // Insertar todos los activos
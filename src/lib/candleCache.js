@@ -0,0 +1,93 @@
+/**
+ * CACHE LOCAL DE VELAS (INDEXEDDB)
+ *
+ * Guarda en el navegador las velas que devuelven los proveedores, por símbolo,
+ * tipo de activo y resolución. getCandles (src/lib/marketData.js) las usa
+ * mientras están vigentes, las muestra al instante mientras pide las nuevas, y
+ * cuando el proveedor falla (sin conexión, rate limit, plan sin velas) el
+ * gráfico muestra lo último guardado con la fecha en que se descargó, en lugar
+ * de inventar datos.
+ *
+ * Las respuestas nuevas se combinan con las guardadas (por timestamp), así que
+ * varias temporalidades con la misma resolución comparten el historial.
+ * La base de datos la abre src/lib/marketDataCache.js.
+ */
+
+import { CANDLES_STORE, runStoreRequest } from './marketDataCache';
+
+const MAX_CANDLES = 1000; // Por símbolo y resolución (las más recientes)
+
+const getCacheKey = (symbol, type, resolution) => `${type || 'stock'}:${symbol}:${resolution}`;
+
+/**
+ * CARGAR LAS VELAS GUARDADAS
+ *
+ * Devuelve las velas de la última ventana de `span` segundos del historial
+ * guardado (terminando en la última vela), así cada temporalidad muestra su
+ * mismo largo aunque los datos sean viejos.
+ *
+ * @param {string} symbol - Símbolo del activo
+ * @param {string} type - Tipo de activo (las criptomonedas usan otro símbolo en Finnhub)
+ * @param {string} resolution - Resolución de Finnhub ('60', 'D', 'W', 'M')
+ * @param {number} span - Largo de la temporalidad en segundos (to - from)
+ * @returns {Promise<{data: {candles: Array, fetchedAt: number, coveredFrom: number|null}|null, error: string|null}>}
+ *   data es null si no hay nada guardado; coveredFrom es el inicio (Unix en segundos) del
+ *   rango más largo que se descargó
+ */
+export const loadCachedCandles = async (symbol, type, resolution, span) => {
+  try {
+    const record = await runStoreRequest(CANDLES_STORE, 'readonly', (store) => store.get(getCacheKey(symbol, type, resolution)));
+    if (!record || record.candles.length === 0) {
+      return { data: null, error: null };
+    }
+
+    const lastTimestamp = record.candles[record.candles.length - 1].timestamp;
+    const candles = record.candles.filter((candle) => candle.timestamp >= lastTimestamp - span * 1000);
+    return { data: { candles, fetchedAt: record.fetchedAt, coveredFrom: record.coveredFrom ?? null }, error: null };
+  } catch (error) {
+    console.error('Error al leer las velas guardadas:', error);
+    return { data: null, error: error.message };
+  }
+};
+
+/**
+ * GUARDAR LAS VELAS DE UNA RESPUESTA DE FINNHUB
+ *
+ * @param {string} symbol - Símbolo del activo
+ * @param {string} type - Tipo de activo
+ * @param {string} resolution - Resolución de Finnhub
+ * @param {Array} candles - Velas {timestamp, open, high, low, close, volume} (getStockCandles)
+ * @param {number|null} from - Inicio del rango pedido (Unix en segundos)
+ * @returns {Promise<{error: string|null}>}
+ */
+export const saveCachedCandles = async (symbol, type, resolution, candles, from = null) => {
+  const key = getCacheKey(symbol, type, resolution);
+
+  try {
+    const record = await runStoreRequest(CANDLES_STORE, 'readonly', (store) => store.get(key));
+
+    const byTimestamp = new Map((record?.candles || []).map((candle) => [candle.timestamp, candle]));
+    candles.forEach((candle) => {
+      byTimestamp.set(candle.timestamp, candle);
+    });
+    const merged = [...byTimestamp.values()].sort((a, b) => a.timestamp - b.timestamp).slice(-MAX_CANDLES);
+    // Inicio del rango más largo descargado (para saber si alcanza para otra temporalidad)
+    const coveredFrom = [record?.coveredFrom, from].filter((value) => value !== null && value !== undefined);
+
+    await runStoreRequest(CANDLES_STORE, 'readwrite', (store) =>
+      store.put({
+        key,
+        symbol,
+        type,
+        resolution,
+        candles: merged,
+        fetchedAt: Date.now(),
+        coveredFrom: coveredFrom.length > 0 ? Math.min(...coveredFrom) : null,
+      })
+    );
+    return { error: null };
+  } catch (error) {
+    console.error('Error al guardar las velas:', error);
+    return { error: error.message };
+  }
+};
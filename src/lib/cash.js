@@ -0,0 +1,184 @@
+/**
+ * CÁLCULOS DE EFECTIVO
+ *
+ * Funciones puras que calculan el saldo de las cuentas de efectivo de cada
+ * broker y moneda. No tocan el store.
+ *
+ * El saldo sale de recorrer en orden cronológico:
+ * - los movimientos manuales ('adjust' fija el saldo al cierre del día,
+ *   'deposit' lo suma y 'withdrawal' lo resta)
+ * - las compras (debitan cantidad * precio + comisión)
+ * - las ventas (acreditan cantidad * precio - comisión)
+ * - los ingresos (acreditan el neto: monto - retención)
+ *
+ * El resto de las transacciones cambian la posición sin pasar por el
+ * efectivo: ediciones manuales, reseteos, eventos corporativos y las acciones
+ * recibidas por un spin-off ('spinoff_in'), que abren un lote como una compra
+ * pero no se pagaron. No generan eventos ni flujos externos.
+ *
+ * Una cuenta existe a partir de su primer movimiento manual: las operaciones
+ * anteriores a esa fecha no la afectan. Las del mismo día se aplican, pero un
+ * 'adjust' de ese día las absorbe porque el saldo cargado ya las incluye.
+ *
+ * El mismo recorrido da los flujos externos de la cartera (la plata que entra
+ * o sale de ella), que usa el rendimiento ponderado por tiempo:
+ * - depósitos (+) y retiros (-)
+ * - la diferencia que introduce un 'adjust' respecto del saldo calculado
+ * - las operaciones e ingresos de cuentas que no se siguen: una compra sin
+ *   cuenta es plata nueva y una venta o un ingreso sin cuenta sale de la cartera
+ */
+
+import { DEFAULT_CURRENCY } from '../constants';
+import { getNetIncome } from './income';
+
+/**
+ * Clave de una cuenta de efectivo (broker + moneda)
+ * @param {string} broker - Nombre del broker
+ * @param {string} currency - Código de moneda
+ * @returns {string}
+ */
+const getAccountKey = (broker, currency) => `${(broker || '').trim()}|${currency || DEFAULT_CURRENCY}`;
+
+// Transacciones que mueven efectivo (todas las demás son cambios de posición sin plata)
+const CASH_TRANSACTION_TYPES = ['buy', 'sell'];
+
+/**
+ * ARMAR LOS EVENTOS QUE MUEVEN EL EFECTIVO
+ *
+ * @returns {Array} Eventos {date, order, broker, currency, amount, manual, setsBalance}
+ *   (order: dentro del mismo día, las operaciones van antes que los movimientos manuales)
+ */
+const buildCashEvents = ({ movements, transactions, incomeEntries, assets }) => {
+  const currencyByAsset = new Map(
+    assets.map((asset) => [Number(asset.id), asset.currency || DEFAULT_CURRENCY])
+  );
+  const events = [];
+
+  movements.forEach((movement) => {
+    events.push({
+      date: movement.date,
+      order: 1,
+      broker: movement.broker,
+      currency: movement.currency,
+      amount: movement.type === 'withdrawal' ? -Math.abs(movement.amount) : movement.amount,
+      manual: true,
+      setsBalance: movement.type === 'adjust',
+    });
+  });
+
+  transactions.forEach((tx) => {
+    if (!CASH_TRANSACTION_TYPES.includes(tx.type)) return;
+    const gross = (parseFloat(tx.quantity) || 0) * (parseFloat(tx.price) || 0);
+    const fee = parseFloat(tx.fee) || 0;
+    events.push({
+      date: tx.date,
+      order: 0,
+      broker: tx.broker,
+      currency: currencyByAsset.get(Number(tx.assetId)) || DEFAULT_CURRENCY,
+      amount: tx.type === 'buy' ? -(gross + fee) : gross - fee,
+      manual: false,
+      setsBalance: false,
+    });
+  });
+
+  incomeEntries.forEach((entry) => {
+    events.push({
+      date: entry.date,
+      order: 0,
+      broker: entry.broker,
+      currency: currencyByAsset.get(Number(entry.assetId)) || DEFAULT_CURRENCY,
+      amount: getNetIncome(entry),
+      manual: false,
+      setsBalance: false,
+    });
+  });
+
+  return events.sort((a, b) => {
+    const dateA = a.date || '';
+    const dateB = b.date || '';
+    if (dateA !== dateB) return dateA < dateB ? -1 : 1;
+    return a.order - b.order;
+  });
+};
+
+/**
+ * RECORRER LOS EVENTOS DE EFECTIVO
+ *
+ * @returns {{balances: Map, openedAt: Map, flows: Array}} Saldo y apertura por
+ *   cuenta y flujos externos {date, amount, currency} en orden cronológico
+ */
+const replayCashEvents = ({ movements = [], transactions = [], incomeEntries = [], assets = [] }) => {
+  // Fecha de apertura de cada cuenta: su primer movimiento manual
+  const openedAt = new Map();
+  movements.forEach((movement) => {
+    const key = getAccountKey(movement.broker, movement.currency);
+    if (!openedAt.has(key) || movement.date < openedAt.get(key)) {
+      openedAt.set(key, movement.date);
+    }
+  });
+
+  const balances = new Map();
+  const flows = [];
+  buildCashEvents({ movements, transactions, incomeEntries, assets }).forEach((event) => {
+    const key = getAccountKey(event.broker, event.currency);
+    const opening = openedAt.get(key);
+
+    // Operación de una cuenta que no se sigue (o anterior a su apertura)
+    if (!opening || event.date < opening) {
+      if (event.amount !== 0) flows.push({ date: event.date, amount: -event.amount, currency: event.currency });
+      return;
+    }
+
+    const previous = balances.get(key) || 0;
+    const next = event.setsBalance ? event.amount : previous + event.amount;
+    balances.set(key, next);
+
+    if (event.manual && next !== previous) {
+      flows.push({ date: event.date, amount: next - previous, currency: event.currency });
+    }
+  });
+
+  return { balances, openedAt, flows };
+};
+
+/**
+ * CALCULAR LOS SALDOS DE EFECTIVO
+ *
+ * @param {Object} params
+ * @param {Array} params.movements - Movimientos manuales {broker, currency, type, amount, date}
+ * @param {Array} params.transactions - Transacciones de todos los activos
+ * @param {Array} params.incomeEntries - Ingresos de todos los activos
+ * @param {Array} params.assets - Activos (para saber la moneda de cada operación)
+ * @returns {Array} Array de {broker, currency, balance, openedAt} ordenado por broker y moneda
+ */
+export const calculateCashBalances = (params) => {
+  const { balances, openedAt } = replayCashEvents(params);
+
+  return [...balances.entries()]
+    .map(([key, balance]) => {
+      const [broker, currency] = key.split('|');
+      return { broker, currency, balance, openedAt: openedAt.get(key) };
+    })
+    .sort((a, b) => a.broker.localeCompare(b.broker) || a.currency.localeCompare(b.currency));
+};
+
+/**
+ * OBTENER LOS FLUJOS EXTERNOS DE EFECTIVO
+ *
+ * Recibe los mismos parámetros que calculateCashBalances.
+ *
+ * @returns {Array} Array de {date, amount, currency} (positivo = entra plata a la cartera)
+ */
+export const getExternalCashFlows = (params) => {
+  return replayCashEvents(params).flows;
+};
+
+/**
+ * SUMAR LOS SALDOS DE EFECTIVO
+ *
+ * @param {Array} balances - Saldos de calculateCashBalances
+ * @returns {number} Efectivo total
+ */
+export const calculateTotalCash = (balances) => {
+  return balances.reduce((total, account) => total + account.balance, 0);
+};
@@ -0,0 +1,137 @@
+/**
+ * SERVICIO DE EFECTIVO CON SUPABASE
+ *
+ * Este archivo contiene todas las funciones para interactuar con la tabla
+ * de movimientos de efectivo (cuentas de cada broker y moneda).
+ *
+ * Solo se guardan los movimientos manuales; las compras, ventas e ingresos
+ * se aplican al saldo al calcularlo (ver src/lib/cash.js).
+ */
+
+import { supabase } from './supabase';
+import { DEFAULT_CURRENCY } from '../constants';
+
+const CASH_TABLE = 'cash_movements';
+
+/**
+ * Convierte una fila de la BD (snake_case) al formato de la app (camelCase)
+ * @param {Object} item - Fila de la tabla cash_movements
+ * @returns {Object} Movimiento formateado
+ */
+const formatCashMovement = (item) => ({
+  id: item.id,
+  broker: item.broker || '',
+  currency: item.currency || DEFAULT_CURRENCY,
+  type: item.type,
+  amount: parseFloat(item.amount) || 0,
+  date: item.movement_date,
+  notes: item.notes || '',
+  createdAt: item.created_at,
+});
+
+/**
+ * CARGAR MOVIMIENTOS DE EFECTIVO DE UN USUARIO
+ *
+ * @param {string} userId - ID del usuario
+ * @returns {Promise<{data: Array|null, error: string|null}>}
+ */
+export const loadCashMovementsFromSupabase = async (userId) => {
+  if (!userId) {
+    return { data: null, error: 'ID de usuario no proporcionado' };
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from(CASH_TABLE)
+      .select('*')
+      .eq('user_id', userId)
+      .order('movement_date', { ascending: true })
+      .order('id', { ascending: true });
+
+    if (error) {
+      console.error('Error al cargar movimientos de efectivo desde Supabase:', error);
+      if (error.message?.includes('does not exist')) {
+        return {
+          data: null,
+          error: 'La tabla de efectivo no existe en Supabase. Por favor, ejecuta el script SQL en supabase_cash_table.sql',
+        };
+      }
+      return { data: null, error: error.message };
+    }
+
+    return { data: (data || []).map(formatCashMovement), error: null };
+  } catch (error) {
+    console.error('Error inesperado al cargar movimientos de efectivo:', error);
+    return { data: null, error: error.message || 'Error al cargar movimientos de efectivo' };
+  }
+};
+
+/**
+ * GUARDAR UN MOVIMIENTO DE EFECTIVO
+ *
+ * @param {Object} movement - Movimiento {broker, currency, type, amount, date, notes}
+ * @param {string} userId - ID del usuario propietario
+ * @returns {Promise<{data: Object|null, error: string|null}>}
+ */
+export const saveCashMovementToSupabase = async (movement, userId) => {
+  if (!userId) {
+    return { data: null, error: 'ID de usuario no proporcionado' };
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from(CASH_TABLE)
+      .insert({
+        user_id: userId,
+        broker: movement.broker || '',
+        currency: movement.currency || DEFAULT_CURRENCY,
+        type: movement.type,
+        amount: movement.amount || 0,
+        movement_date: movement.date,
+        notes: movement.notes || null,
+      })
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Error al guardar movimiento de efectivo en Supabase:', error);
+      return { data: null, error: error.message };
+    }
+
+    return { data: formatCashMovement(data), error: null };
+  } catch (error) {
+    console.error('Error inesperado al guardar movimiento de efectivo:', error);
+    return { data: null, error: error.message || 'Error al guardar movimiento de efectivo' };
+  }
+};
+
+/**
+ * ELIMINAR UN MOVIMIENTO DE EFECTIVO
+ *
+ * @param {number} movementId - ID del movimiento
+ * @param {string} userId - ID del usuario (para verificar propiedad)
+ * @returns {Promise<{success: boolean, error: string|null}>}
+ */
+export const deleteCashMovementFromSupabase = async (movementId, userId) => {
+  if (!userId) {
+    return { success: false, error: 'ID de usuario no proporcionado' };
+  }
+
+  try {
+    const { error } = await supabase
+      .from(CASH_TABLE)
+      .delete()
+      .eq('id', movementId)
+      .eq('user_id', userId);
+
+    if (error) {
+      console.error('Error al eliminar movimiento de efectivo en Supabase:', error);
+      return { success: false, error: error.message };
+    }
+
+    return { success: true, error: null };
+  } catch (error) {
+    console.error('Error inesperado al eliminar movimiento de efectivo:', error);
+    return { success: false, error: error.message || 'Error al eliminar movimiento de efectivo' };
+  }
+};
@@ -0,0 +1,99 @@
+/**
+ * DATOS PARA LOS GRÁFICOS DE PRECIO
+ *
+ * Funciones puras que agregan información de la cartera a las velas de
+ * Finnhub (ya formateadas como puntos del gráfico). No tocan el store.
+ */
+
+/**
+ * CONVERTIR VELAS EN PUNTOS DEL GRÁFICO
+ *
+ * @param {Array} candles - Velas {timestamp, open, high, low, close, volume} (getStockCandles)
+ * @param {string} timeframe - Temporalidad ('1D', '1W', ..., 'ALL'); en '1Y' y 'ALL' la fecha lleva año
+ * @returns {Array} Puntos {date, value, open, high, low, close, volume, fullDate}
+ */
+export const buildPricePoints = (candles, timeframe) =>
+  candles.map((candle) => ({
+    date: new Date(candle.timestamp).toLocaleDateString('es-AR', {
+      month: 'short',
+      day: 'numeric',
+      ...(timeframe === '1Y' || timeframe === 'ALL' ? { year: 'numeric' } : {}),
+    }),
+    value: candle.close, // Precio de cierre para el gráfico de línea
+    open: candle.open,
+    high: candle.high,
+    low: candle.low,
+    close: candle.close,
+    volume: candle.volume,
+    fullDate: new Date(candle.timestamp),
+  }));
+
+/**
+ * AGREGAR LAS COMPRAS Y VENTAS A LOS PUNTOS DEL GRÁFICO
+ *
+ * Cada operación se ubica en el último punto que empieza en o antes de su
+ * fecha (con velas semanales o mensuales cae en la vela que la contiene). Las
+ * anteriores al primer punto quedan afuera. Si hay varias en el mismo punto,
+ * se muestra el precio promedio ponderado por cantidad.
+ *
+ * Finnhub devuelve precios ajustados por splits, así que el precio de las
+ * operaciones anteriores a un split se divide por su factor.
+ *
+ * @param {Array} points - Puntos del gráfico {fullDate: Date, value, ...} ordenados por fecha
+ * @param {Array} transactions - Transacciones de UN activo
+ * @returns {Array} Los mismos puntos con buy/sell (precio o null) y buyQuantity/sellQuantity
+ */
+export const addTradeMarkers = (points, transactions) => {
+  const result = points.map((point) => ({
+    ...point,
+    buy: null,
+    sell: null,
+    buyQuantity: 0,
+    sellQuantity: 0,
+  }));
+  if (result.length === 0) return result;
+
+  const splits = transactions.filter((tx) => tx.type === 'split' && parseFloat(tx.ratio) > 0);
+  const firstTime = result[0].fullDate.getTime();
+  const totals = new Map(); // índice del punto -> {buyCost, buyQuantity, sellProceeds, sellQuantity}
+
+  transactions.forEach((tx) => {
+    if ((tx.type !== 'buy' && tx.type !== 'sell') || !(tx.quantity > 0) || !tx.date) return;
+
+    // Fin del día de la operación (las velas diarias arrancan a medianoche UTC)
+    const tradeTime = new Date(`${tx.date}T23:59:59Z`).getTime();
+    if (tradeTime < firstTime) return;
+
+    let index = result.length - 1;
+    while (index > 0 && result[index].fullDate.getTime() > tradeTime) index--;
+
+    const factor = splits
+      .filter((split) => split.date > tx.date)
+      .reduce((total, split) => total * parseFloat(split.ratio), 1);
+    const quantity = tx.quantity * factor;
+    const price = tx.price / factor;
+
+    const total = totals.get(index) || { buyCost: 0, buyQuantity: 0, sellProceeds: 0, sellQuantity: 0 };
+    if (tx.type === 'buy') {
+      total.buyCost += quantity * price;
+      total.buyQuantity += quantity;
+    } else {
+      total.sellProceeds += quantity * price;
+      total.sellQuantity += quantity;
+    }
+    totals.set(index, total);
+  });
+
+  totals.forEach((total, index) => {
+    if (total.buyQuantity > 0) {
+      result[index].buy = total.buyCost / total.buyQuantity;
+      result[index].buyQuantity = total.buyQuantity;
+    }
+    if (total.sellQuantity > 0) {
+      result[index].sell = total.sellProceeds / total.sellQuantity;
+      result[index].sellQuantity = total.sellQuantity;
+    }
+  });
+
+  return result;
+};
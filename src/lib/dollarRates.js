@@ -0,0 +1,147 @@
+/**
+ * COTIZACIONES DEL DÓLAR EN PESOS (OFICIAL, MEP, CCL)
+ *
+ * Los pesos se pueden valuar con la cotización de la fuente de tipos de
+ * cambio ('market', ver src/lib/fx.js) o con uno de los dólares propios de
+ * Argentina. Estos se guardan por fecha en la tabla dollar_rates: se cargan a
+ * mano o se importan de ArgentinaDatos (api.argentinadatos.com, gratuita y
+ * sin API key).
+ *
+ * Con el tipo elegido (user_metadata.ars_valuation_rate) se reemplaza la
+ * cotización de ARS en las cotizaciones de la fuente, así el resto de la
+ * conversión (src/lib/fx.js) no cambia.
+ */
+
+import {
+  ARS_VALUATION_RATES,
+  DEFAULT_ARS_VALUATION_RATE,
+  DOLLAR_RATE_TYPES,
+} from '../constants';
+import { getTodayDate } from './ledger';
+
+const ARS = 'ARS';
+const USD = 'USD';
+
+// Nombre de cada tipo de dólar en ArgentinaDatos
+const ARGENTINA_DATOS_TYPES = {
+  oficial: 'oficial',
+  mep: 'bolsa',
+  ccl: 'contadoconliqui',
+};
+
+/**
+ * Normalizar el tipo de cambio de valuación guardado (DEFAULT_ARS_VALUATION_RATE si no es válido)
+ * @param {string} value - Valor de user_metadata.ars_valuation_rate
+ * @returns {string} 'market', 'oficial', 'mep' o 'ccl'
+ */
+export const normalizeArsValuationRate = (value) => {
+  return ARS_VALUATION_RATES[value] ? value : DEFAULT_ARS_VALUATION_RATE;
+};
+
+/**
+ * IMPORTAR EL HISTORIAL DE UN TIPO DE DÓLAR
+ *
+ * Usa la cotización de venta de cada día.
+ *
+ * @param {string} rateType - Tipo de dólar (oficial, mep, ccl)
+ * @param {string} fromDate - Primer día a importar (YYYY-MM-DD)
+ * @returns {Promise<{data: Array|null, error: string|null}>} Cotizaciones {rateType, date, rate, source: 'import'}
+ */
+export const fetchDollarRateHistory = async (rateType, fromDate) => {
+  const apiType = ARGENTINA_DATOS_TYPES[rateType];
+  if (!apiType) {
+    return { data: null, error: 'Tipo de dólar inválido' };
+  }
+
+  try {
+    const response = await fetch(`https://api.argentinadatos.com/v1/cotizaciones/dolares/${apiType}`);
+    if (!response.ok) {
+      return { data: null, error: `Error al obtener las cotizaciones: ${response.status}` };
+    }
+
+    const result = await response.json();
+    if (!Array.isArray(result)) {
+      return { data: null, error: 'ArgentinaDatos no devolvió cotizaciones' };
+    }
+
+    const rates = result
+      .filter((item) => item.fecha >= fromDate && parseFloat(item.venta) > 0)
+      .map((item) => ({ rateType, date: item.fecha, rate: parseFloat(item.venta), source: 'import' }));
+    return { data: rates, error: null };
+  } catch (error) {
+    console.error('Error al importar las cotizaciones del dólar:', error);
+    return { data: null, error: error.message || 'Error al importar las cotizaciones del dólar' };
+  }
+};
+
+/**
+ * OBTENER LA COTIZACIÓN DE UN TIPO DE DÓLAR EN UNA FECHA
+ *
+ * Es la última cargada hasta esa fecha (los fines de semana y feriados no
+ * tienen cotización).
+ *
+ * @param {Array} dollarRates - Cotizaciones {rateType, date, rate}
+ * @param {string} rateType - Tipo de dólar
+ * @param {string} date - Fecha YYYY-MM-DD
+ * @returns {Object|null} Cotización {rateType, date, rate, source} o null si no hay ninguna anterior
+ */
+export const getDollarRateOnDate = (dollarRates, rateType, date) => {
+  return dollarRates.reduce((latest, entry) => {
+    if (entry.rateType !== rateType || entry.date > date) return latest;
+    return !latest || entry.date > latest.date ? entry : latest;
+  }, null);
+};
+
+/**
+ * ARMAR LAS COTIZACIONES PARA VALUAR LA CARTERA
+ *
+ * @param {Object} params
+ * @param {Object|null} params.rates - Cotizaciones de la fuente (moneda -> unidades por 1 USD)
+ * @param {Array} params.dollarRates - Cotizaciones del dólar guardadas
+ * @param {string} params.valuationRate - 'market' o un tipo de dólar
+ * @param {string} params.date - Fecha de la valuación (por defecto, hoy)
+ * @returns {{rates: Object|null, dollarRate: Object|null}} Cotizaciones con ARS
+ *   reemplazado por el dólar elegido, y la cotización usada (null si se usa
+ *   la fuente, o si no hay cotizaciones cargadas de ese tipo)
+ */
+export const buildValuationRates = ({ rates, dollarRates, valuationRate, date = getTodayDate() }) => {
+  if (!DOLLAR_RATE_TYPES[valuationRate]) {
+    return { rates, dollarRate: null };
+  }
+
+  const dollarRate = getDollarRateOnDate(dollarRates, valuationRate, date);
+  if (!dollarRate) {
+    return { rates, dollarRate: null };
+  }
+
+  return { rates: { ...(rates || { [USD]: 1 }), [ARS]: dollarRate.rate }, dollarRate };
+};
+
+/**
+ * DESCRIBIR EL TIPO DE CAMBIO CON EL QUE SE VALUÓ LA CARTERA
+ *
+ * Para el Summary y las exportaciones (ej: "Dólar MEP $1.234,50 del 2026-10-16").
+ *
+ * @param {Object} params
+ * @param {string} params.valuationRate - 'market' o un tipo de dólar
+ * @param {Object|null} params.dollarRate - Cotización usada (buildValuationRates)
+ * @param {Object|null} params.rates - Cotizaciones de la fuente
+ * @param {string|null} params.ratesDate - Fecha de las cotizaciones de la fuente
+ * @returns {string}
+ */
+export const describeValuationRate = ({ valuationRate, dollarRate, rates, ratesDate }) => {
+  if (dollarRate) {
+    const formatted = dollarRate.rate.toLocaleString('es-AR', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    return `Dólar ${DOLLAR_RATE_TYPES[dollarRate.rateType]} $${formatted} del ${dollarRate.date}`;
+  }
+
+  const marketRate = rates?.[ARS];
+  const market = marketRate
+    ? `Dólar de mercado $${marketRate.toLocaleString('es-AR', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}${ratesDate ? ` del ${ratesDate}` : ''}`
+    : 'Sin cotización del dólar';
+
+  // Se eligió un dólar pero todavía no hay cotizaciones cargadas de ese tipo
+  return DOLLAR_RATE_TYPES[valuationRate]
+    ? `${market} (no hay cotizaciones del dólar ${DOLLAR_RATE_TYPES[valuationRate]})`
+    : market;
+};
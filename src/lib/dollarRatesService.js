@@ -0,0 +1,144 @@
+/**
+ * SERVICIO DE COTIZACIONES DEL DÓLAR CON SUPABASE
+ *
+ * Este archivo contiene las funciones para interactuar con la tabla de
+ * cotizaciones del dólar en pesos (oficial, MEP y CCL), una fila por usuario,
+ * tipo y día.
+ *
+ * Las cotizaciones se usan para valuar los pesos con el tipo de dólar que
+ * elige el usuario (ver src/lib/dollarRates.js).
+ */
+
+import { supabase } from './supabase';
+
+const DOLLAR_RATES_TABLE = 'dollar_rates';
+const SAVE_BATCH_SIZE = 500; // Filas por pedido al importar historiales largos
+
+/**
+ * Convierte una fila de la BD (snake_case) al formato de la app (camelCase)
+ * @param {Object} item - Fila de la tabla dollar_rates
+ * @returns {Object} Cotización formateada
+ */
+const formatDollarRate = (item) => ({
+  id: item.id,
+  rateType: item.rate_type,
+  date: item.rate_date,
+  rate: parseFloat(item.rate) || 0,
+  source: item.source || 'manual',
+  updatedAt: item.updated_at,
+});
+
+/**
+ * CARGAR COTIZACIONES DE UN USUARIO
+ *
+ * @param {string} userId - ID del usuario
+ * @returns {Promise<{data: Array|null, error: string|null}>}
+ */
+export const loadDollarRatesFromSupabase = async (userId) => {
+  if (!userId) {
+    return { data: null, error: 'ID de usuario no proporcionado' };
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from(DOLLAR_RATES_TABLE)
+      .select('*')
+      .eq('user_id', userId)
+      .order('rate_date', { ascending: true });
+
+    if (error) {
+      console.error('Error al cargar cotizaciones del dólar desde Supabase:', error);
+      if (error.message?.includes('does not exist')) {
+        return {
+          data: null,
+          error: 'La tabla de cotizaciones no existe en Supabase. Por favor, ejecuta el script SQL en supabase_dollar_rates_table.sql',
+        };
+      }
+      return { data: null, error: error.message };
+    }
+
+    return { data: (data || []).map(formatDollarRate), error: null };
+  } catch (error) {
+    console.error('Error inesperado al cargar cotizaciones del dólar:', error);
+    return { data: null, error: error.message || 'Error al cargar cotizaciones del dólar' };
+  }
+};
+
+/**
+ * GUARDAR COTIZACIONES
+ *
+ * Inserta o actualiza (si ya hay una del mismo tipo y día) cada cotización.
+ *
+ * @param {Array} rates - Cotizaciones {rateType, date, rate, source}
+ * @param {string} userId - ID del usuario propietario
+ * @returns {Promise<{data: Array|null, error: string|null}>} Cotizaciones guardadas
+ */
+export const saveDollarRatesToSupabase = async (rates, userId) => {
+  if (!userId) {
+    return { data: null, error: 'ID de usuario no proporcionado' };
+  }
+
+  try {
+    const updatedAt = new Date().toISOString();
+    const saved = [];
+
+    for (let start = 0; start < rates.length; start += SAVE_BATCH_SIZE) {
+      const { data, error } = await supabase
+        .from(DOLLAR_RATES_TABLE)
+        .upsert(
+          rates.slice(start, start + SAVE_BATCH_SIZE).map((rate) => ({
+            user_id: userId,
+            rate_type: rate.rateType,
+            rate_date: rate.date,
+            rate: rate.rate,
+            source: rate.source || 'manual',
+            updated_at: updatedAt,
+          })),
+          { onConflict: 'user_id,rate_type,rate_date' }
+        )
+        .select();
+
+      if (error) {
+        console.error('Error al guardar cotizaciones del dólar en Supabase:', error);
+        return { data: null, error: error.message };
+      }
+      saved.push(...(data || []));
+    }
+
+    return { data: saved.map(formatDollarRate), error: null };
+  } catch (error) {
+    console.error('Error inesperado al guardar cotizaciones del dólar:', error);
+    return { data: null, error: error.message || 'Error al guardar cotizaciones del dólar' };
+  }
+};
+
+/**
+ * ELIMINAR UNA COTIZACIÓN
+ *
+ * @param {number} rateId - ID de la cotización
+ * @param {string} userId - ID del usuario (para verificar propiedad)
+ * @returns {Promise<{success: boolean, error: string|null}>}
+ */
+export const deleteDollarRateFromSupabase = async (rateId, userId) => {
+  if (!userId) {
+    return { success: false, error: 'ID de usuario no proporcionado' };
+  }
+
+  try {
+    const { error } = await supabase
+      .from(DOLLAR_RATES_TABLE)
+      .delete()
+      .eq('id', rateId)
+      .eq('user_id', userId);
+
+    if (error) {
+      console.error('Error al eliminar cotización del dólar en Supabase:', error);
+      return { success: false, error: error.message };
+    }
+
+    return { success: true, error: null };
+  } catch (error) {
+    console.error('Error inesperado al eliminar cotización del dólar:', error);
+    return { success: false, error: error.message || 'Error al eliminar cotización del dólar' };
+  }
+};
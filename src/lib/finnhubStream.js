@@ -0,0 +1,207 @@
+/**
+ * STREAMING DE PRECIOS POR WEBSOCKET (FINNHUB)
+ *
+ * En lugar de consultar cada precio cada 2 minutos, se abre una conexión
+ * WebSocket con Finnhub y se suscribe a los trades de los símbolos en cartera.
+ *
+ * Protocolo (https://finnhub.io/docs/api/websocket-trades):
+ * - Conexión: wss://ws.finnhub.io?token=API_KEY
+ * - Suscribirse / desuscribirse: {"type": "subscribe" | "unsubscribe", "symbol": "AAPL"}
+ * - Mensajes: {"type": "trade", "data": [{"s": "AAPL", "p": 227.5, "t": 1700000000000, "v": 10}]}
+ *   (también llegan {"type": "ping"} y {"type": "error", "msg": "..."})
+ *
+ * El cliente:
+ * - Mantiene las suscripciones en sincronía con los activos (setAssets)
+ * - Se reconecta con backoff exponencial si se corta la conexión
+ * - Agrupa los trades y entrega como mucho una actualización cada
+ *   `throttleInterval` ms (el último precio de cada símbolo)
+ *
+ * La URL y el constructor de WebSocket se pueden reemplazar para probarlo
+ * contra un servidor local que imite a Finnhub (VITE_FINNHUB_WS_URL).
+ */
+
+export const FINNHUB_WS_URL = 'wss://ws.finnhub.io';
+
+const THROTTLE_INTERVAL = 2000; // Como mucho una actualización del store cada 2 segundos
+const INITIAL_RECONNECT_DELAY = 1000; // 1 segundo antes del primer reintento
+const MAX_RECONNECT_DELAY = 60000; // Nunca esperar más de 1 minuto entre reintentos
+const WS_OPEN = 1; // WebSocket.OPEN
+
+/**
+ * Símbolo de Finnhub para el stream de un activo
+ * @param {string} symbol - Símbolo del activo
+ * @param {string} type - Tipo de activo
+ * @returns {string|null} Símbolo a suscribir, o null si el activo no se transmite
+ */
+export const getStreamSymbol = (symbol, type) => {
+  if (!symbol) return null;
+  if (type === 'crypto' || type === 'criptomoneda') {
+    return `BINANCE:${symbol}USDT`;
+  }
+  // El precio de los CEDEARs se deriva del subyacente: se sigue consultando por polling
+  if (type === 'cedear') {
+    return null;
+  }
+  return symbol;
+};
+
+/**
+ * CREAR UN CLIENTE DE STREAMING DE PRECIOS
+ *
+ * @param {Object} params
+ * @param {string} params.token - API key de Finnhub
+ * @param {string} params.url - URL del WebSocket (por defecto FINNHUB_WS_URL)
+ * @param {Function} params.onPrices - Recibe un objeto símbolo de stream -> {symbol, type, price, time}
+ * @param {Function} params.onStatusChange - Recibe 'connecting', 'open', 'reconnecting' o 'closed'
+ * @param {Function} params.WebSocketImpl - Constructor de WebSocket (por defecto el del navegador)
+ * @param {number} params.throttleInterval - Milisegundos mínimos entre entregas de precios
+ * @returns {{connect: Function, setAssets: Function, close: Function, getStatus: Function}}
+ */
+export const createPriceStream = ({
+  token,
+  url = FINNHUB_WS_URL,
+  onPrices,
+  onStatusChange = () => {},
+  WebSocketImpl = globalThis.WebSocket,
+  throttleInterval = THROTTLE_INTERVAL,
+}) => {
+  let socket = null;
+  let status = 'closed';
+  let isClosed = false; // true después de close(): no reconectar
+  let reconnectAttempts = 0;
+  let reconnectTimer = null;
+  let flushTimer = null;
+  // Símbolo de stream -> {symbol, type} del activo
+  let subscriptions = new Map();
+  // Último trade de cada símbolo desde la última entrega
+  let pending = {};
+
+  const setStatus = (nextStatus) => {
+    if (status === nextStatus) return;
+    status = nextStatus;
+    onStatusChange(nextStatus);
+  };
+
+  const send = (type, streamSymbol) => {
+    if (socket?.readyState === WS_OPEN) {
+      socket.send(JSON.stringify({ type, symbol: streamSymbol }));
+    }
+  };
+
+  const flush = () => {
+    flushTimer = null;
+    const prices = pending;
+    pending = {};
+    if (Object.keys(prices).length > 0) {
+      onPrices(prices);
+    }
+  };
+
+  const handleMessage = (event) => {
+    let message;
+    try {
+      message = JSON.parse(event.data);
+    } catch {
+      return;
+    }
+
+    if (message.type === 'error') {
+      console.warn('⚠️ Error del stream de precios:', message.msg);
+      return;
+    }
+    if (message.type !== 'trade' || !Array.isArray(message.data)) return;
+
+    message.data.forEach((trade) => {
+      const asset = subscriptions.get(trade.s);
+      if (!asset || !(trade.p > 0)) return;
+      const previous = pending[trade.s];
+      if (!previous || trade.t >= previous.time) {
+        pending[trade.s] = { ...asset, price: trade.p, time: trade.t };
+      }
+    });
+
+    if (!flushTimer && Object.keys(pending).length > 0) {
+      flushTimer = setTimeout(flush, throttleInterval);
+    }
+  };
+
+  const scheduleReconnect = () => {
+    if (isClosed) return;
+    // Backoff exponencial: 1s, 2s, 4s... hasta MAX_RECONNECT_DELAY
+    const delay = Math.min(MAX_RECONNECT_DELAY, INITIAL_RECONNECT_DELAY * 2 ** reconnectAttempts);
+    reconnectAttempts++;
+    setStatus('reconnecting');
+    reconnectTimer = setTimeout(connect, delay);
+  };
+
+  const connect = () => {
+    reconnectTimer = null;
+    if (isClosed || socket) return;
+
+    setStatus('connecting');
+    try {
+      const separator = url.includes('?') ? '&' : '?';
+      socket = new WebSocketImpl(`${url}${separator}token=${encodeURIComponent(token)}`);
+    } catch (error) {
+      console.error('Error al abrir el stream de precios:', error);
+      socket = null;
+      scheduleReconnect();
+      return;
+    }
+
+    socket.onopen = () => {
+      reconnectAttempts = 0;
+      setStatus('open');
+      // Al (re)conectar hay que volver a suscribirse a todo
+      subscriptions.forEach((_, streamSymbol) => {
+        send('subscribe', streamSymbol);
+      });
+    };
+    socket.onmessage = handleMessage;
+    socket.onerror = () => {
+      // El navegador cierra la conexión después de un error: se reconecta en onclose
+      console.warn('⚠️ Error en la conexión del stream de precios');
+    };
+    socket.onclose = () => {
+      socket = null;
+      scheduleReconnect();
+    };
+  };
+
+  /**
+   * Sincronizar las suscripciones con los activos en cartera
+   * @param {Array} assets - Activos {symbol, type}
+   */
+  const setAssets = (assets) => {
+    const next = new Map();
+    assets.forEach((asset) => {
+      const streamSymbol = getStreamSymbol(asset.symbol, asset.type);
+      if (streamSymbol) {
+        next.set(streamSymbol, { symbol: asset.symbol, type: asset.type });
+      }
+    });
+
+    subscriptions.forEach((_, streamSymbol) => {
+      if (!next.has(streamSymbol)) send('unsubscribe', streamSymbol);
+    });
+    next.forEach((_, streamSymbol) => {
+      if (!subscriptions.has(streamSymbol)) send('subscribe', streamSymbol);
+    });
+    subscriptions = next;
+  };
+
+  const close = () => {
+    isClosed = true;
+    clearTimeout(reconnectTimer);
+    clearTimeout(flushTimer);
+    pending = {};
+    if (socket) {
+      socket.onclose = null;
+      socket.close();
+      socket = null;
+    }
+    setStatus('closed');
+  };
+
+  return { connect, setAssets, close, getStatus: () => status };
+};
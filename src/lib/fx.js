@@ -0,0 +1,372 @@
+/**
+ * TIPOS DE CAMBIO Y CONVERSIÓN A LA MONEDA BASE
+ *
+ * Cada activo cotiza en su moneda (asset.currency) y la cartera se muestra en
+ * la moneda base del usuario (user_metadata.base_currency). Este archivo
+ * tiene:
+ * - el registro de fuentes de tipos de cambio (se pueden sumar otras con
+ *   registerFxRateSource, ej: una fuente de cotizaciones locales)
+ * - funciones puras para convertir montos y activos a la moneda base
+ *
+ * Las cotizaciones se manejan como un objeto moneda -> unidades por 1 USD
+ * (DEFAULT_CURRENCY), que es el formato en que las devuelven las APIs. Así
+ * cualquier par se calcula como rates[destino] / rates[origen].
+ *
+ * Cada lote guarda el tipo de cambio a la moneda base del día en que se
+ * registró (fxRate / fxBaseCurrency de la transacción). Con eso la ganancia no
+ * realizada se separa en:
+ * - precio: (valor - costo) en la moneda del activo, al tipo de cambio de hoy
+ * - tipo de cambio: costo en la moneda del activo × (cambio de hoy - cambio del lote)
+ *
+ * Los montos sin cotización para convertirlos no se suman como si valieran 1:
+ * los activos quedan en su moneda marcados con isFxRateMissing y los totales
+ * los dejan afuera (ver useAssets).
+ */
+
+import { CURRENCIES, DEFAULT_CURRENCY, DEFAULT_FX_RATE_SOURCE } from '../constants';
+import { getPositionLots } from './ledger';
+
+// Fuentes registradas: id -> { label, fetchRates }
+const rateSources = new Map();
+
+/**
+ * REGISTRAR UNA FUENTE DE TIPOS DE CAMBIO
+ *
+ * @param {string} id - Identificador de la fuente
+ * @param {Object} source
+ * @param {string} source.label - Nombre para mostrar
+ * @param {Function} source.fetchRates - async () => {data: {rates, date}|null, error: string|null};
+ *   rates es un objeto moneda -> unidades por 1 USD (con USD: 1) y date la fecha YYYY-MM-DD de las cotizaciones
+ */
+export const registerFxRateSource = (id, source) => {
+  rateSources.set(id, source);
+};
+
+/**
+ * Obtener una fuente registrada (o la fuente por defecto si no existe)
+ * @param {string} id - Identificador de la fuente
+ * @returns {{id: string, label: string, fetchRates: Function}}
+ */
+export const getFxRateSource = (id) => {
+  const sourceId = rateSources.has(id) ? id : DEFAULT_FX_RATE_SOURCE;
+  return { id: sourceId, ...rateSources.get(sourceId) };
+};
+
+/**
+ * Fuente por defecto: ExchangeRate-API (open.er-api.com), gratuita y sin API key.
+ * Se actualiza una vez por día.
+ */
+registerFxRateSource('open-er-api', {
+  label: 'ExchangeRate-API',
+  fetchRates: async () => {
+    try {
+      const response = await fetch(`https://open.er-api.com/v6/latest/${DEFAULT_CURRENCY}`);
+      if (!response.ok) {
+        return { data: null, error: `Error al obtener los tipos de cambio: ${response.status}` };
+      }
+
+      const result = await response.json();
+      if (result.result !== 'success' || !result.rates) {
+        return { data: null, error: 'La fuente de tipos de cambio no devolvió cotizaciones' };
+      }
+
+      return {
+        data: {
+          rates: { ...result.rates, [DEFAULT_CURRENCY]: 1 },
+          date: new Date(result.time_last_update_unix * 1000).toISOString().split('T')[0],
+        },
+        error: null,
+      };
+    } catch (error) {
+      console.error('Error al obtener los tipos de cambio:', error);
+      return { data: null, error: error.message || 'Error al obtener los tipos de cambio' };
+    }
+  },
+});
+
+/**
+ * Normalizar un código de moneda (mayúsculas, DEFAULT_CURRENCY si falta)
+ * @param {string} currency - Código ISO (ej: 'usd', 'ARS')
+ * @returns {string}
+ */
+export const normalizeCurrency = (currency) => {
+  const code = (currency || '').trim().toUpperCase();
+  return code || DEFAULT_CURRENCY;
+};
+
+/**
+ * Símbolo para mostrar montos en una moneda (ej: 'USD' -> '$', 'EUR' -> '€')
+ * @param {string} currency - Código ISO
+ * @returns {string}
+ */
+export const getCurrencySymbol = (currency) => {
+  const code = normalizeCurrency(currency);
+  return CURRENCIES[code]?.symbol ?? `${code} `;
+};
+
+/**
+ * OBTENER EL TIPO DE CAMBIO ENTRE DOS MONEDAS
+ *
+ * @param {string} from - Moneda de origen
+ * @param {string} to - Moneda de destino
+ * @param {Object|null} rates - Cotizaciones moneda -> unidades por 1 USD
+ * @returns {number|null} Unidades de `to` por 1 unidad de `from` (null si falta alguna cotización)
+ */
+export const getFxRate = (from, to, rates) => {
+  const source = normalizeCurrency(from);
+  const target = normalizeCurrency(to);
+  if (source === target) return 1;
+  const sourceRate = rates?.[source];
+  const targetRate = rates?.[target];
+  return sourceRate > 0 && targetRate > 0 ? targetRate / sourceRate : null;
+};
+
+/**
+ * CONVERTIR UN MONTO
+ *
+ * @returns {number|null} Monto en la moneda de destino (null si falta la cotización)
+ */
+export const convertAmount = (amount, from, to, rates) => {
+  const rate = getFxRate(from, to, rates);
+  return rate === null ? null : amount * rate;
+};
+
+/**
+ * Tipo de cambio a la moneda base con el que se compró un lote
+ *
+ * Si el lote se registró con otra moneda base, su tipo de cambio se lleva a
+ * la actual con la cotización de hoy entre ambas. Los lotes sin tipo de
+ * cambio guardado (anteriores a las monedas) usan el de hoy, es decir, no
+ * tienen diferencia de cambio.
+ *
+ * @param {Object} lot - Lote {fxRate, fxBaseCurrency}
+ * @param {string} baseCurrency - Moneda base actual
+ * @param {number} currentRate - Tipo de cambio de hoy del activo a la moneda base
+ * @param {Object} rates - Cotizaciones
+ */
+const getLotFxRate = (lot, baseCurrency, currentRate, rates) => {
+  if (!(lot.fxRate > 0) || !lot.fxBaseCurrency) return currentRate;
+  const crossRate = getFxRate(lot.fxBaseCurrency, baseCurrency, rates);
+  return crossRate === null ? currentRate : lot.fxRate * crossRate;
+};
+
+/**
+ * Costo de una tenencia en la moneda base, a los tipos de cambio de sus lotes
+ *
+ * Los lotes tienen el costo en la moneda del activo; la parte de la tenencia
+ * que no tiene lotes (datos anteriores al historial) se convierte al cambio de hoy.
+ *
+ * @param {number} quantity - Cantidad de la tenencia
+ * @param {number} purchasePrice - PPC en la moneda del activo
+ * @param {Array} lots - Lotes de la tenencia
+ * @param {string} baseCurrency - Moneda base
+ * @param {number} currentRate - Tipo de cambio de hoy del activo a la moneda base
+ * @param {Object} rates - Cotizaciones
+ */
+const getBaseCost = (quantity, purchasePrice, lots, baseCurrency, currentRate, rates) => {
+  const lotCost = lots.reduce(
+    (total, lot) => total + lot.quantity * lot.price * getLotFxRate(lot, baseCurrency, currentRate, rates),
+    0
+  );
+  const lotCostNative = lots.reduce((total, lot) => total + lot.quantity * lot.price, 0);
+  return lotCost + (quantity * purchasePrice - lotCostNative) * currentRate;
+};
+
+/**
+ * CONVERTIR LA COMISIÓN DE UNA TRANSACCIÓN A LA MONEDA BASE
+ *
+ * Las comisiones de compras y ediciones (que van al costo del lote) se
+ * convierten al tipo de cambio del lote; las de ventas, al de hoy, como la
+ * ganancia realizada.
+ *
+ * @param {Object} tx - Transacción {fxRate, fxBaseCurrency}
+ * @param {number} fee - Comisión en la moneda del activo
+ * @param {string} currency - Moneda del activo
+ * @param {string} baseCurrency - Moneda base
+ * @param {Object|null} rates - Cotizaciones
+ * @returns {number|null} Comisión en la moneda base (null si falta la cotización)
+ */
+export const convertTransactionFee = (tx, fee, currency, baseCurrency, rates) => {
+  const rate = getFxRate(currency, baseCurrency, rates);
+  if (rate === null) return null;
+  return fee * (tx.type === 'sell' ? rate : getLotFxRate(tx, baseCurrency, rate, rates));
+};
+
+/**
+ * CONVERTIR EL COSTO DE UNA POSICIÓN A LA MONEDA BASE
+ *
+ * Igual que el costo de convertAssetToBase: cada lote a su tipo de cambio.
+ * Sirve para posiciones reconstruidas del historial (ej: la curva de capital).
+ *
+ * @param {Object} position - Posición {quantity, purchasePrice} en la moneda del activo (buildPosition)
+ * @param {Array} lots - Lotes abiertos de la posición (getOpenLots)
+ * @param {string} currency - Moneda del activo
+ * @param {string} baseCurrency - Moneda base
+ * @param {Object|null} rates - Cotizaciones
+ * @returns {number|null} Costo en la moneda base (null si falta la cotización)
+ */
+export const convertPositionCost = (position, lots, currency, baseCurrency, rates) => {
+  const rate = getFxRate(currency, baseCurrency, rates);
+  if (rate === null) return null;
+  return getBaseCost(position.quantity, position.purchasePrice, lots, baseCurrency, rate, rates);
+};
+
+/**
+ * CONVERTIR UN ACTIVO A LA MONEDA BASE
+ *
+ * El PPC del activo y el de cada broker se convierten igual: cada lote a su
+ * tipo de cambio, así el desglose por broker suma el costo del activo.
+ *
+ * Sin cotización el activo queda en su moneda (currency, precios y brokers sin
+ * tocar) con fxRate en null e isFxRateMissing: los totales en la moneda base
+ * no lo suman.
+ *
+ * @param {Object} asset - Activo en su moneda
+ * @param {Array} lots - Lotes abiertos del activo (getPositionLots) con {broker, quantity, price, fxRate, fxBaseCurrency}
+ * @param {string} baseCurrency - Moneda base
+ * @param {Object|null} rates - Cotizaciones
+ * @returns {Object} El activo con precios en la moneda base y:
+ *   - currency: la moneda base (la del activo si falta la cotización)
+ *   - nativeCurrency, nativeCurrentPrice, nativePurchasePrice: los valores en la moneda del activo
+ *   - fxRate: tipo de cambio de hoy (null si falta la cotización)
+ *   - isFxRateMissing: true si no hay cotización para convertir
+ *   - fxProfit: parte de la ganancia no realizada que viene del tipo de cambio
+ */
+export const convertAssetToBase = (asset, lots, baseCurrency, rates) => {
+  const nativeCurrency = normalizeCurrency(asset.currency);
+  const fxRate = getFxRate(nativeCurrency, baseCurrency, rates);
+
+  const converted = {
+    ...asset,
+    nativeCurrency,
+    nativeCurrentPrice: asset.currentPrice,
+    nativePurchasePrice: asset.purchasePrice,
+    fxRate,
+    isFxRateMissing: fxRate === null,
+    fxProfit: 0,
+  };
+  if (fxRate === null) {
+    return { ...converted, currency: nativeCurrency };
+  }
+
+  // Costo en la moneda base a los tipos de cambio de cada lote
+  const baseCost = getBaseCost(asset.quantity, asset.purchasePrice, lots, baseCurrency, fxRate, rates);
+
+  return {
+    ...converted,
+    currency: normalizeCurrency(baseCurrency),
+    currentPrice: asset.currentPrice * fxRate,
+    purchasePrice: asset.quantity > 0 ? baseCost / asset.quantity : asset.purchasePrice * fxRate,
+    brokers: (asset.brokers || []).map((b) => {
+      const quantity = parseFloat(b.quantity) || 0;
+      const purchasePrice = parseFloat(b.purchasePrice) || 0;
+      const brokerLots = lots.filter((lot) => lot.broker === (b.broker || ''));
+      const brokerCost = getBaseCost(quantity, purchasePrice, brokerLots, baseCurrency, fxRate, rates);
+      return { ...b, purchasePrice: quantity > 0 ? brokerCost / quantity : purchasePrice * fxRate };
+    }),
+    fxProfit: asset.quantity * asset.purchasePrice * fxRate - baseCost,
+  };
+};
+
+/**
+ * CONVERTIR TODOS LOS ACTIVOS A LA MONEDA BASE
+ *
+ * @param {Object} params
+ * @param {Array} params.assets - Activos en su moneda
+ * @param {Array} params.transactions - Transacciones de todos los activos
+ * @param {string} params.method - Método de costo
+ * @param {string} params.baseCurrency - Moneda base
+ * @param {Object|null} params.rates - Cotizaciones
+ * @returns {Array} Activos convertidos (ver convertAssetToBase)
+ */
+export const convertAssetsToBase = ({ assets, transactions, method, baseCurrency, rates }) => {
+  const transactionsByAsset = {};
+  transactions.forEach((tx) => {
+    if (!transactionsByAsset[tx.assetId]) transactionsByAsset[tx.assetId] = [];
+    transactionsByAsset[tx.assetId].push(tx);
+  });
+
+  return assets.map((asset) =>
+    convertAssetToBase(
+      asset,
+      getPositionLots(asset, transactionsByAsset[asset.id] || [], method),
+      baseCurrency,
+      rates
+    )
+  );
+};
+
+/**
+ * CONVERTIR MONTOS POR ACTIVO A LA MONEDA BASE
+ *
+ * Para la ganancia realizada y los ingresos, que se convierten al tipo de
+ * cambio de hoy.
+ *
+ * @param {Object} valuesByAsset - assetId -> número u objeto de números (ej: {gross, withholdingTax, net})
+ * @param {Array} assets - Activos en su moneda (para saber la moneda de cada uno)
+ * @param {string} baseCurrency - Moneda base
+ * @param {Object|null} rates - Cotizaciones
+ * @returns {Object} Mismo formato, en la moneda base (los activos sin cotización no se incluyen)
+ */
+export const convertValuesByAsset = (valuesByAsset, assets, baseCurrency, rates) => {
+  const currencyByAsset = new Map(assets.map((asset) => [Number(asset.id), asset.currency]));
+  const converted = {};
+
+  Object.entries(valuesByAsset).forEach(([assetId, value]) => {
+    const rate = getFxRate(currencyByAsset.get(Number(assetId)), baseCurrency, rates);
+    if (rate === null) return;
+    converted[assetId] = typeof value === 'number'
+      ? value * rate
+      : Object.fromEntries(Object.entries(value).map(([key, amount]) => [key, amount * rate]));
+  });
+
+  return converted;
+};
+
+/**
+ * CONVERTIR FLUJOS DE EFECTIVO A LA MONEDA BASE
+ *
+ * Para el TWR y la TIR de la cartera. Cada flujo se convierte al tipo de
+ * cambio de hoy (igual que el valor total contra el que se compara).
+ *
+ * @param {Array} flows - Flujos {date, amount} con currency o assetId
+ * @param {Array} assets - Activos en su moneda (para los flujos con assetId)
+ * @param {string} baseCurrency - Moneda base
+ * @param {Object|null} rates - Cotizaciones
+ * @returns {Array} Flujos {date, amount} en la moneda base (sin los que no tienen cotización)
+ */
+export const convertCashFlows = (flows, assets, baseCurrency, rates) => {
+  const currencyByAsset = new Map(assets.map((asset) => [Number(asset.id), asset.currency]));
+
+  return flows.flatMap((flow) => {
+    const currency = flow.currency ?? currencyByAsset.get(Number(flow.assetId));
+    const rate = getFxRate(currency, baseCurrency, rates);
+    return rate === null ? [] : [{ date: flow.date, amount: flow.amount * rate }];
+  });
+};
+
+/**
+ * GUARDAR LA MONEDA Y EL TIPO DE CAMBIO EN LOS LOTES NUEVOS
+ *
+ * Las compras, las acciones recibidas por spin-off y las ediciones ('buy' /
+ * 'spinoff_in' / 'adjust') abren lotes: se les agrega la moneda del activo y
+ * el tipo de cambio de hoy a la moneda base. Si no hay cotización el tipo de
+ * cambio queda en null (el lote no tendrá diferencia de cambio).
+ *
+ * @param {Array} transactions - Transacciones nuevas de UN activo
+ * @param {string} currency - Moneda del activo
+ * @param {string} baseCurrency - Moneda base del usuario
+ * @param {Object|null} rates - Cotizaciones
+ * @returns {Array} Transacciones con currency, fxRate y fxBaseCurrency
+ */
+export const addFxToTransactions = (transactions, currency, baseCurrency, rates) => {
+  const lotCurrency = normalizeCurrency(currency);
+  const base = normalizeCurrency(baseCurrency);
+  const rate = getFxRate(lotCurrency, base, rates);
+
+  return transactions.map((tx) =>
+    tx.type === 'buy' || tx.type === 'spinoff_in' || tx.type === 'adjust'
+      ? { ...tx, currency: lotCurrency, fxRate: rate, fxBaseCurrency: rate === null ? null : base }
+      : tx
+  );
+};
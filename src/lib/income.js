@@ -0,0 +1,50 @@
+/**
+ * CÁLCULOS DE INGRESOS
+ *
+ * Funciones puras para resumir los ingresos (dividendos, cupones, intereses y
+ * recompensas de staking) de la cartera. No tocan el store.
+ */
+
+/**
+ * Ingreso neto de una entrada (monto bruto - retención de impuestos)
+ * @param {Object} entry - Ingreso {amount, withholdingTax}
+ * @returns {number}
+ */
+export const getNetIncome = (entry) => (entry.amount || 0) - (entry.withholdingTax || 0);
+
+/**
+ * RESUMIR INGRESOS
+ *
+ * @param {Array} entries - Ingresos a resumir
+ * @returns {{gross: number, withholdingTax: number, net: number}}
+ */
+export const summarizeIncome = (entries) => {
+  return entries.reduce(
+    (summary, entry) => ({
+      gross: summary.gross + (entry.amount || 0),
+      withholdingTax: summary.withholdingTax + (entry.withholdingTax || 0),
+      net: summary.net + getNetIncome(entry),
+    }),
+    { gross: 0, withholdingTax: 0, net: 0 }
+  );
+};
+
+/**
+ * RESUMIR INGRESOS POR ACTIVO
+ *
+ * @param {Array} entries - Ingresos de todos los activos
+ * @returns {Object} Map de assetId -> {gross, withholdingTax, net}
+ */
+export const summarizeIncomeByAsset = (entries) => {
+  const byAsset = {};
+  entries.forEach((entry) => {
+    if (!byAsset[entry.assetId]) byAsset[entry.assetId] = [];
+    byAsset[entry.assetId].push(entry);
+  });
+
+  const summaries = {};
+  Object.keys(byAsset).forEach((assetId) => {
+    summaries[assetId] = summarizeIncome(byAsset[assetId]);
+  });
+  return summaries;
+};
@@ -0,0 +1,138 @@
+/**
+ * SERVICIO DE INGRESOS CON SUPABASE
+ *
+ * Este archivo contiene todas las funciones para interactuar con la tabla
+ * de ingresos (dividendos, cupones, intereses y recompensas de staking).
+ *
+ * Cada ingreso pertenece a un activo y a un broker, y puede tener una
+ * retención de impuestos.
+ */
+
+import { supabase } from './supabase';
+
+const INCOME_TABLE = 'income_entries';
+
+/**
+ * Convierte una fila de la BD (snake_case) al formato de la app (camelCase)
+ * @param {Object} item - Fila de la tabla income_entries
+ * @returns {Object} Ingreso formateado
+ */
+const formatIncomeEntry = (item) => ({
+  id: item.id,
+  assetId: typeof item.asset_id === 'string' ? parseInt(item.asset_id, 10) : Number(item.asset_id),
+  type: item.type,
+  broker: item.broker || '',
+  amount: parseFloat(item.amount) || 0,
+  withholdingTax: parseFloat(item.withholding_tax) || 0,
+  date: item.payment_date,
+  notes: item.notes || '',
+  createdAt: item.created_at,
+});
+
+/**
+ * CARGAR INGRESOS DE UN USUARIO
+ *
+ * @param {string} userId - ID del usuario
+ * @returns {Promise<{data: Array|null, error: string|null}>}
+ */
+export const loadIncomeFromSupabase = async (userId) => {
+  if (!userId) {
+    return { data: null, error: 'ID de usuario no proporcionado' };
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from(INCOME_TABLE)
+      .select('*')
+      .eq('user_id', userId)
+      .order('payment_date', { ascending: true })
+      .order('id', { ascending: true });
+
+    if (error) {
+      console.error('Error al cargar ingresos desde Supabase:', error);
+      if (error.message?.includes('does not exist')) {
+        return {
+          data: null,
+          error: 'La tabla de ingresos no existe en Supabase. Por favor, ejecuta el script SQL en supabase_income_table.sql',
+        };
+      }
+      return { data: null, error: error.message };
+    }
+
+    return { data: (data || []).map(formatIncomeEntry), error: null };
+  } catch (error) {
+    console.error('Error inesperado al cargar ingresos:', error);
+    return { data: null, error: error.message || 'Error al cargar ingresos' };
+  }
+};
+
+/**
+ * GUARDAR UN INGRESO
+ *
+ * @param {Object} entry - Ingreso {assetId, type, broker, amount, withholdingTax, date, notes}
+ * @param {string} userId - ID del usuario propietario
+ * @returns {Promise<{data: Object|null, error: string|null}>}
+ */
+export const saveIncomeToSupabase = async (entry, userId) => {
+  if (!userId) {
+    return { data: null, error: 'ID de usuario no proporcionado' };
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from(INCOME_TABLE)
+      .insert({
+        user_id: userId,
+        asset_id: entry.assetId,
+        type: entry.type,
+        broker: entry.broker || '',
+        amount: entry.amount || 0,
+        withholding_tax: entry.withholdingTax || 0,
+        payment_date: entry.date,
+        notes: entry.notes || null,
+      })
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Error al guardar ingreso en Supabase:', error);
+      return { data: null, error: error.message };
+    }
+
+    return { data: formatIncomeEntry(data), error: null };
+  } catch (error) {
+    console.error('Error inesperado al guardar ingreso:', error);
+    return { data: null, error: error.message || 'Error al guardar ingreso' };
+  }
+};
+
+/**
+ * ELIMINAR UN INGRESO
+ *
+ * @param {number} entryId - ID del ingreso
+ * @param {string} userId - ID del usuario (para verificar propiedad)
+ * @returns {Promise<{success: boolean, error: string|null}>}
+ */
+export const deleteIncomeFromSupabase = async (entryId, userId) => {
+  if (!userId) {
+    return { success: false, error: 'ID de usuario no proporcionado' };
+  }
+
+  try {
+    const { error } = await supabase
+      .from(INCOME_TABLE)
+      .delete()
+      .eq('id', entryId)
+      .eq('user_id', userId);
+
+    if (error) {
+      console.error('Error al eliminar ingreso en Supabase:', error);
+      return { success: false, error: error.message };
+    }
+
+    return { success: true, error: null };
+  } catch (error) {
+    console.error('Error inesperado al eliminar ingreso:', error);
+    return { success: false, error: error.message || 'Error al eliminar ingreso' };
+  }
+};
@@ -0,0 +1,251 @@
+/**
+ * INDICADORES TÉCNICOS
+ *
+ * Funciones puras para los indicadores del gráfico de precio (SMA, EMA,
+ * Bandas de Bollinger, RSI y MACD). Reciben la serie de cierres y devuelven un
+ * array del mismo largo, con null en los puntos donde todavía no hay
+ * suficientes datos. No tocan el store.
+ */
+
+import { CHART_TYPES, DEFAULT_CHART_SETTINGS } from '../constants';
+
+const MIN_PERIOD = 2;
+const MAX_PERIOD = 200;
+const MIN_DEVIATIONS = 0.5;
+const MAX_DEVIATIONS = 5;
+
+/**
+ * CALCULAR LA MEDIA MÓVIL SIMPLE (SMA)
+ *
+ * @param {Array<number>} values - Cierres
+ * @param {number} period - Cantidad de puntos de la ventana
+ * @returns {Array<number|null>}
+ */
+export const calculateSMA = (values, period) => {
+  const result = new Array(values.length).fill(null);
+  let sum = 0;
+
+  values.forEach((value, index) => {
+    sum += value;
+    if (index >= period) sum -= values[index - period];
+    if (index >= period - 1) result[index] = sum / period;
+  });
+
+  return result;
+};
+
+/**
+ * CALCULAR LA MEDIA MÓVIL EXPONENCIAL (EMA)
+ *
+ * Arranca con la SMA de los primeros valores y después pondera cada punto
+ * con 2 / (período + 1). Los null iniciales (ej: la línea MACD) se saltean.
+ *
+ * @param {Array<number|null>} values - Serie de valores
+ * @param {number} period - Cantidad de puntos
+ * @returns {Array<number|null>}
+ */
+export const calculateEMA = (values, period) => {
+  const result = new Array(values.length).fill(null);
+  const start = values.findIndex((value) => value !== null);
+  if (start === -1 || values.length - start < period) return result;
+
+  const multiplier = 2 / (period + 1);
+  let ema = values.slice(start, start + period).reduce((total, value) => total + value, 0) / period;
+  result[start + period - 1] = ema;
+
+  for (let i = start + period; i < values.length; i++) {
+    ema = (values[i] - ema) * multiplier + ema;
+    result[i] = ema;
+  }
+
+  return result;
+};
+
+/**
+ * CALCULAR LAS BANDAS DE BOLLINGER
+ *
+ * Media: SMA del período. Bandas: media ± desvíos × desvío estándar de la ventana.
+ *
+ * @param {Array<number>} values - Cierres
+ * @param {number} period - Cantidad de puntos de la ventana
+ * @param {number} deviations - Cantidad de desvíos estándar (ej: 2)
+ * @returns {Array<{upper: number, middle: number, lower: number}|null>}
+ */
+export const calculateBollingerBands = (values, period, deviations) => {
+  const middle = calculateSMA(values, period);
+
+  return middle.map((average, index) => {
+    if (average === null) return null;
+    const window = values.slice(index - period + 1, index + 1);
+    const variance = window.reduce((total, value) => total + (value - average) ** 2, 0) / period;
+    const offset = Math.sqrt(variance) * deviations;
+    return { upper: average + offset, middle: average, lower: average - offset };
+  });
+};
+
+/**
+ * CALCULAR EL RSI (ÍNDICE DE FUERZA RELATIVA)
+ *
+ * Usa el suavizado de Wilder sobre las subas y bajas entre cierres.
+ *
+ * @param {Array<number>} values - Cierres
+ * @param {number} period - Cantidad de variaciones (ej: 14)
+ * @returns {Array<number|null>} Valores entre 0 y 100
+ */
+export const calculateRSI = (values, period) => {
+  const result = new Array(values.length).fill(null);
+  if (values.length <= period) return result;
+
+  const toRSI = (gain, loss) => (loss === 0 ? 100 : 100 - 100 / (1 + gain / loss));
+
+  let averageGain = 0;
+  let averageLoss = 0;
+  for (let i = 1; i <= period; i++) {
+    const change = values[i] - values[i - 1];
+    averageGain += Math.max(change, 0) / period;
+    averageLoss += Math.max(-change, 0) / period;
+  }
+  result[period] = toRSI(averageGain, averageLoss);
+
+  for (let i = period + 1; i < values.length; i++) {
+    const change = values[i] - values[i - 1];
+    averageGain = (averageGain * (period - 1) + Math.max(change, 0)) / period;
+    averageLoss = (averageLoss * (period - 1) + Math.max(-change, 0)) / period;
+    result[i] = toRSI(averageGain, averageLoss);
+  }
+
+  return result;
+};
+
+/**
+ * CALCULAR EL MACD
+ *
+ * Línea MACD = EMA rápida - EMA lenta; señal = EMA de la línea MACD;
+ * histograma = MACD - señal.
+ *
+ * @param {Array<number>} values - Cierres
+ * @param {number} fast - Períodos de la EMA rápida (ej: 12)
+ * @param {number} slow - Períodos de la EMA lenta (ej: 26)
+ * @param {number} signal - Períodos de la señal (ej: 9)
+ * @returns {Array<{macd: number, signal: number|null, histogram: number|null}|null>}
+ */
+export const calculateMACD = (values, fast, slow, signal) => {
+  const fastEMA = calculateEMA(values, fast);
+  const slowEMA = calculateEMA(values, slow);
+  const macdLine = values.map((_, index) =>
+    fastEMA[index] !== null && slowEMA[index] !== null ? fastEMA[index] - slowEMA[index] : null
+  );
+  const signalLine = calculateEMA(macdLine, signal);
+
+  return macdLine.map((macd, index) => {
+    if (macd === null) return null;
+    const signalValue = signalLine[index];
+    return {
+      macd,
+      signal: signalValue,
+      histogram: signalValue === null ? null : macd - signalValue,
+    };
+  });
+};
+
+/**
+ * Período entero dentro de los límites, o el valor por defecto
+ */
+const normalizePeriod = (value, fallback) => {
+  const period = Number(value);
+  return Number.isInteger(period) && period >= MIN_PERIOD && period <= MAX_PERIOD ? period : fallback;
+};
+
+/**
+ * Verificar si un parámetro de un indicador es válido (para los inputs)
+ * @param {string} param - Nombre del parámetro (period, deviations, fast, slow, signal)
+ * @param {number} value - Valor ingresado
+ */
+export const isValidIndicatorParam = (param, value) => {
+  if (param === 'deviations') {
+    return Number.isFinite(value) && value >= MIN_DEVIATIONS && value <= MAX_DEVIATIONS;
+  }
+  return Number.isInteger(value) && value >= MIN_PERIOD && value <= MAX_PERIOD;
+};
+
+/**
+ * NORMALIZAR LA CONFIGURACIÓN DEL GRÁFICO
+ *
+ * Completa con DEFAULT_CHART_SETTINGS lo que falte o no sea válido (la
+ * configuración guardada en user_metadata puede ser de una versión anterior).
+ *
+ * @param {Object} settings - Configuración guardada (o undefined)
+ * @returns {Object} Configuración completa
+ */
+export const normalizeChartSettings = (settings) => {
+  const saved = settings && typeof settings === 'object' ? settings : {};
+  const defaults = DEFAULT_CHART_SETTINGS;
+  const enabled = (key) => saved[key]?.enabled === true;
+
+  const deviations = Number(saved.bollinger?.deviations);
+  let fast = normalizePeriod(saved.macd?.fast, defaults.macd.fast);
+  let slow = normalizePeriod(saved.macd?.slow, defaults.macd.slow);
+  if (fast >= slow) {
+    fast = defaults.macd.fast;
+    slow = defaults.macd.slow;
+  }
+
+  return {
+    type: CHART_TYPES[saved.type] ? saved.type : defaults.type,
+    volume: typeof saved.volume === 'boolean' ? saved.volume : defaults.volume,
+    sma: { enabled: enabled('sma'), period: normalizePeriod(saved.sma?.period, defaults.sma.period) },
+    ema: { enabled: enabled('ema'), period: normalizePeriod(saved.ema?.period, defaults.ema.period) },
+    bollinger: {
+      enabled: enabled('bollinger'),
+      period: normalizePeriod(saved.bollinger?.period, defaults.bollinger.period),
+      deviations: isValidIndicatorParam('deviations', deviations) ? deviations : defaults.bollinger.deviations,
+    },
+    rsi: { enabled: enabled('rsi'), period: normalizePeriod(saved.rsi?.period, defaults.rsi.period) },
+    macd: {
+      enabled: enabled('macd'),
+      fast,
+      slow,
+      signal: normalizePeriod(saved.macd?.signal, defaults.macd.signal),
+    },
+  };
+};
+
+/**
+ * AGREGAR LOS INDICADORES ACTIVOS A LOS PUNTOS DEL GRÁFICO
+ *
+ * Se calculan sobre el cierre (value) de cada punto.
+ *
+ * @param {Array} points - Puntos del gráfico {value, ...} ordenados por fecha
+ * @param {Object} settings - Configuración normalizada (normalizeChartSettings)
+ * @returns {Array} Los mismos puntos con sma, ema, bollingerUpper/Middle/Lower,
+ *   rsi, macd, macdSignal y macdHistogram según los indicadores activos
+ */
+export const addIndicators = (points, settings) => {
+  const closes = points.map((point) => point.value);
+  const sma = settings.sma.enabled ? calculateSMA(closes, settings.sma.period) : null;
+  const ema = settings.ema.enabled ? calculateEMA(closes, settings.ema.period) : null;
+  const bollinger = settings.bollinger.enabled
+    ? calculateBollingerBands(closes, settings.bollinger.period, settings.bollinger.deviations)
+    : null;
+  const rsi = settings.rsi.enabled ? calculateRSI(closes, settings.rsi.period) : null;
+  const macd = settings.macd.enabled
+    ? calculateMACD(closes, settings.macd.fast, settings.macd.slow, settings.macd.signal)
+    : null;
+
+  return points.map((point, index) => ({
+    ...point,
+    ...(sma && { sma: sma[index] }),
+    ...(ema && { ema: ema[index] }),
+    ...(bollinger && {
+      bollingerUpper: bollinger[index]?.upper ?? null,
+      bollingerMiddle: bollinger[index]?.middle ?? null,
+      bollingerLower: bollinger[index]?.lower ?? null,
+    }),
+    ...(rsi && { rsi: rsi[index] }),
+    ...(macd && {
+      macd: macd[index]?.macd ?? null,
+      macdSignal: macd[index]?.signal ?? null,
+      macdHistogram: macd[index]?.histogram ?? null,
+    }),
+  }));
+};
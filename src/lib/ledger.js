@@ -0,0 +1,702 @@
+/**
+ * LIBRO DE OPERACIONES (LEDGER)
+ *
+ * Funciones puras que reconstruyen el estado de un activo a partir de su
+ * historial de transacciones. No hacen peticiones ni tocan el store: reciben
+ * arrays y devuelven objetos nuevos, así que se pueden usar para auditar o
+ * reconstruir los números en cualquier momento.
+ *
+ * Tipos de transacción:
+ * - buy: compra de `quantity` unidades a `price` en un broker; la comisión (`fee`)
+ *   se suma al costo
+ * - sell: venta de `quantity` unidades a `price`; la comisión se resta de lo cobrado
+ *   y la diferencia contra el costo de lo vendido queda como ganancia realizada
+ * - reset: deja el activo en 0 en todos los brokers
+ * - adjust: fija la cantidad y el PPC de un broker (edición manual o saldo inicial);
+ *   la comisión, si la hay, se suma al costo y el lote toma la fecha de compra
+ *   `acquiredDate` (o la fecha de la edición si no se indicó)
+ * - split: multiplica la cantidad de todos los brokers y lotes por `ratio` y divide
+ *   su costo unitario por el mismo valor (split o split inverso); el costo total no cambia
+ * - spinoff: el activo conserva la fracción `ratio` de su costo; el resto pasa al
+ *   activo escindido
+ * - spinoff_in: acciones recibidas por un spin-off (en el activo escindido). Abre un
+ *   lote como una compra, al costo que pasó del activo original y con la fecha de
+ *   compra `acquiredDate`, pero no mueve efectivo
+ * - symbol_change: cambio de símbolo; queda en el historial pero no afecta la posición
+ *
+ * Lotes y método de costo:
+ * Cada compra (y cada 'adjust') abre un lote en su broker. Las ventas consumen
+ * lotes según el método de costo elegido por el usuario:
+ * - average: costo al PPC ponderado del broker (los lotes se consumen en orden FIFO
+ *   solo para saber qué unidades quedan)
+ * - fifo: primero los lotes más viejos
+ * - lifo: primero los lotes más nuevos
+ * - specific: el lote indicado en la venta (`lotId`); si no alcanza, sigue por FIFO
+ */
+
+import { COST_BASIS_METHODS, DEFAULT_COST_BASIS_METHOD } from '../constants';
+
+// Por debajo de este valor consideramos que una cantidad es 0 (errores de redondeo)
+const QUANTITY_EPSILON = 1e-9;
+
+/**
+ * Devuelve un método de costo válido (el por defecto si no se reconoce)
+ * @param {string} method - Método guardado en las preferencias del usuario
+ * @returns {string} 'average' | 'fifo' | 'lifo' | 'specific'
+ */
+export const normalizeCostBasisMethod = (method) => {
+  return COST_BASIS_METHODS[method] ? method : DEFAULT_COST_BASIS_METHOD;
+};
+
+/**
+ * Devuelve la fecha local de un instante en formato YYYY-MM-DD (formato de la columna trade_date)
+ * No usa toISOString: esa es la fecha UTC, que en Argentina después de las 21 ya es mañana
+ * @param {Date} date - Instante a convertir
+ * @returns {string}
+ */
+export const toLocalDate = (date) => {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+/**
+ * Devuelve la fecha de hoy (hora local) en formato YYYY-MM-DD
+ * @returns {string}
+ */
+export const getTodayDate = () => toLocalDate(new Date());
+
+/**
+ * ORDENAR TRANSACCIONES CRONOLÓGICAMENTE
+ *
+ * Ordena por fecha de operación y, dentro del mismo día, por orden de carga
+ * (id de Supabase). Las transacciones sin id (aún no guardadas) quedan al final
+ * del día en el orden en que llegaron.
+ *
+ * @param {Array} transactions - Array de transacciones
+ * @returns {Array} Nuevo array ordenado
+ */
+export const sortTransactions = (transactions) => {
+  return transactions
+    .map((tx, index) => ({ tx, index }))
+    .sort((a, b) => {
+      const dateA = a.tx.date || '';
+      const dateB = b.tx.date || '';
+      if (dateA !== dateB) return dateA < dateB ? -1 : 1;
+
+      const idA = a.tx.id ?? Number.POSITIVE_INFINITY;
+      const idB = b.tx.id ?? Number.POSITIVE_INFINITY;
+      if (idA !== idB) return idA - idB;
+
+      return a.index - b.index;
+    })
+    .map(({ tx }) => tx);
+};
+
+/**
+ * ORDENAR LOS LOTES DE UN BROKER PARA UNA VENTA
+ *
+ * @param {Array} lots - Lotes abiertos del broker (en orden de apertura)
+ * @param {string} method - Método de costo
+ * @param {number|null} lotId - Lote elegido (solo para 'specific')
+ * @returns {Array} Lotes en el orden en que se deben consumir
+ */
+const orderLotsForSale = (lots, method, lotId) => {
+  if (method === 'lifo') {
+    return [...lots].reverse();
+  }
+  if (method === 'specific' && lotId !== null && lotId !== undefined) {
+    const chosen = lots.filter((lot) => lot.id === lotId);
+    return [...chosen, ...lots.filter((lot) => lot.id !== lotId)];
+  }
+  return lots;
+};
+
+/**
+ * Tipo de cambio con el que se abrió un lote (ver src/lib/fx.js)
+ * @param {Object} tx - Transacción 'buy', 'spinoff_in' o 'adjust'
+ * @returns {{fxRate: number|null, fxBaseCurrency: string|null}}
+ */
+const getLotFx = (tx) => ({ fxRate: tx.fxRate ?? null, fxBaseCurrency: tx.fxBaseCurrency ?? null });
+
+/**
+ * RECORRER EL HISTORIAL DE UN ACTIVO
+ *
+ * Aplica las transacciones en orden y mantiene, por cada broker, la cantidad,
+ * el costo total y los lotes abiertos. Cada venta se registra con su costo
+ * (según el método elegido) y la ganancia realizada.
+ *
+ * @param {Array} transactions - Transacciones de UN activo
+ * @param {string} method - Método de costo ('average' | 'fifo' | 'lifo' | 'specific')
+ * @returns {{brokers: Map, sales: Array, edits: Array}} Estado final por broker,
+ *   ventas realizadas y cambios de costo que no pasan por una compra o venta
+ *   (ediciones manuales, reseteos y spin-offs)
+ */
+const replayTransactions = (transactions, method = DEFAULT_COST_BASIS_METHOD) => {
+  const costMethod = normalizeCostBasisMethod(method);
+  // Map de broker -> { quantity, cost, lots: [{id, date, quantity, price, fxRate, fxBaseCurrency}] }
+  const brokers = new Map();
+  const sales = [];
+  const edits = [];
+
+  const getTotalCost = () => {
+    let total = 0;
+    brokers.forEach((state) => {
+      total += state.cost;
+    });
+    return total;
+  };
+
+  const getBroker = (name) => {
+    const key = (name || '').trim();
+    if (!brokers.has(key)) {
+      brokers.set(key, { quantity: 0, cost: 0, lots: [] });
+    }
+    return brokers.get(key);
+  };
+
+  sortTransactions(transactions).forEach((tx) => {
+    const quantity = parseFloat(tx.quantity) || 0;
+    const price = parseFloat(tx.price) || 0;
+    const fee = parseFloat(tx.fee) || 0;
+
+    switch (tx.type) {
+      case 'buy':
+      case 'spinoff_in': {
+        const state = getBroker(tx.broker);
+        const cost = quantity * price + fee;
+        state.quantity += quantity;
+        state.cost += cost;
+        if (quantity > 0) {
+          state.lots.push({
+            id: tx.id ?? null,
+            date: tx.acquiredDate || tx.date,
+            quantity,
+            price: cost / quantity,
+            ...getLotFx(tx),
+          });
+        }
+        break;
+      }
+      case 'sell': {
+        const state = getBroker(tx.broker);
+        const sold = Math.min(quantity, state.quantity);
+        const averageCost = state.quantity > 0 ? state.cost / state.quantity : 0;
+
+        // Consumir lotes en el orden que indica el método
+        const consumedLots = [];
+        let remaining = sold;
+        for (const lot of orderLotsForSale(state.lots, costMethod, tx.lotId)) {
+          if (remaining <= QUANTITY_EPSILON) break;
+          const taken = Math.min(remaining, lot.quantity);
+          lot.quantity -= taken;
+          remaining -= taken;
+          consumedLots.push({ id: lot.id, date: lot.date, quantity: taken, price: lot.price });
+        }
+        state.lots = state.lots.filter((lot) => lot.quantity > QUANTITY_EPSILON);
+
+        const costBasis = costMethod === 'average'
+          ? sold * averageCost
+          : consumedLots.reduce((total, lot) => total + lot.quantity * lot.price, 0);
+
+        state.quantity -= sold;
+        state.cost -= costBasis;
+        if (state.quantity <= QUANTITY_EPSILON) {
+          state.quantity = 0;
+          state.cost = 0;
+        }
+
+        // Lo cobrado es neto de la comisión de la venta
+        const proceeds = sold * price - fee;
+        sales.push({
+          transaction: tx,
+          date: tx.date,
+          broker: (tx.broker || '').trim(),
+          quantity: sold,
+          price,
+          fee,
+          proceeds,
+          costBasis,
+          realizedGain: proceeds - costBasis,
+          lots: consumedLots,
+        });
+        break;
+      }
+      case 'adjust': {
+        // La edición manual reemplaza los lotes del broker por uno solo
+        const state = getBroker(tx.broker);
+        const previousCost = state.cost;
+        state.quantity = quantity;
+        state.cost = quantity > 0 ? quantity * price + fee : 0;
+        state.lots = quantity > 0
+          ? [{ id: tx.id ?? null, date: tx.acquiredDate || tx.date, quantity, price: state.cost / quantity, ...getLotFx(tx) }]
+          : [];
+        edits.push({ type: tx.type, date: tx.date, amount: state.cost - previousCost });
+        break;
+      }
+      case 'split': {
+        const ratio = parseFloat(tx.ratio) || 1;
+        brokers.forEach((state) => {
+          state.quantity *= ratio;
+          state.lots.forEach((lot) => {
+            lot.quantity *= ratio;
+            lot.price /= ratio;
+          });
+        });
+        break;
+      }
+      case 'spinoff': {
+        const ratio = parseFloat(tx.ratio);
+        const costFactor = Number.isFinite(ratio) ? ratio : 1;
+        edits.push({ type: tx.type, date: tx.date, amount: getTotalCost() * (costFactor - 1) });
+        brokers.forEach((state) => {
+          state.cost *= costFactor;
+          state.lots.forEach((lot) => {
+            lot.price *= costFactor;
+          });
+        });
+        break;
+      }
+      case 'symbol_change':
+        break;
+      case 'reset':
+        edits.push({ type: tx.type, date: tx.date, amount: -getTotalCost() });
+        brokers.clear();
+        break;
+      default:
+        console.warn('Tipo de transacción desconocido:', tx.type);
+    }
+  });
+
+  return { brokers, sales, edits };
+};
+
+/**
+ * CONSTRUIR LA POSICIÓN DE UN ACTIVO DESDE SU HISTORIAL
+ *
+ * Al final del recorrido calcula el costo unitario por broker y del activo.
+ * Con 'average' es el PPC ponderado; con los otros métodos es el costo de los
+ * lotes que siguen abiertos.
+ *
+ * @param {Array} transactions - Transacciones de UN activo
+ * @param {string} method - Método de costo
+ * @returns {{quantity: number, purchasePrice: number, purchaseDate: string|null, brokers: Array}}
+ *   - quantity: Cantidad total
+ *   - purchasePrice: Costo unitario de todos los brokers
+ *   - purchaseDate: Fecha del lote abierto más antiguo (null si no queda nada)
+ *   - brokers: Array de {broker, quantity, purchasePrice, purchaseDate} con cantidad > 0
+ */
+export const buildPosition = (transactions, method = DEFAULT_COST_BASIS_METHOD) => {
+  const { brokers } = replayTransactions(transactions, method);
+
+  let totalQuantity = 0;
+  let totalCost = 0;
+  let purchaseDate = null;
+  const brokerList = [];
+
+  brokers.forEach((state, broker) => {
+    if (state.quantity <= QUANTITY_EPSILON) return;
+    totalQuantity += state.quantity;
+    totalCost += state.cost;
+
+    // Fecha de compra del broker: su lote abierto más antiguo
+    const brokerDate = state.lots.reduce(
+      (oldest, lot) => (lot.date && (!oldest || lot.date < oldest) ? lot.date : oldest),
+      null
+    );
+    if (brokerDate && (!purchaseDate || brokerDate < purchaseDate)) {
+      purchaseDate = brokerDate;
+    }
+
+    brokerList.push({
+      broker,
+      quantity: state.quantity,
+      purchasePrice: state.cost / state.quantity,
+      purchaseDate: brokerDate,
+    });
+  });
+
+  return {
+    quantity: totalQuantity,
+    purchasePrice: totalQuantity > 0 ? totalCost / totalQuantity : 0,
+    purchaseDate,
+    brokers: brokerList,
+  };
+};
+
+/**
+ * OBTENER LOS LOTES ABIERTOS DE UN ACTIVO
+ *
+ * @param {Array} transactions - Transacciones de UN activo
+ * @param {string} method - Método de costo (define qué lotes quedaron tras las ventas)
+ * @returns {Array} Array de {id, broker, date, quantity, price, fxRate, fxBaseCurrency} ordenado por fecha
+ */
+export const getOpenLots = (transactions, method = DEFAULT_COST_BASIS_METHOD) => {
+  const { brokers } = replayTransactions(transactions, method);
+  const lots = [];
+
+  brokers.forEach((state, broker) => {
+    state.lots.forEach((lot) => {
+      lots.push({ ...lot, broker });
+    });
+  });
+
+  return lots.sort((a, b) => (a.date || '').localeCompare(b.date || ''));
+};
+
+/**
+ * OBTENER LOS LOTES DE UNA POSICIÓN
+ *
+ * Usa los lotes abiertos del historial y, si el activo todavía no tiene
+ * historial, arma uno por broker con la fecha de compra guardada en el activo.
+ *
+ * @param {Object} asset - Activo con {quantity, purchasePrice, purchaseDate, brokers}
+ * @param {Array} transactions - Transacciones de ESE activo
+ * @param {string} method - Método de costo
+ * @returns {Array} Array de {broker, date, quantity, price} (date puede ser null)
+ */
+export const getPositionLots = (asset, transactions, method = DEFAULT_COST_BASIS_METHOD) => {
+  if (transactions.length > 0) {
+    return getOpenLots(transactions, method);
+  }
+
+  if (asset.brokers && asset.brokers.length > 0) {
+    return asset.brokers
+      .filter((b) => parseFloat(b.quantity) > 0)
+      .map((b) => ({
+        broker: b.broker || '',
+        date: b.purchaseDate || asset.purchaseDate || null,
+        quantity: parseFloat(b.quantity),
+        price: parseFloat(b.purchasePrice) || 0,
+      }));
+  }
+
+  return asset.quantity > 0
+    ? [{ broker: '', date: asset.purchaseDate || null, quantity: asset.quantity, price: asset.purchasePrice }]
+    : [];
+};
+
+/**
+ * OBTENER LAS VENTAS DE UN ACTIVO CON SU GANANCIA REALIZADA
+ *
+ * @param {Array} transactions - Transacciones de UN activo
+ * @param {string} method - Método de costo
+ * @returns {Array} Array de {transaction, date, broker, quantity, price, fee, proceeds, costBasis, realizedGain, lots}
+ */
+export const getRealizedSales = (transactions, method = DEFAULT_COST_BASIS_METHOD) => {
+  return replayTransactions(transactions, method).sales;
+};
+
+/**
+ * CALCULAR LA GANANCIA REALIZADA DE UN ACTIVO
+ *
+ * Suma la ganancia (o pérdida) de todas las ventas del historial.
+ *
+ * @param {Array} transactions - Transacciones de UN activo
+ * @param {string} method - Método de costo
+ * @returns {number} Ganancia realizada total
+ */
+export const calculateRealizedGain = (transactions, method = DEFAULT_COST_BASIS_METHOD) => {
+  return getRealizedSales(transactions, method).reduce((total, sale) => total + sale.realizedGain, 0);
+};
+
+/**
+ * CALCULAR LA GANANCIA REALIZADA POR ACTIVO
+ *
+ * Agrupa el historial completo del usuario por activo.
+ *
+ * @param {Array} transactions - Transacciones de todos los activos
+ * @param {string} method - Método de costo
+ * @returns {Object} Map de assetId -> ganancia realizada
+ */
+export const calculateRealizedGainByAsset = (transactions, method = DEFAULT_COST_BASIS_METHOD) => {
+  const byAsset = {};
+  transactions.forEach((tx) => {
+    if (!byAsset[tx.assetId]) byAsset[tx.assetId] = [];
+    byAsset[tx.assetId].push(tx);
+  });
+
+  const gains = {};
+  Object.keys(byAsset).forEach((assetId) => {
+    gains[assetId] = calculateRealizedGain(byAsset[assetId], method);
+  });
+  return gains;
+};
+
+/**
+ * OBTENER LOS FLUJOS DE LAS EDICIONES MANUALES
+ *
+ * Las ediciones de brokers ('adjust') y los reseteos cambian la posición sin
+ * pasar por el efectivo. Para el rendimiento ponderado por tiempo se toman
+ * como plata que entra o sale de la cartera, valuada al costo que fijan.
+ *
+ * @param {Array} transactions - Transacciones de todos los activos
+ * @param {string} method - Método de costo (define el costo que sale en cada reseteo)
+ * @returns {Array} Array de {date, amount, assetId} (positivo = aumenta el costo;
+ *   el monto está en la moneda del activo)
+ */
+export const getPositionEditFlows = (transactions, method = DEFAULT_COST_BASIS_METHOD) => {
+  const byAsset = {};
+  transactions.forEach((tx) => {
+    if (!byAsset[tx.assetId]) byAsset[tx.assetId] = [];
+    byAsset[tx.assetId].push(tx);
+  });
+
+  // Los spin-offs no se cuentan: el costo que sale del activo entra al
+  // escindido con sus propias compras
+  return Object.entries(byAsset)
+    .flatMap(([assetId, assetTransactions]) =>
+      replayTransactions(assetTransactions, method).edits.map((edit) => ({ ...edit, assetId }))
+    )
+    .filter((edit) => edit.type !== 'spinoff' && edit.amount !== 0)
+    .map((edit) => ({ date: edit.date, amount: edit.amount, assetId: edit.assetId }));
+};
+
+/**
+ * OBTENER LOS FLUJOS DE UN ACTIVO (DESDE EL PUNTO DE VISTA DEL INVERSOR)
+ *
+ * Base de la TIR del activo:
+ * - compras: -(cantidad * precio + comisión)
+ * - ventas: +lo cobrado (neto de comisión)
+ * - ediciones manuales y reseteos: el cambio de costo con signo contrario
+ * - spin-offs: el costo que pasa al activo escindido, como si se cobrara (y en el
+ *   escindido, las acciones recibidas como si se compraran a ese costo)
+ *
+ * @param {Array} transactions - Transacciones de UN activo
+ * @param {string} method - Método de costo
+ * @returns {Array} Array de {date, amount} (negativo = se pone plata)
+ */
+export const getAssetCashFlows = (transactions, method = DEFAULT_COST_BASIS_METHOD) => {
+  const { sales, edits } = replayTransactions(transactions, method);
+  const flows = [];
+
+  transactions.forEach((tx) => {
+    if (tx.type !== 'buy' && tx.type !== 'spinoff_in') return;
+    const cost = (parseFloat(tx.quantity) || 0) * (parseFloat(tx.price) || 0) + (parseFloat(tx.fee) || 0);
+    flows.push({ date: tx.date, amount: -cost });
+  });
+  sales.forEach((sale) => {
+    flows.push({ date: sale.date, amount: sale.proceeds });
+  });
+  edits.forEach((edit) => {
+    flows.push({ date: edit.date, amount: -edit.amount });
+  });
+
+  return flows.filter((flow) => flow.amount !== 0);
+};
+
+/**
+ * CREAR SALDO INICIAL PARA UN ACTIVO SIN HISTORIAL
+ *
+ * Los activos creados antes de que existiera la tabla de transacciones no tienen
+ * historial. Antes de registrar la primera operación guardamos su estado actual
+ * como transacciones 'adjust' para no perder la cantidad ni el PPC.
+ *
+ * @param {Object} asset - Activo con {id, quantity, purchasePrice, purchaseDate, brokers}
+ * @param {string} date - Fecha del saldo inicial (YYYY-MM-DD)
+ * @returns {Array} Transacciones 'adjust' (vacío si el activo está en 0); cada
+ *   lote conserva la fecha de compra guardada en el broker o en el activo
+ */
+export const createOpeningTransactions = (asset, date = getTodayDate()) => {
+  const notes = 'Saldo inicial';
+
+  if (asset.brokers && asset.brokers.length > 0) {
+    return asset.brokers
+      .filter((b) => parseFloat(b.quantity) > 0)
+      .map((b) => ({
+        assetId: asset.id,
+        type: 'adjust',
+        broker: (b.broker || '').trim(),
+        quantity: parseFloat(b.quantity),
+        price: parseFloat(b.purchasePrice) || 0,
+        date,
+        acquiredDate: b.purchaseDate || asset.purchaseDate || null,
+        notes,
+      }));
+  }
+
+  if (asset.quantity > 0) {
+    return [
+      {
+        assetId: asset.id,
+        type: 'adjust',
+        broker: '',
+        quantity: asset.quantity,
+        price: asset.purchasePrice,
+        date,
+        acquiredDate: asset.purchaseDate || null,
+        notes,
+      },
+    ];
+  }
+
+  return [];
+};
+
+/**
+ * CALCULAR LAS TRANSACCIONES DE UNA EDICIÓN DE BROKERS
+ *
+ * Compara los brokers actuales con los editados y devuelve una transacción
+ * 'adjust' por cada broker que cambió (o que se eliminó, con cantidad 0).
+ * La comisión de cada broker editado (`fee`) y su fecha de compra
+ * (`purchaseDate`) viajan en su transacción.
+ *
+ * @param {number} assetId - ID del activo
+ * @param {Array} previousBrokers - Brokers antes de la edición
+ * @param {Array} nextBrokers - Brokers después de la edición {broker, quantity, purchasePrice, fee, purchaseDate}
+ * @param {string} date - Fecha de la edición (YYYY-MM-DD)
+ * @returns {Array} Transacciones 'adjust'
+ */
+export const diffBrokers = (assetId, previousBrokers, nextBrokers, date = getTodayDate()) => {
+  const previous = new Map(
+    (previousBrokers || []).map((b) => [(b.broker || '').trim(), b])
+  );
+  const transactions = [];
+
+  nextBrokers.forEach((b) => {
+    const broker = (b.broker || '').trim();
+    const quantity = parseFloat(b.quantity) || 0;
+    const price = parseFloat(b.purchasePrice) || 0;
+    const fee = parseFloat(b.fee) || 0;
+    const purchaseDate = b.purchaseDate || null;
+    const old = previous.get(broker);
+    previous.delete(broker);
+
+    if (
+      old &&
+      Math.abs(old.quantity - quantity) <= QUANTITY_EPSILON &&
+      Math.abs(old.purchasePrice - price) <= QUANTITY_EPSILON &&
+      (!purchaseDate || purchaseDate === old.purchaseDate)
+    ) {
+      return;
+    }
+
+    transactions.push({
+      assetId,
+      type: 'adjust',
+      broker,
+      quantity,
+      price,
+      fee,
+      date,
+      acquiredDate: purchaseDate,
+      notes: 'Edición de brokers',
+    });
+  });
+
+  // Los brokers que ya no están en la lista quedan en 0
+  previous.forEach((_, broker) => {
+    transactions.push({ assetId, type: 'adjust', broker, quantity: 0, price: 0, date, notes: 'Edición de brokers' });
+  });
+
+  return transactions;
+};
+
+/**
+ * REPARTIR UNA VENTA ENTRE BROKERS
+ *
+ * Cuando se vende sin indicar broker, se descuenta de los brokers en el orden
+ * en que aparecen hasta cubrir la cantidad. Lo que sobre (si se vende más de
+ * lo que hay) se ignora.
+ *
+ * @param {Array} brokers - Brokers del activo {broker, quantity}
+ * @param {number} quantity - Cantidad total a vender
+ * @returns {Array} Array de {broker, quantity} con la parte de cada broker
+ */
+export const splitSaleAcrossBrokers = (brokers, quantity) => {
+  if (!brokers || brokers.length === 0) {
+    return [{ broker: '', quantity }];
+  }
+
+  const sales = [];
+  let remaining = quantity;
+
+  for (const b of brokers) {
+    if (remaining <= QUANTITY_EPSILON) break;
+    const sold = Math.min(remaining, parseFloat(b.quantity) || 0);
+    if (sold > 0) {
+      sales.push({ broker: (b.broker || '').trim(), quantity: sold });
+      remaining -= sold;
+    }
+  }
+
+  return sales;
+};
+
+/**
+ * REPARTIR EL COSTO DE UN SPIN-OFF
+ *
+ * Calcula los brokers del activo escindido: por cada broker del activo original
+ * recibe `ratio` acciones nuevas por acción y se lleva `costAllocation` (0 a 1)
+ * del costo de ese broker.
+ *
+ * @param {Array} brokers - Brokers del activo original {broker, quantity, purchasePrice, purchaseDate}
+ * @param {number} ratio - Acciones nuevas por cada acción original
+ * @param {number} costAllocation - Fracción del costo que pasa al activo nuevo (0 a 1)
+ * @returns {Array} Brokers del activo nuevo {broker, quantity, purchasePrice, purchaseDate}
+ *   (las acciones recibidas conservan la fecha de compra de las originales)
+ */
+export const splitSpinoffBrokers = (brokers, ratio, costAllocation) => {
+  return (brokers || [])
+    .filter((b) => parseFloat(b.quantity) > 0)
+    .map((b) => {
+      const quantity = parseFloat(b.quantity) * ratio;
+      const cost = parseFloat(b.quantity) * (parseFloat(b.purchasePrice) || 0) * costAllocation;
+      return {
+        broker: (b.broker || '').trim(),
+        quantity,
+        purchasePrice: quantity > 0 ? cost / quantity : 0,
+        purchaseDate: b.purchaseDate || null,
+      };
+    });
+};
+
+/**
+ * RESUMIR COMISIONES POR BROKER
+ *
+ * Suma las comisiones de compras, ventas y ediciones de brokers de todo el
+ * historial. Los brokers indicados en `brokerNames` aparecen aunque no tengan
+ * comisiones registradas.
+ *
+ * Cada comisión está en la moneda de su activo: `convertFee` la lleva a la
+ * moneda en que se suman (ver convertTransactionFee en src/lib/fx.js). Las que
+ * no se pueden convertir (devuelve null) quedan afuera.
+ *
+ * @param {Array} transactions - Transacciones de todos los activos
+ * @param {Array} brokerNames - Brokers que deben figurar siempre (ej: los de `asset.brokers`)
+ * @param {Function} convertFee - (tx, fee) => monto convertido o null (por defecto, sin convertir)
+ * @returns {Array} Array de {broker, buyFees, sellFees, total, trades} ordenado por total
+ */
+export const summarizeFeesByBroker = (transactions, brokerNames = [], convertFee = (_tx, fee) => fee) => {
+  const byBroker = new Map();
+
+  const getEntry = (name) => {
+    const broker = (name || '').trim();
+    if (!byBroker.has(broker)) {
+      byBroker.set(broker, { broker, buyFees: 0, sellFees: 0, total: 0, trades: 0 });
+    }
+    return byBroker.get(broker);
+  };
+
+  brokerNames.forEach((name) => {
+    getEntry(name);
+  });
+
+  transactions.forEach((tx) => {
+    const rawFee = parseFloat(tx.fee) || 0;
+    if (rawFee <= 0) return;
+    const fee = convertFee(tx, rawFee);
+    if (fee === null) return;
+
+    const entry = getEntry(tx.broker);
+    if (tx.type === 'sell') {
+      entry.sellFees += fee;
+    } else {
+      entry.buyFees += fee;
+    }
+    entry.total += fee;
+    entry.trades += 1;
+  });
+
+  return [...byBroker.values()].sort((a, b) => b.total - a.total || a.broker.localeCompare(b.broker));
+};
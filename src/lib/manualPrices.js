@@ -0,0 +1,78 @@
+/**
+ * PRECIOS MANUALES
+ *
+ * Precios que el usuario carga a mano para los símbolos que ningún proveedor
+ * cotiza (bonos, fondos locales, activos sin mercado, etc.). Se guardan en
+ * localStorage por símbolo y los devuelve el proveedor 'manual' de
+ * src/lib/marketData.js.
+ */
+
+import { getTodayDate } from './ledger';
+
+const STORAGE_KEY = 'manual-prices';
+
+/**
+ * Leer los precios guardados
+ * @returns {Object} Símbolo -> {price, date}
+ */
+const readManualPrices = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch {
+    return {};
+  }
+};
+
+const writeManualPrices = (prices) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(prices));
+  } catch (error) {
+    console.error('Error al guardar los precios manuales:', error);
+  }
+};
+
+const normalizeSymbol = (symbol) => (symbol || '').trim().toUpperCase();
+
+/**
+ * Obtener el precio manual de un símbolo
+ * @param {string} symbol - Símbolo del activo
+ * @returns {{price: number, date: string}|null} Precio y fecha en que se cargó
+ */
+export const getManualPrice = (symbol) => {
+  return readManualPrices()[normalizeSymbol(symbol)] || null;
+};
+
+/**
+ * Guardar el precio manual de un símbolo (reemplaza el anterior)
+ * @param {string} symbol - Símbolo del activo
+ * @param {number} price - Precio en la moneda del activo
+ */
+export const saveManualPrice = (symbol, price) => {
+  const prices = readManualPrices();
+  prices[normalizeSymbol(symbol)] = { price, date: getTodayDate() };
+  writeManualPrices(prices);
+};
+
+/**
+ * Eliminar el precio manual de un símbolo
+ * @param {string} symbol - Símbolo del activo
+ */
+export const deleteManualPrice = (symbol) => {
+  const prices = readManualPrices();
+  delete prices[normalizeSymbol(symbol)];
+  writeManualPrices(prices);
+};
+
+/**
+ * PROVEEDOR DE PRECIOS MANUALES
+ *
+ * Solo cotiza (no tiene velas, búsqueda, noticias ni perfil).
+ */
+export const manualPriceProvider = {
+  label: 'Precio manual',
+  isAvailable: () => true,
+  getQuote: async (symbol) => {
+    const entry = getManualPrice(symbol);
+    return { price: entry ? entry.price : null, rateLimited: false };
+  },
+};
@@ -0,0 +1,500 @@
+/**
+ * DATOS DE MERCADO (PROVEEDORES INTERCAMBIABLES)
+ *
+ * La app pide cotizaciones, velas, búsquedas, noticias y perfiles a este
+ * archivo, que los resuelve con los proveedores registrados. Así los símbolos
+ * que Finnhub no cubre pueden tomar el precio de otro proveedor, y se puede
+ * desarrollar sin red con el proveedor de prueba.
+ *
+ * Un proveedor es un objeto con (todo opcional salvo label):
+ * - label: Nombre para mostrar
+ * - isAvailable(): false si no se puede usar (ej: Finnhub sin API key)
+ * - getQuote(symbol, type, options) → {price, rateLimited}
+ *   (options: {priority} y, solo CEDEARs, {underlyingSymbol, conversionRatio, fxRate})
+ * - getCandles(symbol, resolution, from, to, type, options) → {data, error} con velas
+ *   {timestamp, open, high, low, close, volume}
+ * - searchSymbols(query) → Array de {symbol, displaySymbol, description, type}
+ * - getNews(symbol, fromDate, toDate, options) → {data, error} con noticias
+ *   {id, headline, summary, source, url, image, datetime, category}
+ * - getProfile(symbol, options) → {data, error} con {name, exchange, currency, country,
+ *   industry, logo, marketCap, weburl}
+ * - createStream({onPrices, onStatusChange}) → cliente de precios en vivo
+ *   {connect, setAssets, close, getStatus} (ver src/lib/finnhubStream.js)
+ *
+ * Para cada tipo de activo se prueban los proveedores en el orden de
+ * MARKET_DATA_PROVIDER_ORDER (o el de VITE_MARKET_DATA_PROVIDERS, para todos
+ * los tipos) y se devuelve el primer resultado válido.
+ *
+ * options.priority ('interactive', 'normal' o 'background') indica a los
+ * proveedores con límite de tasa qué pedido atender primero (ver
+ * src/lib/requestScheduler.js): lo que el usuario está mirando le gana a la
+ * actualización periódica.
+ *
+ * Velas, búsquedas, noticias y perfiles se guardan en el navegador (ver
+ * src/lib/marketDataCache.js y src/lib/candleCache.js): mientras están
+ * vigentes no se piden de nuevo, y vencidos se devuelven al instante y se
+ * actualizan en segundo plano (options.onRevalidated recibe la respuesta nueva).
+ * Las respuestas incluyen `updatedAt` (fecha de descarga) e `isStale`.
+ *
+ * Proveedores incluidos: 'finnhub' (src/lib/finnhub.js), 'manual'
+ * (src/lib/manualPrices.js) y 'fixture' (src/lib/marketDataFixtures.js).
+ */
+
+import { MARKET_DATA_PROVIDER_ORDER } from '../constants';
+import { finnhubProvider } from './finnhub';
+import { loadCachedCandles, saveCachedCandles } from './candleCache';
+import { getWithRevalidation, isCacheFresh } from './marketDataCache';
+import { manualPriceProvider } from './manualPrices';
+import { fixtureProvider } from './marketDataFixtures';
+
+// Proveedores registrados: id -> proveedor
+const providers = new Map();
+
+/**
+ * REGISTRAR UN PROVEEDOR DE DATOS DE MERCADO
+ *
+ * @param {string} id - Identificador del proveedor (el que se usa en el orden)
+ * @param {Object} provider - Ver la interfaz al comienzo de este archivo
+ */
+export const registerMarketDataProvider = (id, provider) => {
+  providers.set(id, provider);
+};
+
+/**
+ * Orden de proveedores para un tipo de activo
+ * @param {string} type - Tipo de activo (ej: "stock", "bond")
+ * @returns {Array<string>} IDs de proveedores en orden de prioridad
+ */
+export const getProviderOrder = (type) => {
+  const override = import.meta.env.VITE_MARKET_DATA_PROVIDERS;
+  if (override) {
+    return override.split(',').map((id) => id.trim()).filter(Boolean);
+  }
+  return MARKET_DATA_PROVIDER_ORDER[type] || MARKET_DATA_PROVIDER_ORDER.default;
+};
+
+/**
+ * Proveedores disponibles para un tipo de activo que implementan una función
+ * @param {string} method - 'getQuote', 'getCandles', 'searchSymbols', 'getNews', 'getProfile' o 'createStream'
+ * @param {string} type - Tipo de activo
+ * @returns {Array<{id: string, provider: Object}>}
+ */
+const getProviders = (method, type) => {
+  return getProviderOrder(type)
+    .map((id) => ({ id, provider: providers.get(id) }))
+    .filter(({ provider }) => provider && typeof provider[method] === 'function' && (!provider.isAvailable || provider.isAvailable()));
+};
+
+/**
+ * ¿Hay algún proveedor disponible para esta función?
+ * @param {string} method - Ver getProviders
+ * @param {string} type - Tipo de activo (por defecto, el orden general)
+ * @returns {boolean}
+ */
+export const hasMarketDataProvider = (method, type = 'default') => {
+  return getProviders(method, type).length > 0;
+};
+
+/**
+ * CREAR UN STREAM DE PRECIOS EN VIVO
+ *
+ * Usa el primer proveedor disponible que transmite precios. Solo se le pasan
+ * los activos cuyo primer proveedor de cotizaciones es ese mismo (un bono
+ * con precio manual no se transmite aunque Finnhub lo conozca).
+ *
+ * @param {Object} handlers - {onPrices, onStatusChange} (ver createPriceStream en finnhubStream.js)
+ * @returns {Object|null} Stream {connect, setAssets, close, getStatus}, o null si ningún proveedor transmite
+ */
+export const createPriceStream = (handlers) => {
+  const [streaming] = getProviders('createStream', 'default');
+  if (!streaming) return null;
+
+  const stream = streaming.provider.createStream(handlers);
+  return {
+    ...stream,
+    setAssets: (assets) =>
+      stream.setAssets(assets.filter((asset) => getProviders('getQuote', asset.type)[0]?.id === streaming.id)),
+  };
+};
+
+/**
+ * OBTENER EL PRECIO ACTUAL DE UN ACTIVO
+ *
+ * Si un proveedor está bloqueado por rate limiting se prueba el siguiente;
+ * rateLimited solo es true si ninguno devolvió precio.
+ *
+ * @param {string} symbol - Símbolo del activo
+ * @param {string} type - Tipo de activo
+ * @param {Object|null} options - {priority} y, solo CEDEARs, {underlyingSymbol, conversionRatio, fxRate}
+ * @returns {Promise<{price: number|null, rateLimited: boolean, provider?: string}>}
+ */
+export const getAssetPrice = async (symbol, type, options = null) => {
+  let rateLimited = false;
+
+  for (const { id, provider } of getProviders('getQuote', type)) {
+    const result = await provider.getQuote(symbol, type, options);
+    if (result.price !== null && result.price > 0) {
+      return { price: result.price, rateLimited: false, provider: id };
+    }
+    rateLimited = rateLimited || result.rateLimited;
+  }
+
+  return { price: null, rateLimited };
+};
+
+/**
+ * Pedir velas a los proveedores, en orden
+ * @returns {Promise<{data: Array|null, error: string|null}>} El error es el del primer proveedor que falló
+ */
+const fetchCandles = async (symbol, resolution, from, to, type, options) => {
+  let firstError = null;
+
+  for (const { provider } of getProviders('getCandles', type)) {
+    const result = await provider.getCandles(symbol, resolution, from, to, type, options);
+    if (result.data) {
+      return result;
+    }
+    firstError = firstError || result.error;
+  }
+
+  return { data: null, error: firstError || 'No hay un proveedor de datos históricos configurado' };
+};
+
+/**
+ * OBTENER VELAS HISTÓRICAS
+ *
+ * Usa las velas guardadas si alcanzan para el rango pedido: vigentes, sin
+ * pedir nada; vencidas, al instante y actualizándolas en segundo plano. Si
+ * el proveedor falla se devuelve lo último guardado junto con el error.
+ *
+ * @param {string} symbol - Símbolo del activo
+ * @param {string} resolution - Temporalidad ('1', '5', '15', '30', '60', 'D', 'W', 'M')
+ * @param {number} from - Timestamp de inicio (Unix en segundos)
+ * @param {number} to - Timestamp de fin (Unix en segundos)
+ * @param {string} type - Tipo de activo
+ * @param {Object} options - {priority, onRevalidated}
+ * @returns {Promise<{data: Array|null, error: string|null, updatedAt: number|null, isStale: boolean}>}
+ *   Si data viene con error, son las velas guardadas (de la fecha updatedAt)
+ */
+export const getCandles = async (symbol, resolution, from, to, type = 'stock', options = {}) => {
+  const { data: cached } = await loadCachedCandles(symbol, type, resolution, to - from);
+  const coversRange = cached !== null && cached.coveredFrom !== null && cached.coveredFrom <= from;
+
+  const fetchAndSave = async () => {
+    const result = await fetchCandles(symbol, resolution, from, to, type, options);
+    if (!result.data) {
+      return result;
+    }
+    await saveCachedCandles(symbol, type, resolution, result.data, from);
+    return { data: result.data, error: null, updatedAt: Date.now(), isStale: false };
+  };
+
+  if (coversRange) {
+    if (isCacheFresh('candles', cached.fetchedAt)) {
+      return { data: cached.candles, error: null, updatedAt: cached.fetchedAt, isStale: false };
+    }
+
+    // Vencidas: mostrarlas ya y pedir las nuevas en segundo plano
+    fetchAndSave()
+      .then((result) => {
+        if (result.data && options.onRevalidated) {
+          options.onRevalidated(result);
+        }
+      })
+      .catch((error) => console.error('Error al actualizar las velas en segundo plano:', error));
+    return { data: cached.candles, error: null, updatedAt: cached.fetchedAt, isStale: true };
+  }
+
+  const result = await fetchAndSave();
+  if (result.data) {
+    return result;
+  }
+
+  // El proveedor falló: lo último guardado (aunque no alcance para todo el rango) es mejor que nada
+  if (cached) {
+    return { data: cached.candles, error: result.error, updatedAt: cached.fetchedAt, isStale: true };
+  }
+  return { data: null, error: result.error, updatedAt: null, isStale: false };
+};
+
+/**
+ * BUSCAR SÍMBOLOS
+ *
+ * @param {string} query - Texto de búsqueda (ej: "AAPL", "Apple")
+ * @returns {Promise<Array>} Resultados del primer proveedor que encuentre alguno
+ */
+export const searchSymbols = async (query) => {
+  if (!query || query.trim().length < 1) {
+    return [];
+  }
+
+  const result = await getWithRevalidation('search', query.trim().toUpperCase(), async () => {
+    for (const { provider } of getProviders('searchSymbols', 'default')) {
+      const results = await provider.searchSymbols(query);
+      if (results.length > 0) {
+        return { data: results, error: null };
+      }
+    }
+    // Sin resultados no se guarda nada (puede ser un proveedor caído)
+    return { data: null, error: null };
+  });
+
+  return result.data || [];
+};
+
+/**
+ * OBTENER NOTICIAS DE UN ACTIVO
+ *
+ * @param {string} symbol - Símbolo del activo
+ * @param {string} type - Tipo de activo
+ * @param {string} fromDate - Fecha de inicio YYYY-MM-DD (opcional)
+ * @param {string} toDate - Fecha de fin YYYY-MM-DD (opcional)
+ * @param {Object} options - {priority, onRevalidated}
+ * @returns {Promise<{data: Array|null, error: string|null, updatedAt: number|null, isStale: boolean}>}
+ */
+export const getCompanyNews = async (symbol, type = 'stock', fromDate = null, toDate = null, options = {}) => {
+  if (!symbol) {
+    return { data: null, error: 'Símbolo requerido', updatedAt: null, isStale: false };
+  }
+
+  const key = `${type}:${symbol}:${fromDate || ''}:${toDate || ''}`;
+  return getWithRevalidation(
+    'news',
+    key,
+    async () => {
+      let firstError = null;
+
+      for (const { provider } of getProviders('getNews', type)) {
+        const result = await provider.getNews(symbol, fromDate, toDate, options);
+        if (result.data && result.data.length > 0) {
+          return result;
+        }
+        firstError = firstError || result.error;
+      }
+
+      return firstError ? { data: null, error: firstError } : { data: [], error: null };
+    },
+    options.onRevalidated
+  );
+};
+
+/**
+ * OBTENER EL PERFIL DE UNA EMPRESA
+ *
+ * @param {string} symbol - Símbolo del activo
+ * @param {string} type - Tipo de activo
+ * @param {Object} options - {priority, onRevalidated}
+ * @returns {Promise<{data: Object|null, error: string|null, updatedAt: number|null, isStale: boolean}>}
+ */
+export const getCompanyProfile = async (symbol, type = 'stock', options = {}) => {
+  return getWithRevalidation(
+    'profile',
+    `${type}:${symbol}`,
+    async () => {
+      let firstError = null;
+
+      for (const { provider } of getProviders('getProfile', type)) {
+        const result = await provider.getProfile(symbol, options);
+        if (result.data) {
+          return result;
+        }
+        firstError = firstError || result.error;
+      }
+
+      return { data: null, error: firstError || 'No hay un proveedor de perfiles configurado' };
+    },
+    options.onRevalidated
+  );
+};
+
+/**
+ * ACTUALIZA LOS PRECIOS DE MÚLTIPLES ACTIVOS
+ * 
+ * Esta función pide los precios de varios activos a la vez y actualiza cada
+ * uno en cuanto llega.
+ * 
+ * ¿Y los límites de las APIs?
+ * - Las APIs (ej: Finnhub) tienen límites de cuántas peticiones podemos hacer por minuto
+ * - No hace falta procesar en lotes ni hacer pausas acá: las peticiones se
+ *   piden con prioridad 'background' y el planificador del proveedor las
+ *   envía a su ritmo, después de lo que el usuario esté mirando
+ * 
+ * Flujo:
+ * 1. Pide el precio de todos los activos en paralelo
+ * 2. Actualiza cada precio en el store usando el callback, a medida que llegan
+ * 3. Devuelve un resumen (cuántos se actualizaron y si hubo rate limiting)
+ * 
+ * @param {Array} assets - Array de objetos con {id, symbol, type}
+ *   - id: ID único del activo en nuestra base de datos
+ *   - symbol: Símbolo del activo (ej: "AAPL", "BTC")
+ *   - type: Tipo de activo ("accion", "criptomoneda", etc.)
+ *   - underlyingSymbol, conversionRatio, fxRate: solo CEDEARs (ver getCedearQuote en lib/finnhub.js)
+ * @param {Function} updatePriceCallback - Función que se llama para cada precio obtenido
+ *   - Recibe: (assetId, price) donde assetId es el ID y price es el nuevo precio
+ *   - Esta función actualiza el precio en el store de Zustand
+ * @returns {Promise<{success: boolean, rateLimited: boolean, updated: number, failed: number}>}
+ *   - success: true si al menos un precio se actualizó correctamente
+ *   - rateLimited: true si la API nos bloqueó por demasiadas peticiones
+ *   - updated: Cantidad de precios que se actualizaron exitosamente
+ *   - failed: Cantidad de precios que no se pudieron obtener
+ */
+export const updateAssetPrices = async (assets, updatePriceCallback) => {
+  let updatedCount = 0; // Contador de precios actualizados exitosamente
+  let failedCount = 0;  // Contador de precios que fallaron
+  let rateLimited = false; // Flag para saber si nos bloquearon
+
+  await Promise.all(
+    assets.map(async (asset) => {
+      // Obtener el precio de este activo específico (con los datos de CEDEAR, si los tiene)
+      const result = await getAssetPrice(asset.symbol, asset.type, { ...asset, priority: 'background' });
+
+      // Si la API nos bloqueó por rate limiting (aun después de los reintentos)
+      if (result.rateLimited) {
+        rateLimited = true;
+        failedCount++;
+        return;
+      }
+
+      // Si obtuvimos un precio válido (no null y mayor que 0)
+      if (result.price !== null && result.price > 0) {
+        // Llamar al callback para actualizar el precio en el store
+        updatePriceCallback(asset.id, result.price);
+        updatedCount++;
+      } else {
+        // Si no se pudo obtener el precio, incrementar contador de fallos
+        failedCount++;
+      }
+    })
+  );
+
+  if (rateLimited) {
+    console.warn('⚠️ Rate limit detectado. Algunos precios no se actualizaron.');
+  }
+
+  // Devolver un resumen de lo que pasó
+  return {
+    success: updatedCount > 0, // true si al menos uno se actualizó
+    rateLimited, // si hubo problemas de rate limiting
+    updated: updatedCount, // cuántos se actualizaron
+    failed: failedCount // cuántos fallaron
+  };
+};
+
+/**
+ * DETECTAR TIPO DE ACTIVO BASADO EN SÍMBOLO
+ * 
+ * Intenta determinar el tipo de activo basándose en el símbolo o resultado de búsqueda.
+ * Los tipos deben coincidir con los que maneja la app: stock, crypto, etf, bond
+ * 
+ * Reglas:
+ * - Si el símbolo tiene formato "BINANCE:XXXUSDT" → crypto
+ * - Si la descripción contiene palabras clave de cripto → crypto
+ * - Si el símbolo es conocido como cripto (BTC, ETH, etc.) → crypto
+ * - Si el tipo del resultado es "ETF" o "Mutual Fund" → etf
+ * - Si el tipo es "Bond" → bond
+ * - Por defecto → stock
+ * 
+ * @param {string} symbol - Símbolo del activo
+ * @param {Object} searchResult - Resultado de searchSymbols (opcional)
+ * @returns {string} Tipo de activo: "stock", "crypto", "etf", o "bond"
+ */
+export const detectAssetType = (symbol, searchResult = null) => {
+  // Lista de símbolos conocidos de criptomonedas
+  const cryptoSymbols = ['BTC', 'ETH', 'BNB', 'SOL', 'ADA', 'XRP', 'DOGE', 'DOT', 'MATIC', 'AVAX', 'LINK', 'UNI', 'ATOM', 'ETC', 'LTC', 'BCH', 'XLM', 'ALGO', 'VET', 'FIL', 'TRX', 'EOS', 'AAVE', 'MKR', 'COMP', 'YFI', 'SUSHI', 'SNX', 'CRV', '1INCH'];
+  
+  const upperSymbol = symbol.toUpperCase();
+  
+  // Si el símbolo tiene formato BINANCE:XXXUSDT, es criptomoneda
+  if (upperSymbol.includes('BINANCE:') || upperSymbol.endsWith('USDT')) {
+    return 'crypto';
+  }
+  
+  // Si el símbolo está en la lista de criptos conocidas
+  if (cryptoSymbols.includes(upperSymbol)) {
+    return 'crypto';
+  }
+  
+  // Si tenemos un resultado de búsqueda, usar su información
+  if (searchResult) {
+    const type = searchResult.type?.toUpperCase() || '';
+    const description = (searchResult.description || '').toUpperCase();
+    
+    // Detectar ETFs
+    if (type.includes('ETF') || type.includes('MUTUAL FUND') || type.includes('FUND') || 
+        description.includes('ETF') || description.includes('FUND')) {
+      return 'etf';
+    }
+    
+    // Detectar bonos
+    if (type.includes('BOND') || description.includes('BOND') || description.includes('TREASURY')) {
+      return 'bond';
+    }
+    
+    // Detectar criptomonedas por descripción
+    if (description.includes('CRYPTO') || description.includes('BITCOIN') || 
+        description.includes('ETHEREUM') || description.includes('DIGITAL CURRENCY')) {
+      return 'crypto';
+    }
+  }
+  
+  // Por defecto, asumir que es una acción (stock)
+  return 'stock';
+};
+
+/**
+ * CALCULAR TIMESTAMPS PARA UNA TEMPORALIDAD
+ * 
+ * Calcula los timestamps 'from' y 'to' basándose en la temporalidad seleccionada.
+ * 
+ * @param {string} timeframe - Temporalidad ('1D', '1W', '1M', '3M', '6M', '1Y', 'ALL')
+ * @returns {{from: number, to: number, resolution: string}}
+ *   - from: Timestamp de inicio (Unix en segundos)
+ *   - to: Timestamp de fin (Unix en segundos)
+ *   - resolution: Resolución de las velas ('60', 'D', 'W', 'M')
+ */
+export const getTimeframeParams = (timeframe) => {
+  const now = Math.floor(Date.now() / 1000); // Timestamp actual en segundos
+  let from;
+  let resolution = 'D'; // Por defecto, diario
+
+  switch (timeframe) {
+    case '1D':
+      from = now - (1 * 24 * 60 * 60); // 1 día atrás
+      resolution = '60'; // 1 hora para 1 día
+      break;
+    case '1W':
+      from = now - (7 * 24 * 60 * 60); // 7 días atrás
+      resolution = 'D'; // Diario para 1 semana
+      break;
+    case '1M':
+      from = now - (30 * 24 * 60 * 60); // 30 días atrás
+      resolution = 'D'; // Diario
+      break;
+    case '3M':
+      from = now - (90 * 24 * 60 * 60); // 90 días atrás
+      resolution = 'D'; // Diario
+      break;
+    case '6M':
+      from = now - (180 * 24 * 60 * 60); // 180 días atrás
+      resolution = 'D'; // Diario
+      break;
+    case '1Y':
+      from = now - (365 * 24 * 60 * 60); // 365 días atrás
+      resolution = 'W'; // Semanal para 1 año
+      break;
+    case 'ALL':
+      from = now - (5 * 365 * 24 * 60 * 60); // 5 años atrás (máximo razonable)
+      resolution = 'M'; // Mensual para todo
+      break;
+    default:
+      from = now - (30 * 24 * 60 * 60); // Por defecto, 30 días
+      resolution = 'D';
+  }
+
+  return { from, to: now, resolution };
+};
+
+// Proveedores incluidos
+registerMarketDataProvider('finnhub', finnhubProvider);
+registerMarketDataProvider('manual', manualPriceProvider);
+registerMarketDataProvider('fixture', fixtureProvider);
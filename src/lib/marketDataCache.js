@@ -0,0 +1,237 @@
+/**
+ * CACHE DE DATOS DE MERCADO EN EL NAVEGADOR (INDEXEDDB)
+ *
+ * Guarda cotizaciones, noticias, perfiles y búsquedas con la fecha en que se
+ * descargaron. Cada tipo de respuesta tiene su tiempo de vigencia
+ * (MARKET_DATA_CACHE_TTL):
+ *
+ * - Vigente: se usa lo guardado sin pedir nada.
+ * - Vencida: se devuelve lo guardado al instante y se pide de nuevo en
+ *   segundo plano (stale-while-revalidate); la respuesta nueva se guarda y se
+ *   avisa con `onRevalidated`.
+ * - Sin nada guardado: se espera la respuesta del proveedor.
+ *
+ * Las velas se guardan en su propio store (ver src/lib/candleCache.js), en la
+ * misma base de datos.
+ */
+
+import { MARKET_DATA_CACHE_TTL } from '../constants';
+
+const DB_NAME = 'portfolio-market-data';
+const DB_VERSION = 2; // 1: velas; 2: respuestas (cotizaciones, noticias, perfiles, búsquedas)
+export const CANDLES_STORE = 'candles';
+const RESPONSES_STORE = 'responses';
+
+let dbPromise = null;
+// Revalidaciones en curso: clave -> promesa (para no pedir lo mismo dos veces)
+const revalidating = new Map();
+
+/**
+ * Abrir (o crear) la base de IndexedDB. Se abre una sola vez por sesión.
+ * @returns {Promise<IDBDatabase>}
+ */
+const openDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB no está disponible en este navegador'));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(CANDLES_STORE)) {
+          db.createObjectStore(CANDLES_STORE, { keyPath: 'key' });
+        }
+        if (!db.objectStoreNames.contains(RESPONSES_STORE)) {
+          db.createObjectStore(RESPONSES_STORE, { keyPath: 'key' }).createIndex('endpoint', 'endpoint');
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch((error) => {
+      // Permitir reintentar en el próximo pedido
+      dbPromise = null;
+      throw error;
+    });
+  }
+  return dbPromise;
+};
+
+/**
+ * Ejecutar una operación sobre un store de la base
+ * @param {string} storeName - Nombre del store ('candles' o 'responses')
+ * @param {IDBTransactionMode} mode - 'readonly' o 'readwrite'
+ * @param {Function} operation - Recibe el store y devuelve un IDBRequest
+ */
+export const runStoreRequest = async (storeName, mode, operation) => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const request = operation(db.transaction(storeName, mode).objectStore(storeName));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+/**
+ * ¿Sigue vigente una respuesta descargada en `updatedAt`?
+ * @param {string} endpoint - 'quote', 'candles', 'news', 'profile' o 'search'
+ * @param {number|null} updatedAt - Timestamp en milisegundos
+ * @returns {boolean}
+ */
+export const isCacheFresh = (endpoint, updatedAt) => {
+  return Boolean(updatedAt) && Date.now() - updatedAt < (MARKET_DATA_CACHE_TTL[endpoint] || 0);
+};
+
+/**
+ * LEER UNA RESPUESTA GUARDADA
+ *
+ * @param {string} endpoint - Tipo de respuesta
+ * @param {string} key - Clave dentro del tipo (ej: "stock:AAPL")
+ * @returns {Promise<{data: any, updatedAt: number}|null>} null si no hay nada guardado o no se pudo leer
+ */
+export const readCachedResponse = async (endpoint, key) => {
+  try {
+    const record = await runStoreRequest(RESPONSES_STORE, 'readonly', (store) => store.get(`${endpoint}|${key}`));
+    return record ? { data: record.data, updatedAt: record.updatedAt } : null;
+  } catch (error) {
+    console.error('Error al leer la cache de datos de mercado:', error);
+    return null;
+  }
+};
+
+/**
+ * GUARDAR UNA RESPUESTA
+ *
+ * @param {string} endpoint - Tipo de respuesta
+ * @param {string} key - Clave dentro del tipo
+ * @param {any} data - Respuesta (se guarda tal cual)
+ * @param {number} updatedAt - Fecha de descarga (por defecto, ahora)
+ * @returns {Promise<number|null>} La fecha guardada, o null si falló
+ */
+export const writeCachedResponse = async (endpoint, key, data, updatedAt = Date.now()) => {
+  try {
+    await runStoreRequest(RESPONSES_STORE, 'readwrite', (store) =>
+      store.put({ key: `${endpoint}|${key}`, endpoint, data, updatedAt })
+    );
+    return updatedAt;
+  } catch (error) {
+    console.error('Error al guardar en la cache de datos de mercado:', error);
+    return null;
+  }
+};
+
+/**
+ * OBTENER CON STALE-WHILE-REVALIDATE
+ *
+ * @param {string} endpoint - Tipo de respuesta (define la vigencia)
+ * @param {string} key - Clave dentro del tipo
+ * @param {Function} fetcher - Pide la respuesta al proveedor; devuelve {data, error}
+ * @param {Function} onRevalidated - Opcional: recibe {data, error, updatedAt, isStale} si una
+ *   respuesta vencida se actualizó en segundo plano
+ * @returns {Promise<{data: any, error: string|null, updatedAt: number|null, isStale: boolean}>}
+ *   isStale es true si se devolvió una respuesta vencida (o la guardada porque el proveedor falló)
+ */
+export const getWithRevalidation = async (endpoint, key, fetcher, onRevalidated = null) => {
+  const cached = await readCachedResponse(endpoint, key);
+
+  if (cached && isCacheFresh(endpoint, cached.updatedAt)) {
+    return { data: cached.data, error: null, updatedAt: cached.updatedAt, isStale: false };
+  }
+
+  const cacheKey = `${endpoint}|${key}`;
+  const revalidate = () => {
+    if (!revalidating.has(cacheKey)) {
+      const promise = fetcher()
+        .then(async (result) => {
+          if (!result.data) return result;
+          const updatedAt = (await writeCachedResponse(endpoint, key, result.data)) || Date.now();
+          return { ...result, updatedAt };
+        })
+        .finally(() => revalidating.delete(cacheKey));
+      revalidating.set(cacheKey, promise);
+    }
+    return revalidating.get(cacheKey);
+  };
+
+  // Vencida: devolver lo guardado ya y actualizar en segundo plano
+  if (cached) {
+    revalidate()
+      .then((result) => {
+        if (result.data && onRevalidated) {
+          onRevalidated({ data: result.data, error: null, updatedAt: result.updatedAt, isStale: false });
+        }
+      })
+      .catch((error) => console.error('Error al actualizar datos de mercado en segundo plano:', error));
+    return { data: cached.data, error: null, updatedAt: cached.updatedAt, isStale: true };
+  }
+
+  // Nada guardado: esperar al proveedor
+  const result = await revalidate();
+  return {
+    data: result.data || null,
+    error: result.data ? null : result.error,
+    updatedAt: result.data ? result.updatedAt : null,
+    isStale: false,
+  };
+};
+
+/**
+ * Clave de la cotización de un activo
+ * @param {string} symbol - Símbolo del activo
+ * @param {string} type - Tipo de activo
+ * @returns {string}
+ */
+export const getQuoteCacheKey = (symbol, type) => `${type || 'stock'}:${(symbol || '').toUpperCase()}`;
+
+/**
+ * GUARDAR LA ÚLTIMA COTIZACIÓN CONOCIDA DE UN ACTIVO
+ *
+ * @param {string} symbol - Símbolo del activo
+ * @param {string} type - Tipo de activo
+ * @param {number} price - Precio en la moneda del activo
+ * @param {number} updatedAt - Fecha de la cotización (por defecto, ahora)
+ */
+export const saveCachedQuote = (symbol, type, price, updatedAt = Date.now()) => {
+  return writeCachedResponse('quote', getQuoteCacheKey(symbol, type), { price }, updatedAt);
+};
+
+/**
+ * CARGAR TODAS LAS COTIZACIONES GUARDADAS
+ *
+ * @returns {Promise<Map<string, {price: number, updatedAt: number}>>} Clave (getQuoteCacheKey) -> cotización
+ */
+export const loadCachedQuotes = async () => {
+  try {
+    const records = await runStoreRequest(RESPONSES_STORE, 'readonly', (store) =>
+      store.index('endpoint').getAll('quote')
+    );
+    return new Map(
+      records.map((record) => [record.key.slice('quote|'.length), { price: record.data.price, updatedAt: record.updatedAt }])
+    );
+  } catch (error) {
+    console.error('Error al leer las cotizaciones guardadas:', error);
+    return new Map();
+  }
+};
+
+/**
+ * TEXTO "ACTUALIZADO ..." PARA MOSTRAR
+ *
+ * @param {number|null} updatedAt - Timestamp en milisegundos
+ * @returns {string} Ej: "hace instantes", "hace 5 min", "hace 3 h", "12 oct, 14:30"; '' si no hay fecha
+ */
+export const formatUpdatedAt = (updatedAt) => {
+  if (!updatedAt) return '';
+
+  const minutes = Math.floor((Date.now() - updatedAt) / 60000);
+  if (minutes < 1) return 'hace instantes';
+  if (minutes < 60) return `hace ${minutes} min`;
+  if (minutes < 24 * 60) return `hace ${Math.floor(minutes / 60)} h`;
+  return new Date(updatedAt).toLocaleDateString('es-AR', {
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+};
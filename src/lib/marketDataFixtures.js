@@ -0,0 +1,151 @@
+/**
+ * PROVEEDOR DE DATOS DE MERCADO DE PRUEBA (FIXTURES)
+ *
+ * Devuelve datos fijos para un puñado de símbolos, sin red ni API key. Sirve
+ * para desarrollar y probar la app sin conexión: se activa con
+ * VITE_MARKET_DATA_PROVIDERS=fixture (ver src/lib/marketData.js).
+ *
+ * Las velas se generan a partir del precio fijo con una curva determinística
+ * (el mismo símbolo y rango dan siempre las mismas velas).
+ */
+
+import { deriveCedearPrice } from './finnhub';
+
+// Símbolo -> datos del activo (precio en su moneda)
+const FIXTURES = {
+  AAPL: { price: 227.5, name: 'Apple Inc', type: 'Common Stock', exchange: 'NASDAQ', currency: 'USD', country: 'US', industry: 'Technology' },
+  MSFT: { price: 415.2, name: 'Microsoft Corp', type: 'Common Stock', exchange: 'NASDAQ', currency: 'USD', country: 'US', industry: 'Technology' },
+  KO: { price: 62.8, name: 'Coca-Cola Co', type: 'Common Stock', exchange: 'NYSE', currency: 'USD', country: 'US', industry: 'Beverages' },
+  GGAL: { price: 48.3, name: 'Grupo Financiero Galicia SA', type: 'ADR', exchange: 'NASDAQ', currency: 'USD', country: 'AR', industry: 'Banking' },
+  SPY: { price: 571.4, name: 'SPDR S&P 500 ETF Trust', type: 'ETP', exchange: 'NYSE ARCA', currency: 'USD', country: 'US', industry: 'ETF' },
+  QQQ: { price: 488.1, name: 'Invesco QQQ Trust', type: 'ETP', exchange: 'NASDAQ', currency: 'USD', country: 'US', industry: 'ETF' },
+  BTC: { price: 67250, name: 'Bitcoin', type: 'Crypto', exchange: 'BINANCE', currency: 'USD', country: '', industry: 'Crypto' },
+  ETH: { price: 2640, name: 'Ethereum', type: 'Crypto', exchange: 'BINANCE', currency: 'USD', country: '', industry: 'Crypto' },
+};
+
+// Segundos por vela según la resolución de getTimeframeParams
+const RESOLUTION_SECONDS = {
+  1: 60,
+  5: 300,
+  15: 900,
+  30: 1800,
+  60: 3600,
+  D: 86400,
+  W: 7 * 86400,
+  M: 30 * 86400,
+};
+const MAX_CANDLES = 1000;
+
+const getFixture = (symbol) => FIXTURES[(symbol || '').trim().toUpperCase()] || null;
+
+// Semilla numérica a partir del símbolo (para que cada uno tenga su curva)
+const getSeed = (symbol) => [...symbol].reduce((sum, char) => sum + char.charCodeAt(0), 0);
+
+/**
+ * Generar velas que terminan en el precio del fixture
+ * @returns {Array} Velas {timestamp, open, high, low, close, volume}
+ */
+const buildCandles = (symbol, fixture, resolution, from, to) => {
+  const step = RESOLUTION_SECONDS[resolution] || RESOLUTION_SECONDS.D;
+  const count = Math.min(MAX_CANDLES, Math.floor((to - from) / step) + 1);
+  const seed = getSeed(symbol);
+  const curve = (i) => 1 + 0.08 * Math.sin(i / 9 + seed) + 0.03 * Math.sin(i / 2.3 + seed * 2);
+  const scale = fixture.price / curve(count - 1);
+
+  const candles = [];
+  for (let i = 0; i < count; i++) {
+    const close = scale * curve(i);
+    const open = i > 0 ? candles[i - 1].close : close;
+    candles.push({
+      timestamp: (to - (count - 1 - i) * step) * 1000,
+      open,
+      high: Math.max(open, close) * 1.01,
+      low: Math.min(open, close) * 0.99,
+      close,
+      volume: Math.round(1000000 * (1 + 0.5 * Math.sin(i + seed))),
+    });
+  }
+  return candles;
+};
+
+export const fixtureProvider = {
+  label: 'Datos de prueba',
+  isAvailable: () => true,
+
+  getQuote: async (symbol, type, options) => {
+    const fixture = getFixture(symbol);
+    if (fixture) {
+      return { price: fixture.price, rateLimited: false };
+    }
+
+    // CEDEARs sin fixture propio: se derivan del subyacente
+    const underlying = type === 'cedear' ? getFixture(options?.underlyingSymbol) : null;
+    return {
+      price: underlying ? deriveCedearPrice(underlying.price, options.conversionRatio, options.fxRate) : null,
+      rateLimited: false,
+    };
+  },
+
+  getCandles: async (symbol, resolution, from, to) => {
+    const fixture = getFixture(symbol);
+    if (!fixture) {
+      return { data: null, error: 'No hay datos de prueba para este símbolo' };
+    }
+    return { data: buildCandles(symbol.toUpperCase(), fixture, resolution, from, to), error: null };
+  },
+
+  searchSymbols: async (query) => {
+    const text = query.trim().toUpperCase();
+    return Object.entries(FIXTURES)
+      .filter(([symbol, fixture]) => symbol.includes(text) || fixture.name.toUpperCase().includes(text))
+      .map(([symbol, fixture]) => ({
+        symbol,
+        displaySymbol: symbol,
+        description: fixture.name.toUpperCase(),
+        type: fixture.type,
+      }));
+  },
+
+  getNews: async (symbol) => {
+    const fixture = getFixture(symbol);
+    if (!fixture) {
+      return { data: [], error: null };
+    }
+
+    return {
+      data: [
+        {
+          id: `${symbol}-fixture-1`,
+          headline: `${fixture.name}: noticia de prueba`,
+          summary: 'Noticia generada por el proveedor de datos de prueba.',
+          source: 'Datos de prueba',
+          url: '',
+          image: '',
+          datetime: new Date(),
+          category: 'company',
+        },
+      ],
+      error: null,
+    };
+  },
+
+  getProfile: async (symbol) => {
+    const fixture = getFixture(symbol);
+    if (!fixture) {
+      return { data: null, error: 'No hay perfil de prueba para este símbolo' };
+    }
+    return {
+      data: {
+        name: fixture.name,
+        exchange: fixture.exchange,
+        currency: fixture.currency,
+        country: fixture.country,
+        industry: fixture.industry,
+        logo: '',
+        marketCap: null,
+        weburl: '',
+      },
+      error: null,
+    };
+  },
+};
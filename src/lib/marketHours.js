@@ -0,0 +1,241 @@
+/**
+ * CALENDARIO DE MERCADOS (HORARIOS Y FERIADOS)
+ *
+ * Horarios de negociación, zona horaria y feriados de NYSE, NASDAQ y BYMA.
+ * Sirve para no gastar peticiones fuera de horario (useFinnhubPrices) y para
+ * mostrar si el mercado de cada activo está abierto.
+ *
+ * - Los horarios están en la hora local de cada mercado y se evalúan con su
+ *   zona horaria (Intl), así que los cambios de horario de verano de Nueva
+ *   York no hacen falta cargarlos a mano.
+ * - Las criptomonedas no tienen mercado: se negocian las 24 horas.
+ * - Los feriados se cargan por año: hay que agregar los del año siguiente
+ *   cuando se publican (NYSE los anuncia con años de anticipación; los de
+ *   Argentina, con los traslados y días no laborables, cada año).
+ */
+
+// Minutos desde la medianoche (hora local del mercado)
+const minutes = (hours, mins = 0) => hours * 60 + mins;
+
+// NYSE y NASDAQ comparten horarios y feriados
+const US_HOLIDAYS = [
+  // 2026
+  '2026-01-01', // Año Nuevo
+  '2026-01-19', // Martin Luther King Jr. Day
+  '2026-02-16', // Washington's Birthday
+  '2026-04-03', // Viernes Santo
+  '2026-05-25', // Memorial Day
+  '2026-06-19', // Juneteenth
+  '2026-07-03', // Día de la Independencia (observado)
+  '2026-09-07', // Labor Day
+  '2026-11-26', // Thanksgiving
+  '2026-12-25', // Navidad
+  // 2027
+  '2027-01-01',
+  '2027-01-18',
+  '2027-02-15',
+  '2027-03-26',
+  '2027-05-31',
+  '2027-06-18', // Juneteenth (observado)
+  '2027-07-05', // Día de la Independencia (observado)
+  '2027-09-06',
+  '2027-11-25',
+  '2027-12-24', // Navidad (observado)
+];
+
+// Días en que NYSE y NASDAQ cierran a las 13:00
+const US_EARLY_CLOSES = ['2026-11-27', '2026-12-24', '2027-11-26'];
+
+// Feriados nacionales y días no laborables de Argentina (BYMA no opera)
+const AR_HOLIDAYS = [
+  // 2026
+  '2026-01-01', // Año Nuevo
+  '2026-02-16', // Carnaval
+  '2026-02-17', // Carnaval
+  '2026-03-23', // Día no laborable con fines turísticos
+  '2026-03-24', // Día Nacional de la Memoria
+  '2026-04-02', // Malvinas / Jueves Santo
+  '2026-04-03', // Viernes Santo
+  '2026-05-01', // Día del Trabajador
+  '2026-05-25', // Revolución de Mayo
+  '2026-06-15', // Paso a la Inmortalidad de Güemes (trasladado)
+  '2026-07-09', // Día de la Independencia
+  '2026-07-10', // Día no laborable con fines turísticos
+  '2026-08-17', // Paso a la Inmortalidad de San Martín
+  '2026-10-12', // Día del Respeto a la Diversidad Cultural
+  '2026-11-23', // Día de la Soberanía Nacional (trasladado)
+  '2026-12-07', // Día no laborable con fines turísticos
+  '2026-12-08', // Inmaculada Concepción
+  '2026-12-25', // Navidad
+  // 2027 (sin los días no laborables con fines turísticos, que todavía no se publicaron)
+  '2027-01-01',
+  '2027-02-08',
+  '2027-02-09',
+  '2027-03-24',
+  '2027-03-25', // Jueves Santo
+  '2027-03-26',
+  '2027-04-02',
+  '2027-05-25',
+  '2027-06-21', // Güemes (trasladado)
+  '2027-07-09',
+  '2027-08-16', // San Martín (trasladado)
+  '2027-10-11', // Diversidad Cultural (trasladado)
+  '2027-12-08',
+];
+
+const US_SESSIONS = {
+  timeZone: 'America/New_York',
+  preMarket: minutes(4), // 04:00
+  open: minutes(9, 30), // 09:30
+  close: minutes(16), // 16:00
+  earlyClose: minutes(13), // 13:00
+  afterHours: minutes(20), // 20:00
+  holidays: US_HOLIDAYS,
+  earlyCloses: US_EARLY_CLOSES,
+};
+
+export const EXCHANGE_CALENDARS = {
+  NYSE: { label: 'NYSE', ...US_SESSIONS },
+  NASDAQ: { label: 'NASDAQ', ...US_SESSIONS },
+  BYMA: {
+    label: 'BYMA',
+    timeZone: 'America/Argentina/Buenos_Aires',
+    preMarket: minutes(10, 30), // 10:30 (preapertura)
+    open: minutes(11), // 11:00
+    close: minutes(17), // 17:00
+    earlyClose: null,
+    afterHours: null,
+    holidays: AR_HOLIDAYS,
+    earlyCloses: [],
+  },
+};
+
+// Un formateador por zona horaria (crearlos es caro)
+const formatters = new Map();
+
+/**
+ * Fecha, día de la semana y hora de un instante en la zona horaria de un mercado
+ * @param {string} timeZone - Zona horaria IANA
+ * @param {Date} date - Instante a convertir
+ * @returns {{day: string, weekday: string, minutes: number}} day en formato YYYY-MM-DD
+ */
+const getLocalTime = (timeZone, date) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(
+      timeZone,
+      new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        weekday: 'short',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23',
+      })
+    );
+  }
+
+  const parts = Object.fromEntries(
+    formatters
+      .get(timeZone)
+      .formatToParts(date)
+      .map((part) => [part.type, part.value])
+  );
+  return {
+    day: `${parts.year}-${parts.month}-${parts.day}`,
+    weekday: parts.weekday,
+    minutes: minutes(Number(parts.hour), Number(parts.minute)),
+  };
+};
+
+/**
+ * Mercado en el que cotiza un activo
+ * @param {Object} asset - Activo {symbol, type, currency}
+ * @returns {string|null} Clave de EXCHANGE_CALENDARS, o null si se negocia las 24 horas (cripto)
+ */
+export const getAssetExchange = (asset) => {
+  if (asset.type === 'crypto' || asset.type === 'criptomoneda') {
+    return null;
+  }
+  if (EXCHANGE_CALENDARS[asset.exchange]) {
+    return asset.exchange;
+  }
+  // CEDEARs, tickers de BYMA (.BA) y activos en pesos: mercado argentino
+  if (asset.type === 'cedear' || (asset.symbol || '').toUpperCase().endsWith('.BA') || asset.currency === 'ARS') {
+    return 'BYMA';
+  }
+  // El resto cotiza en Estados Unidos (NYSE y NASDAQ tienen el mismo calendario)
+  return 'NYSE';
+};
+
+/**
+ * ESTADO DE UN MERCADO EN UN MOMENTO
+ *
+ * @param {string|null} exchangeId - Clave de EXCHANGE_CALENDARS (null = abierto las 24 horas)
+ * @param {Date} date - Momento a evaluar (por defecto, ahora)
+ * @returns {{status: string, exchange: string|null, reason: string|null}}
+ *   status: 'open', 'preMarket', 'afterHours' o 'closed';
+ *   reason: 'weekend' o 'holiday' si está cerrado todo el día, '24h' para cripto
+ */
+export const getMarketStatus = (exchangeId, date = new Date()) => {
+  const calendar = EXCHANGE_CALENDARS[exchangeId];
+  if (!calendar) {
+    return { status: 'open', exchange: null, reason: '24h' };
+  }
+
+  const exchange = calendar.label;
+  const { day, weekday, minutes: now } = getLocalTime(calendar.timeZone, date);
+
+  if (weekday === 'Sat' || weekday === 'Sun') {
+    return { status: 'closed', exchange, reason: 'weekend' };
+  }
+  if (calendar.holidays.includes(day)) {
+    return { status: 'closed', exchange, reason: 'holiday' };
+  }
+
+  const close = calendar.earlyCloses.includes(day) ? calendar.earlyClose : calendar.close;
+  if (now >= calendar.open && now < close) {
+    return { status: 'open', exchange, reason: null };
+  }
+  if (calendar.preMarket !== null && now >= calendar.preMarket && now < calendar.open) {
+    return { status: 'preMarket', exchange, reason: null };
+  }
+  if (calendar.afterHours !== null && now >= close && now < calendar.afterHours) {
+    return { status: 'afterHours', exchange, reason: null };
+  }
+  return { status: 'closed', exchange, reason: null };
+};
+
+/**
+ * Estado del mercado de un activo
+ * @param {Object} asset - Activo {symbol, type, currency}
+ * @param {Date} date - Momento a evaluar (por defecto, ahora)
+ * @returns {{status: string, exchange: string|null, reason: string|null}} Ver getMarketStatus
+ */
+export const getAssetMarketStatus = (asset, date = new Date()) => {
+  return getMarketStatus(getAssetExchange(asset), date);
+};
+
+/**
+ * ¿VALE LA PENA PEDIR EL PRECIO DE UN ACTIVO AHORA?
+ *
+ * Sí mientras su mercado está abierto (o siempre, si es cripto). Con el
+ * mercado cerrado solo si el precio que tenemos es de antes del cierre (o no
+ * sabemos de cuándo es, o es estimado): así se toma una vez el precio de
+ * cierre y después no se vuelve a pedir hasta la próxima rueda.
+ *
+ * @param {Object} asset - Activo {symbol, type, currency, priceUpdatedAt, isPriceEstimated}
+ * @param {Date} date - Momento a evaluar (por defecto, ahora)
+ * @returns {boolean}
+ */
+export const shouldRefreshPrice = (asset, date = new Date()) => {
+  const exchangeId = getAssetExchange(asset);
+  if (getMarketStatus(exchangeId, date).status === 'open') {
+    return true;
+  }
+  if (!asset.priceUpdatedAt || asset.isPriceEstimated) {
+    return true;
+  }
+  return getMarketStatus(exchangeId, new Date(asset.priceUpdatedAt)).status === 'open';
+};
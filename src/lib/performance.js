@@ -0,0 +1,439 @@
+/**
+ * CÁLCULOS DE RENDIMIENTO
+ *
+ * Funciones puras para medir el rendimiento de la cartera. No tocan el store.
+ *
+ * El porcentaje simple (ganancia / inversión) se distorsiona cuando entra o
+ * sale plata: un depósito grande lo achica y un retiro lo agranda. El
+ * rendimiento ponderado por tiempo (TWR) lo evita: parte el historial en
+ * subperíodos entre valuaciones diarias, saca de cada uno los flujos externos
+ * y encadena los rendimientos. Es el número que publican los fondos, así que
+ * sirve para compararse con ellos.
+ *
+ * Por posición, el plazo de tenencia y el CAGR salen de las fechas de compra
+ * de los lotes abiertos.
+ *
+ * La curva de capital (valor de mercado contra capital invertido) sale de las
+ * valuaciones diarias; antes de la primera, el capital invertido se reconstruye
+ * desde el historial de transacciones.
+ */
+
+import { LONG_TERM_HOLDING_DAYS } from '../constants';
+import { convertPositionCost } from './fx';
+import { buildPosition, getOpenLots, getTodayDate } from './ledger';
+
+/**
+ * SUMAR FLUJOS POR FECHA
+ *
+ * @param {Array} flows - Flujos {date, amount}
+ * @returns {Map} Map de fecha -> flujo neto del día
+ */
+const groupFlowsByDate = (flows) => {
+  const byDate = new Map();
+  flows.forEach((flow) => {
+    if (!flow.date || !Number.isFinite(flow.amount)) return;
+    byDate.set(flow.date, (byDate.get(flow.date) || 0) + flow.amount);
+  });
+  return byDate;
+};
+
+/**
+ * CALCULAR EL RENDIMIENTO PONDERADO POR TIEMPO (TWR)
+ *
+ * Cada valuación es el valor de la cartera al cierre de su fecha, con los
+ * flujos de ese día ya incluidos. Para cada par de valuaciones consecutivas:
+ *   r = (valor final - flujos del período) / valor inicial - 1
+ * y el total es el producto de (1 + r) menos 1. Los subperíodos que arrancan
+ * con la cartera vacía (valor <= 0) se saltean.
+ *
+ * @param {Array} valuations - Valuaciones {date, totalValue}
+ * @param {Array} flows - Flujos externos {date, amount} (positivo = entra plata)
+ * @returns {{twr: number, startDate: string, endDate: string, periods: number}|null}
+ *   TWR en porcentaje, o null si no hay al menos dos valuaciones útiles
+ */
+export const calculateTimeWeightedReturn = (valuations, flows = []) => {
+  const index = buildPerformanceIndex(valuations, flows);
+  if (index.length < 2) return null;
+
+  return {
+    twr: index[index.length - 1].index - 100,
+    startDate: index[0].date,
+    endDate: valuations.reduce((last, valuation) => (valuation.date > last ? valuation.date : last), ''),
+    periods: index.length - 1,
+  };
+};
+
+/**
+ * ARMAR EL ÍNDICE DE RENDIMIENTO DE LA CARTERA (BASE 100)
+ *
+ * Es el TWR acumulado día a día: arranca en 100 en la primera valuación con
+ * valor y cada subperíodo lo multiplica por (1 + r), sin los flujos externos.
+ * Sirve para comparar la cartera con un índice o ETF aunque haya entrado o
+ * salido plata.
+ *
+ * @param {Array} valuations - Valuaciones {date, totalValue}
+ * @param {Array} flows - Flujos externos {date, amount} (positivo = entra plata)
+ * @returns {Array} Puntos {date, index} ordenados por fecha (vacío si no hay valuaciones útiles)
+ */
+export const buildPerformanceIndex = (valuations, flows = []) => {
+  const sorted = valuations
+    .filter((valuation) => valuation.date && Number.isFinite(valuation.totalValue))
+    .sort((a, b) => a.date.localeCompare(b.date));
+
+  const flowsByDate = groupFlowsByDate(flows);
+  const flowDates = [...flowsByDate.keys()].sort();
+  const points = [];
+  let growth = 1;
+
+  for (let i = 1; i < sorted.length; i++) {
+    const previous = sorted[i - 1];
+    const current = sorted[i];
+    if (previous.totalValue <= 0) continue;
+
+    // Flujos posteriores a la valuación anterior y hasta la actual (inclusive)
+    const periodFlows = flowDates
+      .filter((date) => date > previous.date && date <= current.date)
+      .reduce((total, date) => total + flowsByDate.get(date), 0);
+
+    if (points.length === 0) points.push({ date: previous.date, index: 100 });
+    growth *= (current.totalValue - periodFlows) / previous.totalValue;
+    points.push({ date: current.date, index: growth * 100 });
+  }
+
+  return points;
+};
+
+/**
+ * COMPARAR LA CARTERA CON UN BENCHMARK
+ *
+ * Rebasa las dos series a 100 en el primer día del rango en el que ambas
+ * tienen dato. Para cada fecha de la cartera se usa el último cierre del
+ * benchmark en o antes de esa fecha (fines de semana y feriados).
+ *
+ * @param {Array} portfolioIndex - Índice de la cartera {date, index}
+ * @param {Array} benchmarkPrices - Cierres del benchmark {date, close}
+ * @param {string|null} fromDate - Inicio del rango (YYYY-MM-DD, null = todo)
+ * @returns {{series: Array, startDate: string, portfolioReturn: number, benchmarkReturn: number,
+ *   excessReturn: number}|null} Serie {date, portfolio, benchmark} y rendimientos en porcentaje,
+ *   o null si no hay al menos dos puntos en común
+ */
+export const compareWithBenchmark = (portfolioIndex, benchmarkPrices, fromDate = null) => {
+  const prices = benchmarkPrices
+    .filter((price) => price.date && price.close > 0)
+    .sort((a, b) => a.date.localeCompare(b.date));
+  if (prices.length === 0) return null;
+
+  // Punto de partida: el último valor de la cartera en o antes del inicio del rango
+  const previous = fromDate ? portfolioIndex.filter((point) => point.date <= fromDate) : [];
+  const startDate = previous.length > 0 ? previous[previous.length - 1].date : fromDate;
+  const inRange = portfolioIndex.filter((point) => !startDate || point.date >= startDate);
+
+  const closeAt = (date) => {
+    let close = null;
+    for (const price of prices) {
+      if (price.date > date) break;
+      close = price.close;
+    }
+    return close;
+  };
+
+  const series = [];
+  let base = null;
+  inRange.forEach((point) => {
+    const close = closeAt(point.date);
+    if (close === null) return;
+    if (!base) base = { index: point.index, close };
+    series.push({
+      date: point.date,
+      portfolio: (point.index / base.index) * 100,
+      benchmark: (close / base.close) * 100,
+    });
+  });
+
+  if (series.length < 2) return null;
+
+  const last = series[series.length - 1];
+  return {
+    series,
+    startDate: series[0].date,
+    portfolioReturn: last.portfolio - 100,
+    benchmarkReturn: last.benchmark - 100,
+    excessReturn: last.portfolio - last.benchmark,
+  };
+};
+
+const DAYS_PER_YEAR = 365;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const XIRR_TOLERANCE = 1e-7;
+const XIRR_MAX_ITERATIONS = 100;
+
+/**
+ * Valor presente neto de los flujos a una tasa anual
+ * @param {Array} flows - Flujos {years, amount} (years: años desde el primero)
+ * @param {number} rate - Tasa anual (0.1 = 10%)
+ * @returns {number}
+ */
+const netPresentValue = (flows, rate) => {
+  return flows.reduce((total, flow) => total + flow.amount / (1 + rate) ** flow.years, 0);
+};
+
+/**
+ * Derivada del valor presente neto respecto de la tasa
+ */
+const netPresentValueDerivative = (flows, rate) => {
+  return flows.reduce(
+    (total, flow) => total - (flow.years * flow.amount) / (1 + rate) ** (flow.years + 1),
+    0
+  );
+};
+
+/**
+ * CALCULAR LA TIR ANUAL (XIRR)
+ *
+ * Rendimiento ponderado por dinero: la tasa anual que hace cero el valor
+ * presente de flujos con fechas irregulares. A diferencia del porcentaje
+ * simple, tiene en cuenta cuánto tiempo estuvo invertida la plata.
+ *
+ * Primero prueba con Newton-Raphson y, si no converge, busca la tasa por
+ * bisección entre -99,99% y 1.000.000%.
+ *
+ * @param {Array} flows - Flujos {date, amount} desde el punto de vista del
+ *   inversor (negativo = pone plata, positivo = la recibe). El valor actual
+ *   de la posición va como flujo positivo con la fecha de hoy
+ * @returns {number|null} TIR anual en porcentaje, o null si no se puede
+ *   calcular (hace falta al menos un flujo negativo y uno positivo)
+ */
+export const calculateXirr = (flows) => {
+  const valid = flows
+    .filter((flow) => flow.date && Number.isFinite(flow.amount) && flow.amount !== 0)
+    .sort((a, b) => a.date.localeCompare(b.date));
+
+  if (!valid.some((flow) => flow.amount < 0) || !valid.some((flow) => flow.amount > 0)) {
+    return null;
+  }
+
+  const firstTime = new Date(valid[0].date).getTime();
+  const dated = valid.map((flow) => ({
+    years: (new Date(flow.date).getTime() - firstTime) / (DAYS_PER_YEAR * MS_PER_DAY),
+    amount: flow.amount,
+  }));
+
+  // Todo en el mismo día: no hay tiempo para anualizar
+  if (dated[dated.length - 1].years === 0) return null;
+
+  // Newton-Raphson desde 10%
+  let rate = 0.1;
+  for (let i = 0; i < XIRR_MAX_ITERATIONS; i++) {
+    const value = netPresentValue(dated, rate);
+    const derivative = netPresentValueDerivative(dated, rate);
+    if (!Number.isFinite(value) || !Number.isFinite(derivative) || derivative === 0) break;
+
+    const nextRate = rate - value / derivative;
+    if (!Number.isFinite(nextRate) || nextRate <= -1) break;
+    if (Math.abs(nextRate - rate) < XIRR_TOLERANCE) {
+      return nextRate * 100;
+    }
+    rate = nextRate;
+  }
+
+  // Bisección
+  let low = -0.9999;
+  let high = 10000;
+  let lowValue = netPresentValue(dated, low);
+  const highValue = netPresentValue(dated, high);
+  if (!Number.isFinite(lowValue) || !Number.isFinite(highValue) || lowValue * highValue > 0) {
+    return null;
+  }
+
+  for (let i = 0; i < XIRR_MAX_ITERATIONS * 2; i++) {
+    const middle = (low + high) / 2;
+    const middleValue = netPresentValue(dated, middle);
+    if (Math.abs(middleValue) < XIRR_TOLERANCE || (high - low) / 2 < XIRR_TOLERANCE) {
+      return middle * 100;
+    }
+    if (middleValue * lowValue > 0) {
+      low = middle;
+      lowValue = middleValue;
+    } else {
+      high = middle;
+    }
+  }
+
+  return ((low + high) / 2) * 100;
+};
+
+/**
+ * Días entre dos fechas YYYY-MM-DD
+ */
+const daysBetween = (from, to) => Math.floor((new Date(to).getTime() - new Date(from).getTime()) / MS_PER_DAY);
+
+/**
+ * RESUMIR EL PLAZO DE TENENCIA DE UNA POSICIÓN
+ *
+ * - holdingDays: días desde el lote abierto más antiguo
+ * - averageYears: antigüedad promedio de los lotes, ponderada por su costo
+ * - term: 'long' si todos los lotes superan LONG_TERM_HOLDING_DAYS, 'short' si
+ *   ninguno lo hace y 'mixed' si hay de los dos
+ * - cagr: rendimiento anual compuesto (valor / costo) ^ (1 / años) - 1, en
+ *   porcentaje. Solo se calcula desde un año de antigüedad promedio: antes,
+ *   anualizar exagera cualquier movimiento
+ *
+ * @param {Array} lots - Lotes abiertos {date, quantity, price} (price = costo unitario)
+ * @param {number} marketValue - Valor actual de la posición
+ * @param {string} today - Fecha de referencia (YYYY-MM-DD)
+ * @returns {{firstPurchaseDate: string, holdingDays: number, averageYears: number, term: string,
+ *   longTermQuantity: number, shortTermQuantity: number, cagr: number|null}|null}
+ *   null si ningún lote tiene fecha
+ */
+export const summarizeHoldingPeriod = (lots, marketValue, today = getTodayDate()) => {
+  const dated = lots.filter((lot) => lot.date && lot.quantity > 0);
+  if (dated.length === 0) return null;
+
+  let firstPurchaseDate = dated[0].date;
+  let longTermQuantity = 0;
+  let shortTermQuantity = 0;
+  let totalCost = 0;
+  let weightedDays = 0;
+
+  dated.forEach((lot) => {
+    const days = Math.max(0, daysBetween(lot.date, today));
+    const cost = lot.quantity * lot.price;
+    if (lot.date < firstPurchaseDate) firstPurchaseDate = lot.date;
+    if (days > LONG_TERM_HOLDING_DAYS) {
+      longTermQuantity += lot.quantity;
+    } else {
+      shortTermQuantity += lot.quantity;
+    }
+    totalCost += cost;
+    weightedDays += cost * days;
+  });
+
+  const averageYears = totalCost > 0 ? weightedDays / totalCost / DAYS_PER_YEAR : 0;
+  let term = 'mixed';
+  if (shortTermQuantity === 0) term = 'long';
+  if (longTermQuantity === 0) term = 'short';
+
+  const cagr =
+    averageYears >= 1 && totalCost > 0 && marketValue >= 0
+      ? ((marketValue / totalCost) ** (1 / averageYears) - 1) * 100
+      : null;
+
+  return {
+    firstPurchaseDate,
+    holdingDays: Math.max(0, daysBetween(firstPurchaseDate, today)),
+    averageYears,
+    term,
+    longTermQuantity,
+    shortTermQuantity,
+    cagr,
+  };
+};
+
+/**
+ * FORMATEAR UN PLAZO DE TENENCIA
+ *
+ * @param {number} days - Días de tenencia
+ * @returns {string} Ej: "12 días", "5 meses", "2 años y 3 meses"
+ */
+export const formatHoldingPeriod = (days) => {
+  if (days < 31) return `${days} ${days === 1 ? 'día' : 'días'}`;
+
+  const totalMonths = Math.floor(days / 30.4375);
+  const years = Math.floor(totalMonths / 12);
+  const months = totalMonths % 12;
+  const monthsLabel = `${months} ${months === 1 ? 'mes' : 'meses'}`;
+
+  if (years === 0) return monthsLabel;
+  const yearsLabel = `${years} ${years === 1 ? 'año' : 'años'}`;
+  return months > 0 ? `${yearsLabel} y ${monthsLabel}` : yearsLabel;
+};
+
+/**
+ * ARMAR LA CURVA DE CAPITAL DE LA CARTERA
+ *
+ * Cada punto tiene el capital invertido (costo de las posiciones abiertas) y
+ * el valor de mercado de los activos (sin efectivo) al cierre del día:
+ * - Días con valuación guardada: ambos valores salen de la valuación.
+ * - Días con transacciones anteriores a la primera valuación: el capital
+ *   invertido se reconstruye desde el historial, en la moneda base con el tipo
+ *   de cambio de cada lote (los activos sin cotización no se suman), y el valor
+ *   de mercado queda en null (no hay precios guardados de esas fechas).
+ * - Hoy: los valores actuales.
+ *
+ * @param {Object} params
+ * @param {Array} params.valuations - Valuaciones {date, securitiesValue, invested}
+ * @param {Array} params.transactions - Todas las transacciones
+ * @param {string} params.method - Método de costo
+ * @param {Array} params.assets - Activos (para la moneda de cada uno)
+ * @param {string} params.baseCurrency - Moneda base de las valuaciones
+ * @param {Object|null} params.rates - Cotizaciones
+ * @param {string|null} params.fromDate - Primer día a incluir (YYYY-MM-DD, null = todo)
+ * @param {{marketValue: number, invested: number}|null} params.current - Valores de hoy
+ * @param {string} params.today - Fecha de referencia (YYYY-MM-DD)
+ * @returns {Array} Puntos {date, invested, marketValue} ordenados por fecha
+ */
+export const buildEquityCurve = ({
+  valuations,
+  transactions,
+  method,
+  assets = [],
+  baseCurrency,
+  rates = null,
+  fromDate = null,
+  current = null,
+  today = getTodayDate(),
+}) => {
+  const points = new Map();
+
+  valuations.forEach((valuation) => {
+    if (!valuation.date || valuation.date >= today) return;
+    points.set(valuation.date, {
+      date: valuation.date,
+      invested: valuation.invested,
+      marketValue: valuation.securitiesValue,
+    });
+  });
+
+  // Antes de la primera valuación: capital invertido desde el historial
+  const firstValuationDate = [...points.keys()].sort()[0] || today;
+  const byAsset = {};
+  transactions.forEach((tx) => {
+    if (!byAsset[tx.assetId]) byAsset[tx.assetId] = [];
+    byAsset[tx.assetId].push(tx);
+  });
+  const currencyByAsset = new Map(assets.map((asset) => [Number(asset.id), asset.currency]));
+  const rebuiltDates = [...new Set(transactions.map((tx) => tx.date))]
+    .filter((date) => date && date < firstValuationDate)
+    .sort();
+
+  rebuiltDates.forEach((date) => {
+    let invested = 0;
+    let hasConvertedAsset = false;
+    Object.entries(byAsset).forEach(([assetId, history]) => {
+      const upToDate = history.filter((tx) => tx.date <= date);
+      if (upToDate.length === 0) return;
+      const currency = currencyByAsset.get(Number(assetId)) ?? upToDate.find((tx) => tx.currency)?.currency;
+      const cost = convertPositionCost(
+        buildPosition(upToDate, method),
+        getOpenLots(upToDate, method),
+        currency,
+        baseCurrency,
+        rates
+      );
+      if (cost === null) return;
+      invested += cost;
+      hasConvertedAsset = true;
+    });
+    if (hasConvertedAsset) {
+      points.set(date, { date, invested, marketValue: null });
+    }
+  });
+
+  if (current) {
+    points.set(today, { date: today, invested: current.invested, marketValue: current.marketValue });
+  }
+
+  return [...points.values()]
+    .filter((point) => !fromDate || point.date >= fromDate)
+    .sort((a, b) => a.date.localeCompare(b.date));
+};
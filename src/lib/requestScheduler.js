@@ -0,0 +1,210 @@
+/**
+ * PLANIFICADOR DE PETICIONES CON LÍMITE DE TASA (TOKEN BUCKET)
+ *
+ * Todas las peticiones HTTP a una API con límite de tasa pasan por una única
+ * cola, en lugar de que cada función maneje sus propios reintentos y pausas:
+ *
+ * - Token bucket: hay hasta `burst` fichas; cada petición gasta una y se
+ *   recargan a razón de `requestsPerMinute`. Sin fichas, la petición espera.
+ * - Prioridades: primero 'interactive' (lo que el usuario está mirando: un
+ *   gráfico abierto, la búsqueda), después 'normal' y al final 'background'
+ *   (la actualización periódica de precios). Dentro de una misma prioridad,
+ *   por orden de llegada.
+ * - Deduplicación: si se pide una URL que ya está en cola o en curso, se
+ *   devuelve la misma promesa (y se sube su prioridad si hace falta).
+ * - Un solo estado de backoff: un 429 pausa toda la cola (60 s, 120 s,
+ *   240 s... hasta 5 minutos) y la petición vuelve a la cola. El primer
+ *   pedido exitoso resetea el backoff.
+ * - Los errores 5xx y de red se reintentan con backoff exponencial
+ *   (1 s, 2 s, 4 s) solo para esa petición.
+ *
+ * Las peticiones no se rechazan: siempre se resuelven con
+ * {ok, status, data, text, rateLimited, error} (data = JSON o null).
+ */
+
+export const REQUEST_PRIORITY = {
+  interactive: 0,
+  normal: 1,
+  background: 2,
+};
+
+const MAX_RETRIES = 3; // Reintentos por petición (429, 5xx o error de red)
+const INITIAL_RETRY_DELAY = 1000; // 1 segundo antes del primer reintento de un 5xx / error de red
+const RATE_LIMIT_DELAY = 60000; // 60 segundos de pausa con el primer 429
+const MAX_RATE_LIMIT_DELAY = 5 * 60 * 1000; // Nunca pausar más de 5 minutos
+
+/**
+ * Leer el cuerpo de una respuesta como JSON (o texto si no es JSON)
+ * @param {Response} response
+ * @returns {Promise<{data: any, text: string}>}
+ */
+const readBody = async (response) => {
+  let text = '';
+  try {
+    text = await response.text();
+  } catch {
+    return { data: null, text };
+  }
+  try {
+    return { data: text ? JSON.parse(text) : null, text };
+  } catch {
+    return { data: null, text };
+  }
+};
+
+/**
+ * CREAR UN PLANIFICADOR DE PETICIONES
+ *
+ * @param {Object} params
+ * @param {number} params.requestsPerMinute - Fichas que se recargan por minuto
+ * @param {number} params.burst - Máximo de fichas acumuladas (peticiones seguidas sin esperar)
+ * @param {Function} params.fetchImpl - Implementación de fetch (por defecto la global)
+ * @returns {{request: Function, getState: Function}}
+ */
+export const createRequestScheduler = ({ requestsPerMinute, burst, fetchImpl = (...args) => fetch(...args) }) => {
+  const refillPerMs = requestsPerMinute / 60000;
+  let tokens = burst;
+  let lastRefill = Date.now();
+  let pausedUntil = 0; // Timestamp hasta el que la cola está pausada por un 429
+  let rateLimitLevel = 0; // 429 seguidos (para el backoff)
+  let timer = null;
+  let sequence = 0; // Orden de llegada para desempatar prioridades
+  const queue = [];
+  const pendingByKey = new Map(); // Clave -> entrada en cola o en curso
+
+  const refill = () => {
+    const now = Date.now();
+    tokens = Math.min(burst, tokens + (now - lastRefill) * refillPerMs);
+    lastRefill = now;
+  };
+
+  const enqueue = (entry) => {
+    queue.push(entry);
+    queue.sort((a, b) => a.priority - b.priority || a.sequence - b.sequence);
+    pump();
+  };
+
+  const settle = (entry, result) => {
+    pendingByKey.delete(entry.key);
+    entry.resolve(result);
+  };
+
+  const retryLater = (entry, delay) => {
+    entry.attempt++;
+    setTimeout(() => enqueue(entry), delay);
+  };
+
+  const run = async (entry) => {
+    let response;
+    try {
+      response = await fetchImpl(entry.url);
+    } catch (error) {
+      if (entry.attempt < MAX_RETRIES) {
+        retryLater(entry, INITIAL_RETRY_DELAY * 2 ** entry.attempt);
+        return;
+      }
+      settle(entry, { ok: false, status: 0, data: null, text: '', rateLimited: false, error: error.message });
+      return;
+    }
+
+    // 429: pausar toda la cola y volver a encolar esta petición
+    if (response.status === 429) {
+      // Varias peticiones en curso pueden recibir 429 a la vez: cuentan como una sola pausa
+      if (Date.now() >= pausedUntil) {
+        const delay = Math.min(MAX_RATE_LIMIT_DELAY, RATE_LIMIT_DELAY * 2 ** rateLimitLevel);
+        pausedUntil = Date.now() + delay;
+        rateLimitLevel++;
+        console.warn(`⏸️ Rate limit de la API. Pausando peticiones por ${delay / 1000} segundos.`);
+      }
+      tokens = 0;
+      if (entry.attempt < MAX_RETRIES) {
+        entry.attempt++;
+        enqueue(entry);
+        return;
+      }
+      settle(entry, { ok: false, status: 429, data: null, text: '', rateLimited: true, error: 'Rate limit excedido' });
+      pump();
+      return;
+    }
+
+    rateLimitLevel = 0;
+
+    // Errores del servidor: pueden ser temporales
+    if (response.status >= 500 && entry.attempt < MAX_RETRIES) {
+      retryLater(entry, INITIAL_RETRY_DELAY * 2 ** entry.attempt);
+      return;
+    }
+
+    const { data, text } = await readBody(response);
+    settle(entry, { ok: response.ok, status: response.status, data, text, rateLimited: false, error: null });
+  };
+
+  const pump = () => {
+    if (timer) return;
+
+    const now = Date.now();
+    if (now < pausedUntil) {
+      timer = setTimeout(() => {
+        timer = null;
+        pump();
+      }, pausedUntil - now);
+      return;
+    }
+
+    refill();
+    while (queue.length > 0 && tokens >= 1) {
+      tokens--;
+      run(queue.shift());
+    }
+
+    // Sin fichas: esperar a que se recargue la próxima
+    if (queue.length > 0) {
+      timer = setTimeout(() => {
+        timer = null;
+        pump();
+      }, Math.ceil((1 - tokens) / refillPerMs));
+    }
+  };
+
+  /**
+   * ENCOLAR UNA PETICIÓN
+   *
+   * @param {string} url - URL completa
+   * @param {Object} options
+   * @param {string} options.key - Clave para deduplicar (por defecto la URL; conviene no incluir la API key)
+   * @param {string} options.priority - 'interactive', 'normal' o 'background'
+   * @returns {Promise<{ok: boolean, status: number, data: any, text: string, rateLimited: boolean, error: string|null}>}
+   */
+  const request = (url, { key = url, priority = 'normal' } = {}) => {
+    const priorityValue = REQUEST_PRIORITY[priority] ?? REQUEST_PRIORITY.normal;
+
+    const existing = pendingByKey.get(key);
+    if (existing) {
+      // Si alguien con más prioridad pide lo mismo, adelantar la petición en la cola
+      if (priorityValue < existing.priority) {
+        existing.priority = priorityValue;
+        queue.sort((a, b) => a.priority - b.priority || a.sequence - b.sequence);
+      }
+      return existing.promise;
+    }
+
+    const entry = { url, key, priority: priorityValue, sequence: sequence++, attempt: 0 };
+    entry.promise = new Promise((resolve) => {
+      entry.resolve = resolve;
+    });
+    pendingByKey.set(key, entry);
+    enqueue(entry);
+    return entry.promise;
+  };
+
+  /**
+   * Estado actual de la cola (para mostrar o registrar)
+   * @returns {{queued: number, tokens: number, pausedUntil: number|null}}
+   */
+  const getState = () => {
+    refill();
+    return { queued: queue.length, tokens: Math.floor(tokens), pausedUntil: pausedUntil > Date.now() ? pausedUntil : null };
+  };
+
+  return { request, getState };
+};
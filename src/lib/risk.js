@@ -0,0 +1,260 @@
+/**
+ * MÉTRICAS DE RIESGO
+ *
+ * Funciones puras que miden el riesgo de la cartera y de cada activo a partir
+ * de sus series de valores. No tocan el store.
+ *
+ * - Cartera: el índice TWR de las valuaciones diarias (buildPerformanceIndex
+ *   en src/lib/performance.js), así los depósitos y retiros no cuentan como
+ *   subas o bajas.
+ * - Activos: el precio de cada foto diaria (valor / cantidad), corregido por
+ *   los splits del historial.
+ * - Benchmark: los cierres diarios del ticker elegido.
+ *
+ * Las valuaciones se guardan solo los días en que se abre la app, así que los
+ * rendimientos no son de a un día: para anualizar se usa la cantidad de
+ * períodos por año según la separación promedio entre observaciones.
+ */
+
+const DAYS_PER_YEAR = 365.25;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const MIN_RETURNS = 2;
+
+/**
+ * Días entre dos fechas YYYY-MM-DD
+ */
+const daysBetween = (from, to) => (new Date(to).getTime() - new Date(from).getTime()) / MS_PER_DAY;
+
+const mean = (values) => values.reduce((total, value) => total + value, 0) / values.length;
+
+/**
+ * Desvío estándar muestral
+ */
+const standardDeviation = (values) => {
+  const average = mean(values);
+  const variance = values.reduce((total, value) => total + (value - average) ** 2, 0) / (values.length - 1);
+  return Math.sqrt(variance);
+};
+
+/**
+ * CALCULAR LOS RENDIMIENTOS DE UNA SERIE
+ *
+ * @param {Array} series - Puntos {date, value} (value > 0)
+ * @returns {Array} Rendimientos {from, date, value} entre observaciones consecutivas
+ */
+export const getReturns = (series) => {
+  const sorted = series
+    .filter((point) => point.date && point.value > 0)
+    .sort((a, b) => a.date.localeCompare(b.date));
+
+  const returns = [];
+  for (let i = 1; i < sorted.length; i++) {
+    returns.push({
+      from: sorted[i - 1].date,
+      date: sorted[i].date,
+      value: sorted[i].value / sorted[i - 1].value - 1,
+    });
+  }
+  return returns;
+};
+
+/**
+ * Períodos por año según la separación promedio entre observaciones
+ * @param {Array} returns - Rendimientos {from, date, value}
+ */
+const getPeriodsPerYear = (returns) => {
+  const totalDays = returns.reduce((total, item) => total + daysBetween(item.from, item.date), 0);
+  return totalDays > 0 ? DAYS_PER_YEAR / (totalDays / returns.length) : 0;
+};
+
+/**
+ * CALCULAR LA VOLATILIDAD ANUALIZADA
+ *
+ * @param {Array} returns - Rendimientos {from, date, value}
+ * @returns {number|null} Volatilidad en porcentaje, o null con menos de dos rendimientos
+ */
+export const calculateVolatility = (returns) => {
+  if (returns.length < MIN_RETURNS) return null;
+  return standardDeviation(returns.map((item) => item.value)) * Math.sqrt(getPeriodsPerYear(returns)) * 100;
+};
+
+/**
+ * CALCULAR LA MÁXIMA CAÍDA (MAX DRAWDOWN)
+ *
+ * La mayor baja desde un máximo previo hasta un mínimo posterior.
+ *
+ * @param {Array} series - Puntos {date, value}
+ * @returns {{maxDrawdown: number, peakDate: string, troughDate: string, recoveryDate: string|null}|null}
+ *   Caída en porcentaje (negativa), fechas del máximo y del mínimo, y fecha en
+ *   que se volvió al máximo (null si todavía no se recuperó). null si no hubo caídas
+ */
+export const calculateMaxDrawdown = (series) => {
+  const sorted = series
+    .filter((point) => point.date && point.value > 0)
+    .sort((a, b) => a.date.localeCompare(b.date));
+
+  let peak = null;
+  let worst = null;
+
+  sorted.forEach((point) => {
+    if (!peak || point.value > peak.value) {
+      peak = point;
+      return;
+    }
+    const drawdown = point.value / peak.value - 1;
+    if (!worst || drawdown < worst.maxDrawdown) {
+      worst = { maxDrawdown: drawdown, peakDate: peak.date, peakValue: peak.value, troughDate: point.date };
+    }
+  });
+
+  if (!worst || worst.maxDrawdown >= 0) return null;
+
+  const recovery = sorted.find((point) => point.date > worst.troughDate && point.value >= worst.peakValue);
+
+  return {
+    maxDrawdown: worst.maxDrawdown * 100,
+    peakDate: worst.peakDate,
+    troughDate: worst.troughDate,
+    recoveryDate: recovery ? recovery.date : null,
+  };
+};
+
+/**
+ * CALCULAR LOS RATIOS DE SHARPE Y SORTINO
+ *
+ * Sharpe = (rendimiento anual - tasa libre de riesgo) / volatilidad anual.
+ * Sortino usa en el denominador solo la volatilidad de los períodos que
+ * rindieron menos que la tasa libre de riesgo.
+ *
+ * @param {Array} returns - Rendimientos {from, date, value}
+ * @param {number} riskFreeRate - Tasa libre de riesgo anual en porcentaje (ej: 4)
+ * @returns {{sharpe: number|null, sortino: number|null}}
+ */
+export const calculateRiskAdjustedRatios = (returns, riskFreeRate = 0) => {
+  if (returns.length < MIN_RETURNS) return { sharpe: null, sortino: null };
+
+  const periodsPerYear = getPeriodsPerYear(returns);
+  const values = returns.map((item) => item.value);
+  const annualRiskFree = riskFreeRate / 100;
+  const periodRiskFree = annualRiskFree / periodsPerYear;
+  const annualExcess = mean(values) * periodsPerYear - annualRiskFree;
+
+  const volatility = standardDeviation(values) * Math.sqrt(periodsPerYear);
+  const downside = Math.sqrt(
+    values.reduce((total, value) => total + Math.min(0, value - periodRiskFree) ** 2, 0) / values.length
+  ) * Math.sqrt(periodsPerYear);
+
+  return {
+    sharpe: volatility > 0 ? annualExcess / volatility : null,
+    sortino: downside > 0 ? annualExcess / downside : null,
+  };
+};
+
+/**
+ * CALCULAR LA BETA CONTRA UN BENCHMARK
+ *
+ * Para cada rendimiento de la serie se toma el del benchmark en el mismo
+ * intervalo (último cierre en o antes de cada fecha).
+ *
+ * @param {Array} returns - Rendimientos {from, date, value}
+ * @param {Array} benchmarkPrices - Cierres del benchmark {date, close}
+ * @returns {number|null} Beta, o null si no hay suficientes datos en común
+ */
+export const calculateBeta = (returns, benchmarkPrices) => {
+  const prices = benchmarkPrices
+    .filter((price) => price.date && price.close > 0)
+    .sort((a, b) => a.date.localeCompare(b.date));
+
+  const closeAt = (date) => {
+    let close = null;
+    for (const price of prices) {
+      if (price.date > date) break;
+      close = price.close;
+    }
+    return close;
+  };
+
+  const pairs = [];
+  returns.forEach((item) => {
+    const start = closeAt(item.from);
+    const end = closeAt(item.date);
+    if (start && end) pairs.push({ value: item.value, benchmark: end / start - 1 });
+  });
+
+  if (pairs.length < MIN_RETURNS) return null;
+
+  const averageValue = mean(pairs.map((pair) => pair.value));
+  const averageBenchmark = mean(pairs.map((pair) => pair.benchmark));
+  let covariance = 0;
+  let variance = 0;
+  pairs.forEach((pair) => {
+    covariance += (pair.value - averageValue) * (pair.benchmark - averageBenchmark);
+    variance += (pair.benchmark - averageBenchmark) ** 2;
+  });
+
+  return variance > 0 ? covariance / variance : null;
+};
+
+/**
+ * ARMAR LA SERIE DE PRECIOS DE CADA ACTIVO DESDE LAS FOTOS DIARIAS
+ *
+ * El precio de cada foto es valor / cantidad. Los splits del historial se
+ * llevan hacia atrás (los precios anteriores se dividen por el factor) para
+ * que no aparezcan como una caída.
+ *
+ * @param {Array} snapshots - Fotos {date, assetId, quantity, marketValue}
+ * @param {Array} transactions - Todas las transacciones (para los splits)
+ * @returns {Object} Map de assetId -> Array de {date, value}
+ */
+export const buildAssetPriceSeries = (snapshots, transactions) => {
+  const splitsByAsset = {};
+  transactions.forEach((tx) => {
+    if (tx.type !== 'split' || !(tx.ratio > 0)) return;
+    if (!splitsByAsset[tx.assetId]) splitsByAsset[tx.assetId] = [];
+    splitsByAsset[tx.assetId].push(tx);
+  });
+
+  const seriesByAsset = {};
+  snapshots.forEach((snapshot) => {
+    if (!(snapshot.quantity > 0) || !(snapshot.marketValue > 0)) return;
+
+    // Factor de los splits posteriores a la foto
+    const factor = (splitsByAsset[snapshot.assetId] || [])
+      .filter((split) => split.date > snapshot.date)
+      .reduce((total, split) => total * split.ratio, 1);
+
+    if (!seriesByAsset[snapshot.assetId]) seriesByAsset[snapshot.assetId] = [];
+    seriesByAsset[snapshot.assetId].push({
+      date: snapshot.date,
+      value: snapshot.marketValue / snapshot.quantity / factor,
+    });
+  });
+
+  return seriesByAsset;
+};
+
+/**
+ * CALCULAR TODAS LAS MÉTRICAS DE UNA SERIE
+ *
+ * @param {Array} series - Puntos {date, value}
+ * @param {Object} options
+ * @param {Array} options.benchmarkPrices - Cierres del benchmark {date, close}
+ * @param {number} options.riskFreeRate - Tasa libre de riesgo anual en porcentaje
+ * @returns {{observations: number, startDate: string, endDate: string, volatility: number|null,
+ *   drawdown: Object|null, sharpe: number|null, sortino: number|null, beta: number|null}|null}
+ *   null si no hay al menos dos rendimientos
+ */
+export const calculateRiskMetrics = (series, { benchmarkPrices = [], riskFreeRate = 0 } = {}) => {
+  const returns = getReturns(series);
+  if (returns.length < MIN_RETURNS) return null;
+
+  return {
+    observations: returns.length + 1,
+    startDate: returns[0].from,
+    endDate: returns[returns.length - 1].date,
+    volatility: calculateVolatility(returns),
+    drawdown: calculateMaxDrawdown(series),
+    ...calculateRiskAdjustedRatios(returns, riskFreeRate),
+    beta: calculateBeta(returns, benchmarkPrices),
+  };
+};
@@ -0,0 +1,109 @@
+/**
+ * FOTOS DIARIAS DE LA CARTERA Y GANANCIA POR TEMPORALIDAD
+ *
+ * Funciones puras sobre las fotos de portfolio_snapshots. No tocan el store.
+ *
+ * La ganancia/pérdida de una temporalidad (1d, 1sem, 1mes, ...) de cada activo
+ * es lo que cambió su ganancia no realizada desde la foto del día de inicio,
+ * más la ganancia realizada de las ventas posteriores a esa foto. Los activos
+ * que no estaban en la foto de inicio arrancan en cero (se compraron al costo).
+ *
+ * Las fotos se guardan en la moneda base del usuario, así que se comparan con
+ * los activos ya convertidos (baseAssets de useAssets).
+ */
+
+import { SUMMARY_TIMEFRAMES } from '../constants';
+import { getRealizedSales, getTodayDate } from './ledger';
+
+/**
+ * ARMAR LAS FOTOS DEL DÍA DE LOS ACTIVOS EN CARTERA
+ *
+ * @param {Array} assets - Activos del store
+ * @returns {Array} Fotos {assetId, symbol, assetType, quantity, marketValue, costBasis}
+ */
+export const buildAssetSnapshots = (assets) => {
+  return assets
+    .filter((asset) => asset.id && asset.quantity > 0)
+    .map((asset) => ({
+      assetId: asset.id,
+      symbol: asset.symbol,
+      assetType: asset.type || null,
+      quantity: asset.quantity,
+      marketValue: asset.quantity * asset.currentPrice,
+      costBasis: asset.quantity * asset.purchasePrice,
+    }));
+};
+
+/**
+ * FECHA DE INICIO DE UNA TEMPORALIDAD DEL SUMMARY
+ *
+ * @param {string} timeframe - Clave de SUMMARY_TIMEFRAMES (diario, semanal, ...)
+ * @param {string} today - Fecha de referencia (YYYY-MM-DD)
+ * @returns {string|null} Fecha de inicio, o null para "todo el tiempo"
+ */
+export const getTimeframeStartDate = (timeframe, today = getTodayDate()) => {
+  const days = SUMMARY_TIMEFRAMES[timeframe]?.days;
+  if (!days) return null;
+
+  const start = new Date(`${today}T00:00:00Z`);
+  start.setUTCDate(start.getUTCDate() - days);
+  return start.toISOString().split('T')[0];
+};
+
+/**
+ * CALCULAR LA GANANCIA DE CADA ACTIVO EN UNA TEMPORALIDAD
+ *
+ * La foto base es la del último día registrado hasta la fecha de inicio. Si el
+ * historial es más corto que la temporalidad, se usa la primera foto y el
+ * resultado se marca como parcial.
+ *
+ * @param {Array} assets - Activos actuales en la moneda base (la ganancia de
+ *   las ventas se convierte al tipo de cambio de hoy, asset.fxRate, como en
+ *   convertValuesByAsset; los que no tienen cotización no se incluyen)
+ * @param {Array} snapshots - Fotos {date, assetId, marketValue, costBasis}
+ * @param {Array} transactions - Todas las transacciones (para las ventas del período)
+ * @param {string} method - Método de costo
+ * @param {string|null} startDate - Fecha de inicio (null = todo el tiempo)
+ * @returns {{profitByAsset: Object, baseDate: string, isPartial: boolean}|null}
+ *   Map de assetId -> ganancia del período, o null si no hay fotos anteriores a
+ *   hoy contra las cuales comparar (o si la temporalidad es "todo el tiempo")
+ */
+export const calculatePeriodProfitByAsset = (assets, snapshots, transactions, method, startDate) => {
+  if (!startDate) return null;
+
+  const today = getTodayDate();
+  const dates = [...new Set(snapshots.map((snapshot) => snapshot.date))]
+    .filter((date) => date < today)
+    .sort();
+  if (dates.length === 0) return null;
+
+  const previousDates = dates.filter((date) => date <= startDate);
+  const baseDate = previousDates.length > 0 ? previousDates[previousDates.length - 1] : dates[0];
+  const isPartial = previousDates.length === 0;
+
+  const baseByAsset = {};
+  snapshots.forEach((snapshot) => {
+    if (snapshot.date === baseDate) baseByAsset[snapshot.assetId] = snapshot;
+  });
+
+  const transactionsByAsset = {};
+  transactions.forEach((tx) => {
+    if (!transactionsByAsset[tx.assetId]) transactionsByAsset[tx.assetId] = [];
+    transactionsByAsset[tx.assetId].push(tx);
+  });
+
+  const profitByAsset = {};
+  assets.forEach((asset) => {
+    if (asset.isFxRateMissing) return;
+    const unrealized = asset.quantity * asset.currentPrice - asset.quantity * asset.purchasePrice;
+    const base = baseByAsset[asset.id];
+    const baseUnrealized = base ? base.marketValue - base.costBasis : 0;
+    const realized = getRealizedSales(transactionsByAsset[asset.id] || [], method)
+      .filter((sale) => sale.date > baseDate)
+      .reduce((total, sale) => total + sale.realizedGain, 0) * asset.fxRate; // al tipo de cambio de hoy
+
+    profitByAsset[asset.id] = unrealized - baseUnrealized + realized;
+  });
+
+  return { profitByAsset, baseDate, isPartial };
+};
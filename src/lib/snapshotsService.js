@@ -0,0 +1,135 @@
+/**
+ * SERVICIO DE FOTOS DIARIAS POR ACTIVO CON SUPABASE
+ *
+ * Este archivo contiene las funciones para interactuar con la tabla de fotos
+ * diarias de la cartera (una fila por usuario, activo y día).
+ *
+ * Las fotos son la base de la ganancia/pérdida por temporalidad del Summary
+ * (ver src/lib/snapshots.js).
+ */
+
+import { supabase } from './supabase';
+
+const SNAPSHOTS_TABLE = 'portfolio_snapshots';
+
+/**
+ * Convierte una fila de la BD (snake_case) al formato de la app (camelCase)
+ * @param {Object} item - Fila de la tabla portfolio_snapshots
+ * @returns {Object} Foto formateada
+ */
+const formatSnapshot = (item) => ({
+  id: item.id,
+  date: item.snapshot_date,
+  assetId: item.asset_id,
+  symbol: item.symbol,
+  assetType: item.asset_type || null,
+  quantity: parseFloat(item.quantity) || 0,
+  marketValue: parseFloat(item.market_value) || 0,
+  costBasis: parseFloat(item.cost_basis) || 0,
+  updatedAt: item.updated_at,
+});
+
+/**
+ * CARGAR FOTOS DE UN USUARIO
+ *
+ * @param {string} userId - ID del usuario
+ * @returns {Promise<{data: Array|null, error: string|null}>}
+ */
+export const loadSnapshotsFromSupabase = async (userId) => {
+  if (!userId) {
+    return { data: null, error: 'ID de usuario no proporcionado' };
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from(SNAPSHOTS_TABLE)
+      .select('*')
+      .eq('user_id', userId)
+      .order('snapshot_date', { ascending: true });
+
+    if (error) {
+      console.error('Error al cargar fotos de la cartera desde Supabase:', error);
+      if (error.message?.includes('does not exist')) {
+        return {
+          data: null,
+          error: 'La tabla de fotos de la cartera no existe en Supabase. Por favor, ejecuta el script SQL en supabase_snapshots_table.sql',
+        };
+      }
+      return { data: null, error: error.message };
+    }
+
+    return { data: (data || []).map(formatSnapshot), error: null };
+  } catch (error) {
+    console.error('Error inesperado al cargar fotos de la cartera:', error);
+    return { data: null, error: error.message || 'Error al cargar fotos de la cartera' };
+  }
+};
+
+/**
+ * GUARDAR LAS FOTOS DE UN DÍA
+ *
+ * Reemplaza las fotos de esa fecha: actualiza las de los activos que siguen en
+ * cartera y borra las de los activos que ya no están.
+ *
+ * @param {string} date - Fecha de las fotos (YYYY-MM-DD)
+ * @param {Array} snapshots - Fotos {assetId, symbol, assetType, quantity, marketValue, costBasis}
+ * @param {string} userId - ID del usuario propietario
+ * @returns {Promise<{data: Array|null, error: string|null}>}
+ */
+export const saveSnapshotsToSupabase = async (date, snapshots, userId) => {
+  if (!userId) {
+    return { data: null, error: 'ID de usuario no proporcionado' };
+  }
+
+  try {
+    const updatedAt = new Date().toISOString();
+    let saved = [];
+
+    if (snapshots.length > 0) {
+      const { data, error } = await supabase
+        .from(SNAPSHOTS_TABLE)
+        .upsert(
+          snapshots.map((snapshot) => ({
+            user_id: userId,
+            asset_id: snapshot.assetId,
+            snapshot_date: date,
+            symbol: snapshot.symbol,
+            asset_type: snapshot.assetType || null,
+            quantity: snapshot.quantity || 0,
+            market_value: snapshot.marketValue || 0,
+            cost_basis: snapshot.costBasis || 0,
+            updated_at: updatedAt,
+          })),
+          { onConflict: 'user_id,snapshot_date,asset_id' }
+        )
+        .select();
+
+      if (error) {
+        console.error('Error al guardar fotos de la cartera en Supabase:', error);
+        return { data: null, error: error.message };
+      }
+      saved = data || [];
+    }
+
+    // Borrar las fotos del día de activos que ya no están en cartera
+    let staleQuery = supabase
+      .from(SNAPSHOTS_TABLE)
+      .delete()
+      .eq('user_id', userId)
+      .eq('snapshot_date', date);
+    if (snapshots.length > 0) {
+      staleQuery = staleQuery.not('asset_id', 'in', `(${snapshots.map((snapshot) => snapshot.assetId).join(',')})`);
+    }
+    const { error: deleteError } = await staleQuery;
+
+    if (deleteError) {
+      console.error('Error al limpiar fotos de la cartera en Supabase:', deleteError);
+      return { data: null, error: deleteError.message };
+    }
+
+    return { data: saved.map(formatSnapshot), error: null };
+  } catch (error) {
+    console.error('Error inesperado al guardar fotos de la cartera:', error);
+    return { data: null, error: error.message || 'Error al guardar fotos de la cartera' };
+  }
+};
@@ -0,0 +1,172 @@
+/**
+ * SERVICIO DE TRANSACCIONES CON SUPABASE
+ *
+ * Este archivo contiene todas las funciones para interactuar con la tabla
+ * de transacciones (el libro de operaciones de cada activo).
+ *
+ * Cada compra, venta, reseteo, edición de brokers o evento corporativo agrega
+ * una fila fechada.
+ * La cantidad y el PPC de cada activo se calculan a partir de este historial
+ * (ver src/lib/ledger.js).
+ */
+
+import { supabase } from './supabase';
+
+const TRANSACTIONS_TABLE = 'transactions';
+
+/**
+ * Convierte una fila de la BD (snake_case) al formato de la app (camelCase)
+ * @param {Object} item - Fila de la tabla transactions
+ * @returns {Object} Transacción formateada
+ */
+const formatTransaction = (item) => ({
+  id: item.id,
+  assetId: typeof item.asset_id === 'string' ? parseInt(item.asset_id, 10) : Number(item.asset_id),
+  type: item.type,
+  broker: item.broker || '',
+  quantity: parseFloat(item.quantity) || 0,
+  price: parseFloat(item.price) || 0,
+  // Comisión de la operación
+  fee: parseFloat(item.fee) || 0,
+  date: item.trade_date,
+  // Fecha de compra del lote que abre un 'adjust' (null = la fecha de la operación)
+  acquiredDate: item.acquired_date || null,
+  // Ganancia realizada al momento de la venta (null para otros tipos)
+  realizedGain: item.realized_gain === null || item.realized_gain === undefined ? null : parseFloat(item.realized_gain),
+  // Lote vendido (solo ventas con método de lote específico)
+  lotId: item.lot_id === null || item.lot_id === undefined ? null : Number(item.lot_id),
+  // Factor de los eventos corporativos (split / spinoff)
+  ratio: item.ratio === null || item.ratio === undefined ? null : parseFloat(item.ratio),
+  // Moneda del lote y tipo de cambio a la moneda base del día en que se registró (compras y ediciones)
+  currency: item.currency || null,
+  fxRate: item.fx_rate === null || item.fx_rate === undefined ? null : parseFloat(item.fx_rate),
+  fxBaseCurrency: item.fx_base_currency || null,
+  notes: item.notes || '',
+  createdAt: item.created_at,
+});
+
+/**
+ * CARGAR TRANSACCIONES DE UN USUARIO
+ *
+ * Trae todo el historial del usuario ordenado cronológicamente.
+ *
+ * @param {string} userId - ID del usuario
+ * @returns {Promise<{data: Array|null, error: string|null}>}
+ */
+export const loadTransactionsFromSupabase = async (userId) => {
+  if (!userId) {
+    return { data: null, error: 'ID de usuario no proporcionado' };
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from(TRANSACTIONS_TABLE)
+      .select('*')
+      .eq('user_id', userId)
+      .order('trade_date', { ascending: true })
+      .order('id', { ascending: true });
+
+    if (error) {
+      console.error('Error al cargar transacciones desde Supabase:', error);
+      if (error.message?.includes('does not exist')) {
+        return {
+          data: null,
+          error: 'La tabla de transacciones no existe en Supabase. Por favor, ejecuta el script SQL en supabase_transactions_table.sql',
+        };
+      }
+      return { data: null, error: error.message };
+    }
+
+    return { data: (data || []).map(formatTransaction), error: null };
+  } catch (error) {
+    console.error('Error inesperado al cargar transacciones:', error);
+    return { data: null, error: error.message || 'Error al cargar transacciones' };
+  }
+};
+
+/**
+ * GUARDAR TRANSACCIONES
+ *
+ * Inserta una o varias transacciones de una sola vez (por ejemplo, una
+ * edición de brokers genera una fila por cada broker modificado).
+ *
+ * @param {Array} transactions - Array de transacciones {assetId, type, broker, quantity, price, fee, date, acquiredDate, realizedGain, lotId, ratio, currency, fxRate, fxBaseCurrency, notes}
+ * @param {string} userId - ID del usuario propietario
+ * @returns {Promise<{data: Array|null, error: string|null}>}
+ */
+export const saveTransactionsToSupabase = async (transactions, userId) => {
+  if (!userId) {
+    return { data: null, error: 'ID de usuario no proporcionado' };
+  }
+
+  if (!transactions || transactions.length === 0) {
+    return { data: [], error: null };
+  }
+
+  try {
+    const transactionsToInsert = transactions.map((tx) => ({
+      user_id: userId,
+      asset_id: tx.assetId,
+      type: tx.type,
+      broker: tx.broker || '',
+      quantity: tx.quantity || 0,
+      price: tx.price || 0,
+      fee: tx.fee || 0,
+      trade_date: tx.date,
+      acquired_date: tx.acquiredDate || null,
+      realized_gain: tx.realizedGain ?? null,
+      lot_id: tx.lotId ?? null,
+      ratio: tx.ratio ?? null,
+      currency: tx.currency || null,
+      fx_rate: tx.fxRate ?? null,
+      fx_base_currency: tx.fxBaseCurrency || null,
+      notes: tx.notes || null,
+    }));
+
+    const { data, error } = await supabase
+      .from(TRANSACTIONS_TABLE)
+      .insert(transactionsToInsert)
+      .select();
+
+    if (error) {
+      console.error('Error al guardar transacciones en Supabase:', error);
+      return { data: null, error: error.message };
+    }
+
+    return { data: (data || []).map(formatTransaction), error: null };
+  } catch (error) {
+    console.error('Error inesperado al guardar transacciones:', error);
+    return { data: null, error: error.message || 'Error al guardar transacciones' };
+  }
+};
+
+/**
+ * ELIMINAR UNA TRANSACCIÓN
+ *
+ * @param {number} transactionId - ID de la transacción
+ * @param {string} userId - ID del usuario (para verificar propiedad)
+ * @returns {Promise<{success: boolean, error: string|null}>}
+ */
+export const deleteTransactionFromSupabase = async (transactionId, userId) => {
+  if (!userId) {
+    return { success: false, error: 'ID de usuario no proporcionado' };
+  }
+
+  try {
+    const { error } = await supabase
+      .from(TRANSACTIONS_TABLE)
+      .delete()
+      .eq('id', transactionId)
+      .eq('user_id', userId);
+
+    if (error) {
+      console.error('Error al eliminar transacción en Supabase:', error);
+      return { success: false, error: error.message };
+    }
+
+    return { success: true, error: null };
+  } catch (error) {
+    console.error('Error inesperado al eliminar transacción:', error);
+    return { success: false, error: error.message || 'Error al eliminar transacción' };
+  }
+};
@@ -0,0 +1,108 @@
+/**
+ * SERVICIO DE VALUACIONES CON SUPABASE
+ *
+ * Este archivo contiene las funciones para interactuar con la tabla de
+ * valuaciones diarias de la cartera (una fila por usuario y día).
+ *
+ * Las valuaciones son la base del rendimiento ponderado por tiempo
+ * (ver src/lib/performance.js).
+ */
+
+import { supabase } from './supabase';
+
+const VALUATIONS_TABLE = 'portfolio_valuations';
+
+/**
+ * Convierte una fila de la BD (snake_case) al formato de la app (camelCase)
+ * @param {Object} item - Fila de la tabla portfolio_valuations
+ * @returns {Object} Valuación formateada
+ */
+const formatValuation = (item) => ({
+  id: item.id,
+  date: item.valuation_date,
+  totalValue: parseFloat(item.total_value) || 0,
+  securitiesValue: parseFloat(item.securities_value) || 0,
+  cashValue: parseFloat(item.cash_value) || 0,
+  invested: parseFloat(item.invested) || 0,
+  updatedAt: item.updated_at,
+});
+
+/**
+ * CARGAR VALUACIONES DE UN USUARIO
+ *
+ * @param {string} userId - ID del usuario
+ * @returns {Promise<{data: Array|null, error: string|null}>}
+ */
+export const loadValuationsFromSupabase = async (userId) => {
+  if (!userId) {
+    return { data: null, error: 'ID de usuario no proporcionado' };
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from(VALUATIONS_TABLE)
+      .select('*')
+      .eq('user_id', userId)
+      .order('valuation_date', { ascending: true });
+
+    if (error) {
+      console.error('Error al cargar valuaciones desde Supabase:', error);
+      if (error.message?.includes('does not exist')) {
+        return {
+          data: null,
+          error: 'La tabla de valuaciones no existe en Supabase. Por favor, ejecuta el script SQL en supabase_valuations_table.sql',
+        };
+      }
+      return { data: null, error: error.message };
+    }
+
+    return { data: (data || []).map(formatValuation), error: null };
+  } catch (error) {
+    console.error('Error inesperado al cargar valuaciones:', error);
+    return { data: null, error: error.message || 'Error al cargar valuaciones' };
+  }
+};
+
+/**
+ * GUARDAR LA VALUACIÓN DE UN DÍA
+ *
+ * Si ya existe una valuación para esa fecha, la reemplaza.
+ *
+ * @param {Object} valuation - Valuación {date, totalValue, securitiesValue, cashValue, invested}
+ * @param {string} userId - ID del usuario propietario
+ * @returns {Promise<{data: Object|null, error: string|null}>}
+ */
+export const saveValuationToSupabase = async (valuation, userId) => {
+  if (!userId) {
+    return { data: null, error: 'ID de usuario no proporcionado' };
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from(VALUATIONS_TABLE)
+      .upsert(
+        {
+          user_id: userId,
+          valuation_date: valuation.date,
+          total_value: valuation.totalValue || 0,
+          securities_value: valuation.securitiesValue || 0,
+          cash_value: valuation.cashValue || 0,
+          invested: valuation.invested || 0,
+          updated_at: new Date().toISOString(),
+        },
+        { onConflict: 'user_id,valuation_date' }
+      )
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Error al guardar valuación en Supabase:', error);
+      return { data: null, error: error.message };
+    }
+
+    return { data: formatValuation(data), error: null };
+  } catch (error) {
+    console.error('Error inesperado al guardar valuación:', error);
+    return { data: null, error: error.message || 'Error al guardar valuación' };
+  }
+};
@@ -6,6 +6,8 @@ import { Dashboard as DashboardComponent } from '../components/Dashboard/Dashboa
 import { useAuth } from '../hooks/useAuth';
 import { useFinnhubPrices } from '../hooks/useFinnhubPrices';
 import { useAlertChecker } from '../hooks/useAlertChecker';
+import { usePortfolioValuation } from '../hooks/usePortfolioValuation';
+import { useFxRates } from '../hooks/useFxRates';
 import { useAssetsStore } from '../store/assetsStore';
 import { useAlertsStore } from '../store/alertsStore';
 import { useSessionStore } from '../store/sessionStore';
@@ -14,15 +16,37 @@ import styles from './Dashboard.module.css';
 export function Dashboard() {
   const {
     assets,
+    baseAssets,
+    convertedAssets,
+    unconvertedCurrencies,
+    baseCurrency,
+    fxRateDescription,
     addAssetQuantity,
     reduceAssetQuantity,
     resetAsset,
     deleteAsset,
     addNewAsset,
     updateAssetBrokers,
+    applyCorporateAction,
+    setManualPrice,
     totalValue,
     totalInvestment,
     totalProfit,
+    totalUnrealizedProfit,
+    totalRealizedProfit,
+    totalFxProfit,
+    totalPriceProfit,
+    realizedProfitByAsset,
+    costBasisMethod,
+    totalIncome,
+    incomeByAsset,
+    feesByBroker,
+    cashBalances,
+    totalCash,
+    securitiesValue,
+    timeWeightedReturn,
+    moneyWeightedReturn,
+    cashFlows,
   } = useAssets();
 
   // Obtener estado de carga desde el store
@@ -38,6 +62,19 @@ export function Dashboard() {
   // Verificar alertas periódicamente (cada 5 minutos)
   useAlertChecker(5);
 
+  // Mantener los tipos de cambio para convertir a la moneda base
+  useFxRates();
+
+  // Guardar la valuación del día (base del rendimiento ponderado por tiempo)
+  usePortfolioValuation({
+    totalValue,
+    securitiesValue,
+    cashValue: totalCash,
+    invested: totalInvestment,
+    assets: baseAssets,
+    unconvertedCurrencies,
+  });
+
   // Cargar alertas cuando el usuario inicia sesión
   useEffect(() => {
     if (user?.id) {
@@ -71,16 +108,38 @@ export function Dashboard() {
             totalValue={totalValue}
             totalInvestment={totalInvestment}
             totalProfit={totalProfit}
-            assets={assets}
+            totalUnrealizedProfit={totalUnrealizedProfit}
+            totalRealizedProfit={totalRealizedProfit}
+            totalFxProfit={totalFxProfit}
+            totalPriceProfit={totalPriceProfit}
+            realizedProfitByAsset={realizedProfitByAsset}
+            costBasisMethod={costBasisMethod}
+            totalIncome={totalIncome}
+            incomeByAsset={incomeByAsset}
+            feesByBroker={feesByBroker}
+            cashBalances={cashBalances}
+            totalCash={totalCash}
+            timeWeightedReturn={timeWeightedReturn}
+            moneyWeightedReturn={moneyWeightedReturn}
+            cashFlows={cashFlows}
+            assets={convertedAssets}
+            unconvertedCurrencies={unconvertedCurrencies}
+            baseCurrency={baseCurrency}
+            fxRateDescription={fxRateDescription}
           />
       <DashboardComponent
         assets={assets}
+        baseAssets={baseAssets}
+        baseCurrency={baseCurrency}
+        fxRateDescription={fxRateDescription}
         onAddQuantity={addAssetQuantity}
         onReduceQuantity={reduceAssetQuantity}
         onResetAsset={resetAsset}
         onDeleteAsset={deleteAsset}
         onAddNewAsset={addNewAsset}
         onUpdateBrokers={updateAssetBrokers}
+        onApplyCorporateAction={applyCorporateAction}
+        onSetManualPrice={setManualPrice}
         onOpenAddModal={triggerAddModal > 0 ? triggerAddModal : null}
         onModalClosed={() => setTriggerAddModal(0)}
       />
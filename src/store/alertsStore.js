@@ -9,6 +9,7 @@ import {
   loadAlertsFromSupabase,
   saveAlertToSupabase,
   deactivateAlertInSupabase,
+  updateAlertInSupabase,
 } from '../lib/alertsService';
 
 export const useAlertsStore = create((set, get) => ({
@@ -112,6 +113,76 @@ export const useAlertsStore = create((set, get) => ({
     }
   },
 
+  /**
+   * ACTUALIZAR LAS ALERTAS DE UN ACTIVO
+   * 
+   * Aplica `getUpdates(alert)` a cada alerta activa del activo, guarda los
+   * cambios en Supabase y actualiza el store con las que se guardaron.
+   * 
+   * @param {number} assetId - ID del activo
+   * @param {Function} getUpdates - Función alerta -> campos a actualizar
+   * @param {string} userId - ID del usuario
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  updateAssetAlerts: async (assetId, getUpdates, userId) => {
+    if (!userId) {
+      return { success: false, error: 'ID de usuario no proporcionado' };
+    }
+
+    const id = Number(assetId);
+    const assetAlerts = get().alerts.filter((alert) => alert.assetId === id);
+
+    try {
+      const results = await Promise.all(
+        assetAlerts.map(async (alert) => {
+          const updates = getUpdates(alert);
+          const result = await updateAlertInSupabase(alert.id, updates, userId);
+          return { alertId: alert.id, updates, result };
+        })
+      );
+
+      const saved = new Map(
+        results.filter(({ result }) => result.success).map(({ alertId, updates }) => [alertId, updates])
+      );
+      set((state) => ({
+        alerts: state.alerts.map((alert) =>
+          saved.has(alert.id) ? { ...alert, ...saved.get(alert.id) } : alert
+        ),
+      }));
+
+      const failed = results.find(({ result }) => !result.success);
+      return failed ? { success: false, error: failed.result.error } : { success: true };
+    } catch (error) {
+      console.error('Error inesperado al actualizar alertas:', error);
+      return { success: false, error: error.message || 'Error al actualizar alertas' };
+    }
+  },
+
+  /**
+   * REESCALAR LAS ALERTAS DE UN ACTIVO (split / split inverso / spin-off)
+   * 
+   * @param {number} assetId - ID del activo
+   * @param {number} priceFactor - Factor por el que se multiplican los precios
+   * @param {string} userId - ID del usuario
+   */
+  rescaleAssetAlerts: (assetId, priceFactor, userId) => {
+    return get().updateAssetAlerts(
+      assetId,
+      (alert) => ({
+        alertPrice: alert.alertPrice * priceFactor,
+        initialPrice: alert.initialPrice * priceFactor,
+      }),
+      userId
+    );
+  },
+
+  /**
+   * RENOMBRAR LAS ALERTAS DE UN ACTIVO (cambio de símbolo)
+   */
+  renameAssetAlerts: (assetId, assetSymbol, assetName, userId) => {
+    return get().updateAssetAlerts(assetId, () => ({ assetSymbol, assetName }), userId);
+  },
+
   /**
    * LIMPIAR ALERTAS
    */
@@ -11,21 +11,32 @@
  * - id: Identificador único (generado por Supabase)
  * - name: Nombre del activo (ej: "Apple Inc.")
  * - symbol: Símbolo de cotización (ej: "AAPL")
- * - type: Tipo de activo ("stock", "crypto", "etf", "bond")
+ * - type: Tipo de activo ("stock", "crypto", "etf", "bond", "cedear")
  * - quantity: Cantidad que posee el usuario
  * - purchasePrice: Precio promedio de compra (PPC)
  * - currentPrice: Precio actual del mercado (se actualiza automáticamente)
+ * - priceUpdatedAt: Momento en que se obtuvo currentPrice (timestamp en ms)
  * - brokers: Array de objetos {broker, quantity, purchasePrice}
+ * - currency: Moneda en la que cotiza (precios, PPC y brokers están en esta moneda)
+ * - underlyingSymbol, conversionRatio: solo CEDEARs, subyacente en EE.UU. y
+ *   CEDEARs por cada acción (para derivar el precio, ver lib/finnhub.js)
+ * 
+ * IMPORTANTE: quantity, purchasePrice y brokers se calculan a partir del
+ * historial de transacciones (ver transactionsStore y lib/ledger.js). La fila
+ * de la tabla assets funciona como cache de esos totales.
  * 
  * ¿Qué operaciones podemos hacer?
  * - Cargar activos desde Supabase cuando el usuario inicia sesión
  * - Agregar cantidad a un activo (comprar más)
- * - Reducir cantidad de un activo (vender)
- * - Actualizar precio actual (automático desde Finnhub)
+ * - Reducir cantidad de un activo (vender, registrando la ganancia realizada)
+ * - Actualizar precio actual (automático desde los proveedores de datos de mercado)
+ * - Cargar un precio manual para los símbolos que ningún proveedor cotiza
  * - Resetear un activo a cantidad 0
+ * - Aplicar eventos corporativos (split, split inverso, cambio de símbolo, spin-off)
  * - Eliminar un activo completamente
  * - Agregar un nuevo activo
- * - Calcular totales (valor total, inversión total, ganancia/pérdida)
+ * - Calcular totales (valor total con el efectivo, inversión total, ganancia/pérdida)
+ *   en la moneda base del usuario, con la ganancia por tipo de cambio aparte
  */
 
 import { create } from 'zustand';
@@ -37,6 +48,94 @@ import {
   deleteAssetFromSupabase,
   syncAllAssetsToSupabase,
 } from '../lib/assetsService';
+import {
+  buildPosition,
+  calculateRealizedGainByAsset,
+  createOpeningTransactions,
+  diffBrokers,
+  getRealizedSales,
+  getTodayDate,
+  normalizeCostBasisMethod,
+  splitSaleAcrossBrokers,
+  splitSpinoffBrokers,
+} from '../lib/ledger';
+import { summarizeIncomeByAsset } from '../lib/income';
+import { calculateCashBalances, calculateTotalCash } from '../lib/cash';
+import { addFxToTransactions, convertAmount, convertAssetsToBase, convertValuesByAsset, normalizeCurrency } from '../lib/fx';
+import { deleteManualPrice, saveManualPrice } from '../lib/manualPrices';
+import { getQuoteCacheKey, loadCachedQuotes, saveCachedQuote } from '../lib/marketDataCache';
+import { DEFAULT_CURRENCY } from '../constants';
+import { useTransactionsStore } from './transactionsStore';
+import { useSessionStore } from './sessionStore';
+import { useIncomeStore } from './incomeStore';
+import { useAlertsStore } from './alertsStore';
+import { useCashStore } from './cashStore';
+import { getValuationFxRates } from './dollarRatesStore';
+
+/**
+ * Método de costo elegido por el usuario (se guarda en user_metadata de Supabase Auth)
+ * @returns {string} 'average' | 'fifo' | 'lifo' | 'specific'
+ */
+const getCostBasisMethod = () => {
+  const user = useSessionStore.getState().user;
+  return normalizeCostBasisMethod(user?.user_metadata?.cost_basis_method);
+};
+
+/**
+ * Moneda base elegida por el usuario (se guarda en user_metadata de Supabase Auth)
+ * @returns {string} Código ISO (por defecto DEFAULT_CURRENCY)
+ */
+const getBaseCurrency = () => {
+  const user = useSessionStore.getState().user;
+  return normalizeCurrency(user?.user_metadata?.base_currency);
+};
+
+/**
+ * Activos convertidos a la moneda base con las cotizaciones actuales
+ * (ver convertAssetsToBase en src/lib/fx.js). Los que no tienen cotización
+ * no se incluyen: quedan afuera de los totales, igual que en useAssets.
+ */
+const getBaseCurrencyAssets = () => {
+  return convertAssetsToBase({
+    assets: useAssetsStore.getState().assets,
+    transactions: useTransactionsStore.getState().transactions,
+    method: getCostBasisMethod(),
+    baseCurrency: getBaseCurrency(),
+    rates: getValuationFxRates().rates,
+  }).filter((asset) => !asset.isFxRateMissing);
+};
+
+/**
+ * Guardar en los lotes nuevos su moneda y el tipo de cambio a la moneda base
+ * del día de cada transacción (con el dólar elegido para los pesos si hay
+ * cotización de esa fecha; con la fuente de tipos de cambio, el de hoy)
+ * @param {Array} transactions - Transacciones nuevas de UN activo
+ * @param {string} currency - Moneda del activo
+ */
+const addFxToNewTransactions = (transactions, currency) => {
+  const baseCurrency = getBaseCurrency();
+  return transactions.flatMap((tx) =>
+    addFxToTransactions([tx], currency, baseCurrency, getValuationFxRates(tx.date || getTodayDate()).rates)
+  );
+};
+
+/**
+ * Usar las cotizaciones guardadas en el navegador que sean más nuevas que las
+ * de Supabase (ej: precios del stream que todavía no se sincronizaron). Así el
+ * dashboard abre con los últimos precios conocidos aunque el proveedor no responda.
+ * @param {Array} assets - Activos cargados de Supabase
+ * @returns {Promise<Array>}
+ */
+const applyCachedQuotes = async (assets) => {
+  const quotes = await loadCachedQuotes();
+  return assets.map((asset) => {
+    const quote = quotes.get(getQuoteCacheKey(asset.symbol, asset.type));
+    if (!quote || !(quote.price > 0) || quote.updatedAt <= (asset.priceUpdatedAt || 0)) {
+      return asset;
+    }
+    return { ...asset, currentPrice: quote.price, priceUpdatedAt: quote.updatedAt, isPriceEstimated: false };
+  });
+};
 
 /**
  * Store de activos con todas las funciones para gestionarlos
@@ -88,8 +187,8 @@ export const useAssetsStore = create((set, get) => ({
         return { success: false, error: result.error };
       }
 
-      // Si hay datos, usarlos. Si no, usar array vacío
-      const assets = result.data || [];
+      // Si hay datos, usarlos (con las cotizaciones guardadas más nuevas). Si no, usar array vacío
+      const assets = await applyCachedQuotes(result.data || []);
       set({ assets, isLoading: false });
       
       console.log(`✅ Cargados ${assets.length} activos desde Supabase (limpiados antes de cargar)`);
@@ -168,151 +267,267 @@ export const useAssetsStore = create((set, get) => ({
   },
   
   /**
-   * AGREGAR CANTIDAD A UN ACTIVO
+   * REGISTRAR TRANSACCIONES Y RECALCULAR EL ACTIVO
    * 
-   * Esta función se usa cuando el usuario compra más de un activo que ya tiene.
-   * Calcula automáticamente el nuevo precio promedio de compra (PPC).
+   * Es el punto de entrada común de todas las mutaciones (comprar, vender,
+   * resetear, editar brokers). Agrega las transacciones al historial y
+   * recalcula la cantidad, el PPC y los brokers del activo a partir de él.
    * 
-   * Ejemplo:
-   * - Tienes 10 acciones de AAPL compradas a $150 cada una (PPC = $150)
-   * - Compras 5 más a $160 cada una
-   * - La función calcula: nuevo PPC = (10*150 + 5*160) / 15 = $153.33
+   * Si el activo todavía no tiene historial (fue creado antes de que existiera
+   * la tabla de transacciones), primero se guarda su estado actual como
+   * "saldo inicial" para no perder los datos.
    * 
-   * @param {string} assetId - ID del activo a modificar
-   * @param {number} quantityToAdd - Cantidad a agregar (debe ser > 0)
-   * @param {number} purchasePrice - Precio al que se compró esta nueva cantidad
+   * @param {number} assetId - ID del activo
+   * @param {Array} newTransactions - Transacciones a registrar
+   * @returns {Promise<{success: boolean, error?: string}>}
    */
-  addAssetQuantity: async (assetId, quantityToAdd, purchasePrice) => {
-    // Validación: no permitir cantidades o precios negativos o cero
-    if (quantityToAdd <= 0 || purchasePrice <= 0) return;
-    
+  recordTransactions: async (assetId, newTransactions) => {
     const state = get();
     if (!state.currentUserId) {
       console.warn('⚠️ No hay usuario logueado, no se puede actualizar activo');
-      return;
+      return { success: false, error: 'No hay usuario logueado' };
     }
     
-    // Calcular los nuevos valores
     const asset = state.assets.find((a) => a.id === assetId);
     if (!asset) {
       console.error('Activo no encontrado:', assetId);
-      return;
+      return { success: false, error: 'Activo no encontrado' };
     }
-
-    const currentQuantity = asset.quantity;
-    const currentPurchasePrice = asset.purchasePrice;
     
-    let newQuantity, newPurchasePrice;
+    const transactionsStore = useTransactionsStore.getState();
+    const history = transactionsStore.getAssetTransactions(assetId);
     
-    // Si la cantidad actual es 0, simplemente establecemos los nuevos valores
-    if (currentQuantity === 0) {
-      newQuantity = quantityToAdd;
-      newPurchasePrice = purchasePrice;
-    } else {
-      // Calcular el nuevo precio promedio de compra (PPC)
-      const totalCurrentValue = currentQuantity * currentPurchasePrice;
-      const newQuantityValue = quantityToAdd * purchasePrice;
-      const newTotalQuantity = currentQuantity + quantityToAdd;
-      newPurchasePrice = (totalCurrentValue + newQuantityValue) / newTotalQuantity;
-      newQuantity = newTotalQuantity;
+    // Saldo inicial para activos sin historial, fechado antes de la primera operación nueva
+    let pending = [];
+    if (history.length === 0) {
+      const openingDate = newTransactions.reduce(
+        (min, tx) => (tx.date && tx.date < min ? tx.date : min),
+        getTodayDate()
+      );
+      pending.push(...createOpeningTransactions(asset, openingDate));
     }
+    pending.push(...newTransactions.map((tx) => ({ ...tx })));
+    
+    // Los lotes nuevos guardan su moneda y el tipo de cambio a la moneda base
+    pending = addFxToNewTransactions(pending, asset.currency);
+    
+    // Recalcular el activo a partir del historial completo
+    const method = getCostBasisMethod();
+    const position = buildPosition([...history, ...pending], method);
+    
+    // Guardar en cada venta nueva la ganancia realizada según el método de costo
+    getRealizedSales([...history, ...pending], method).forEach((sale) => {
+      if (pending.includes(sale.transaction)) {
+        sale.transaction.realizedGain = sale.realizedGain;
+      }
+    });
     
     // Actualizar en el estado local primero (optimistic update)
     set((state) => ({
       assets: state.assets.map((a) =>
-        a.id === assetId
-          ? { ...a, quantity: newQuantity, purchasePrice: newPurchasePrice }
-          : a
+        a.id === assetId ? { ...a, ...position } : a
       ),
     }));
     
-    // Guardar en Supabase
     try {
-      const result = await updateAssetInSupabase(
-        assetId,
-        { quantity: newQuantity, purchasePrice: newPurchasePrice },
-        state.currentUserId
-      );
+      // Guardar las transacciones (fuente de verdad)
+      const txResult = await transactionsStore.addTransactions(pending, state.currentUserId);
       
-      if (result.error) {
-        console.error('Error al actualizar activo en Supabase:', result.error);
+      if (!txResult.success) {
         // Revertir el cambio si falló
         set((state) => ({
           assets: state.assets.map((a) =>
             a.id === assetId ? asset : a
           ),
         }));
+        return { success: false, error: txResult.error };
       }
+      
+      // Guardar los totales recalculados en la fila del activo (cache)
+      const result = await updateAssetInSupabase(assetId, position, state.currentUserId);
+      
+      if (result.error) {
+        // El historial ya quedó guardado: no revertimos, el cache se puede
+        // reconstruir luego con rebuildAssetFromHistory
+        console.error('Error al actualizar activo en Supabase:', result.error);
+      }
+      
+      return { success: true };
     } catch (error) {
-      console.error('Error inesperado al actualizar activo:', error);
+      console.error('Error inesperado al registrar transacciones:', error);
       // Revertir el cambio si falló
       set((state) => ({
         assets: state.assets.map((a) =>
           a.id === assetId ? asset : a
         ),
       }));
+      return { success: false, error: error.message || 'Error al registrar transacciones' };
     }
   },
   
   /**
-   * REDUCIR CANTIDAD DE UN ACTIVO
+   * RECONSTRUIR UN ACTIVO DESDE SU HISTORIAL
    * 
-   * Se usa cuando el usuario vende parte de un activo.
-   * No modifica el precio promedio de compra (PPC) porque la venta
-   * no afecta el precio al que compró originalmente.
+   * Recalcula cantidad, PPC y brokers a partir de las transacciones y
+   * sobrescribe la fila del activo en Supabase. Útil para auditar o corregir
+   * un activo cuyos totales quedaron desincronizados.
    * 
-   * @param {string} assetId - ID del activo a modificar
-   * @param {number} quantityToReduce - Cantidad a reducir (debe ser > 0)
+   * @param {number} assetId - ID del activo
+   * @returns {Promise<{success: boolean, error?: string}>}
    */
-  reduceAssetQuantity: async (assetId, quantityToReduce) => {
+  rebuildAssetFromHistory: async (assetId) => {
     const state = get();
     if (!state.currentUserId) {
-      console.warn('⚠️ No hay usuario logueado, no se puede actualizar activo');
-      return;
+      return { success: false, error: 'No hay usuario logueado' };
     }
     
-    const asset = state.assets.find((a) => a.id === assetId);
-    if (!asset) {
-      console.error('Activo no encontrado:', assetId);
-      return;
+    const history = useTransactionsStore.getState().getAssetTransactions(assetId);
+    if (history.length === 0) {
+      return { success: false, error: 'El activo no tiene historial de transacciones' };
     }
     
-    // Calcular nueva cantidad
-    const newQuantity = Math.max(0, asset.quantity - quantityToReduce);
-    
-    // Actualizar en el estado local primero (optimistic update)
+    const position = buildPosition(history, getCostBasisMethod());
     set((state) => ({
       assets: state.assets.map((a) =>
-        a.id === assetId ? { ...a, quantity: newQuantity } : a
+        a.id === assetId ? { ...a, ...position } : a
       ),
     }));
     
-    // Guardar en Supabase
-    try {
-      const result = await updateAssetInSupabase(
+    const result = await updateAssetInSupabase(assetId, position, state.currentUserId);
+    if (result.error) {
+      console.error('Error al reconstruir activo en Supabase:', result.error);
+      return { success: false, error: result.error };
+    }
+    return { success: true };
+  },
+  
+  /**
+   * RECONSTRUIR TODOS LOS ACTIVOS DESDE SU HISTORIAL
+   * 
+   * Se usa cuando el usuario cambia el método de costo: la cantidad no cambia,
+   * pero el costo de lo que queda en cartera sí.
+   * 
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  rebuildAllAssetsFromHistory: async () => {
+    const { transactions } = useTransactionsStore.getState();
+    const assetIds = get()
+      .assets.map((a) => a.id)
+      .filter((id) => transactions.some((tx) => tx.assetId === id));
+    
+    const results = await Promise.all(
+      assetIds.map((id) => get().rebuildAssetFromHistory(id))
+    );
+    
+    const failed = results.find((r) => !r.success);
+    return failed ? { success: false, error: failed.error } : { success: true };
+  },
+  
+  /**
+   * AGREGAR CANTIDAD A UN ACTIVO
+   * 
+   * Esta función se usa cuando el usuario compra más de un activo que ya tiene.
+   * Registra una compra en el historial; el nuevo precio promedio de compra (PPC)
+   * se recalcula a partir de las transacciones.
+   * 
+   * Ejemplo:
+   * - Tienes 10 acciones de AAPL compradas a $150 cada una (PPC = $150)
+   * - Compras 5 más a $160 cada una
+   * - El historial queda: compra 10 @ 150, compra 5 @ 160 → PPC = $153.33
+   * 
+   * @param {string} assetId - ID del activo a modificar
+   * @param {number} quantityToAdd - Cantidad a agregar (debe ser > 0)
+   * @param {number} purchasePrice - Precio al que se compró esta nueva cantidad
+   * @param {string} broker - Broker de la compra (por defecto, el primero del activo)
+   * @param {string} date - Fecha de la compra YYYY-MM-DD (por defecto, hoy)
+   * @param {number} fee - Comisión de la compra (se suma al costo)
+   */
+  addAssetQuantity: async (assetId, quantityToAdd, purchasePrice, broker = null, date = getTodayDate(), fee = 0) => {
+    // Validación: no permitir cantidades o precios negativos o cero
+    if (quantityToAdd <= 0 || purchasePrice <= 0) {
+      return { success: false, error: 'La cantidad y el precio deben ser mayores a 0' };
+    }
+    
+    if (fee < 0) {
+      return { success: false, error: 'La comisión no puede ser negativa' };
+    }
+    
+    const asset = get().assets.find((a) => a.id === assetId);
+    if (!asset) {
+      console.error('Activo no encontrado:', assetId);
+      return { success: false, error: 'Activo no encontrado' };
+    }
+    
+    return get().recordTransactions(assetId, [
+      {
         assetId,
-        { quantity: newQuantity },
-        state.currentUserId
-      );
-      
-      if (result.error) {
-        console.error('Error al actualizar activo en Supabase:', result.error);
-        // Revertir el cambio si falló
-        set((state) => ({
-          assets: state.assets.map((a) =>
-            a.id === assetId ? asset : a
-          ),
-        }));
-      }
-    } catch (error) {
-      console.error('Error inesperado al actualizar activo:', error);
-      // Revertir el cambio si falló
-      set((state) => ({
-        assets: state.assets.map((a) =>
-          a.id === assetId ? asset : a
-        ),
-      }));
+        type: 'buy',
+        broker: broker ?? asset.brokers?.[0]?.broker ?? '',
+        quantity: quantityToAdd,
+        price: purchasePrice,
+        fee,
+        date,
+      },
+    ]);
+  },
+  
+  /**
+   * REDUCIR CANTIDAD DE UN ACTIVO
+   * 
+   * Se usa cuando el usuario vende parte de un activo.
+   * Registra una venta en el historial con el precio de venta. Qué lotes se
+   * venden depende del método de costo del usuario: con 'average' el PPC no
+   * cambia; con FIFO, LIFO o lote específico el costo de lo que queda es el de
+   * los lotes que siguen abiertos. La diferencia entre el precio de venta y el
+   * costo de lo vendido queda guardada como ganancia realizada de la venta.
+   * 
+   * Si no se indica broker, la venta se reparte entre los brokers en orden
+   * hasta cubrir la cantidad (la comisión se reparte en proporción).
+   * 
+   * @param {string} assetId - ID del activo a modificar
+   * @param {number} quantityToReduce - Cantidad a reducir (debe ser > 0)
+   * @param {number} sellPrice - Precio de venta (por defecto, el precio actual)
+   * @param {string} broker - Broker de la venta (opcional)
+   * @param {string} date - Fecha de la venta YYYY-MM-DD (por defecto, hoy)
+   * @param {number} lotId - Lote a vender (solo con el método de lote específico)
+   * @param {number} fee - Comisión de la venta (se resta de lo cobrado)
+   */
+  reduceAssetQuantity: async (assetId, quantityToReduce, sellPrice = null, broker = null, date = getTodayDate(), lotId = null, fee = 0) => {
+    if (quantityToReduce <= 0) {
+      return { success: false, error: 'La cantidad debe ser mayor a 0' };
+    }
+    
+    if (fee < 0) {
+      return { success: false, error: 'La comisión no puede ser negativa' };
+    }
+    
+    if (sellPrice !== null && !(sellPrice > 0)) {
+      return { success: false, error: 'El precio de venta debe ser mayor a 0' };
     }
+    
+    const asset = get().assets.find((a) => a.id === assetId);
+    if (!asset) {
+      console.error('Activo no encontrado:', assetId);
+      return { success: false, error: 'Activo no encontrado' };
+    }
+    
+    const sales = broker !== null
+      ? [{ broker, quantity: quantityToReduce }]
+      : splitSaleAcrossBrokers(asset.brokers, quantityToReduce);
+    
+    return get().recordTransactions(
+      assetId,
+      sales.map((sale) => ({
+        assetId,
+        type: 'sell',
+        broker: sale.broker,
+        quantity: sale.quantity,
+        price: sellPrice ?? asset.currentPrice,
+        fee: fee * (sale.quantity / quantityToReduce),
+        date,
+        lotId,
+      }))
+    );
   },
   
   /**
@@ -323,17 +538,25 @@ export const useAssetsStore = create((set, get) => ({
    * 
    * @param {string} assetId - ID del activo a actualizar
    * @param {number} newPrice - Nuevo precio actual del mercado
+   * @param {number} updatedAt - Momento de la cotización (por defecto, ahora)
    */
-  updateCurrentPrice: (assetId, newPrice) => {
+  updateCurrentPrice: (assetId, newPrice, updatedAt = Date.now()) => {
+    const isPriceValid = newPrice && newPrice > 0;
+    const current = get().assets.find((asset) => asset.id === assetId);
+    // Guardar la última cotización conocida en el navegador (ver lib/marketDataCache.js)
+    if (current && isPriceValid) {
+      saveCachedQuote(current.symbol, current.type, newPrice, updatedAt);
+    }
+
     set((state) => {
       const updatedAssets = state.assets.map((asset) => {
         if (asset.id === assetId) {
           // Si se actualiza el precio y es mayor a 0, quitar el flag de precio estimado
-          const isPriceValid = newPrice && newPrice > 0;
           return { 
             ...asset, 
             currentPrice: newPrice,
             isPriceEstimated: isPriceValid ? false : asset.isPriceEstimated, // Quitar flag si el precio es válido
+            priceUpdatedAt: isPriceValid ? updatedAt : asset.priceUpdatedAt,
           };
         }
         return asset;
@@ -349,59 +572,79 @@ export const useAssetsStore = create((set, get) => ({
   },
   
   /**
-   * RESETEAR UN ACTIVO
+   * CARGAR (O QUITAR) EL PRECIO MANUAL DE UN ACTIVO
    * 
-   * Establece la cantidad de un activo a 0, pero no lo elimina.
-   * Útil para "limpiar" un activo sin perder su configuración.
+   * El precio se guarda por símbolo (ver lib/manualPrices.js) y lo usa el
+   * proveedor 'manual' cuando los anteriores en el orden no tienen cotización.
+   * Al cargarlo también pasa a ser el precio actual del activo.
    * 
-   * @param {string} assetId - ID del activo a resetear
+   * @param {string} assetId - ID del activo
+   * @param {number|null} price - Precio en la moneda del activo (null para quitarlo)
+   * @returns {Promise<{success: boolean, error?: string}>}
    */
-  resetAsset: async (assetId) => {
+  setManualPrice: async (assetId, price) => {
     const state = get();
-    if (!state.currentUserId) {
-      console.warn('⚠️ No hay usuario logueado, no se puede resetear activo');
-      return;
-    }
-    
     const asset = state.assets.find((a) => a.id === assetId);
     if (!asset) {
       console.error('Activo no encontrado:', assetId);
-      return;
+      return { success: false, error: 'Activo no encontrado' };
     }
     
-    // Actualizar en el estado local primero (optimistic update)
-    set((state) => ({
-      assets: state.assets.map((a) =>
-        a.id === assetId ? { ...a, quantity: 0 } : a
-      ),
-    }));
+    if (price === null) {
+      deleteManualPrice(asset.symbol);
+      return { success: true };
+    }
     
-    // Guardar en Supabase
-    try {
+    if (!Number.isFinite(price) || price <= 0) {
+      return { success: false, error: 'El precio debe ser mayor a 0' };
+    }
+    
+    saveManualPrice(asset.symbol, price);
+    const updatedAt = Date.now();
+    get().updateCurrentPrice(assetId, price, updatedAt);
+    
+    if (state.currentUserId) {
       const result = await updateAssetInSupabase(
         assetId,
-        { quantity: 0 },
+        { currentPrice: price, isPriceEstimated: false, priceUpdatedAt: updatedAt },
         state.currentUserId
       );
-      
       if (result.error) {
-        console.error('Error al resetear activo en Supabase:', result.error);
-        // Revertir el cambio si falló
-        set((state) => ({
-          assets: state.assets.map((a) =>
-            a.id === assetId ? asset : a
-          ),
-        }));
+        console.error('Error al guardar el precio manual en Supabase:', result.error);
+        return { success: false, error: result.error };
       }
-    } catch (error) {
-      console.error('Error inesperado al resetear activo:', error);
-      // Revertir el cambio si falló
-      set((state) => ({
-        assets: state.assets.map((a) =>
-          a.id === assetId ? asset : a
-        ),
-      }));
     }
+    
+    return { success: true };
+  },
+  
+  /**
+   * RESETEAR UN ACTIVO
+   * 
+   * Establece la cantidad de un activo a 0, pero no lo elimina.
+   * Útil para "limpiar" un activo sin perder su configuración.
+   * Queda registrado en el historial como una transacción 'reset'.
+   * 
+   * @param {string} assetId - ID del activo a resetear
+   */
+  resetAsset: async (assetId) => {
+    const asset = get().assets.find((a) => a.id === assetId);
+    if (!asset) {
+      console.error('Activo no encontrado:', assetId);
+      return { success: false, error: 'Activo no encontrado' };
+    }
+    
+    // Se registra la cantidad que había para que el historial muestre qué se reseteó
+    return get().recordTransactions(assetId, [
+      {
+        assetId,
+        type: 'reset',
+        broker: '',
+        quantity: asset.quantity,
+        price: asset.currentPrice,
+        date: getTodayDate(),
+      },
+    ]);
   },
   
   /**
@@ -434,7 +677,11 @@ export const useAssetsStore = create((set, get) => ({
     try {
       const result = await deleteAssetFromSupabase(assetId, state.currentUserId);
       
-      if (!result.success) {
+      if (result.success) {
+        // El historial y los ingresos se borran en Supabase por ON DELETE CASCADE
+        useTransactionsStore.getState().removeAssetTransactions(assetId);
+        useIncomeStore.getState().removeAssetIncome(assetId);
+      } else {
         console.error('Error al eliminar activo en Supabase:', result.error);
         // Revertir el cambio si falló (agregar el activo de vuelta)
         set((state) => ({
@@ -455,9 +702,12 @@ export const useAssetsStore = create((set, get) => ({
    * 
    * Actualiza los brokers de un activo y recalcula automáticamente
    * la cantidad total y el PPC promedio ponderado.
+   * Cada broker modificado queda registrado como una transacción 'adjust'.
    * 
    * @param {string} assetId - ID del activo a modificar
-   * @param {Array} brokers - Array de objetos {broker, quantity, purchasePrice}
+   * @param {Array} brokers - Array de objetos {broker, quantity, purchasePrice, fee, purchaseDate}
+   *   (fee: comisión opcional del cambio, se suma al costo del broker;
+   *   purchaseDate: fecha de compra del lote del broker)
    * @returns {Promise<{success: boolean, error?: string}>}
    */
   updateAssetBrokers: async (assetId, brokers) => {
@@ -484,75 +734,29 @@ export const useAssetsStore = create((set, get) => ({
       return { success: false, error: 'Debe haber al menos un broker con cantidad y PPC válidos' };
     }
     
-    // Calcular cantidad total y PPC promedio ponderado
-    let totalQuantity = 0;
-    let totalValue = 0;
-    
-    validBrokers.forEach(broker => {
-      const qty = parseFloat(broker.quantity) || 0;
-      const ppc = parseFloat(broker.purchasePrice) || 0;
-      totalQuantity += qty;
-      totalValue += qty * ppc;
-    });
-    
-    const averagePPC = totalQuantity > 0 ? totalValue / totalQuantity : 0;
-    
-    // Actualizar en el estado local primero (optimistic update)
-    set((state) => ({
-      assets: state.assets.map((a) =>
-        a.id === assetId
-          ? { 
-              ...a, 
-              quantity: totalQuantity, 
-              purchasePrice: averagePPC,
-              brokers: validBrokers.map(b => ({
-                broker: b.broker.trim(),
-                quantity: parseFloat(b.quantity),
-                purchasePrice: parseFloat(b.purchasePrice),
-              }))
-            }
-          : a
-      ),
-    }));
+    // Registrar un ajuste por cada broker que cambió; la cantidad total y el
+    // PPC promedio ponderado se recalculan desde el historial.
+    // Los activos sin brokers cargados tienen su cantidad en el broker '' (saldo inicial)
+    const currentBrokers = asset.brokers && asset.brokers.length > 0
+      ? asset.brokers
+      : buildPosition(createOpeningTransactions(asset)).brokers;
+    const adjustments = diffBrokers(
+      assetId,
+      currentBrokers,
+      validBrokers.map((b) => ({
+        broker: b.broker.trim(),
+        quantity: parseFloat(b.quantity),
+        purchasePrice: parseFloat(b.purchasePrice),
+        fee: parseFloat(b.fee) || 0,
+        purchaseDate: b.purchaseDate || null,
+      }))
+    );
     
-    // Guardar en Supabase
-    try {
-      const result = await updateAssetInSupabase(
-        assetId,
-        { 
-          quantity: totalQuantity, 
-          purchasePrice: averagePPC,
-          brokers: validBrokers.map(b => ({
-            broker: b.broker.trim(),
-            quantity: parseFloat(b.quantity),
-            purchasePrice: parseFloat(b.purchasePrice),
-          }))
-        },
-        state.currentUserId
-      );
-      
-      if (result.error) {
-        console.error('Error al actualizar brokers en Supabase:', result.error);
-        // Revertir el cambio si falló
-        set((state) => ({
-          assets: state.assets.map((a) =>
-            a.id === assetId ? asset : a
-          ),
-        }));
-        return { success: false, error: result.error };
-      }
-      
+    if (adjustments.length === 0) {
       return { success: true };
-    } catch (error) {
-      console.error('Error inesperado al actualizar brokers:', error);
-      // Revertir el cambio si falló
-      set((state) => ({
-        assets: state.assets.map((a) =>
-          a.id === assetId ? asset : a
-        ),
-      }));
-      return { success: false, error: error.message || 'Error al actualizar brokers' };
     }
+    
+    return get().recordTransactions(assetId, adjustments);
   },
   
   /**
@@ -561,31 +765,78 @@ export const useAssetsStore = create((set, get) => ({
    * Crea un nuevo activo y lo agrega al array.
    * Genera automáticamente un nuevo ID único (el máximo ID + 1).
    * 
-   * @param {string} type - Tipo de activo ("stock", "crypto", "etf", "bond")
+   * @param {string} type - Tipo de activo ("stock", "crypto", "etf", "bond", "cedear")
    * @param {string} symbol - Símbolo de cotización (ej: "AAPL", "BTC")
    * @param {number} quantity - Cantidad total inicial
    * @param {number} purchasePrice - Precio promedio de compra (opcional, por defecto 0)
    * @param {number} currentPrice - Precio actual del mercado (opcional, por defecto 0)
    * @param {string} name - Nombre del activo (opcional, por defecto el símbolo)
-   * @param {Array} brokers - Array de objetos {broker, quantity} (opcional)
+   * @param {Array} brokers - Array de objetos {broker, quantity, purchasePrice, fee, purchaseDate} (opcional)
+   * @param {boolean} isPriceEstimated - Si el precio actual es estimado
+   * @param {string} openingDate - Fecha de las compras iniciales YYYY-MM-DD (por defecto, hoy;
+   *   cada broker puede indicar la suya en purchaseDate)
+   * @param {string} currency - Moneda en la que cotiza el activo (por defecto DEFAULT_CURRENCY)
+   * @param {Object|null} cedear - Solo CEDEARs: {underlyingSymbol, conversionRatio}
+   * @param {string} openingType - Transacción inicial: 'buy' (compra, debita el efectivo) o
+   *   'spinoff_in' (acciones recibidas por un spin-off: no mueven efectivo y cada lote
+   *   conserva la fecha de compra del broker)
+   * @returns {Promise<{success: boolean, data?: Object, error?: string}>}
    */
-  addNewAsset: async (type, symbol, quantity, purchasePrice = 0, currentPrice = 0, name = null, brokers = null, isPriceEstimated = false) => {
+  addNewAsset: async (type, symbol, quantity, purchasePrice = 0, currentPrice = 0, name = null, brokers = null, isPriceEstimated = false, openingDate = getTodayDate(), currency = DEFAULT_CURRENCY, cedear = null, openingType = 'buy') => {
     const state = get();
     if (!state.currentUserId) {
       console.warn('⚠️ No hay usuario logueado, no se puede agregar activo');
-      return;
+      return { success: false, error: 'No hay usuario logueado' };
     }
     
+    // Compras iniciales: una por broker (o una sin broker), con su comisión y su fecha
+    const openingBrokers = brokers && brokers.length > 0
+      ? brokers
+      : [{ broker: '', quantity, purchasePrice }];
+    const assetCurrency = normalizeCurrency(currency);
+    const openingTransactions = addFxToNewTransactions(
+      openingBrokers
+        .filter((b) => parseFloat(b.quantity) > 0)
+        .map((b) =>
+          openingType === 'spinoff_in'
+            ? {
+                type: 'spinoff_in',
+                broker: b.broker,
+                quantity: parseFloat(b.quantity),
+                price: parseFloat(b.purchasePrice) || 0,
+                date: openingDate,
+                acquiredDate: b.purchaseDate || null,
+              }
+            : {
+                type: 'buy',
+                broker: b.broker,
+                quantity: parseFloat(b.quantity),
+                price: parseFloat(b.purchasePrice) || 0,
+                fee: parseFloat(b.fee) || 0,
+                date: b.purchaseDate || openingDate,
+              }
+        ),
+      assetCurrency
+    );
+    
+    // Con brokers, la cantidad y el PPC (comisiones incluidas) salen de esas compras
+    const position = brokers && brokers.length > 0 ? buildPosition(openingTransactions) : null;
+    
     // Crear el objeto de activo (sin ID, lo generará Supabase)
     const newAsset = {
       name: name || symbol,
       symbol: symbol,
       type: type,
-      quantity: parseFloat(quantity) || 0,
-      purchasePrice: parseFloat(purchasePrice) || 0,
+      quantity: position ? position.quantity : parseFloat(quantity) || 0,
+      purchasePrice: position ? position.purchasePrice : parseFloat(purchasePrice) || 0,
       currentPrice: parseFloat(currentPrice) || 0,
-      brokers: brokers || [],
+      brokers: position ? position.brokers : [],
+      purchaseDate: position ? position.purchaseDate : openingDate,
+      currency: assetCurrency,
+      underlyingSymbol: cedear?.underlyingSymbol || null,
+      conversionRatio: parseFloat(cedear?.conversionRatio) || null,
       isPriceEstimated: isPriceEstimated || (currentPrice === 0), // Marcar como estimado si no hay precio
+      priceUpdatedAt: isPriceEstimated || currentPrice === 0 ? null : Date.now(),
     };
     
     // Guardar en Supabase primero
@@ -594,7 +845,7 @@ export const useAssetsStore = create((set, get) => ({
       
       if (result.error) {
         console.error('Error al guardar activo en Supabase:', result.error);
-        return;
+        return { success: false, error: result.error };
       }
       
       // Si se guardó correctamente, agregar al estado local
@@ -602,40 +853,284 @@ export const useAssetsStore = create((set, get) => ({
         assets: [...state.assets, result.data],
       }));
       
+      // Registrar las compras iniciales en el historial
+      const txResult = await useTransactionsStore.getState().addTransactions(
+        openingTransactions.map((tx) => ({ ...tx, assetId: result.data.id })),
+        state.currentUserId
+      );
+      if (!txResult.success) {
+        console.error('Error al registrar las compras iniciales:', txResult.error);
+      }
+      
       console.log('✅ Activo agregado correctamente:', result.data);
+      return { success: true, data: result.data };
     } catch (error) {
       console.error('Error inesperado al agregar activo:', error);
+      return { success: false, error: error.message || 'Error al agregar activo' };
+    }
+  },
+  
+  /**
+   * APLICAR UN EVENTO CORPORATIVO
+   * 
+   * Registra el evento en el historial del activo y ajusta todo lo que depende
+   * del precio por acción:
+   * - split / reverse_split: multiplica la cantidad de cada broker y lote por
+   *   to/from (ej: split 4:1 → x4, split inverso 1:10 → x0.1). El costo total
+   *   no cambia, el PPC, el precio actual y las alertas se dividen por el factor.
+   * - symbol_change: renombra el activo y sus alertas; el historial queda igual.
+   * - spinoff: crea un activo nuevo con `ratio` acciones por cada acción del
+   *   original y le pasa la fracción `costAllocation` del costo. El original
+   *   conserva el resto del costo (su PPC y sus alertas bajan en esa proporción).
+   * 
+   * @param {number} assetId - ID del activo
+   * @param {Object} action - {type, date, from, to, newSymbol, newName, ratio, costAllocation}
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  applyCorporateAction: async (assetId, action) => {
+    const state = get();
+    if (!state.currentUserId) {
+      return { success: false, error: 'No hay usuario logueado' };
+    }
+    
+    const asset = state.assets.find((a) => a.id === assetId);
+    if (!asset) {
+      console.error('Activo no encontrado:', assetId);
+      return { success: false, error: 'Activo no encontrado' };
+    }
+    
+    const date = action.date || getTodayDate();
+    const alertsStore = useAlertsStore.getState();
+    
+    if (action.type === 'split' || action.type === 'reverse_split') {
+      const from = parseFloat(action.from);
+      const to = parseFloat(action.to);
+      if (!(from > 0) || !(to > 0) || from === to) {
+        return { success: false, error: 'La proporción del split no es válida' };
+      }
+      
+      const ratio = to / from;
+      const result = await get().recordTransactions(assetId, [
+        {
+          assetId,
+          type: 'split',
+          broker: '',
+          quantity: 0,
+          price: 0,
+          ratio,
+          date,
+          notes: `${ratio > 1 ? 'Split' : 'Split inverso'} ${to}:${from}`,
+        },
+      ]);
+      if (!result.success) return result;
+      
+      // El precio de mercado se actualiza solo con Finnhub; mientras tanto lo ajustamos
+      set((state) => ({
+        assets: state.assets.map((a) =>
+          a.id === assetId ? { ...a, currentPrice: a.currentPrice / ratio } : a
+        ),
+      }));
+      
+      const alertsResult = await alertsStore.rescaleAssetAlerts(assetId, 1 / ratio, state.currentUserId);
+      if (!alertsResult.success) {
+        console.error('Error al reescalar las alertas del activo:', alertsResult.error);
+      }
+      return { success: true };
+    }
+    
+    if (action.type === 'symbol_change') {
+      const newSymbol = (action.newSymbol || '').trim().toUpperCase();
+      if (!newSymbol) {
+        return { success: false, error: 'Ingresá el nuevo símbolo' };
+      }
+      const newName = (action.newName || '').trim() || (asset.name === asset.symbol ? newSymbol : asset.name);
+      
+      const result = await get().recordTransactions(assetId, [
+        {
+          assetId,
+          type: 'symbol_change',
+          broker: '',
+          quantity: 0,
+          price: 0,
+          date,
+          notes: `${asset.symbol} → ${newSymbol}`,
+        },
+      ]);
+      if (!result.success) return result;
+      
+      set((state) => ({
+        assets: state.assets.map((a) =>
+          a.id === assetId ? { ...a, symbol: newSymbol, name: newName } : a
+        ),
+      }));
+      
+      const updateResult = await updateAssetInSupabase(
+        assetId,
+        { symbol: newSymbol, name: newName },
+        state.currentUserId
+      );
+      if (updateResult.error) {
+        console.error('Error al renombrar activo en Supabase:', updateResult.error);
+        return { success: false, error: updateResult.error };
+      }
+      
+      const alertsResult = await alertsStore.renameAssetAlerts(assetId, newSymbol, newName, state.currentUserId);
+      if (!alertsResult.success) {
+        console.error('Error al renombrar las alertas del activo:', alertsResult.error);
+      }
+      return { success: true };
+    }
+    
+    if (action.type === 'spinoff') {
+      const newSymbol = (action.newSymbol || '').trim().toUpperCase();
+      const ratio = parseFloat(action.ratio);
+      const costAllocation = parseFloat(action.costAllocation);
+      if (!newSymbol) {
+        return { success: false, error: 'Ingresá el símbolo del nuevo activo' };
+      }
+      if (!(ratio > 0)) {
+        return { success: false, error: 'La cantidad de acciones nuevas por acción debe ser mayor a 0' };
+      }
+      if (!(costAllocation > 0) || costAllocation >= 1) {
+        return { success: false, error: 'El porcentaje de costo asignado debe estar entre 0 y 100' };
+      }
+      
+      // Los activos sin brokers cargados tienen su cantidad en el broker '' (saldo inicial)
+      const currentBrokers = asset.brokers && asset.brokers.length > 0
+        ? asset.brokers
+        : buildPosition(createOpeningTransactions(asset)).brokers;
+      const newBrokers = splitSpinoffBrokers(currentBrokers, ratio, costAllocation);
+      if (newBrokers.length === 0) {
+        return { success: false, error: 'El activo no tiene cantidad para el spin-off' };
+      }
+      
+      const result = await get().recordTransactions(assetId, [
+        {
+          assetId,
+          type: 'spinoff',
+          broker: '',
+          quantity: 0,
+          price: 0,
+          ratio: 1 - costAllocation,
+          date,
+          notes: `Spin-off ${newSymbol} (${ratio} por acción, ${(costAllocation * 100).toFixed(2)}% del costo)`,
+        },
+      ]);
+      if (!result.success) return result;
+      
+      // El valor que pasó al nuevo activo sale del precio del original
+      set((state) => ({
+        assets: state.assets.map((a) =>
+          a.id === assetId ? { ...a, currentPrice: a.currentPrice * (1 - costAllocation) } : a
+        ),
+      }));
+      
+      // Precio estimado del nuevo activo hasta que Finnhub traiga la cotización.
+      // Las acciones se registran como 'spinoff_in': no salen del efectivo del broker
+      // ni cuentan como plata nueva (el costo ya estaba en la cartera)
+      const quantity = newBrokers.reduce((sum, b) => sum + b.quantity, 0);
+      const totalCost = newBrokers.reduce((sum, b) => sum + b.quantity * b.purchasePrice, 0);
+      const estimatedPrice = (asset.currentPrice * costAllocation) / ratio;
+      const addResult = await get().addNewAsset(
+        asset.type,
+        newSymbol,
+        quantity,
+        quantity > 0 ? totalCost / quantity : 0,
+        estimatedPrice,
+        (action.newName || '').trim() || newSymbol,
+        newBrokers,
+        true,
+        date,
+        asset.currency,
+        null,
+        'spinoff_in'
+      );
+      if (!addResult.success) {
+        return { success: false, error: addResult.error };
+      }
+      
+      const alertsResult = await alertsStore.rescaleAssetAlerts(assetId, 1 - costAllocation, state.currentUserId);
+      if (!alertsResult.success) {
+        console.error('Error al reescalar las alertas del activo:', alertsResult.error);
+      }
+      return { success: true };
     }
+    
+    return { success: false, error: 'Tipo de evento corporativo no válido' };
   },
   
   /**
    * CALCULAR VALOR TOTAL DE LA CARTERA
    * 
-   * Suma el valor actual de todos los activos.
-   * Fórmula: cantidad * precio_actual para cada activo
+   * Suma el valor actual de todos los activos más el efectivo de los brokers.
+   * Fórmula: cantidad * precio_actual para cada activo + saldos de efectivo
+   * 
+   * Todos los totales están en la moneda base del usuario (user_metadata.base_currency):
+   * cada activo y cada cuenta de efectivo se convierte con el tipo de cambio de hoy.
+   * Lo que no tiene cotización queda afuera (nunca se suma como si el cambio fuera 1).
    * 
    * @returns {number} Valor total de la cartera en el mercado actual
    */
   calculateTotalValue: () => {
     // getState() obtiene el estado actual del store sin suscribirse
     const state = useAssetsStore.getState();
+    return state.calculateTotalSecuritiesValue() + state.calculateTotalCash();
+  },
+  
+  /**
+   * CALCULAR VALOR DE LOS ACTIVOS (SIN EFECTIVO)
+   * 
+   * @returns {number} Suma de cantidad * precio_actual de cada activo (en la moneda base)
+   */
+  calculateTotalSecuritiesValue: () => {
     // reduce() suma todos los valores
-    return state.assets.reduce((total, asset) => {
+    return getBaseCurrencyAssets().reduce((total, asset) => {
       return total + asset.quantity * asset.currentPrice;
     }, 0); // 0 es el valor inicial del acumulador
   },
   
+  /**
+   * CALCULAR EFECTIVO TOTAL
+   * 
+   * Suma los saldos de las cuentas de efectivo de todos los brokers
+   * (movimientos manuales, compras, ventas e ingresos), convertidos a la
+   * moneda base. Las cuentas en monedas sin cotización no se suman.
+   * 
+   * @returns {number} Efectivo total
+   */
+  calculateTotalCash: () => {
+    const { cashMovements } = useCashStore.getState();
+    const { transactions } = useTransactionsStore.getState();
+    const { incomeEntries } = useIncomeStore.getState();
+    const { rates } = getValuationFxRates();
+    const baseCurrency = getBaseCurrency();
+    const balances = calculateCashBalances({
+      movements: cashMovements,
+      transactions,
+      incomeEntries,
+      assets: useAssetsStore.getState().assets,
+    });
+    return calculateTotalCash(
+      balances
+        .map((account) => ({
+          ...account,
+          balance: convertAmount(account.balance, account.currency, baseCurrency, rates),
+        }))
+        .filter((account) => account.balance !== null)
+    );
+  },
+  
   /**
    * CALCULAR INVERSIÓN TOTAL
    * 
    * Suma cuánto dinero invirtió el usuario en total.
-   * Fórmula: cantidad * precio_promedio_compra para cada activo
+   * Fórmula: cantidad * precio_promedio_compra para cada activo, con cada lote
+   * al tipo de cambio del día en que se compró
    * 
    * @returns {number} Total de dinero invertido
    */
   calculateTotalInvestment: () => {
-    const state = useAssetsStore.getState();
-    return state.assets.reduce((total, asset) => {
+    return getBaseCurrencyAssets().reduce((total, asset) => {
       return total + asset.quantity * asset.purchasePrice;
     }, 0);
   },
@@ -643,16 +1138,84 @@ export const useAssetsStore = create((set, get) => ({
   /**
    * CALCULAR GANANCIA/PÉRDIDA TOTAL
    * 
-   * Calcula la diferencia entre el valor actual y la inversión total.
+   * Rendimiento total: ganancia no realizada (valor actual - inversión), ganancia
+   * ya realizada en ventas e ingresos netos (dividendos, cupones, intereses, staking).
    * Si es positivo = ganancia, si es negativo = pérdida
    * 
    * @returns {number} Ganancia (positivo) o pérdida (negativo)
    */
   calculateTotalProfit: () => {
     const state = useAssetsStore.getState();
-    const totalValue = state.calculateTotalValue();
-    const totalInvestment = state.calculateTotalInvestment();
-    return totalValue - totalInvestment;
+    return (
+      state.calculateTotalUnrealizedProfit() +
+      state.calculateTotalRealizedProfit() +
+      state.calculateTotalIncome()
+    );
+  },
+  
+  /**
+   * CALCULAR INGRESOS NETOS
+   * 
+   * Suma los dividendos, cupones, intereses y recompensas de staking cobrados,
+   * descontando la retención de impuestos (al tipo de cambio de hoy).
+   * 
+   * @returns {number} Ingresos netos
+   */
+  calculateTotalIncome: () => {
+    const { incomeEntries } = useIncomeStore.getState();
+    const incomeByAsset = convertValuesByAsset(
+      summarizeIncomeByAsset(incomeEntries),
+      useAssetsStore.getState().assets,
+      getBaseCurrency(),
+      getValuationFxRates().rates
+    );
+    return Object.values(incomeByAsset).reduce((total, income) => total + income.net, 0);
+  },
+  
+  /**
+   * CALCULAR GANANCIA/PÉRDIDA NO REALIZADA
+   * 
+   * Diferencia entre el valor actual y la inversión de lo que todavía se tiene
+   * (el efectivo no genera ganancia no realizada). Incluye la ganancia por
+   * tipo de cambio (ver calculateTotalFxProfit).
+   * 
+   * @returns {number} Ganancia (positivo) o pérdida (negativo) no realizada
+   */
+  calculateTotalUnrealizedProfit: () => {
+    const state = useAssetsStore.getState();
+    return state.calculateTotalSecuritiesValue() - state.calculateTotalInvestment();
+  },
+  
+  /**
+   * CALCULAR GANANCIA/PÉRDIDA POR TIPO DE CAMBIO
+   * 
+   * Parte de la ganancia no realizada que viene de la variación del tipo de
+   * cambio entre la compra de cada lote y hoy (el resto es ganancia por precio).
+   * 
+   * @returns {number} Ganancia (positivo) o pérdida (negativo) por tipo de cambio
+   */
+  calculateTotalFxProfit: () => {
+    return getBaseCurrencyAssets().reduce((total, asset) => total + asset.fxProfit, 0);
+  },
+  
+  /**
+   * CALCULAR GANANCIA/PÉRDIDA REALIZADA
+   * 
+   * Suma la ganancia de todas las ventas registradas en el historial
+   * (precio de venta - costo de lo vendido según el método de costo),
+   * convertida a la moneda base al tipo de cambio de hoy.
+   * 
+   * @returns {number} Ganancia (positivo) o pérdida (negativo) realizada
+   */
+  calculateTotalRealizedProfit: () => {
+    const { transactions } = useTransactionsStore.getState();
+    const gains = convertValuesByAsset(
+      calculateRealizedGainByAsset(transactions, getCostBasisMethod()),
+      useAssetsStore.getState().assets,
+      getBaseCurrency(),
+      getValuationFxRates().rates
+    );
+    return Object.values(gains).reduce((total, gain) => total + gain, 0);
   },
 }));
 
@@ -0,0 +1,138 @@
+/**
+ * STORE DE EFECTIVO (ZUSTAND)
+ *
+ * Este store guarda los movimientos manuales de las cuentas de efectivo de
+ * cada broker y moneda (saldos fijados, depósitos y retiros).
+ *
+ * El saldo de cada cuenta no se guarda: se calcula con src/lib/cash.js a
+ * partir de estos movimientos, las transacciones y los ingresos.
+ */
+
+import { create } from 'zustand';
+import {
+  loadCashMovementsFromSupabase,
+  saveCashMovementToSupabase,
+  deleteCashMovementFromSupabase,
+} from '../lib/cashService';
+import { CASH_MOVEMENT_TYPES } from '../constants';
+
+export const useCashStore = create((set) => ({
+  cashMovements: [],
+  isLoading: false,
+  currentUserId: null,
+
+  /**
+   * CARGAR MOVIMIENTOS DE EFECTIVO DESDE SUPABASE
+   */
+  loadCash: async (userId) => {
+    if (!userId) {
+      console.warn('⚠️ No se proporcionó userId para cargar efectivo');
+      set({ cashMovements: [], currentUserId: null });
+      return { success: false, error: 'ID de usuario no proporcionado' };
+    }
+
+    set({ isLoading: true, currentUserId: userId, cashMovements: [] });
+
+    try {
+      const result = await loadCashMovementsFromSupabase(userId);
+
+      if (result.error) {
+        console.error('Error al cargar movimientos de efectivo:', result.error);
+        set({ cashMovements: [], isLoading: false });
+        return { success: false, error: result.error };
+      }
+
+      const cashMovements = result.data || [];
+      set({ cashMovements, isLoading: false });
+
+      console.log(`✅ Cargados ${cashMovements.length} movimientos de efectivo desde Supabase`);
+      return { success: true };
+    } catch (error) {
+      console.error('Error inesperado al cargar movimientos de efectivo:', error);
+      set({ cashMovements: [], isLoading: false });
+      return { success: false, error: error.message || 'Error al cargar movimientos de efectivo' };
+    }
+  },
+
+  /**
+   * REGISTRAR UN MOVIMIENTO DE EFECTIVO
+   *
+   * @param {Object} movement - Movimiento {broker, currency, type, amount, date, notes}
+   * @param {string} userId - ID del usuario
+   * @returns {Promise<{success: boolean, data?: Object, error?: string}>}
+   */
+  addCashMovement: async (movement, userId) => {
+    if (!userId) {
+      return { success: false, error: 'ID de usuario no proporcionado' };
+    }
+
+    if (!CASH_MOVEMENT_TYPES[movement.type]) {
+      return { success: false, error: 'Tipo de movimiento inválido' };
+    }
+
+    if (!Number.isFinite(movement.amount)) {
+      return { success: false, error: 'El monto no es válido' };
+    }
+
+    // Los depósitos y retiros se guardan en positivo (el tipo define el signo)
+    if (movement.type !== 'adjust' && movement.amount <= 0) {
+      return { success: false, error: 'El monto debe ser mayor a 0' };
+    }
+
+    if (!movement.currency) {
+      return { success: false, error: 'Indicá la moneda de la cuenta' };
+    }
+
+    try {
+      const result = await saveCashMovementToSupabase(movement, userId);
+
+      if (result.error) {
+        console.error('Error al registrar movimiento de efectivo:', result.error);
+        return { success: false, error: result.error };
+      }
+
+      set((state) => ({
+        cashMovements: [...state.cashMovements, result.data],
+      }));
+
+      return { success: true, data: result.data };
+    } catch (error) {
+      console.error('Error inesperado al registrar movimiento de efectivo:', error);
+      return { success: false, error: error.message || 'Error al registrar movimiento de efectivo' };
+    }
+  },
+
+  /**
+   * ELIMINAR UN MOVIMIENTO DE EFECTIVO
+   */
+  deleteCashMovement: async (movementId, userId) => {
+    if (!userId) {
+      return { success: false, error: 'ID de usuario no proporcionado' };
+    }
+
+    try {
+      const result = await deleteCashMovementFromSupabase(movementId, userId);
+
+      if (!result.success) {
+        console.error('Error al eliminar movimiento de efectivo:', result.error);
+        return { success: false, error: result.error };
+      }
+
+      set((state) => ({
+        cashMovements: state.cashMovements.filter((movement) => movement.id !== movementId),
+      }));
+
+      return { success: true };
+    } catch (error) {
+      console.error('Error inesperado al eliminar movimiento de efectivo:', error);
+      return { success: false, error: error.message || 'Error al eliminar movimiento de efectivo' };
+    }
+  },
+
+  /**
+   * LIMPIAR EFECTIVO
+   */
+  clearCash: () => {
+    set({ cashMovements: [], currentUserId: null, isLoading: false });
+  },
+}));
@@ -0,0 +1,213 @@
+/**
+ * STORE DE COTIZACIONES DEL DÓLAR (ZUSTAND)
+ *
+ * Guarda las cotizaciones del dólar oficial, MEP y CCL que el usuario cargó
+ * a mano o importó. Con el tipo elegido en user_metadata.ars_valuation_rate
+ * se valúan los pesos (ver src/lib/dollarRates.js).
+ */
+
+import { create } from 'zustand';
+import {
+  loadDollarRatesFromSupabase,
+  saveDollarRatesToSupabase,
+  deleteDollarRateFromSupabase,
+} from '../lib/dollarRatesService';
+import { buildValuationRates, fetchDollarRateHistory, normalizeArsValuationRate } from '../lib/dollarRates';
+import { getTodayDate } from '../lib/ledger';
+import { DOLLAR_RATE_TYPES } from '../constants';
+import { useFxStore } from './fxStore';
+import { useSessionStore } from './sessionStore';
+
+/**
+ * Reemplazar en la lista las cotizaciones guardadas (mismo tipo y día)
+ */
+const mergeDollarRates = (current, saved) => {
+  const key = (entry) => `${entry.rateType}|${entry.date}`;
+  const savedKeys = new Set(saved.map(key));
+  return [...current.filter((entry) => !savedKeys.has(key(entry))), ...saved].sort((a, b) =>
+    a.date.localeCompare(b.date)
+  );
+};
+
+export const useDollarRatesStore = create((set) => ({
+  dollarRates: [],
+  isLoading: false,
+  currentUserId: null,
+
+  /**
+   * CARGAR COTIZACIONES DESDE SUPABASE
+   */
+  loadDollarRates: async (userId) => {
+    if (!userId) {
+      console.warn('⚠️ No se proporcionó userId para cargar cotizaciones del dólar');
+      set({ dollarRates: [], currentUserId: null });
+      return { success: false, error: 'ID de usuario no proporcionado' };
+    }
+
+    set({ isLoading: true, currentUserId: userId, dollarRates: [] });
+
+    try {
+      const result = await loadDollarRatesFromSupabase(userId);
+
+      if (result.error) {
+        console.error('Error al cargar cotizaciones del dólar:', result.error);
+        set({ dollarRates: [], isLoading: false });
+        return { success: false, error: result.error };
+      }
+
+      const dollarRates = result.data || [];
+      set({ dollarRates, isLoading: false });
+
+      console.log(`✅ Cargadas ${dollarRates.length} cotizaciones del dólar desde Supabase`);
+      return { success: true };
+    } catch (error) {
+      console.error('Error inesperado al cargar cotizaciones del dólar:', error);
+      set({ dollarRates: [], isLoading: false });
+      return { success: false, error: error.message || 'Error al cargar cotizaciones del dólar' };
+    }
+  },
+
+  /**
+   * CARGAR UNA COTIZACIÓN A MANO
+   *
+   * Si ya hay una del mismo tipo y día, se reemplaza.
+   *
+   * @param {Object} entry - Cotización {rateType, date, rate}
+   * @param {string} userId - ID del usuario
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  addDollarRate: async (entry, userId) => {
+    if (!userId) {
+      return { success: false, error: 'ID de usuario no proporcionado' };
+    }
+
+    if (!DOLLAR_RATE_TYPES[entry.rateType]) {
+      return { success: false, error: 'Tipo de dólar inválido' };
+    }
+
+    if (!Number.isFinite(entry.rate) || entry.rate <= 0) {
+      return { success: false, error: 'La cotización debe ser mayor a 0' };
+    }
+
+    if (!entry.date || entry.date > getTodayDate()) {
+      return { success: false, error: 'La fecha no puede ser futura' };
+    }
+
+    try {
+      const result = await saveDollarRatesToSupabase([{ ...entry, source: 'manual' }], userId);
+
+      if (result.error) {
+        console.error('Error al guardar cotización del dólar:', result.error);
+        return { success: false, error: result.error };
+      }
+
+      set((state) => ({ dollarRates: mergeDollarRates(state.dollarRates, result.data) }));
+      return { success: true };
+    } catch (error) {
+      console.error('Error inesperado al guardar cotización del dólar:', error);
+      return { success: false, error: error.message || 'Error al guardar cotización del dólar' };
+    }
+  },
+
+  /**
+   * IMPORTAR EL HISTORIAL DE UN TIPO DE DÓLAR
+   *
+   * Trae las cotizaciones de ArgentinaDatos desde fromDate. Las cargadas a
+   * mano no se pisan.
+   *
+   * @param {string} rateType - Tipo de dólar (oficial, mep, ccl)
+   * @param {string} fromDate - Primer día a importar (YYYY-MM-DD)
+   * @param {string} userId - ID del usuario
+   * @returns {Promise<{success: boolean, count?: number, error?: string}>}
+   */
+  importDollarRates: async (rateType, fromDate, userId) => {
+    if (!userId) {
+      return { success: false, error: 'ID de usuario no proporcionado' };
+    }
+
+    const history = await fetchDollarRateHistory(rateType, fromDate);
+    if (history.error) {
+      return { success: false, error: history.error };
+    }
+
+    const manualKeys = new Set(
+      useDollarRatesStore
+        .getState()
+        .dollarRates.filter((entry) => entry.source === 'manual')
+        .map((entry) => `${entry.rateType}|${entry.date}`)
+    );
+    const rates = history.data.filter((entry) => !manualKeys.has(`${entry.rateType}|${entry.date}`));
+    if (rates.length === 0) {
+      return { success: true, count: 0 };
+    }
+
+    try {
+      const result = await saveDollarRatesToSupabase(rates, userId);
+
+      if (result.error) {
+        console.error('Error al importar cotizaciones del dólar:', result.error);
+        return { success: false, error: result.error };
+      }
+
+      set((state) => ({ dollarRates: mergeDollarRates(state.dollarRates, result.data) }));
+      return { success: true, count: result.data.length };
+    } catch (error) {
+      console.error('Error inesperado al importar cotizaciones del dólar:', error);
+      return { success: false, error: error.message || 'Error al importar cotizaciones del dólar' };
+    }
+  },
+
+  /**
+   * ELIMINAR UNA COTIZACIÓN
+   */
+  deleteDollarRate: async (rateId, userId) => {
+    if (!userId) {
+      return { success: false, error: 'ID de usuario no proporcionado' };
+    }
+
+    try {
+      const result = await deleteDollarRateFromSupabase(rateId, userId);
+
+      if (!result.success) {
+        console.error('Error al eliminar cotización del dólar:', result.error);
+        return { success: false, error: result.error };
+      }
+
+      set((state) => ({
+        dollarRates: state.dollarRates.filter((entry) => entry.id !== rateId),
+      }));
+
+      return { success: true };
+    } catch (error) {
+      console.error('Error inesperado al eliminar cotización del dólar:', error);
+      return { success: false, error: error.message || 'Error al eliminar cotización del dólar' };
+    }
+  },
+
+  /**
+   * LIMPIAR COTIZACIONES
+   */
+  clearDollarRates: () => {
+    set({ dollarRates: [], currentUserId: null, isLoading: false });
+  },
+}));
+
+/**
+ * COTIZACIONES PARA VALUAR LA CARTERA EN UNA FECHA
+ *
+ * Las de la fuente de tipos de cambio con ARS reemplazado por el dólar que
+ * eligió el usuario (fuera de React, ej: desde assetsStore).
+ *
+ * @param {string} date - Fecha YYYY-MM-DD (por defecto, hoy)
+ * @returns {{rates: Object|null, dollarRate: Object|null}} Ver buildValuationRates
+ */
+export const getValuationFxRates = (date = getTodayDate()) => {
+  return buildValuationRates({
+    rates: useFxStore.getState().rates,
+    dollarRates: useDollarRatesStore.getState().dollarRates,
+    valuationRate: normalizeArsValuationRate(
+      useSessionStore.getState().user?.user_metadata?.ars_valuation_rate
+    ),
+    date,
+  });
+};
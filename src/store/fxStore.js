@@ -0,0 +1,69 @@
+/**
+ * STORE DE TIPOS DE CAMBIO (ZUSTAND)
+ *
+ * Guarda las cotizaciones de la fuente de tipos de cambio (ver src/lib/fx.js)
+ * para convertir la cartera a la moneda base del usuario. No dependen del
+ * usuario: las carga useFxRates mientras la app está abierta.
+ *
+ * Las últimas cotizaciones se guardan en localStorage para que los totales
+ * sigan convertidos si la fuente no responde.
+ */
+
+import { create } from 'zustand';
+import { getFxRateSource } from '../lib/fx';
+
+const STORAGE_KEY = 'fx-rates';
+
+/**
+ * Leer las últimas cotizaciones guardadas
+ * @returns {{rates: Object, date: string, sourceId: string}|null}
+ */
+const readStoredRates = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return stored?.rates ? stored : null;
+  } catch {
+    return null;
+  }
+};
+
+const storedRates = readStoredRates();
+
+export const useFxStore = create((set) => ({
+  // Objeto moneda -> unidades por 1 USD (null hasta la primera carga)
+  rates: storedRates?.rates || null,
+  // Fecha (YYYY-MM-DD) de las cotizaciones
+  ratesDate: storedRates?.date || null,
+  sourceId: storedRates?.sourceId || null,
+  isLoading: false,
+  error: null,
+
+  /**
+   * CARGAR LAS COTIZACIONES DE UNA FUENTE
+   *
+   * Si falla se conservan las cotizaciones anteriores.
+   *
+   * @param {string} sourceId - Fuente registrada (por defecto DEFAULT_FX_RATE_SOURCE)
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  loadRates: async (sourceId) => {
+    const source = getFxRateSource(sourceId);
+    set({ isLoading: true, error: null });
+
+    const result = await source.fetchRates();
+    if (result.error) {
+      console.error('Error al cargar los tipos de cambio:', result.error);
+      set({ isLoading: false, error: result.error });
+      return { success: false, error: result.error };
+    }
+
+    const { rates, date } = result.data;
+    set({ rates, ratesDate: date, sourceId: source.id, isLoading: false });
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify({ rates, date, sourceId: source.id }));
+    } catch (error) {
+      console.error('Error al guardar los tipos de cambio:', error);
+    }
+    return { success: true };
+  },
+}));
@@ -0,0 +1,158 @@
+/**
+ * STORE DE INGRESOS (ZUSTAND)
+ *
+ * Este store guarda los ingresos en efectivo de los activos del usuario:
+ * dividendos, cupones, intereses y recompensas de staking.
+ *
+ * Los ingresos no modifican la cantidad ni el PPC de los activos; se suman al
+ * rendimiento total de la cartera (ver useAssets y Summary).
+ */
+
+import { create } from 'zustand';
+import {
+  loadIncomeFromSupabase,
+  saveIncomeToSupabase,
+  deleteIncomeFromSupabase,
+} from '../lib/incomeService';
+import { INCOME_TYPES } from '../constants';
+
+export const useIncomeStore = create((set, get) => ({
+  incomeEntries: [],
+  isLoading: false,
+  currentUserId: null,
+
+  /**
+   * CARGAR INGRESOS DESDE SUPABASE
+   */
+  loadIncome: async (userId) => {
+    if (!userId) {
+      console.warn('⚠️ No se proporcionó userId para cargar ingresos');
+      set({ incomeEntries: [], currentUserId: null });
+      return { success: false, error: 'ID de usuario no proporcionado' };
+    }
+
+    set({ isLoading: true, currentUserId: userId, incomeEntries: [] });
+
+    try {
+      const result = await loadIncomeFromSupabase(userId);
+
+      if (result.error) {
+        console.error('Error al cargar ingresos:', result.error);
+        set({ incomeEntries: [], isLoading: false });
+        return { success: false, error: result.error };
+      }
+
+      const incomeEntries = result.data || [];
+      set({ incomeEntries, isLoading: false });
+
+      console.log(`✅ Cargados ${incomeEntries.length} ingresos desde Supabase`);
+      return { success: true };
+    } catch (error) {
+      console.error('Error inesperado al cargar ingresos:', error);
+      set({ incomeEntries: [], isLoading: false });
+      return { success: false, error: error.message || 'Error al cargar ingresos' };
+    }
+  },
+
+  /**
+   * OBTENER LOS INGRESOS DE UN ACTIVO (del más reciente al más antiguo)
+   *
+   * @param {number} assetId - ID del activo
+   * @returns {Array} Ingresos del activo
+   */
+  getAssetIncome: (assetId) => {
+    const id = Number(assetId);
+    return get()
+      .incomeEntries.filter((entry) => entry.assetId === id)
+      .sort((a, b) => (b.date || '').localeCompare(a.date || ''));
+  },
+
+  /**
+   * REGISTRAR UN INGRESO
+   *
+   * @param {Object} entry - Ingreso {assetId, type, broker, amount, withholdingTax, date, notes}
+   * @param {string} userId - ID del usuario
+   * @returns {Promise<{success: boolean, data?: Object, error?: string}>}
+   */
+  addIncome: async (entry, userId) => {
+    if (!userId) {
+      return { success: false, error: 'ID de usuario no proporcionado' };
+    }
+
+    if (!INCOME_TYPES[entry.type]) {
+      return { success: false, error: 'Tipo de ingreso inválido' };
+    }
+
+    if (!(entry.amount > 0)) {
+      return { success: false, error: 'El monto debe ser mayor a 0' };
+    }
+
+    if (entry.withholdingTax < 0 || entry.withholdingTax > entry.amount) {
+      return { success: false, error: 'La retención debe estar entre 0 y el monto bruto' };
+    }
+
+    try {
+      const result = await saveIncomeToSupabase(entry, userId);
+
+      if (result.error) {
+        console.error('Error al registrar ingreso:', result.error);
+        return { success: false, error: result.error };
+      }
+
+      set((state) => ({
+        incomeEntries: [...state.incomeEntries, result.data],
+      }));
+
+      return { success: true, data: result.data };
+    } catch (error) {
+      console.error('Error inesperado al registrar ingreso:', error);
+      return { success: false, error: error.message || 'Error al registrar ingreso' };
+    }
+  },
+
+  /**
+   * ELIMINAR UN INGRESO
+   */
+  deleteIncome: async (entryId, userId) => {
+    if (!userId) {
+      return { success: false, error: 'ID de usuario no proporcionado' };
+    }
+
+    try {
+      const result = await deleteIncomeFromSupabase(entryId, userId);
+
+      if (!result.success) {
+        console.error('Error al eliminar ingreso:', result.error);
+        return { success: false, error: result.error };
+      }
+
+      set((state) => ({
+        incomeEntries: state.incomeEntries.filter((entry) => entry.id !== entryId),
+      }));
+
+      return { success: true };
+    } catch (error) {
+      console.error('Error inesperado al eliminar ingreso:', error);
+      return { success: false, error: error.message || 'Error al eliminar ingreso' };
+    }
+  },
+
+  /**
+   * QUITAR DEL STORE LOS INGRESOS DE UN ACTIVO ELIMINADO
+   *
+   * En Supabase las filas se borran solas (ON DELETE CASCADE).
+   */
+  removeAssetIncome: (assetId) => {
+    const id = Number(assetId);
+    set((state) => ({
+      incomeEntries: state.incomeEntries.filter((entry) => entry.assetId !== id),
+    }));
+  },
+
+  /**
+   * LIMPIAR INGRESOS
+   */
+  clearIncome: () => {
+    set({ incomeEntries: [], currentUserId: null, isLoading: false });
+  },
+}));
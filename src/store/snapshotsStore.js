@@ -0,0 +1,102 @@
+/**
+ * STORE DE FOTOS DIARIAS POR ACTIVO (ZUSTAND)
+ *
+ * Este store guarda el valor de mercado y el costo de cada activo día a día,
+ * que se usan para filtrar la ganancia/pérdida del Summary por temporalidad
+ * (ver src/lib/snapshots.js).
+ *
+ * Las fotos del día las registra usePortfolioValuation junto con la valuación.
+ */
+
+import { create } from 'zustand';
+import {
+  loadSnapshotsFromSupabase,
+  saveSnapshotsToSupabase,
+} from '../lib/snapshotsService';
+
+export const useSnapshotsStore = create((set) => ({
+  snapshots: [],
+  isLoading: false,
+  currentUserId: null,
+
+  /**
+   * CARGAR FOTOS DESDE SUPABASE
+   */
+  loadSnapshots: async (userId) => {
+    if (!userId) {
+      console.warn('⚠️ No se proporcionó userId para cargar fotos de la cartera');
+      set({ snapshots: [], currentUserId: null });
+      return { success: false, error: 'ID de usuario no proporcionado' };
+    }
+
+    set({ isLoading: true, currentUserId: userId, snapshots: [] });
+
+    try {
+      const result = await loadSnapshotsFromSupabase(userId);
+
+      if (result.error) {
+        console.error('Error al cargar fotos de la cartera:', result.error);
+        set({ snapshots: [], isLoading: false });
+        return { success: false, error: result.error };
+      }
+
+      const snapshots = result.data || [];
+      set({ snapshots, isLoading: false });
+
+      console.log(`✅ Cargadas ${snapshots.length} fotos de la cartera desde Supabase`);
+      return { success: true };
+    } catch (error) {
+      console.error('Error inesperado al cargar fotos de la cartera:', error);
+      set({ snapshots: [], isLoading: false });
+      return { success: false, error: error.message || 'Error al cargar fotos de la cartera' };
+    }
+  },
+
+  /**
+   * REGISTRAR LAS FOTOS DE UN DÍA
+   *
+   * Reemplaza todas las fotos de la misma fecha.
+   *
+   * @param {string} date - Fecha (YYYY-MM-DD)
+   * @param {Array} snapshots - Fotos {assetId, symbol, assetType, quantity, marketValue, costBasis}
+   * @param {string} userId - ID del usuario
+   * @returns {Promise<{success: boolean, data?: Array, error?: string}>}
+   */
+  recordSnapshots: async (date, snapshots, userId) => {
+    if (!userId) {
+      return { success: false, error: 'ID de usuario no proporcionado' };
+    }
+
+    if (!date || snapshots.some((snapshot) => !snapshot.assetId || !Number.isFinite(snapshot.marketValue))) {
+      return { success: false, error: 'Las fotos no son válidas' };
+    }
+
+    try {
+      const result = await saveSnapshotsToSupabase(date, snapshots, userId);
+
+      if (result.error) {
+        console.error('Error al registrar fotos de la cartera:', result.error);
+        return { success: false, error: result.error };
+      }
+
+      set((state) => ({
+        snapshots: [
+          ...state.snapshots.filter((item) => item.date !== date),
+          ...result.data,
+        ].sort((a, b) => a.date.localeCompare(b.date)),
+      }));
+
+      return { success: true, data: result.data };
+    } catch (error) {
+      console.error('Error inesperado al registrar fotos de la cartera:', error);
+      return { success: false, error: error.message || 'Error al registrar fotos de la cartera' };
+    }
+  },
+
+  /**
+   * LIMPIAR FOTOS
+   */
+  clearSnapshots: () => {
+    set({ snapshots: [], currentUserId: null, isLoading: false });
+  },
+}));
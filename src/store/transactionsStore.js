@@ -0,0 +1,147 @@
+/**
+ * STORE DE TRANSACCIONES (ZUSTAND)
+ *
+ * Este store guarda el historial de operaciones (compras, ventas, reseteos y
+ * ediciones de brokers) de todos los activos del usuario.
+ *
+ * El store de activos (assetsStore) registra aquí cada operación y recalcula
+ * la cantidad y el PPC del activo a partir de este historial.
+ */
+
+import { create } from 'zustand';
+import {
+  loadTransactionsFromSupabase,
+  saveTransactionsToSupabase,
+  deleteTransactionFromSupabase,
+} from '../lib/transactionsService';
+import { sortTransactions } from '../lib/ledger';
+
+export const useTransactionsStore = create((set, get) => ({
+  transactions: [],
+  isLoading: false,
+  currentUserId: null,
+
+  /**
+   * CARGAR TRANSACCIONES DESDE SUPABASE
+   */
+  loadTransactions: async (userId) => {
+    if (!userId) {
+      console.warn('⚠️ No se proporcionó userId para cargar transacciones');
+      set({ transactions: [], currentUserId: null });
+      return { success: false, error: 'ID de usuario no proporcionado' };
+    }
+
+    set({ isLoading: true, currentUserId: userId, transactions: [] });
+
+    try {
+      const result = await loadTransactionsFromSupabase(userId);
+
+      if (result.error) {
+        console.error('Error al cargar transacciones:', result.error);
+        set({ transactions: [], isLoading: false });
+        return { success: false, error: result.error };
+      }
+
+      const transactions = result.data || [];
+      set({ transactions, isLoading: false });
+
+      console.log(`✅ Cargadas ${transactions.length} transacciones desde Supabase`);
+      return { success: true };
+    } catch (error) {
+      console.error('Error inesperado al cargar transacciones:', error);
+      set({ transactions: [], isLoading: false });
+      return { success: false, error: error.message || 'Error al cargar transacciones' };
+    }
+  },
+
+  /**
+   * OBTENER EL HISTORIAL DE UN ACTIVO (ordenado cronológicamente)
+   *
+   * @param {number} assetId - ID del activo
+   * @returns {Array} Transacciones del activo
+   */
+  getAssetTransactions: (assetId) => {
+    const id = Number(assetId);
+    return sortTransactions(get().transactions.filter((tx) => tx.assetId === id));
+  },
+
+  /**
+   * REGISTRAR TRANSACCIONES
+   *
+   * Guarda las transacciones en Supabase y, si se guardaron, las agrega al store.
+   *
+   * @param {Array} transactions - Transacciones a registrar
+   * @param {string} userId - ID del usuario
+   * @returns {Promise<{success: boolean, data?: Array, error?: string}>}
+   */
+  addTransactions: async (transactions, userId) => {
+    if (!userId) {
+      return { success: false, error: 'ID de usuario no proporcionado' };
+    }
+
+    try {
+      const result = await saveTransactionsToSupabase(transactions, userId);
+
+      if (result.error) {
+        console.error('Error al registrar transacciones:', result.error);
+        return { success: false, error: result.error };
+      }
+
+      set((state) => ({
+        transactions: [...state.transactions, ...result.data],
+      }));
+
+      return { success: true, data: result.data };
+    } catch (error) {
+      console.error('Error inesperado al registrar transacciones:', error);
+      return { success: false, error: error.message || 'Error al registrar transacciones' };
+    }
+  },
+
+  /**
+   * ELIMINAR UNA TRANSACCIÓN
+   */
+  deleteTransaction: async (transactionId, userId) => {
+    if (!userId) {
+      return { success: false, error: 'ID de usuario no proporcionado' };
+    }
+
+    try {
+      const result = await deleteTransactionFromSupabase(transactionId, userId);
+
+      if (!result.success) {
+        console.error('Error al eliminar transacción:', result.error);
+        return { success: false, error: result.error };
+      }
+
+      set((state) => ({
+        transactions: state.transactions.filter((tx) => tx.id !== transactionId),
+      }));
+
+      return { success: true };
+    } catch (error) {
+      console.error('Error inesperado al eliminar transacción:', error);
+      return { success: false, error: error.message || 'Error al eliminar transacción' };
+    }
+  },
+
+  /**
+   * QUITAR DEL STORE EL HISTORIAL DE UN ACTIVO ELIMINADO
+   *
+   * En Supabase las filas se borran solas (ON DELETE CASCADE), acá solo
+   * limpiamos el estado local.
+   */
+  removeAssetTransactions: (assetId) => {
+    const id = Number(assetId);
+    set((state) => ({
+      transactions: state.transactions.filter((tx) => tx.assetId !== id),
+    }));
+  },
+
+  /**
+   * LIMPIAR TRANSACCIONES
+   */
+  clearTransactions: () => {
+    set({ transactions: [], currentUserId: null, isLoading: false });
+  },
+}));
@@ -0,0 +1,101 @@
+/**
+ * STORE DE VALUACIONES (ZUSTAND)
+ *
+ * Este store guarda el valor diario de la cartera que se usa para calcular
+ * el rendimiento ponderado por tiempo (ver src/lib/performance.js).
+ *
+ * La valuación del día la registra usePortfolioValuation mientras la app
+ * está abierta.
+ */
+
+import { create } from 'zustand';
+import {
+  loadValuationsFromSupabase,
+  saveValuationToSupabase,
+} from '../lib/valuationsService';
+
+export const useValuationsStore = create((set) => ({
+  valuations: [],
+  isLoading: false,
+  currentUserId: null,
+
+  /**
+   * CARGAR VALUACIONES DESDE SUPABASE
+   */
+  loadValuations: async (userId) => {
+    if (!userId) {
+      console.warn('⚠️ No se proporcionó userId para cargar valuaciones');
+      set({ valuations: [], currentUserId: null });
+      return { success: false, error: 'ID de usuario no proporcionado' };
+    }
+
+    set({ isLoading: true, currentUserId: userId, valuations: [] });
+
+    try {
+      const result = await loadValuationsFromSupabase(userId);
+
+      if (result.error) {
+        console.error('Error al cargar valuaciones:', result.error);
+        set({ valuations: [], isLoading: false });
+        return { success: false, error: result.error };
+      }
+
+      const valuations = result.data || [];
+      set({ valuations, isLoading: false });
+
+      console.log(`✅ Cargadas ${valuations.length} valuaciones desde Supabase`);
+      return { success: true };
+    } catch (error) {
+      console.error('Error inesperado al cargar valuaciones:', error);
+      set({ valuations: [], isLoading: false });
+      return { success: false, error: error.message || 'Error al cargar valuaciones' };
+    }
+  },
+
+  /**
+   * REGISTRAR LA VALUACIÓN DE UN DÍA
+   *
+   * Reemplaza la valuación de la misma fecha si ya existía.
+   *
+   * @param {Object} valuation - Valuación {date, totalValue, securitiesValue, cashValue, invested}
+   * @param {string} userId - ID del usuario
+   * @returns {Promise<{success: boolean, data?: Object, error?: string}>}
+   */
+  recordValuation: async (valuation, userId) => {
+    if (!userId) {
+      return { success: false, error: 'ID de usuario no proporcionado' };
+    }
+
+    if (!valuation.date || !Number.isFinite(valuation.totalValue)) {
+      return { success: false, error: 'La valuación no es válida' };
+    }
+
+    try {
+      const result = await saveValuationToSupabase(valuation, userId);
+
+      if (result.error) {
+        console.error('Error al registrar valuación:', result.error);
+        return { success: false, error: result.error };
+      }
+
+      set((state) => ({
+        valuations: [
+          ...state.valuations.filter((item) => item.date !== result.data.date),
+          result.data,
+        ].sort((a, b) => a.date.localeCompare(b.date)),
+      }));
+
+      return { success: true, data: result.data };
+    } catch (error) {
+      console.error('Error inesperado al registrar valuación:', error);
+      return { success: false, error: error.message || 'Error al registrar valuación' };
+    }
+  },
+
+  /**
+   * LIMPIAR VALUACIONES
+   */
+  clearValuations: () => {
+    set({ valuations: [], currentUserId: null, isLoading: false });
+  },
+}));
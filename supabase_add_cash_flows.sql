@@ -0,0 +1,20 @@
+-- ============================================
+-- AGREGAR DEPÓSITOS Y RETIROS A LA TABLA cash_movements
+-- ============================================
+-- IMPORTANTE: Este script solo es necesario si ya creaste la tabla cash_movements
+-- ANTES de que se agregaran los tipos 'deposit' y 'withdrawal' al script principal.
+--
+-- Si estás creando la tabla por primera vez, usa supabase_cash_table.sql
+-- en su lugar, que ya incluye estos tipos.
+--
+-- Si ya tienes la tabla cash_movements creada, ejecuta este script:
+-- 1. Ve a Supabase Dashboard > SQL Editor
+-- 2. Copia y pega este script
+-- 3. Ejecuta la query
+
+-- Depósitos (deposit) y retiros (withdrawal): plata que entra o sale de la cartera
+ALTER TABLE cash_movements
+DROP CONSTRAINT IF EXISTS cash_movements_type_check;
+
+ALTER TABLE cash_movements
+ADD CONSTRAINT cash_movements_type_check CHECK (type IN ('adjust', 'deposit', 'withdrawal'));
@@ -0,0 +1,30 @@
+-- ============================================
+-- AGREGAR CEDEARs (assets.underlying_symbol Y assets.conversion_ratio)
+-- ============================================
+-- IMPORTANTE: Este script solo es necesario si ya creaste la tabla assets
+-- ANTES de que se agregaran los CEDEARs al script principal.
+--
+-- Si estás creando la tabla por primera vez, usa supabase_migration.sql en su
+-- lugar, que ya incluye estas columnas.
+--
+-- Si ya tienes la tabla creada sin estas columnas, ejecuta este script:
+-- 1. Ve a Supabase Dashboard > SQL Editor
+-- 2. Copia y pega este script
+-- 3. Ejecuta la query
+
+-- Permitir el tipo 'cedear'
+ALTER TABLE assets
+DROP CONSTRAINT IF EXISTS assets_type_check;
+
+ALTER TABLE assets
+ADD CONSTRAINT assets_type_check
+CHECK (type IN ('stock', 'crypto', 'etf', 'bond', 'cedear', 'accion', 'criptomoneda', 'fondo'));
+
+-- Símbolo del subyacente en EE.UU. (ej: AAPL para el CEDEAR AAPL.BA)
+ALTER TABLE assets
+ADD COLUMN IF NOT EXISTS underlying_symbol TEXT;
+
+-- Cantidad de CEDEARs que equivalen a una acción del subyacente (ej: 20)
+ALTER TABLE assets
+ADD COLUMN IF NOT EXISTS conversion_ratio DECIMAL(20, 8)
+CHECK (conversion_ratio IS NULL OR conversion_ratio > 0);
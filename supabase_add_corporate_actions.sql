@@ -0,0 +1,25 @@
+-- ============================================
+-- EVENTOS CORPORATIVOS EN LA TABLA transactions
+-- ============================================
+-- IMPORTANTE: Este script solo es necesario si ya creaste la tabla transactions
+-- ANTES de que se agregaran los eventos corporativos al script principal.
+--
+-- Si estás creando la tabla por primera vez, usa supabase_transactions_table.sql
+-- en su lugar, que ya incluye estos cambios.
+--
+-- Si ya tienes la tabla transactions creada, ejecuta este script:
+-- 1. Ve a Supabase Dashboard > SQL Editor
+-- 2. Copia y pega este script
+-- 3. Ejecuta la query
+
+-- Factor de los eventos corporativos (split: acciones nuevas por acción,
+-- spinoff: fracción del costo que conserva el activo)
+ALTER TABLE transactions
+ADD COLUMN IF NOT EXISTS ratio DECIMAL(20, 10);
+
+-- Permitir los nuevos tipos de transacción (spinoff_in: acciones recibidas por
+-- un spin-off. Si ya habías ejecutado este script, volvé a ejecutarlo para agregarlo)
+ALTER TABLE transactions DROP CONSTRAINT IF EXISTS transactions_type_check;
+ALTER TABLE transactions
+ADD CONSTRAINT transactions_type_check
+CHECK (type IN ('buy', 'sell', 'reset', 'adjust', 'split', 'spinoff', 'spinoff_in', 'symbol_change'));
@@ -0,0 +1,30 @@
+-- ============================================
+-- AGREGAR MONEDAS (assets.currency Y TIPO DE CAMBIO DE LOS LOTES)
+-- ============================================
+-- IMPORTANTE: Este script solo es necesario si ya creaste las tablas assets y
+-- transactions ANTES de que se agregaran estas columnas a los scripts principales.
+--
+-- Si estás creando las tablas por primera vez, usa supabase_migration.sql y
+-- supabase_transactions_table.sql en su lugar, que ya incluyen estas columnas.
+--
+-- Si ya tienes las tablas creadas sin estas columnas, ejecuta este script:
+-- 1. Ve a Supabase Dashboard > SQL Editor
+-- 2. Copia y pega este script
+-- 3. Ejecuta la query
+
+-- Moneda en la que cotiza el activo (los existentes quedan en USD)
+ALTER TABLE assets
+ADD COLUMN IF NOT EXISTS currency TEXT NOT NULL DEFAULT 'USD';
+
+-- Moneda del lote y tipo de cambio a la moneda base del día en que se registró
+ALTER TABLE transactions
+ADD COLUMN IF NOT EXISTS currency TEXT;
+
+ALTER TABLE transactions
+ADD COLUMN IF NOT EXISTS fx_rate DECIMAL(20, 10);
+
+ALTER TABLE transactions
+ADD COLUMN IF NOT EXISTS fx_base_currency TEXT;
+
+-- Los lotes registrados antes de este script no tienen tipo de cambio: se
+-- valúan al tipo de cambio de hoy (sin diferencia de cambio)
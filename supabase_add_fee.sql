@@ -0,0 +1,17 @@
+-- ============================================
+-- AGREGAR COLUMNA fee A LA TABLA transactions
+-- ============================================
+-- IMPORTANTE: Este script solo es necesario si ya creaste la tabla transactions
+-- ANTES de que se agregara la columna fee al script principal.
+--
+-- Si estás creando la tabla por primera vez, usa supabase_transactions_table.sql
+-- en su lugar, que ya incluye esta columna.
+--
+-- Si ya tienes la tabla transactions creada sin esta columna, ejecuta este script:
+-- 1. Ve a Supabase Dashboard > SQL Editor
+-- 2. Copia y pega este script
+-- 3. Ejecuta la query
+
+-- Comisión del broker / derechos de mercado de la operación
+ALTER TABLE transactions
+ADD COLUMN IF NOT EXISTS fee DECIMAL(20, 8) NOT NULL DEFAULT 0;
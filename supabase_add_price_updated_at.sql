@@ -0,0 +1,17 @@
+-- ============================================
+-- AGREGAR FECHA DEL PRECIO ACTUAL (assets.price_updated_at)
+-- ============================================
+-- IMPORTANTE: Este script solo es necesario si ya creaste la tabla assets
+-- ANTES de que se agregara la fecha del precio al script principal.
+--
+-- Si estás creando la tabla por primera vez, usa supabase_migration.sql en su
+-- lugar, que ya incluye esta columna.
+--
+-- Si ya tienes la tabla creada sin esta columna, ejecuta este script:
+-- 1. Ve a Supabase Dashboard > SQL Editor
+-- 2. Copia y pega este script
+-- 3. Ejecuta la query
+
+-- Momento en que se obtuvo current_price (se muestra como "Actualizado hace...")
+ALTER TABLE assets
+ADD COLUMN IF NOT EXISTS price_updated_at TIMESTAMPTZ;
@@ -0,0 +1,24 @@
+-- ============================================
+-- AGREGAR FECHAS DE COMPRA (assets.purchase_date Y transactions.acquired_date)
+-- ============================================
+-- IMPORTANTE: Este script solo es necesario si ya creaste las tablas assets y
+-- transactions ANTES de que se agregaran estas columnas a los scripts principales.
+--
+-- Si estás creando las tablas por primera vez, usa supabase_migration.sql y
+-- supabase_transactions_table.sql en su lugar, que ya incluyen estas columnas.
+--
+-- Si ya tienes las tablas creadas sin estas columnas, ejecuta este script:
+-- 1. Ve a Supabase Dashboard > SQL Editor
+-- 2. Copia y pega este script
+-- 3. Ejecuta la query
+
+-- Fecha de compra del lote abierto más antiguo del activo
+ALTER TABLE assets
+ADD COLUMN IF NOT EXISTS purchase_date DATE;
+
+-- Fecha de compra del lote que abre una edición manual ('adjust')
+ALTER TABLE transactions
+ADD COLUMN IF NOT EXISTS acquired_date DATE;
+
+-- Los brokers guardados en assets.brokers toman su "purchaseDate" la próxima vez
+-- que se recalcula el activo (al registrar una operación o editar sus brokers)
@@ -0,0 +1,18 @@
+-- ============================================
+-- AGREGAR COLUMNA realized_gain A LA TABLA transactions
+-- ============================================
+-- IMPORTANTE: Este script solo es necesario si ya creaste la tabla transactions
+-- ANTES de que se agregara la columna realized_gain al script principal.
+--
+-- Si estás creando la tabla por primera vez, usa supabase_transactions_table.sql
+-- en su lugar, que ya incluye esta columna.
+--
+-- Si ya tienes la tabla transactions creada sin esta columna, ejecuta este script:
+-- 1. Ve a Supabase Dashboard > SQL Editor
+-- 2. Copia y pega este script
+-- 3. Ejecuta la query
+
+-- Ganancia realizada de cada venta: lo cobrado neto de la comisión de venta
+-- menos el costo de las unidades vendidas según el método de costo del usuario
+ALTER TABLE transactions
+ADD COLUMN IF NOT EXISTS realized_gain DECIMAL(20, 8);
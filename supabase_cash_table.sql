@@ -0,0 +1,65 @@
+-- ============================================
+-- TABLA DE MOVIMIENTOS DE EFECTIVO (CUENTAS POR BROKER)
+-- ============================================
+-- Este script crea la tabla donde se registran los movimientos manuales de las
+-- cuentas de efectivo de cada broker y moneda.
+--
+-- El saldo de cada cuenta se calcula a partir de estos movimientos más las
+-- operaciones de la cartera: las compras lo debitan y las ventas y los
+-- ingresos (dividendos, cupones, intereses, staking) lo acreditan
+-- (ver src/lib/cash.js).
+--
+-- Ejecutar este script en el SQL Editor de Supabase DESPUÉS de supabase_migration.sql
+
+CREATE TABLE IF NOT EXISTS cash_movements (
+  id BIGSERIAL PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+
+  -- Cuenta: broker ('' si no se especificó) y moneda (código ISO, ej: USD)
+  broker TEXT NOT NULL DEFAULT '',
+  currency TEXT NOT NULL DEFAULT 'USD',
+
+  -- Tipo de movimiento:
+  -- adjust     = fija el saldo de la cuenta al cierre de movement_date (saldo inicial
+  --              o corrección). Abre la cuenta si todavía no existía
+  -- deposit    = depósito: entra plata a la cuenta desde fuera de la cartera
+  -- withdrawal = retiro: sale plata de la cuenta hacia fuera de la cartera
+  -- (amount siempre positivo en depósitos y retiros)
+  type TEXT NOT NULL CHECK (type IN ('adjust', 'deposit', 'withdrawal')),
+
+  amount DECIMAL(20, 8) NOT NULL DEFAULT 0,
+
+  -- Fecha del movimiento
+  movement_date DATE NOT NULL DEFAULT CURRENT_DATE,
+
+  notes TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Índices para mejorar el rendimiento
+CREATE INDEX IF NOT EXISTS idx_cash_movements_user_id ON cash_movements(user_id);
+CREATE INDEX IF NOT EXISTS idx_cash_movements_movement_date ON cash_movements(movement_date);
+
+-- Políticas de seguridad (RLS - Row Level Security)
+ALTER TABLE cash_movements ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own cash movements"
+  ON cash_movements FOR SELECT
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert their own cash movements"
+  ON cash_movements FOR INSERT
+  WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update their own cash movements"
+  ON cash_movements FOR UPDATE
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete their own cash movements"
+  ON cash_movements FOR DELETE
+  USING (auth.uid() = user_id);
+
+-- ============================================
+-- VERIFICACIÓN
+-- ============================================
+-- SELECT * FROM cash_movements ORDER BY movement_date DESC LIMIT 10;
@@ -0,0 +1,60 @@
+-- ============================================
+-- TABLA DE COTIZACIONES DEL DÓLAR (OFICIAL, MEP, CCL)
+-- ============================================
+-- Este script crea la tabla donde se guardan, por fecha, las cotizaciones del
+-- dólar en pesos de cada tipo (oficial, MEP y contado con liquidación). Se
+-- cargan a mano o se importan de ArgentinaDatos desde "Ver Perfil".
+--
+-- El usuario elige con cuál de estos tipos se valúan los activos y el
+-- efectivo en pesos (user_metadata.ars_valuation_rate, ver src/lib/dollarRates.js).
+--
+-- Ejecutar este script en el SQL Editor de Supabase DESPUÉS de supabase_migration.sql
+
+CREATE TABLE IF NOT EXISTS dollar_rates (
+  id BIGSERIAL PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+
+  -- Tipo de dólar: oficial, mep o ccl
+  rate_type TEXT NOT NULL CHECK (rate_type IN ('oficial', 'mep', 'ccl')),
+
+  -- Día de la cotización (una fila por usuario, tipo y día)
+  rate_date DATE NOT NULL DEFAULT CURRENT_DATE,
+
+  -- Pesos por 1 dólar (cotización de venta)
+  rate DECIMAL(20, 8) NOT NULL CHECK (rate > 0),
+
+  -- Origen: manual = cargada por el usuario, import = importada de ArgentinaDatos
+  source TEXT NOT NULL DEFAULT 'manual' CHECK (source IN ('manual', 'import')),
+
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+  UNIQUE (user_id, rate_type, rate_date)
+);
+
+-- Índices para mejorar el rendimiento
+CREATE INDEX IF NOT EXISTS idx_dollar_rates_user_id ON dollar_rates(user_id);
+CREATE INDEX IF NOT EXISTS idx_dollar_rates_rate_date ON dollar_rates(rate_date);
+
+-- Políticas de seguridad (RLS - Row Level Security)
+ALTER TABLE dollar_rates ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own dollar rates"
+  ON dollar_rates FOR SELECT
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert their own dollar rates"
+  ON dollar_rates FOR INSERT
+  WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update their own dollar rates"
+  ON dollar_rates FOR UPDATE
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete their own dollar rates"
+  ON dollar_rates FOR DELETE
+  USING (auth.uid() = user_id);
+
+-- ============================================
+-- VERIFICACIÓN
+-- ============================================
+-- SELECT * FROM dollar_rates ORDER BY rate_date DESC LIMIT 10;
@@ -0,0 +1,67 @@
+-- ============================================
+-- TABLA DE INGRESOS (DIVIDENDOS, CUPONES, INTERESES, STAKING)
+-- ============================================
+-- Este script crea la tabla donde se registran los ingresos en efectivo que
+-- generan los activos: dividendos, cupones de bonos, intereses y recompensas
+-- de staking. Cada ingreso pertenece a un activo y a un broker, y puede tener
+-- una retención de impuestos.
+--
+-- Los ingresos no cambian la cantidad ni el PPC del activo: se suman al
+-- rendimiento total de la cartera.
+--
+-- Ejecutar este script en el SQL Editor de Supabase DESPUÉS de supabase_migration.sql
+
+CREATE TABLE IF NOT EXISTS income_entries (
+  id BIGSERIAL PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  asset_id BIGINT NOT NULL REFERENCES assets(id) ON DELETE CASCADE,
+
+  -- Tipo de ingreso:
+  -- dividend = dividendo (acciones, ETFs)
+  -- coupon   = cupón (bonos)
+  -- interest = interés
+  -- staking  = recompensa de staking (cripto), valuada en moneda
+  type TEXT NOT NULL CHECK (type IN ('dividend', 'coupon', 'interest', 'staking')),
+
+  -- Broker donde se cobró ('' si no se especificó)
+  broker TEXT NOT NULL DEFAULT '',
+
+  -- Monto bruto cobrado y retención de impuestos (el neto es amount - withholding_tax)
+  amount DECIMAL(20, 8) NOT NULL DEFAULT 0,
+  withholding_tax DECIMAL(20, 8) NOT NULL DEFAULT 0,
+
+  -- Fecha de cobro
+  payment_date DATE NOT NULL DEFAULT CURRENT_DATE,
+
+  notes TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Índices para mejorar el rendimiento
+CREATE INDEX IF NOT EXISTS idx_income_entries_user_id ON income_entries(user_id);
+CREATE INDEX IF NOT EXISTS idx_income_entries_asset_id ON income_entries(asset_id);
+CREATE INDEX IF NOT EXISTS idx_income_entries_payment_date ON income_entries(payment_date);
+
+-- Políticas de seguridad (RLS - Row Level Security)
+ALTER TABLE income_entries ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own income entries"
+  ON income_entries FOR SELECT
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert their own income entries"
+  ON income_entries FOR INSERT
+  WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update their own income entries"
+  ON income_entries FOR UPDATE
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete their own income entries"
+  ON income_entries FOR DELETE
+  USING (auth.uid() = user_id);
+
+-- ============================================
+-- VERIFICACIÓN
+-- ============================================
+-- SELECT * FROM income_entries ORDER BY payment_date DESC LIMIT 10;
@@ -24,7 +24,7 @@ CREATE TABLE IF NOT EXISTS assets (
   -- Información básica del activo
   name TEXT NOT NULL,
   symbol TEXT NOT NULL,
-  type TEXT NOT NULL CHECK (type IN ('stock', 'crypto', 'etf', 'bond', 'accion', 'criptomoneda', 'fondo')),
+  type TEXT NOT NULL CHECK (type IN ('stock', 'crypto', 'etf', 'bond', 'cedear', 'accion', 'criptomoneda', 'fondo')),
   
   -- Cantidad y precios
   quantity DECIMAL(20, 8) NOT NULL DEFAULT 0,
@@ -32,12 +32,27 @@ CREATE TABLE IF NOT EXISTS assets (
   current_price DECIMAL(20, 8) NOT NULL DEFAULT 0,
   
   -- Información de brokers (se guarda como JSON)
-  -- Formato: [{"broker": "nombre", "quantity": 10, "purchasePrice": 100}]
+  -- Formato: [{"broker": "nombre", "quantity": 10, "purchasePrice": 100, "purchaseDate": "2024-01-15"}]
+  -- purchaseDate = fecha del lote abierto más antiguo del broker
   brokers JSONB DEFAULT '[]'::jsonb,
+
+  -- Fecha de compra del lote abierto más antiguo (se recalcula desde el historial)
+  purchase_date DATE,
+
+  -- Moneda en la que cotiza el activo (precios, PPC y brokers están en esta moneda)
+  currency TEXT NOT NULL DEFAULT 'USD',
+
+  -- Solo CEDEARs: símbolo del subyacente en EE.UU. y CEDEARs por cada acción
+  -- (el precio se deriva de la cotización del subyacente si no hay una local)
+  underlying_symbol TEXT,
+  conversion_ratio DECIMAL(20, 8) CHECK (conversion_ratio IS NULL OR conversion_ratio > 0),
   
   -- Flag para indicar si el precio actual es estimado (por falta de datos en tiempo real)
   -- true = precio estimado, false = precio real obtenido de la API
   is_price_estimated BOOLEAN DEFAULT false,
+
+  -- Momento en que se obtuvo current_price (se muestra como "Actualizado hace...")
+  price_updated_at TIMESTAMPTZ,
   
   -- Timestamps automáticos
   created_at TIMESTAMPTZ DEFAULT NOW(),
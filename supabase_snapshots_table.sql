@@ -0,0 +1,64 @@
+-- ============================================
+-- TABLA DE FOTOS DIARIAS DE LA CARTERA POR ACTIVO
+-- ============================================
+-- Este script crea la tabla donde se guarda, una vez por día, el valor de
+-- mercado y el costo de cada activo de la cartera. Se registra junto con la
+-- valuación diaria (portfolio_valuations), así que la fila del día queda con el
+-- último valor conocido de la jornada.
+--
+-- Con estas fotos el detalle del Summary calcula la ganancia/pérdida de la
+-- temporalidad elegida (1d, 1sem, 1mes, ...) en lugar de la de todo el tiempo
+-- (ver src/lib/snapshots.js).
+--
+-- Ejecutar este script en el SQL Editor de Supabase DESPUÉS de supabase_migration.sql
+
+CREATE TABLE IF NOT EXISTS portfolio_snapshots (
+  id BIGSERIAL PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  asset_id BIGINT NOT NULL REFERENCES assets(id) ON DELETE CASCADE,
+
+  -- Día de la foto (una fila por usuario, activo y día)
+  snapshot_date DATE NOT NULL DEFAULT CURRENT_DATE,
+
+  -- Datos del activo en ese momento (para no depender de cambios posteriores)
+  symbol TEXT NOT NULL,
+  asset_type TEXT,
+  quantity DECIMAL(20, 8) NOT NULL DEFAULT 0,
+
+  -- Valor de mercado (cantidad * precio actual) y costo de la posición abierta
+  market_value DECIMAL(20, 8) NOT NULL DEFAULT 0,
+  cost_basis DECIMAL(20, 8) NOT NULL DEFAULT 0,
+
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+  UNIQUE (user_id, snapshot_date, asset_id)
+);
+
+-- Índices para mejorar el rendimiento
+CREATE INDEX IF NOT EXISTS idx_portfolio_snapshots_user_id ON portfolio_snapshots(user_id);
+CREATE INDEX IF NOT EXISTS idx_portfolio_snapshots_snapshot_date ON portfolio_snapshots(snapshot_date);
+CREATE INDEX IF NOT EXISTS idx_portfolio_snapshots_asset_id ON portfolio_snapshots(asset_id);
+
+-- Políticas de seguridad (RLS - Row Level Security)
+ALTER TABLE portfolio_snapshots ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own snapshots"
+  ON portfolio_snapshots FOR SELECT
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert their own snapshots"
+  ON portfolio_snapshots FOR INSERT
+  WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update their own snapshots"
+  ON portfolio_snapshots FOR UPDATE
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete their own snapshots"
+  ON portfolio_snapshots FOR DELETE
+  USING (auth.uid() = user_id);
+
+-- ============================================
+-- VERIFICACIÓN
+-- ============================================
+-- SELECT * FROM portfolio_snapshots ORDER BY snapshot_date DESC, symbol LIMIT 20;
@@ -0,0 +1,96 @@
+-- ============================================
+-- TABLA DE TRANSACCIONES (LIBRO DE OPERACIONES)
+-- ============================================
+-- Este script crea la tabla donde se registra cada operación sobre un activo:
+-- compras, ventas, reseteos y ediciones de brokers.
+--
+-- La cantidad y el PPC de la tabla assets pasan a ser un "cache" que se
+-- recalcula a partir de este historial, por lo que los números pueden
+-- auditarse y reconstruirse en cualquier momento.
+--
+-- Ejecutar este script en el SQL Editor de Supabase DESPUÉS de supabase_migration.sql
+
+CREATE TABLE IF NOT EXISTS transactions (
+  id BIGSERIAL PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  asset_id BIGINT NOT NULL REFERENCES assets(id) ON DELETE CASCADE,
+
+  -- Tipo de operación:
+  -- buy    = compra (suma cantidad y costo)
+  -- sell   = venta (resta cantidad al PPC vigente)
+  -- reset  = deja el activo en 0 en todos los brokers
+  -- adjust = fija la cantidad y el PPC de un broker (edición manual o saldo inicial)
+  -- split  = split o split inverso: multiplica cantidades por ratio (costo total igual)
+  -- spinoff = el activo conserva la fracción ratio de su costo
+  -- spinoff_in = acciones recibidas por un spin-off (abre un lote como una compra, sin mover efectivo)
+  -- symbol_change = cambio de símbolo (solo registro)
+  type TEXT NOT NULL CHECK (type IN ('buy', 'sell', 'reset', 'adjust', 'split', 'spinoff', 'spinoff_in', 'symbol_change')),
+
+  -- Broker donde se hizo la operación ('' si no se especificó)
+  broker TEXT NOT NULL DEFAULT '',
+
+  quantity DECIMAL(20, 8) NOT NULL DEFAULT 0,
+  price DECIMAL(20, 8) NOT NULL DEFAULT 0,
+
+  -- Comisión del broker / derechos de mercado. En compras se suma al costo y en
+  -- ventas se resta de lo cobrado
+  fee DECIMAL(20, 8) NOT NULL DEFAULT 0,
+
+  -- Factor de los eventos corporativos ('split' y 'spinoff'); NULL en el resto
+  ratio DECIMAL(20, 10),
+
+  -- Fecha en la que se realizó la operación (puede ser anterior a created_at)
+  trade_date DATE NOT NULL DEFAULT CURRENT_DATE,
+
+  -- Fecha de compra del lote que abre un 'adjust' (edición manual o saldo
+  -- inicial). NULL = se toma trade_date
+  acquired_date DATE,
+
+  -- Ganancia realizada de la venta: lo cobrado neto de la comisión de venta
+  -- menos el costo de las unidades vendidas según el método de costo del
+  -- usuario (PPC, FIFO, LIFO o lote específico). Solo en las transacciones 'sell'
+  realized_gain DECIMAL(20, 8),
+
+  -- Lote (transacción de compra) que se vende cuando el método de costo es
+  -- "lote específico". NULL = se consumen los lotes según el método
+  lot_id BIGINT REFERENCES transactions(id) ON DELETE SET NULL,
+
+  -- Moneda del lote y tipo de cambio a la moneda base del usuario del día en
+  -- que se registró (unidades de fx_base_currency por unidad de currency).
+  -- Solo en 'buy', 'spinoff_in' y 'adjust'; separan la ganancia por tipo de cambio
+  currency TEXT,
+  fx_rate DECIMAL(20, 10),
+  fx_base_currency TEXT,
+
+  notes TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Índices para mejorar el rendimiento
+CREATE INDEX IF NOT EXISTS idx_transactions_user_id ON transactions(user_id);
+CREATE INDEX IF NOT EXISTS idx_transactions_asset_id ON transactions(asset_id);
+CREATE INDEX IF NOT EXISTS idx_transactions_trade_date ON transactions(trade_date);
+
+-- Políticas de seguridad (RLS - Row Level Security)
+ALTER TABLE transactions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own transactions"
+  ON transactions FOR SELECT
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert their own transactions"
+  ON transactions FOR INSERT
+  WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update their own transactions"
+  ON transactions FOR UPDATE
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete their own transactions"
+  ON transactions FOR DELETE
+  USING (auth.uid() = user_id);
+
+-- ============================================
+-- VERIFICACIÓN
+-- ============================================
+-- SELECT * FROM transactions ORDER BY trade_date, id LIMIT 10;
@@ -0,0 +1,60 @@
+-- ============================================
+-- TABLA DE VALUACIONES DIARIAS DE LA CARTERA
+-- ============================================
+-- Este script crea la tabla donde se guarda, una vez por día, el valor de la
+-- cartera (activos + efectivo). La app actualiza la fila del día mientras está
+-- abierta, así que queda el último valor conocido de cada jornada.
+--
+-- Con estas valuaciones y los flujos externos (depósitos, retiros, compras sin
+-- cuenta de efectivo) se calcula el rendimiento ponderado por tiempo (TWR,
+-- ver src/lib/performance.js).
+--
+-- Ejecutar este script en el SQL Editor de Supabase DESPUÉS de supabase_migration.sql
+
+CREATE TABLE IF NOT EXISTS portfolio_valuations (
+  id BIGSERIAL PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+
+  -- Día de la valuación (una fila por usuario y día)
+  valuation_date DATE NOT NULL DEFAULT CURRENT_DATE,
+
+  -- Valor total = activos (cantidad * precio actual) + efectivo
+  total_value DECIMAL(20, 8) NOT NULL DEFAULT 0,
+  securities_value DECIMAL(20, 8) NOT NULL DEFAULT 0,
+  cash_value DECIMAL(20, 8) NOT NULL DEFAULT 0,
+
+  -- Inversión (costo de las posiciones abiertas) al momento de la valuación
+  invested DECIMAL(20, 8) NOT NULL DEFAULT 0,
+
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+  UNIQUE (user_id, valuation_date)
+);
+
+-- Índices para mejorar el rendimiento
+CREATE INDEX IF NOT EXISTS idx_portfolio_valuations_user_id ON portfolio_valuations(user_id);
+CREATE INDEX IF NOT EXISTS idx_portfolio_valuations_valuation_date ON portfolio_valuations(valuation_date);
+
+-- Políticas de seguridad (RLS - Row Level Security)
+ALTER TABLE portfolio_valuations ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own valuations"
+  ON portfolio_valuations FOR SELECT
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert their own valuations"
+  ON portfolio_valuations FOR INSERT
+  WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update their own valuations"
+  ON portfolio_valuations FOR UPDATE
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete their own valuations"
+  ON portfolio_valuations FOR DELETE
+  USING (auth.uid() = user_id);
+
+-- ============================================
+-- VERIFICACIÓN
+-- ============================================
+-- SELECT * FROM portfolio_valuations ORDER BY valuation_date DESC LIMIT 10;